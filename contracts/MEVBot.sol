@@ -42,8 +42,27 @@ contract MEVBot is Ownable, ReentrancyGuard {
         uint256 profit
     );
     
+    event RouteExecuted(
+        address indexed tokenIn,
+        address indexed tokenOut,
+        uint256 amountIn,
+        uint256 amountOut
+    );
+    
     event EmergencyWithdraw(address token, uint256 amount);
     
+    // One swap of a split route; data is the router call, paying this contract.
+    // A step with amountIn 0 swaps what the previous step delivered, written
+    // into data at amountOffsets (byte offsets of amountIn in the call).
+    struct SwapStep {
+        address router;
+        address tokenIn;
+        address tokenOut;
+        uint256 amountIn;
+        uint256[] amountOffsets;
+        bytes data;
+    }
+    
     // State variables
     address public immutable WETH;
     mapping(address => bool) public authorized;
@@ -117,7 +136,7 @@ contract MEVBot is Ownable, ReentrancyGuard {
     }
     
     // Execute swap on DEX
-    function _executeSwap(address router, bytes calldata swapData) internal {
+    function _executeSwap(address router, bytes memory swapData) internal {
         (bool success, bytes memory result) = router.call(swapData);
         require(success, "Swap failed");
     }
@@ -148,6 +167,97 @@ contract MEVBot is Ownable, ReentrancyGuard {
         require(totalProfit >= minTotalProfit, "Total profit too low");
     }
     
+    // Split route: every leg's swaps in order, checked on the total output
+    function executeSplitRoute(
+        SwapStep[] calldata steps,
+        address tokenOut,
+        uint256 minAmountOut
+    ) external onlyAuthorized nonReentrant returns (uint256 amountOut) {
+        amountOut = _executeRoute(steps, tokenOut, minAmountOut);
+    }
+    
+    // Split route on the caller's tokens, for contracts like FlashLoanReceiver:
+    // the input is pulled from msg.sender and the output sent back to it
+    function executeSplitRouteFor(
+        SwapStep[] calldata steps,
+        address tokenOut,
+        uint256 minAmountOut
+    ) external onlyAuthorized nonReentrant returns (uint256 amountOut) {
+        require(steps.length > 0, "No steps");
+        
+        IERC20(steps[0].tokenIn).safeTransferFrom(msg.sender, address(this), _routeInput(steps));
+        
+        amountOut = _executeRoute(steps, tokenOut, minAmountOut);
+        
+        IERC20(tokenOut).safeTransfer(msg.sender, amountOut);
+    }
+    
+    function _executeRoute(
+        SwapStep[] calldata steps,
+        address tokenOut,
+        uint256 minAmountOut
+    ) internal returns (uint256 amountOut) {
+        require(steps.length > 0 && steps[0].amountIn > 0, "No steps");
+        
+        uint256 balanceBefore = IERC20(tokenOut).balanceOf(address(this));
+        uint256 amountIn = _routeInput(steps);
+        uint256 previousOut = 0;
+        
+        for (uint i = 0; i < steps.length; i++) {
+            uint256 stepIn = steps[i].amountIn > 0 ? steps[i].amountIn : previousOut;
+            bytes memory data = steps[i].data;
+            
+            if (steps[i].amountIn == 0) {
+                data = _withAmount(data, steps[i].amountOffsets, stepIn);
+            }
+            
+            // Reset first for tokens that refuse changing a non-zero allowance
+            IERC20(steps[i].tokenIn).safeApprove(steps[i].router, 0);
+            IERC20(steps[i].tokenIn).safeApprove(steps[i].router, stepIn);
+            
+            uint256 outBefore = IERC20(steps[i].tokenOut).balanceOf(address(this));
+            _executeSwap(steps[i].router, data);
+            previousOut = IERC20(steps[i].tokenOut).balanceOf(address(this)) - outBefore;
+        }
+        
+        // A cycle spends its input from the balance it is measured on
+        amountOut = IERC20(tokenOut).balanceOf(address(this)) - balanceBefore;
+        if (tokenOut == steps[0].tokenIn) {
+            amountOut += amountIn;
+        }
+        require(amountOut >= minAmountOut, "Output too low");
+        
+        emit RouteExecuted(steps[0].tokenIn, tokenOut, amountIn, amountOut);
+    }
+    
+    // Input of the route: the fixed amounts of steps starting in its first token
+    function _routeInput(SwapStep[] calldata steps) internal pure returns (uint256 amountIn) {
+        for (uint i = 0; i < steps.length; i++) {
+            if (steps[i].tokenIn == steps[0].tokenIn) {
+                amountIn += steps[i].amountIn;
+            }
+        }
+    }
+    
+    function _withAmount(
+        bytes memory data,
+        uint256[] calldata offsets,
+        uint256 amount
+    ) internal pure returns (bytes memory) {
+        require(offsets.length > 0, "No amount offset");
+        
+        for (uint k = 0; k < offsets.length; k++) {
+            uint256 offset = offsets[k];
+            require(offset >= 4 && offset + 32 <= data.length, "Bad amount offset");
+            
+            assembly {
+                mstore(add(add(data, 32), offset), amount)
+            }
+        }
+        
+        return data;
+    }
+    
     // Helper function to get token balance
     function _getBalance(address token) internal view returns (uint256) {
         if (token == WETH) {
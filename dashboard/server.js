@@ -237,7 +237,15 @@ class DashboardServer {
                 all_time: await this.db.getTradingStats(24 * 365)
             };
             
-            // Add profit chart data
+            // Paper-trading fills, shown next to live PnL
+            performance.paper = {
+                daily: await this.db.getPaperTradingStats(24),
+                weekly: await this.db.getPaperTradingStats(24 * 7),
+                monthly: await this.db.getPaperTradingStats(24 * 30),
+                all_time: await this.db.getPaperTradingStats(24 * 365)
+            };
+            
+            // Add profit chart data (live and paper per day)
             performance.profitChart = await this.db.getProfitHistory(30);
             
             res.json(performance);
@@ -282,6 +290,7 @@ class DashboardServer {
                 uptime: process.uptime(),
                 version: config.get('bot.version'),
                 chain: config.get('chains.base.name'),
+                paperTrading: config.get('paperTrading.enabled'),
                 strategies: {
                     arbitrage: { enabled: true, running: true },
                     flashloan: { enabled: true, running: true },
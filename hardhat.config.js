@@ -17,6 +17,8 @@ module.exports = {
   },
   networks: {
     hardhat: {
+      // Matches Base so signed transactions replay on the local fork
+      chainId: 8453,
       forking: {
         url: `https://mainnet.base.org`,
         blockNumber: 15000000
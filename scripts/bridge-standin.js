@@ -0,0 +1,162 @@
+/**
+ * Local stand-in for the Hop, Across, Stargate and LayerZero Scan APIs,
+ * for running the bridge adapters against a fork or in paper trading.
+ * Point each bridge's apiUrl at http://localhost:<port>/<bridge>
+ * (Stargate's statusUrl at /layerzero).
+ *
+ * Fees and times are synthetic and configurable below. Transfers report
+ * as delivered FILL_DELAY seconds after their status is first asked for.
+ */
+const express = require('express');
+const { ethers } = require('ethers');
+const { logger } = require('../src/utils/logger');
+
+const PORT = Number(process.env.BRIDGE_STANDIN_PORT || 8547);
+const FILL_DELAY = Number(process.env.BRIDGE_STANDIN_FILL_DELAY || 10);
+
+// Deposits and approvals go here; on a fork the calls simply succeed
+const BRIDGE_ADDRESS = process.env.BRIDGE_STANDIN_ADDRESS || '0x000000000000000000000000000000000000b71d';
+
+const BRIDGES = {
+    hop: { feeBps: 4, estimatedTime: 5 * 60 },
+    across: { feeBps: 5, estimatedTime: 2 * 60 },
+    stargate: { feeBps: 6, estimatedTime: 60, nativeFee: '0.0001' }
+};
+
+const firstSeen = new Map(); // tx hash -> timestamp
+
+function applyFee(amount, { feeBps }) {
+    const fee = ethers.BigNumber.from(amount).mul(feeBps).div(10000);
+    
+    return { fee, amountOut: ethers.BigNumber.from(amount).sub(fee) };
+}
+
+function isDelivered(txHash) {
+    if (!firstSeen.has(txHash)) {
+        firstSeen.set(txHash, Date.now());
+    }
+    
+    return Date.now() - firstSeen.get(txHash) >= FILL_DELAY * 1000;
+}
+
+const app = express();
+
+// Hop
+app.get('/hop/v1/quote', (req, res) => {
+    const { fee, amountOut } = applyFee(req.query.amount, BRIDGES.hop);
+    
+    res.json({
+        amountIn: req.query.amount,
+        slippage: Number(req.query.slippage),
+        bonderFee: fee.toString(),
+        estimatedRecieved: amountOut.toString(),
+        amountOutMin: amountOut.toString(),
+        destinationAmountOutMin: amountOut.toString(),
+        deadline: Math.floor(Date.now() / 1000) + 3600
+    });
+});
+
+app.get('/hop/v1/build-tx', (req, res) => {
+    res.json({ to: BRIDGE_ADDRESS, data: '0x', value: '0' });
+});
+
+app.get('/hop/v1/transfer-status', (req, res) => {
+    const bonded = isDelivered(req.query.transactionHash);
+    
+    res.json({
+        transferId: ethers.utils.id(req.query.transactionHash),
+        bonded,
+        bondTransactionHash: bonded ? ethers.utils.id(`bond:${req.query.transactionHash}`) : null
+    });
+});
+
+// Across
+app.get('/across/suggested-fees', (req, res) => {
+    const { fee } = applyFee(req.query.amount, BRIDGES.across);
+    const now = Math.floor(Date.now() / 1000);
+    
+    res.json({
+        totalRelayFee: {
+            pct: fee.mul(ethers.constants.WeiPerEther).div(req.query.amount).toString(),
+            total: fee.toString()
+        },
+        timestamp: String(now),
+        isAmountTooLow: false,
+        spokePoolAddress: BRIDGE_ADDRESS,
+        exclusiveRelayer: ethers.constants.AddressZero,
+        exclusivityDeadline: 0,
+        fillDeadline: now + 6 * 3600,
+        estimatedFillTimeSec: BRIDGES.across.estimatedTime
+    });
+});
+
+app.get('/across/deposit/status', (req, res) => {
+    const filled = isDelivered(req.query.depositTxHash);
+    
+    res.json({
+        status: filled ? 'filled' : 'pending',
+        fillTx: filled ? ethers.utils.id(`fill:${req.query.depositTxHash}`) : null
+    });
+});
+
+// Stargate
+app.get('/stargate/quotes', (req, res) => {
+    const { amountOut } = applyFee(req.query.srcAmount, BRIDGES.stargate);
+    const nativeFee = ethers.utils.parseEther(BRIDGES.stargate.nativeFee);
+    
+    res.json({
+        quotes: [{
+            route: 'stargate/v2/taxi',
+            error: null,
+            srcAmount: req.query.srcAmount,
+            dstAmount: amountOut.toString(),
+            dstAmountMin: req.query.dstAmountMin,
+            srcToken: req.query.srcToken,
+            dstToken: req.query.dstToken,
+            srcChainKey: req.query.srcChainKey,
+            dstChainKey: req.query.dstChainKey,
+            duration: { estimated: BRIDGES.stargate.estimatedTime },
+            fees: [{ token: ethers.constants.AddressZero, chainKey: req.query.srcChainKey, amount: nativeFee.toString(), type: 'message' }],
+            steps: [
+                {
+                    type: 'approve',
+                    sender: req.query.srcAddress,
+                    chainKey: req.query.srcChainKey,
+                    transaction: {
+                        to: req.query.srcToken,
+                        data: new ethers.utils.Interface(['function approve(address spender, uint256 amount)'])
+                            .encodeFunctionData('approve', [BRIDGE_ADDRESS, req.query.srcAmount]),
+                        from: req.query.srcAddress
+                    }
+                },
+                {
+                    type: 'bridge',
+                    sender: req.query.srcAddress,
+                    chainKey: req.query.srcChainKey,
+                    transaction: {
+                        to: BRIDGE_ADDRESS,
+                        data: '0x',
+                        value: nativeFee.toString(),
+                        from: req.query.srcAddress
+                    }
+                }
+            ]
+        }]
+    });
+});
+
+// LayerZero Scan, for Stargate delivery
+app.get('/layerzero/messages/tx/:hash', (req, res) => {
+    const delivered = isDelivered(req.params.hash);
+    
+    res.json({
+        data: [{
+            status: { name: delivered ? 'DELIVERED' : 'INFLIGHT' },
+            destination: { tx: delivered ? { txHash: ethers.utils.id(`lz:${req.params.hash}`) } : null }
+        }]
+    });
+});
+
+app.listen(PORT, () => {
+    logger.info(`Bridge stand-in listening on http://localhost:${PORT}`);
+});
\ No newline at end of file
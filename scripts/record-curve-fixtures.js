@@ -0,0 +1,94 @@
+/**
+ * Records Curve pool states and their on-chain get_dy answers at one
+ * block, as fixtures for the CurveMath parity tests:
+ *
+ *   RPC_URL=<mainnet rpc> [BLOCK=<number>] node scripts/record-curve-fixtures.js
+ *
+ * One fixture per common pool (3pool and tricrypto) is written to
+ * tests/fixtures/curve.
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const config = require('config');
+const { Curve } = require('../src/dex/Curve');
+const { logger } = require('../src/utils/logger');
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'tests', 'fixtures', 'curve');
+
+// Sizes of the recorded swaps, as fractions of the input coin's balance
+const DIVISORS = [10000, 100, 10];
+
+// Every read is made at the recorded block, so the state and get_dy agree
+class PinnedProvider extends ethers.providers.StaticJsonRpcProvider {
+    constructor(url, blockNumber) {
+        super(url);
+        this.pinnedBlock = blockNumber;
+    }
+    
+    call(transaction) {
+        return super.call(transaction, this.pinnedBlock);
+    }
+    
+    getBlock(blockTag) {
+        return super.getBlock(blockTag === 'latest' ? this.pinnedBlock : blockTag);
+    }
+}
+
+// BigNumbers as decimal strings; the tests read them back the same way
+function serialize(value) {
+    return JSON.stringify(value, (key, v) => (v && v.type === 'BigNumber' ? ethers.BigNumber.from(v.hex).toString() : v), 2);
+}
+
+async function recordPool(curve, name, address, blockNumber) {
+    const pool = await curve.getPoolInfo(address);
+    const state = await curve.getPoolState(pool);
+    
+    if (!state) {
+        throw new Error(`${name} is not covered by CurveMath`);
+    }
+    
+    const quotes = [];
+    
+    for (let i = 0; i < pool.coins.length; i++) {
+        for (let j = 0; j < pool.coins.length; j++) {
+            if (i === j) {
+                continue;
+            }
+            
+            for (const divisor of DIVISORS) {
+                const dx = state.balances[i].div(divisor);
+                quotes.push({ i, j, dx, dy: await pool.contract.get_dy(i, j, dx) });
+            }
+        }
+    }
+    
+    const file = path.join(FIXTURE_DIR, `${name}.json`);
+    fs.writeFileSync(file, serialize({ name, address, blockNumber, state, quotes }));
+    
+    logger.info(`Recorded ${quotes.length} ${name} quotes at block ${blockNumber}`, { file });
+}
+
+async function main() {
+    if (!process.env.RPC_URL) {
+        throw new Error('RPC_URL is required');
+    }
+    
+    const blockNumber = process.env.BLOCK
+        ? Number(process.env.BLOCK)
+        : await new ethers.providers.StaticJsonRpcProvider(process.env.RPC_URL).getBlockNumber();
+    
+    const curve = new Curve(new PinnedProvider(process.env.RPC_URL, blockNumber), config.dexes.curve);
+    
+    fs.mkdirSync(FIXTURE_DIR, { recursive: true });
+    
+    for (const [name, address] of Object.entries(curve.commonPools)) {
+        await recordPool(curve, name, address, blockNumber);
+    }
+}
+
+main().catch((error) => {
+    logger.error('Recording Curve fixtures failed', error);
+    process.exit(1);
+});
\ No newline at end of file
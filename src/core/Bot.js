@@ -1,4 +1,6 @@
 const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
 const { ethers } = require('ethers');
 const { logger } = require('../utils/logger');
 const { ProviderManager } = require('../infrastructure/ProviderManager');
@@ -11,7 +13,9 @@ const { ArbitrageStrategy } = require('../strategies/ArbitrageStrategy');
 const { SandwichStrategy } = require('../strategies/SandwichStrategy');
 const { LiquidationStrategy } = require('../strategies/LiquidationStrategy');
 const { FlashLoanArbitrage } = require('../strategies/FlashLoanArbitrage');
+const { CrossChainArbitrage } = require('../strategies/CrossChainArbitrage');
 const { GasManager } = require('../infrastructure/GasManager');
+const { TokenRegistry } = require('../infrastructure/TokenRegistry');
 const { CircuitBreaker } = require('../risk/CircuitBreaker');
 
 class MEVBot extends EventEmitter {
@@ -19,15 +23,20 @@ class MEVBot extends EventEmitter {
         super();
         this.config = config;
         this.isRunning = false;
+        this.paperTrading = Boolean(config.paperTrading?.enabled);
         
         // Core components
-        this.providerManager = new ProviderManager(config.providers);
+        this.providerManager = new ProviderManager(config.providers, config.multicall, config.rpc);
         this.executor = new Executor(this);
         this.monitor = new Monitor(this);
-        this.riskManager = new RiskManager(config.risk);
+        this.tokenRegistry = new TokenRegistry(this);
+        this.riskManager = new RiskManager(config.risk, this.tokenRegistry);
         this.gasManager = new GasManager(this);
         this.circuitBreaker = new CircuitBreaker(config.circuitBreaker);
         
+        // Other chains, each with its own providers once first used
+        this.chains = this.loadChains();
+        
         // Database and monitoring
         this.db = new DatabaseManager(config.database);
         this.metrics = new MetricsCollector();
@@ -42,7 +51,9 @@ class MEVBot extends EventEmitter {
             totalProfit: ethers.BigNumber.from(0),
             successfulTrades: 0,
             failedTrades: 0,
-            opportunitiesAnalyzed: 0
+            opportunitiesAnalyzed: 0,
+            paperProfit: ethers.BigNumber.from(0),
+            paperTrades: 0
         };
         
         // Wallet management
@@ -51,7 +62,8 @@ class MEVBot extends EventEmitter {
         logger.info('MEV Bot initialized', {
             strategies: Array.from(this.strategies.keys()),
             chains: config.chains,
-            wallets: this.wallets.length
+            wallets: this.wallets.length,
+            paperTrading: this.paperTrading
         });
     }
     
@@ -73,6 +85,10 @@ class MEVBot extends EventEmitter {
             this.strategies.set('flashloan', new FlashLoanArbitrage(this));
         }
         
+        if (this.config.strategies.crossChain?.enabled) {
+            this.strategies.set('crossChain', new CrossChainArbitrage(this));
+        }
+        
         // Set up strategy event handlers
         this.strategies.forEach((strategy, name) => {
             strategy.on('opportunity', (opp) => this.handleOpportunity(opp, name));
@@ -80,6 +96,24 @@ class MEVBot extends EventEmitter {
         });
     }
     
+    loadChains() {
+        // RPC endpoints, tokens and DEXes live in config/chains.json,
+        // config.chains only says which chains are enabled
+        const definitions = JSON.parse(
+            fs.readFileSync(path.join(__dirname, '../../config/chains.json'), 'utf8')
+        );
+        
+        const chains = new Map();
+        
+        for (const [name, definition] of Object.entries(definitions)) {
+            if (this.config.chains[name]?.enabled) {
+                chains.set(name, { ...definition, key: name, providerManager: null });
+            }
+        }
+        
+        return chains;
+    }
+    
     initializeWallets() {
         const wallets = [];
         
@@ -116,6 +150,9 @@ class MEVBot extends EventEmitter {
             // Check balances
             await this.checkBalances();
             
+            // Sync nonces for every wallet before anything can be sent
+            await this.executor.start();
+            
             // Start monitoring
             await this.monitor.start();
             
@@ -166,6 +203,16 @@ class MEVBot extends EventEmitter {
         // Stop gas manager
         await this.gasManager.stop();
         
+        // Stop nonce tracking
+        await this.executor.stop();
+        
+        // Close per-chain providers
+        for (const chain of this.chains.values()) {
+            if (chain.providerManager) {
+                await chain.providerManager.stop();
+            }
+        }
+        
         // Disable circuit breaker
         this.circuitBreaker.disable();
         
@@ -212,7 +259,25 @@ class MEVBot extends EventEmitter {
             const result = await this.executor.execute(opportunity, riskAssessment);
             
             // Record result
-            if (result.success) {
+            if (result.paper) {
+                this.performance.paperTrades++;
+                this.performance.paperProfit = this.performance.paperProfit.add(result.profit);
+                
+                await this.db.recordPaperTrade({
+                    ...opportunity,
+                    ...result,
+                    strategy: strategyName
+                });
+                
+                this.metrics.recordTrade('paper', strategyName, result.profit);
+                
+                logger.info('Paper trade recorded', {
+                    profit: ethers.utils.formatEther(result.profit),
+                    gasUsed: result.gasUsed,
+                    executionPath: result.executionPath
+                });
+                
+            } else if (result.success) {
                 this.performance.successfulTrades++;
                 this.performance.totalProfit = this.performance.totalProfit.add(result.profit);
                 
@@ -234,11 +299,18 @@ class MEVBot extends EventEmitter {
                 this.performance.failedTrades++;
                 this.circuitBreaker.recordFailure();
                 
-                await this.db.recordFailedTrade({
+                // Keep paper-mode failures out of the live trades table
+                const failedTrade = {
                     ...opportunity,
                     ...result,
                     strategy: strategyName
-                });
+                };
+                
+                if (this.paperTrading) {
+                    await this.db.recordPaperTrade(failedTrade);
+                } else {
+                    await this.db.recordFailedTrade(failedTrade);
+                }
                 
                 this.metrics.recordTrade('failure', strategyName, ethers.BigNumber.from(0));
                 
@@ -309,7 +381,10 @@ class MEVBot extends EventEmitter {
                 opportunitiesAnalyzed: this.performance.opportunitiesAnalyzed,
                 profitPerHour: ethers.utils.formatEther(
                     this.performance.totalProfit.div(Math.max(1, Math.floor(runtimeHours)))
-                )
+                ),
+                paperTrading: this.paperTrading,
+                paperTrades: this.performance.paperTrades,
+                paperProfit: ethers.utils.formatEther(this.performance.paperProfit)
             };
             
             logger.info('Performance Report', report);
@@ -328,13 +403,59 @@ class MEVBot extends EventEmitter {
         return this.providerManager.getProvider();
     }
     
+    // Contract reads through it are batched with Multicall3
+    getReadProvider() {
+        return this.providerManager.getReadProvider();
+    }
+    
+    // Hedged across the two best providers, for bundle target blocks
+    async getBlockNumber() {
+        return this.providerManager.executeHedged('getBlockNumber');
+    }
+    
+    getChainNames() {
+        return Array.from(this.chains.keys());
+    }
+    
+    getChain(name) {
+        const chain = this.chains.get(name);
+        
+        if (chain && !chain.providerManager) {
+            // Primary endpoint first, secondaries as fallbacks in listed order
+            const urls = [chain.rpc.primary, ...(chain.rpc.secondary || [])];
+            const providers = {};
+            
+            urls.forEach((url, i) => {
+                providers[i === 0 ? `${name}-primary` : `${name}-secondary-${i}`] = {
+                    type: url.startsWith('ws') ? 'websocket' : 'http',
+                    url,
+                    priority: urls.length - i,
+                    primary: i === 0
+                };
+            });
+            
+            chain.providerManager = new ProviderManager(providers, this.config.multicall, this.config.rpc);
+        }
+        
+        return chain || null;
+    }
+    
+    getChainProvider(name) {
+        const chain = this.getChain(name);
+        return chain ? chain.providerManager.getProvider() : null;
+    }
+    
     getWallet(type = 'main') {
         const walletObj = this.wallets.find(w => w.type === type);
         return walletObj ? walletObj.wallet : null;
     }
     
-    getGasPrice() {
-        return this.gasManager.getOptimalGasPrice();
+    getGasPrice(priority = 'standard') {
+        return this.gasManager.getEffectiveGasPrice(priority);
+    }
+    
+    getTransactionFees(priority = 'standard') {
+        return this.gasManager.getTransactionFees(priority);
     }
 }
 
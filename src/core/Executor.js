@@ -1,14 +1,30 @@
 const { ethers } = require('ethers');
 const { logger } = require('../utils/logger');
 const { FlashbotsProvider } = require('../infrastructure/FlashbotsProvider');
-const { simulateTransaction } = require('../utils/helpers');
+const { ForkSimulator, NATIVE_TOKEN } = require('../infrastructure/ForkSimulator');
+const { NonceManager } = require('../infrastructure/NonceManager');
+const { AaveLiquidator } = require('../lending/AaveLiquidator');
+const { CometAdapter } = require('../lending/CometAdapter');
+const { CompoundV2Adapter } = require('../lending/CompoundV2Adapter');
+const { FlashLiquidator } = require('../lending/FlashLiquidator');
+const { DEXAggregator } = require('../dex/DEXAggregator');
+const { getRawTransaction } = require('../utils/helpers');
+
+const ERC20_ABI = [
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function approve(address spender, uint256 amount) returns (bool)'
+];
 
 class Executor {
     constructor(bot) {
         this.bot = bot;
         this.flashbotsProvider = new FlashbotsProvider(bot.config.flashbots);
+        this.simulator = new ForkSimulator(bot);
+        this.nonceManager = new NonceManager(bot);
         this.pendingTxs = new Map();
-        this.nonces = new Map();
+        
+        // Paper trading: run the full pipeline but record fills instead of broadcasting
+        this.paperTrading = Boolean(bot.config.paperTrading?.enabled);
         
         // Transaction queue for ordering
         this.txQueue = [];
@@ -19,24 +35,48 @@ class Executor {
             submitted: 0,
             confirmed: 0,
             failed: 0,
-            reverted: 0
+            reverted: 0,
+            paperFills: 0
         };
     }
     
+    async start() {
+        await this.nonceManager.start();
+    }
+    
+    async stop() {
+        await this.nonceManager.stop();
+    }
+    
     async execute(opportunity, riskAssessment) {
         const startTime = Date.now();
+        let wallet = null;
+        let reservation = null;
         
         try {
+            // Cross-chain legs go out on their own chains, not through the home-chain pipeline
+            if (opportunity.legs) {
+                const result = await this.executeLegs(opportunity);
+                result.executionTime = Date.now() - startTime;
+                return result;
+            }
+            
             // Get optimal wallet for this transaction
-            const wallet = this.selectWallet(opportunity, riskAssessment);
+            wallet = this.selectWallet(opportunity, riskAssessment);
             
             // Build transaction
             const tx = await this.buildTransaction(opportunity, wallet, riskAssessment);
+            reservation = {
+                nonce: opportunity.type === 'sandwich' ? tx.frontrun.nonce : tx.nonce,
+                count: this.getNonceCount(opportunity)
+            };
             
             // Simulate transaction
-            const simulation = await this.simulate(tx, wallet);
+            const simulation = await this.simulate(tx, wallet, opportunity);
             
             if (!simulation.success) {
+                this.nonceManager.release(wallet.address, reservation.nonce, reservation.count);
+                
                 return {
                     success: false,
                     reason: 'Simulation failed',
@@ -52,6 +92,8 @@ class Executor {
             );
             
             if (actualProfit.lt(minProfit)) {
+                this.nonceManager.release(wallet.address, reservation.nonce, reservation.count);
+                
                 return {
                     success: false,
                     reason: 'Profit below minimum threshold',
@@ -64,13 +106,20 @@ class Executor {
             let result;
             
             if (opportunity.type === 'sandwich') {
-                result = await this.executeSandwich(opportunity, wallet, simulation);
+                result = await this.executeSandwich(opportunity, wallet, simulation, tx);
             } else if (opportunity.type === 'flashloan') {
-                result = await this.executeFlashLoan(opportunity, wallet, simulation);
+                result = await this.executeFlashLoan(opportunity, wallet, simulation, tx);
+            } else if (opportunity.type === 'backrun') {
+                result = await this.executeBackrun(opportunity, wallet, simulation, tx);
             } else if (opportunity.requiresBundle) {
-                result = await this.executeBundle(opportunity, wallet, simulation);
+                result = await this.executeBundle(opportunity, wallet, simulation, tx);
             } else {
-                result = await this.executeStandard(tx, wallet, opportunity);
+                result = await this.executeStandard(tx, wallet, opportunity, simulation);
+            }
+            
+            if (result.paper) {
+                // Nothing was broadcast, hand the nonces back
+                this.nonceManager.release(wallet.address, reservation.nonce, reservation.count);
             }
             
             // Record execution time
@@ -81,6 +130,15 @@ class Executor {
         } catch (error) {
             logger.error('Execution error', error);
             
+            if (reservation) {
+                await this.nonceManager.handleError(
+                    wallet.address,
+                    reservation.nonce,
+                    error,
+                    reservation.count
+                );
+            }
+            
             return {
                 success: false,
                 reason: 'Execution error',
@@ -106,14 +164,16 @@ class Executor {
     }
     
     async buildTransaction(opportunity, wallet, riskAssessment) {
-        const gasPrice = await this.bot.getGasPrice();
-        const nonce = await this.getNonce(wallet.address);
+        const fees = await this.bot.getTransactionFees(this.getGasTier(opportunity));
+        const { chainId } = await this.bot.getProvider().getNetwork();
+        const nonce = await this.getNonce(wallet.address, this.getNonceCount(opportunity));
         
-        // Base transaction
+        // Base transaction, type 2 unless the gas manager fell back to legacy
         const tx = {
             from: wallet.address,
+            chainId,
             nonce: nonce,
-            gasPrice: gasPrice,
+            ...fees,
             gasLimit: opportunity.estimatedGas || ethers.BigNumber.from(500000),
             value: opportunity.value || ethers.BigNumber.from(0)
         };
@@ -126,41 +186,58 @@ class Executor {
                 break;
                 
             case 'liquidation':
-                tx.to = opportunity.lendingProtocol;
-                tx.data = this.encodeLiquidation(opportunity);
+                if (opportunity.flashLoan) {
+                    // FlashLoanReceiver borrows the debt asset and calls the pool
+                    tx.to = this.bot.config.contracts.flashLoanExecutor;
+                    tx.data = FlashLiquidator.encodeFlashLoan(opportunity.flashLoan);
+                } else {
+                    tx.to = opportunity.lendingProtocol;
+                    tx.data = this.encodeLiquidation(opportunity);
+                }
                 break;
                 
+            case 'flashloan':
+                tx.to = this.bot.config.contracts.flashLoanExecutor;
+                tx.data = this.encodeFlashLoan(opportunity);
+                break;
+            
             case 'sandwich':
                 // Sandwich requires special handling
-                return this.buildSandwichTxs(opportunity, wallet, gasPrice, nonce);
+                return this.buildSandwichTxs(opportunity, wallet, tx, nonce);
                 
             default:
                 tx.to = opportunity.to;
                 tx.data = opportunity.data;
         }
         
-        // Adjust gas based on priority
-        if (opportunity.priority === 'high') {
-            tx.gasPrice = gasPrice.mul(110).div(100); // 10% premium
-        }
-        
         return tx;
     }
     
-    async simulate(tx, wallet) {
+    async simulate(tx, wallet, opportunity) {
         try {
-            // Use Tenderly or local fork for simulation
-            const result = await simulateTransaction(
-                tx,
-                wallet,
-                this.bot.getProvider()
-            );
+            // Replay the signed transactions on a local fork of the latest block
+            const signedTxs = await this.signForSimulation(tx, wallet, opportunity);
+            
+            const result = await this.simulator.simulate(signedTxs, {
+                holders: [
+                    wallet.address,
+                    this.bot.config.contracts.flashLoanExecutor,
+                    opportunity.contract
+                ],
+                tokens: this.getSimulationTokens(opportunity)
+            });
+            
+            // Profit comes from what actually moved, not from the strategy's estimate
+            const profit = result.success
+                ? await this.calculateSimulatedProfit(result.balanceChanges)
+                : ethers.BigNumber.from(0);
             
             return {
                 success: result.success,
-                profit: result.profit || ethers.BigNumber.from(0),
+                profit,
                 gasUsed: result.gasUsed,
                 revertReason: result.revertReason,
+                balanceChanges: result.balanceChanges,
                 error: result.error
             };
             
@@ -174,7 +251,126 @@ class Executor {
         }
     }
     
-    async executeStandard(tx, wallet, opportunity) {
+    async signForSimulation(tx, wallet, opportunity) {
+        const { chainId } = await this.bot.getProvider().getNetwork();
+        
+        // Sandwich: frontrun, victim, backrun in bundle order
+        if (tx.frontrun) {
+            return [
+                await wallet.signTransaction({ ...tx.frontrun, chainId }),
+                opportunity.victimTx.rawTransaction,
+                await wallet.signTransaction({ ...tx.backrun, chainId })
+            ];
+        }
+        
+        if (opportunity.requiresBundle && opportunity.transactions) {
+            const signedTxs = [];
+            
+            for (let i = 0; i < opportunity.transactions.length; i++) {
+                signedTxs.push(await wallet.signTransaction({
+                    ...opportunity.transactions[i],
+                    nonce: tx.nonce + i,
+                    from: wallet.address,
+                    ...this.getFeeFields(tx),
+                    chainId
+                }));
+            }
+            
+            // Backruns are simulated on top of the transaction they follow
+            if (opportunity.type === 'backrun') {
+                return [getRawTransaction(opportunity.targetTx), ...signedTxs];
+            }
+            
+            return signedTxs;
+        }
+        
+        return [await wallet.signTransaction({ ...tx, chainId })];
+    }
+    
+    getSimulationTokens(opportunity) {
+        // Track every configured token plus anything the opportunity touches
+        const tokens = new Set(Object.values(this.bot.config.tokens || {}));
+        
+        const touched = [
+            ...(opportunity.path || []),
+            opportunity.tokenA,
+            opportunity.tokenB,
+            opportunity.asset,
+            opportunity.collateralAsset,
+            opportunity.debtAsset
+        ];
+        
+        for (const token of touched) {
+            if (token) {
+                tokens.add(this.resolveToken(token));
+            }
+        }
+        
+        return Array.from(tokens);
+    }
+    
+    /**
+     * Net value in ETH of everything that moved across our wallet and
+     * contracts. Native ETH and WETH count 1:1, which also nets out gas;
+     * other tokens are priced at their ETH rate, so a liquidation's debt
+     * paid is weighed against the collateral received.
+     */
+    async calculateSimulatedProfit(balanceChanges) {
+        const weth = ethers.utils.getAddress(this.bot.config.tokens.WETH);
+        const totals = new Map(); // token -> net change
+        
+        for (const changes of Object.values(balanceChanges)) {
+            for (const [token, delta] of Object.entries(changes)) {
+                const key = token === NATIVE_TOKEN ? weth : token;
+                totals.set(key, (totals.get(key) || ethers.BigNumber.from(0)).add(delta));
+            }
+        }
+        
+        let profit = ethers.BigNumber.from(0);
+        
+        for (const [token, delta] of totals) {
+            if (delta.isZero()) {
+                continue;
+            }
+            
+            if (token === weth) {
+                profit = profit.add(delta);
+                continue;
+            }
+            
+            const tokenPerEth = await this.getDexAggregator().getTokenPerEth(token);
+            
+            if (tokenPerEth && !tokenPerEth.isZero()) {
+                profit = profit.add(delta.mul(ethers.constants.WeiPerEther).div(tokenPerEth));
+            } else if (delta.lt(0)) {
+                // A loss that can't be priced can't be bounded
+                throw new Error(`No ETH price for ${token}`);
+            }
+            // Gains that can't be priced are left out
+        }
+        
+        return profit;
+    }
+    
+    // Prices simulated balance changes in ETH
+    getDexAggregator() {
+        if (!this.dexAggregator) {
+            this.dexAggregator = new DEXAggregator(this.bot);
+        }
+        
+        return this.dexAggregator;
+    }
+    
+    resolveToken(token) {
+        // Strategy configs may refer to tokens by symbol
+        return this.bot.config.tokens[token] || token;
+    }
+    
+    async executeStandard(tx, wallet, opportunity, simulation) {
+        if (this.paperTrading) {
+            return this.recordPaperFill('standard', opportunity, wallet, simulation, tx);
+        }
+        
         try {
             this.stats.submitted++;
             
@@ -187,9 +383,12 @@ class Executor {
             logger.info('Transaction submitted', {
                 hash: txResponse.hash,
                 nonce: tx.nonce,
-                gasPrice: ethers.utils.formatUnits(tx.gasPrice, 'gwei')
+                type: tx.type,
+                maxGasPrice: ethers.utils.formatUnits(this.getFeeCap(tx), 'gwei')
             });
             
+            this.nonceManager.track(wallet.address, tx.nonce, tx, txResponse.hash);
+            
             // Add to pending
             this.pendingTxs.set(txResponse.hash, {
                 opportunity,
@@ -199,6 +398,8 @@ class Executor {
             // Wait for confirmation
             const receipt = await this.waitForConfirmation(txResponse, opportunity);
             
+            this.nonceManager.confirm(wallet.address, tx.nonce, receipt.transactionHash);
+            
             if (receipt.status === 1) {
                 this.stats.confirmed++;
                 
@@ -210,6 +411,7 @@ class Executor {
                     txHash: receipt.transactionHash,
                     blockNumber: receipt.blockNumber,
                     gasUsed: receipt.gasUsed.toString(),
+                    ...this.getReceiptGas(receipt, tx),
                     profit: profit,
                     receipt: receipt
                 };
@@ -221,6 +423,9 @@ class Executor {
                     success: false,
                     reason: 'Transaction reverted',
                     txHash: receipt.transactionHash,
+                    blockNumber: receipt.blockNumber,
+                    gasUsed: receipt.gasUsed.toString(),
+                    ...this.getReceiptGas(receipt, tx),
                     receipt: receipt
                 };
             }
@@ -236,16 +441,21 @@ class Executor {
         }
     }
     
-    async executeBundle(opportunity, wallet, simulation) {
+    async executeBundle(opportunity, wallet, simulation, tx) {
+        if (this.paperTrading) {
+            return this.recordPaperFill('bundle', opportunity, wallet, simulation);
+        }
+        
         try {
-            // Build bundle transactions
-            const bundle = await this.buildBundle(opportunity, wallet);
+            // Build bundle transactions on the nonces reserved in buildTransaction
+            const bundle = await this.buildBundle(opportunity, wallet, tx);
             
             // Submit to Flashbots
             const result = await this.flashbotsProvider.sendBundle(bundle, wallet);
             
             if (result.success) {
                 this.stats.confirmed++;
+                await this.nonceManager.sync(wallet.address, 'bundle-included');
                 
                 return {
                     success: true,
@@ -255,6 +465,8 @@ class Executor {
                     txHashes: result.txHashes
                 };
             } else {
+                this.nonceManager.release(wallet.address, tx.nonce, opportunity.transactions.length);
+                
                 return {
                     success: false,
                     reason: 'Bundle not included',
@@ -268,19 +480,78 @@ class Executor {
         }
     }
     
-    async executeSandwich(opportunity, wallet, simulation) {
+    async executeBackrun(opportunity, wallet, simulation, tx) {
+        if (this.paperTrading) {
+            return this.recordPaperFill('backrun', opportunity, wallet, simulation);
+        }
+        
+        const targetTx = getRawTransaction(opportunity.targetTx);
+        
+        if (!targetTx) {
+            this.nonceManager.release(wallet.address, tx.nonce, opportunity.transactions.length);
+            
+            return {
+                success: false,
+                reason: 'Target transaction not available'
+            };
+        }
+        
+        try {
+            // Target first and ours directly behind it. Nothing is ever placed
+            // ahead of the target, and if it fails the whole bundle fails.
+            const bundle = [targetTx, ...await this.buildBundle(opportunity, wallet, tx)];
+            
+            const targetBlock = await this.bot.getBlockNumber() + 1;
+            
+            const result = await this.flashbotsProvider.sendBundle(bundle, targetBlock);
+            
+            if (result.success) {
+                this.stats.confirmed++;
+                await this.nonceManager.sync(wallet.address, 'bundle-included');
+                
+                return {
+                    success: true,
+                    type: 'backrun',
+                    bundleHash: result.bundleHash,
+                    blockNumber: result.blockNumber,
+                    profit: result.profit,
+                    targetTx: result.txHashes[0],
+                    txHashes: result.txHashes.slice(1)
+                };
+            } else {
+                this.nonceManager.release(wallet.address, tx.nonce, opportunity.transactions.length);
+                
+                return {
+                    success: false,
+                    reason: 'Backrun bundle not included',
+                    bundleHash: result.bundleHash,
+                    error: result.error
+                };
+            }
+            
+        } catch (error) {
+            logger.error('Backrun execution error', error);
+            throw error;
+        }
+    }
+    
+    async executeSandwich(opportunity, wallet, simulation, tx) {
+        if (this.paperTrading) {
+            return this.recordPaperFill('sandwich', opportunity, wallet, simulation);
+        }
+        
         const { victimTx, frontrunTx, backrunTx } = opportunity;
         
         try {
             // Build sandwich bundle
             const bundle = [
-                await this.buildAndSignTx(frontrunTx, wallet),
+                await this.buildAndSignTx({ ...frontrunTx, nonce: tx.frontrun.nonce }, wallet),
                 victimTx.rawTransaction, // Include victim tx
-                await this.buildAndSignTx(backrunTx, wallet)
+                await this.buildAndSignTx({ ...backrunTx, nonce: tx.backrun.nonce }, wallet)
             ];
             
             // Submit to Flashbots
-            const targetBlock = await this.bot.getProvider().getBlockNumber() + 1;
+            const targetBlock = await this.bot.getBlockNumber() + 1;
             
             const result = await this.flashbotsProvider.sendBundle(
                 bundle,
@@ -292,6 +563,8 @@ class Executor {
             );
             
             if (result.success) {
+                await this.nonceManager.sync(wallet.address, 'bundle-included');
+                
                 return {
                     success: true,
                     type: 'sandwich',
@@ -301,6 +574,8 @@ class Executor {
                     backrunTx: result.txHashes[2]
                 };
             } else {
+                this.nonceManager.release(wallet.address, tx.frontrun.nonce, 2);
+                
                 return {
                     success: false,
                     reason: 'Sandwich bundle failed',
@@ -314,7 +589,11 @@ class Executor {
         }
     }
     
-    async executeFlashLoan(opportunity, wallet, simulation) {
+    async executeFlashLoan(opportunity, wallet, simulation, tx) {
+        if (this.paperTrading) {
+            return this.recordPaperFill('flashloan', opportunity, wallet, simulation);
+        }
+        
         // Flash loan execution requires calling the smart contract
         const flashLoanContract = new ethers.Contract(
             this.bot.config.contracts.flashLoanExecutor,
@@ -323,17 +602,22 @@ class Executor {
         );
         
         try {
-            const tx = await flashLoanContract.executeFlashLoan(
+            const txResponse = await flashLoanContract.executeFlashLoan(
                 opportunity.asset,
                 opportunity.amount,
                 opportunity.params,
                 {
-                    gasPrice: await this.bot.getGasPrice(),
+                    nonce: tx.nonce,
+                    ...this.getFeeFields(tx),
                     gasLimit: opportunity.gasLimit || 2000000
                 }
             );
             
-            const receipt = await tx.wait();
+            this.nonceManager.track(wallet.address, tx.nonce, txResponse, txResponse.hash);
+            
+            const receipt = await this.waitForConfirmation(txResponse, opportunity);
+            
+            this.nonceManager.confirm(wallet.address, tx.nonce, receipt.transactionHash);
             
             if (receipt.status === 1) {
                 const profit = await this.calculateFlashLoanProfit(receipt, opportunity);
@@ -342,14 +626,19 @@ class Executor {
                     success: true,
                     type: 'flashloan',
                     txHash: receipt.transactionHash,
+                    blockNumber: receipt.blockNumber,
                     profit: profit,
-                    gasUsed: receipt.gasUsed.toString()
+                    gasUsed: receipt.gasUsed.toString(),
+                    ...this.getReceiptGas(receipt, tx)
                 };
             } else {
                 return {
                     success: false,
                     reason: 'Flash loan reverted',
-                    txHash: receipt.transactionHash
+                    txHash: receipt.transactionHash,
+                    blockNumber: receipt.blockNumber,
+                    gasUsed: receipt.gasUsed.toString(),
+                    ...this.getReceiptGas(receipt, tx)
                 };
             }
             
@@ -359,6 +648,163 @@ class Executor {
         }
     }
     
+    /**
+     * Send every leg of an inventory-mode cross-chain trade at once, each
+     * from the main wallet on its own chain. A leg that fails leaves the
+     * inventory uneven until the rebalancer catches up.
+     */
+    async executeLegs(opportunity) {
+        const wallet = this.bot.getWallet('main');
+        const gasLimit = opportunity.legs.reduce(
+            (sum, leg) => sum.add(leg.tx.gasLimit || 0),
+            ethers.BigNumber.from(0)
+        );
+        
+        if (this.paperTrading) {
+            return this.recordPaperFill('cross-chain', opportunity, wallet, {
+                profit: opportunity.expectedProfit,
+                gasUsed: gasLimit
+            });
+        }
+        
+        this.stats.submitted += opportunity.legs.length;
+        
+        const settled = await Promise.allSettled(opportunity.legs.map(leg => this.sendLeg(leg, wallet)));
+        const legs = settled.map((result, i) => (result.status === 'fulfilled' ? result.value : {
+            chain: opportunity.legs[i].chain,
+            side: opportunity.legs[i].side,
+            success: false,
+            error: result.reason.message
+        }));
+        const filled = legs.filter(leg => leg.success);
+        
+        this.stats.confirmed += filled.length;
+        this.stats.failed += legs.length - filled.length;
+        
+        if (filled.length < legs.length) {
+            logger.warn('Cross-chain leg failed', { token: opportunity.token, legs });
+            
+            return {
+                success: false,
+                reason: filled.length > 0 ? 'Cross-chain leg failed' : 'Cross-chain legs failed',
+                legs
+            };
+        }
+        
+        return {
+            success: true,
+            txHash: legs[0].txHash,
+            txHashes: legs.map(leg => leg.txHash),
+            legs,
+            gasUsed: legs.reduce((sum, leg) => sum.add(leg.gasUsed), ethers.BigNumber.from(0)).toString(),
+            profit: opportunity.expectedProfit
+        };
+    }
+    
+    async sendLeg(leg, wallet) {
+        // Same key on every chain, the chain's provider fills in fees
+        const chain = this.bot.getChain(leg.chain);
+        const signer = wallet.connect(chain.providerManager.getProvider());
+        
+        // Home-chain nonces come from the NonceManager, so a leg never takes one held for a bundle
+        const { chainId } = await this.bot.getProvider().getNetwork();
+        const home = chain.chainId === chainId;
+        
+        // The router pulls the input token from the wallet
+        await this.approveLeg(leg, chain, signer, home);
+        
+        const { response, nonce } = await this.sendLegTransaction(signer, leg.tx, home);
+        
+        logger.info('Cross-chain leg submitted', {
+            chain: leg.chain,
+            side: leg.side,
+            hash: response.hash
+        });
+        
+        const receipt = await response.wait(1);
+        
+        if (home) {
+            this.nonceManager.confirm(signer.address, nonce, receipt.transactionHash);
+        }
+        
+        return {
+            chain: leg.chain,
+            side: leg.side,
+            success: receipt.status === 1,
+            txHash: receipt.transactionHash,
+            gasUsed: receipt.gasUsed
+        };
+    }
+    
+    async approveLeg(leg, chain, signer, home) {
+        const address = chain.tokens[leg.tokenIn];
+        
+        if (!address) {
+            throw new Error(`${leg.tokenIn} is not configured on ${leg.chain}`);
+        }
+        
+        const token = new ethers.Contract(address, ERC20_ABI, signer);
+        const allowance = await token.allowance(signer.address, leg.tx.to);
+        
+        if (allowance.gte(leg.amountIn)) {
+            return;
+        }
+        
+        const approval = await token.populateTransaction.approve(leg.tx.to, leg.amountIn);
+        const { response, nonce } = await this.sendLegTransaction(signer, approval, home);
+        const receipt = await response.wait(1);
+        
+        if (home) {
+            this.nonceManager.confirm(signer.address, nonce, receipt.transactionHash);
+        }
+    }
+    
+    async sendLegTransaction(signer, tx, home) {
+        if (!home) {
+            return { response: await signer.sendTransaction(tx), nonce: null };
+        }
+        
+        const nonce = await this.nonceManager.acquire(signer.address);
+        
+        try {
+            const response = await signer.sendTransaction({ ...tx, nonce });
+            this.nonceManager.track(signer.address, nonce, tx, response.hash);
+            
+            return { response, nonce };
+        } catch (error) {
+            await this.nonceManager.handleError(signer.address, nonce, error);
+            throw error;
+        }
+    }
+    
+    async recordPaperFill(executionPath, opportunity, wallet, simulation, tx = null) {
+        // Hypothetical fill at the simulated result - nothing is signed or sent
+        this.stats.paperFills++;
+        
+        const gasPrice = tx && !tx.frontrun ? this.getFeeCap(tx) : await this.bot.getGasPrice();
+        const blockNumber = await this.bot.getProvider().getBlockNumber();
+        
+        logger.info('Paper fill recorded', {
+            executionPath,
+            type: opportunity.type,
+            wallet: wallet.address,
+            blockNumber,
+            simulatedProfit: ethers.utils.formatEther(simulation.profit)
+        });
+        
+        return {
+            success: true,
+            paper: true,
+            type: opportunity.type,
+            executionPath,
+            wallet: wallet.address,
+            blockNumber,
+            gasUsed: simulation.gasUsed?.toString(),
+            gasPrice,
+            profit: simulation.profit
+        };
+    }
+    
     async waitForConfirmation(txResponse, opportunity, maxWaitTime = 30000) {
         const startTime = Date.now();
         
@@ -372,9 +818,14 @@ class Executor {
                     if (error.replacement) {
                         logger.info('Transaction replaced', {
                             oldHash: txResponse.hash,
-                            newHash: error.replacement.hash
+                            newHash: error.replacement.hash,
+                            cancelled: error.cancelled
                         });
-                        return error.replacement.wait(1);
+                        
+                        const receipt = await error.replacement.wait(1);
+                        
+                        // A cancel replacement succeeds on-chain but did none of our work
+                        return error.cancelled ? { ...receipt, status: 0 } : receipt;
                     }
                 }
                 
@@ -426,19 +877,21 @@ class Executor {
         return opportunity.expectedProfit.sub(gasCost);
     }
     
-    buildSandwichTxs(opportunity, wallet, gasPrice, nonce) {
+    buildSandwichTxs(opportunity, wallet, baseTx, nonce) {
         // Build frontrun and backrun transactions
         return {
             frontrun: {
                 ...opportunity.frontrun,
+                chainId: baseTx.chainId,
                 nonce: nonce,
-                gasPrice: gasPrice.mul(105).div(100), // 5% higher
+                ...this.scaleFees(baseTx, 105), // 5% higher
                 from: wallet.address
             },
             backrun: {
                 ...opportunity.backrun,
+                chainId: baseTx.chainId,
                 nonce: nonce + 1,
-                gasPrice: gasPrice.mul(95).div(100), // 5% lower
+                ...this.scaleFees(baseTx, 95), // 5% lower
                 from: wallet.address
             }
         };
@@ -449,16 +902,16 @@ class Executor {
         return signedTx;
     }
     
-    async buildBundle(opportunity, wallet) {
+    async buildBundle(opportunity, wallet, baseTx) {
         const bundle = [];
-        const nonce = await this.getNonce(wallet.address);
         
         for (let i = 0; i < opportunity.transactions.length; i++) {
             const tx = {
                 ...opportunity.transactions[i],
-                nonce: nonce + i,
+                chainId: baseTx.chainId,
+                nonce: baseTx.nonce + i,
                 from: wallet.address,
-                gasPrice: await this.bot.getGasPrice()
+                ...this.getFeeFields(baseTx)
             };
             
             const signedTx = await wallet.signTransaction(tx);
@@ -469,6 +922,19 @@ class Executor {
     }
     
     encodeLiquidation(opportunity) {
+        // Protocol-native liquidation calls, sent to opportunity.lendingProtocol
+        if (opportunity.protocol === 'aave') {
+            return AaveLiquidator.encodeLiquidation(opportunity);
+        }
+        
+        if (opportunity.protocol === 'compound-v3') {
+            return CometAdapter.encodeLiquidation(opportunity);
+        }
+        
+        if (opportunity.protocol === 'moonwell') {
+            return CompoundV2Adapter.encodeLiquidation(opportunity);
+        }
+        
         const iface = new ethers.utils.Interface([
             'function liquidatePosition(address user, address asset, uint256 amount)'
         ]);
@@ -480,17 +946,84 @@ class Executor {
         ]);
     }
     
-    async getNonce(address) {
-        // Track nonces locally for speed
-        const currentNonce = this.nonces.get(address) || 
-            await this.bot.getProvider().getTransactionCount(address, 'pending');
+    encodeFlashLoan(opportunity) {
+        const iface = new ethers.utils.Interface([
+            'function executeFlashLoan(address asset, uint256 amount, bytes calldata params)'
+        ]);
         
-        this.nonces.set(address, currentNonce + 1);
-        return currentNonce;
+        return iface.encodeFunctionData('executeFlashLoan', [
+            opportunity.asset,
+            opportunity.amount,
+            opportunity.params
+        ]);
+    }
+    
+    getGasTier(opportunity) {
+        // Strategies flag contested opportunities as high priority
+        if (opportunity.gasTier) {
+            return opportunity.gasTier;
+        }
+        
+        return opportunity.priority === 'high' ? 'fast' : 'standard';
+    }
+    
+    getFeeFields(tx) {
+        if (tx.type === 2) {
+            return {
+                type: 2,
+                maxFeePerGas: tx.maxFeePerGas,
+                maxPriorityFeePerGas: tx.maxPriorityFeePerGas
+            };
+        }
+        
+        return { type: 0, gasPrice: tx.gasPrice };
+    }
+    
+    getFeeCap(tx) {
+        return tx.type === 2 ? tx.maxFeePerGas : tx.gasPrice;
+    }
+    
+    scaleFees(tx, percent) {
+        const fees = this.getFeeFields(tx);
+        
+        for (const field of ['gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas']) {
+            if (fees[field]) {
+                fees[field] = fees[field].mul(percent).div(100);
+            }
+        }
+        
+        return fees;
+    }
+    
+    getReceiptGas(receipt, tx) {
+        // What we actually paid per gas, plus the caps we offered
+        return {
+            gasPrice: receipt.effectiveGasPrice,
+            txType: tx.type,
+            maxFeePerGas: tx.maxFeePerGas?.toString(),
+            maxPriorityFeePerGas: tx.maxPriorityFeePerGas?.toString()
+        };
+    }
+    
+    getNonceCount(opportunity) {
+        // Sandwiches and bundles sign several transactions back to back
+        if (opportunity.type === 'sandwich') {
+            return 2;
+        }
+        
+        if (opportunity.requiresBundle && opportunity.transactions) {
+            return opportunity.transactions.length;
+        }
+        
+        return 1;
+    }
+    
+    async getNonce(address, count = 1) {
+        return this.nonceManager.acquire(address, count);
     }
     
-    resetNonce(address) {
-        this.nonces.delete(address);
+    async resetNonce(address) {
+        return this.nonceManager.sync(address, 'reset');
     }
 }
 
@@ -2,6 +2,7 @@ const EventEmitter = require('events');
 const { ethers } = require('ethers');
 const { logger } = require('../utils/logger');
 const { MempoolMonitor } = require('../infrastructure/MempoolMonitor');
+const { SwapDecoder } = require('../dex/SwapDecoder');
 
 class Monitor extends EventEmitter {
     constructor(bot) {
@@ -9,6 +10,7 @@ class Monitor extends EventEmitter {
         this.bot = bot;
         this.provider = bot.getProvider();
         this.mempoolMonitor = new MempoolMonitor(bot);
+        this.swapDecoder = new SwapDecoder(bot);
         
         // Monitoring state
         this.isMonitoring = false;
@@ -24,12 +26,12 @@ class Monitor extends EventEmitter {
             avgBlockTime: 0
         };
         
-        // Target contracts to monitor
+        // Target contracts to monitor, including every router the swap decoder knows
         this.targetContracts = new Set([
             ...Object.values(bot.config.contracts.dexRouters || {}),
             ...Object.values(bot.config.contracts.lendingProtocols || {}),
             ...Object.values(bot.config.contracts.flashLoanProviders || {})
-        ]);
+        ].map(address => address.toLowerCase()).concat(Array.from(this.swapDecoder.routers.keys())));
         
         // Transaction cache to avoid duplicates
         this.processedTxs = new Set();
@@ -325,19 +327,19 @@ class Monitor extends EventEmitter {
     
     async decodeTransaction(tx) {
         try {
-            // Try to decode based on known contract ABIs
-            for (const [name, address] of Object.entries(this.bot.config.contracts.dexRouters || {})) {
-                if (tx.to?.toLowerCase() === address.toLowerCase()) {
-                    return this.decodeDEXTransaction(tx, name);
-                }
-            }
-            
             for (const [name, address] of Object.entries(this.bot.config.contracts.lendingProtocols || {})) {
                 if (tx.to?.toLowerCase() === address.toLowerCase()) {
                     return this.decodeLendingTransaction(tx, name);
                 }
             }
             
+            // Swaps on routers, Curve pools and aggregators
+            const swap = await this.swapDecoder.decode(tx);
+            
+            if (swap) {
+                return swap;
+            }
+            
             // Generic decoding attempt
             return this.genericDecode(tx);
             
@@ -350,22 +352,6 @@ class Monitor extends EventEmitter {
         }
     }
     
-    decodeDEXTransaction(tx, dexName) {
-        // Decode based on DEX type
-        const decoders = {
-            uniswapV3: require('../dex/UniswapV3').decodeTransaction,
-            sushiswap: require('../dex/SushiSwap').decodeTransaction,
-            curve: require('../dex/Curve').decodeTransaction
-        };
-        
-        const decoder = decoders[dexName.toLowerCase()];
-        if (decoder) {
-            return decoder(tx);
-        }
-        
-        return null;
-    }
-    
     decodeLendingTransaction(tx, protocolName) {
         // Decode lending protocol transactions
         const commonLendingABI = [
@@ -379,6 +365,8 @@ class Monitor extends EventEmitter {
             const decoded = iface.parseTransaction({ data: tx.data });
             
             return {
+                // Picked up by emitSpecificEvents
+                type: decoded.name === 'liquidationCall' ? 'liquidation' : decoded.name,
                 protocol: protocolName,
                 method: decoded.name,
                 args: decoded.args
@@ -392,10 +380,8 @@ class Monitor extends EventEmitter {
         // Try to identify transaction type by method signature
         const methodId = tx.data.slice(0, 10);
         
+        // Swaps are left to the swap decoder, which gives their tokens and amounts
         const knownMethods = {
-            '0x7ff36ab5': { name: 'swapExactETHForTokens', type: 'swap' },
-            '0x38ed1739': { name: 'swapExactTokensForTokens', type: 'swap' },
-            '0x8803dbee': { name: 'swapTokensForExactTokens', type: 'swap' },
             '0xa9059cbb': { name: 'transfer', type: 'transfer' },
             '0x23b872dd': { name: 'transferFrom', type: 'transfer' },
             '0x095ea7b3': { name: 'approve', type: 'approval' }
@@ -0,0 +1,113 @@
+const { ethers } = require('ethers');
+const { BridgeAdapter } = require('./BridgeAdapter');
+
+const SPOKE_POOL_ABI = [
+    'function depositV3(address depositor, address recipient, address inputToken, address outputToken, uint256 inputAmount, uint256 outputAmount, uint256 destinationChainId, address exclusiveRelayer, uint32 quoteTimestamp, uint32 fillDeadline, uint32 exclusivityDeadline, bytes message) payable'
+];
+
+/**
+ * Across Protocol through its API (app.across.to/api). The suggested
+ * fee is the relayer's total fee; the deposit goes straight to the
+ * origin chain's SpokePool with the quoted parameters.
+ */
+class AcrossAdapter extends BridgeAdapter {
+    constructor(bot, config = {}) {
+        super(bot, 'across', config);
+        
+        this.spokePool = new ethers.utils.Interface(SPOKE_POOL_ABI);
+    }
+    
+    async quote(token, fromChain, toChain, amount) {
+        if (!this.supports(token, fromChain, toChain)) {
+            return null;
+        }
+        
+        const inputToken = this.getToken(fromChain, token);
+        const outputToken = this.getToken(toChain, token);
+        
+        const data = await this.get('/suggested-fees', {
+            inputToken,
+            outputToken,
+            originChainId: this.getChainId(fromChain),
+            destinationChainId: this.getChainId(toChain),
+            amount: amount.toString()
+        });
+        
+        if (data.isAmountTooLow) {
+            return null;
+        }
+        
+        return {
+            bridge: this.name,
+            token,
+            fromChain,
+            toChain,
+            amountIn: amount,
+            amountOut: amount.sub(data.totalRelayFee.total),
+            nativeFee: ethers.BigNumber.from(0),
+            estimatedTime: data.estimatedFillTimeSec,
+            deposit: {
+                inputToken,
+                outputToken,
+                spokePool: data.spokePoolAddress,
+                exclusiveRelayer: data.exclusiveRelayer,
+                quoteTimestamp: Number(data.timestamp),
+                fillDeadline: Number(data.fillDeadline),
+                exclusivityDeadline: Number(data.exclusivityDeadline)
+            }
+        };
+    }
+    
+    async execute(quote, signer) {
+        const { deposit } = quote;
+        const depositor = await signer.getAddress();
+        
+        await this.approve(signer, deposit.inputToken, deposit.spokePool, quote.amountIn);
+        
+        const receipt = await this.send(signer, {
+            to: deposit.spokePool,
+            data: this.spokePool.encodeFunctionData('depositV3', [
+                depositor,
+                depositor,
+                deposit.inputToken,
+                deposit.outputToken,
+                quote.amountIn,
+                quote.amountOut,
+                this.getChainId(quote.toChain),
+                deposit.exclusiveRelayer,
+                deposit.quoteTimestamp,
+                deposit.fillDeadline,
+                deposit.exclusivityDeadline,
+                '0x'
+            ])
+        });
+        
+        return {
+            bridge: this.name,
+            txHash: receipt.transactionHash,
+            fromChain: quote.fromChain,
+            toChain: quote.toChain,
+            submittedAt: Date.now()
+        };
+    }
+    
+    async status(transfer) {
+        const data = await this.get('/deposit/status', {
+            originChainId: this.getChainId(transfer.fromChain),
+            depositTxHash: transfer.txHash
+        });
+        
+        const statuses = {
+            filled: 'completed',
+            expired: 'failed',
+            refunded: 'failed'
+        };
+        
+        return {
+            status: statuses[data.status] || 'pending',
+            destinationTxHash: data.fillTx || null
+        };
+    }
+}
+
+module.exports = { AcrossAdapter };
\ No newline at end of file
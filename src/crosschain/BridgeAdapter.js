@@ -0,0 +1,107 @@
+const axios = require('axios');
+const { ethers } = require('ethers');
+const { logger } = require('../utils/logger');
+
+const ERC20_ABI = [
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function approve(address spender, uint256 amount) returns (bool)'
+];
+
+/**
+ * Base for bridge integrations. Each adapter quotes a transfer from the
+ * bridge's HTTP API, sends it from a wallet on the source chain and
+ * tracks it until it is delivered.
+ *
+ * quote(token, fromChain, toChain, amount) resolves to
+ *   { bridge, token, fromChain, toChain, amountIn, amountOut, nativeFee,
+ *     estimatedTime } or null when the bridge can't take the transfer.
+ *   amountOut is in the destination token's units, nativeFee is the wei
+ *   sent along with the transaction and estimatedTime is in seconds.
+ * execute(quote, signer) resolves to { bridge, txHash, ... }
+ * status(transfer) resolves to { status: 'pending' | 'completed' | 'failed' }
+ */
+class BridgeAdapter {
+    constructor(bot, name, config = {}) {
+        this.bot = bot;
+        this.name = name;
+        this.config = config;
+        
+        this.tokens = config.tokens || [];
+        this.slippageBps = config.slippageBps || 50;
+        this.http = axios.create({
+            baseURL: config.apiUrl,
+            timeout: config.timeout || 10000
+        });
+    }
+    
+    supports(token, fromChain, toChain) {
+        return fromChain !== toChain &&
+            this.tokens.includes(token) &&
+            Boolean(this.getToken(fromChain, token)) &&
+            Boolean(this.getToken(toChain, token));
+    }
+    
+    getToken(chainName, symbol) {
+        const chain = this.bot.getChain(chainName);
+        return chain ? chain.tokens[symbol] : null;
+    }
+    
+    getChainId(chainName) {
+        const chain = this.bot.getChain(chainName);
+        return chain ? chain.chainId : null;
+    }
+    
+    async get(path, params) {
+        const { data } = await this.http.get(path, { params });
+        return data;
+    }
+    
+    async quote() {
+        throw new Error(`${this.name} adapter does not implement quote`);
+    }
+    
+    async execute() {
+        throw new Error(`${this.name} adapter does not implement execute`);
+    }
+    
+    async status() {
+        throw new Error(`${this.name} adapter does not implement status`);
+    }
+    
+    async approve(signer, token, spender, amount) {
+        const erc20 = new ethers.Contract(token, ERC20_ABI, signer);
+        const allowance = await erc20.allowance(await signer.getAddress(), spender);
+        
+        if (allowance.gte(amount)) {
+            return;
+        }
+        
+        const tx = await erc20.approve(spender, amount);
+        await tx.wait(1);
+    }
+    
+    async send(signer, tx) {
+        const response = await signer.sendTransaction({
+            to: tx.to,
+            data: tx.data,
+            value: ethers.BigNumber.from(tx.value || 0)
+        });
+        
+        logger.info(`${this.name} bridge transaction submitted`, { hash: response.hash });
+        
+        const receipt = await response.wait(1);
+        
+        if (receipt.status !== 1) {
+            throw new Error(`${this.name} bridge transaction reverted: ${receipt.transactionHash}`);
+        }
+        
+        return receipt;
+    }
+    
+    // Minimum the destination must deliver, from the quoted output
+    minOutput(amountOut) {
+        return amountOut.mul(10000 - this.slippageBps).div(10000);
+    }
+}
+
+module.exports = { BridgeAdapter };
\ No newline at end of file
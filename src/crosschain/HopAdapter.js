@@ -0,0 +1,78 @@
+const { ethers } = require('ethers');
+const { BridgeAdapter } = require('./BridgeAdapter');
+
+/**
+ * Hop Protocol through its REST API (api.hop.exchange). Bonders front
+ * the funds on the destination chain, so a transfer is complete once
+ * it is bonded.
+ */
+class HopAdapter extends BridgeAdapter {
+    constructor(bot, config = {}) {
+        super(bot, 'hop', config);
+        
+        // Hop doesn't quote a time, bonding usually takes a few minutes
+        this.estimatedTime = config.estimatedTime || 5 * 60;
+    }
+    
+    async quote(token, fromChain, toChain, amount) {
+        if (!this.supports(token, fromChain, toChain)) {
+            return null;
+        }
+        
+        const data = await this.get('/v1/quote', {
+            amount: amount.toString(),
+            token,
+            fromChain,
+            toChain,
+            slippage: this.slippageBps / 100
+        });
+        
+        return {
+            bridge: this.name,
+            token,
+            fromChain,
+            toChain,
+            amountIn: amount,
+            amountOut: ethers.BigNumber.from(data.estimatedRecieved),
+            nativeFee: ethers.BigNumber.from(0),
+            estimatedTime: data.estimatedTime || this.estimatedTime,
+            bonderFee: ethers.BigNumber.from(data.bonderFee)
+        };
+    }
+    
+    async execute(quote, signer) {
+        const tx = await this.get('/v1/build-tx', {
+            amount: quote.amountIn.toString(),
+            token: quote.token,
+            fromChain: quote.fromChain,
+            toChain: quote.toChain,
+            recipient: await signer.getAddress(),
+            slippage: this.slippageBps / 100
+        });
+        
+        await this.approve(signer, this.getToken(quote.fromChain, quote.token), tx.to, quote.amountIn);
+        const receipt = await this.send(signer, tx);
+        
+        return {
+            bridge: this.name,
+            txHash: receipt.transactionHash,
+            fromChain: quote.fromChain,
+            toChain: quote.toChain,
+            submittedAt: Date.now()
+        };
+    }
+    
+    async status(transfer) {
+        const data = await this.get('/v1/transfer-status', {
+            transactionHash: transfer.txHash
+        });
+        
+        return {
+            status: data.bonded ? 'completed' : 'pending',
+            transferId: data.transferId,
+            destinationTxHash: data.bondTransactionHash || null
+        };
+    }
+}
+
+module.exports = { HopAdapter };
\ No newline at end of file
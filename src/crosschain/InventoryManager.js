@@ -0,0 +1,149 @@
+const { ethers } = require('ethers');
+const { logger } = require('../utils/logger');
+
+const ERC20_ABI = ['function balanceOf(address account) view returns (uint256)'];
+
+/**
+ * Balances the main wallet holds on each chain for inventory-mode
+ * cross-chain arbitrage. Every token has a target share per chain (an
+ * equal split unless configured). Drift is how far a chain's balance is
+ * from its target, in basis points of the target.
+ */
+class InventoryManager {
+    constructor(strategy, config = {}) {
+        this.strategy = strategy;
+        this.bot = strategy.bot;
+        this.config = config;
+        
+        // symbol -> { chain: share }
+        this.targets = config.targets || {};
+        this.bandBps = config.bandBps || 2000;
+        
+        this.balances = new Map(); // `${chain}-${symbol}` -> { amount, decimals, units, updatedAt }
+        this.drift = new Map(); // symbol -> latest drift per chain
+    }
+    
+    async refresh(symbols) {
+        const owner = this.bot.getWallet('main').address;
+        const reads = [];
+        
+        for (const chain of this.strategy.chains.values()) {
+            for (const symbol of symbols) {
+                const address = chain.tokens[symbol];
+                
+                if (address) {
+                    reads.push(this.readBalance(chain, symbol, address, owner));
+                }
+            }
+        }
+        
+        await Promise.allSettled(reads);
+        
+        for (const symbol of symbols) {
+            this.trackDrift(symbol);
+        }
+    }
+    
+    async readBalance(chain, symbol, address, owner) {
+        try {
+            const token = new ethers.Contract(address, ERC20_ABI, chain.provider);
+            const [amount, decimals] = await Promise.all([
+                token.balanceOf(owner),
+                this.strategy.getDecimals(chain, address)
+            ]);
+            
+            this.balances.set(`${chain.name}-${symbol}`, {
+                amount,
+                decimals,
+                units: Number(ethers.utils.formatUnits(amount, decimals)),
+                updatedAt: Date.now()
+            });
+        } catch (error) {
+            logger.debug(`Failed to read ${symbol} inventory on ${chain.name}`, { error: error.message });
+        }
+    }
+    
+    getBalance(chainName, symbol) {
+        return this.balances.get(`${chainName}-${symbol}`) || null;
+    }
+    
+    // Whole-token balance, 0 when unknown
+    getUnits(chainName, symbol) {
+        const balance = this.getBalance(chainName, symbol);
+        return balance ? balance.units : 0;
+    }
+    
+    getTargetShare(symbol, chainName, chainNames) {
+        const targets = this.targets[symbol];
+        
+        if (targets && targets[chainName] !== undefined) {
+            return targets[chainName];
+        }
+        
+        return 1 / chainNames.length;
+    }
+    
+    /**
+     * Balance, target and drift of a token on every chain, or null until
+     * every chain has reported a balance
+     */
+    getDrift(symbol) {
+        const chainNames = Array.from(this.strategy.chains.keys());
+        const balances = chainNames.map(chainName => this.getBalance(chainName, symbol));
+        
+        if (chainNames.length < 2 || balances.some(balance => !balance)) {
+            return null;
+        }
+        
+        const total = balances.reduce((sum, balance) => sum + balance.units, 0);
+        
+        return chainNames.map((chain, i) => {
+            const target = total * this.getTargetShare(symbol, chain, chainNames);
+            
+            return {
+                chain,
+                balance: balances[i].units,
+                target,
+                driftBps: target > 0 ? Math.round((balances[i].units - target) / target * 10000) : 0
+            };
+        });
+    }
+    
+    isOutsideBand(entry) {
+        return Math.abs(entry.driftBps) > this.bandBps;
+    }
+    
+    trackDrift(symbol) {
+        const drift = this.getDrift(symbol);
+        
+        if (!drift) {
+            return;
+        }
+        
+        this.drift.set(symbol, { chains: drift, updatedAt: Date.now() });
+        
+        const outside = drift.filter(entry => this.isOutsideBand(entry));
+        if (outside.length > 0) {
+            logger.debug(`${symbol} inventory outside band`, {
+                bandBps: this.bandBps,
+                chains: outside.map(entry => `${entry.chain}: ${entry.driftBps}bps`)
+            });
+        }
+    }
+    
+    getStats() {
+        const balances = {};
+        
+        for (const [key, balance] of this.balances) {
+            balances[key] = balance.units;
+        }
+        
+        return {
+            bandBps: this.bandBps,
+            balances,
+            drift: Object.fromEntries(this.drift)
+        };
+    }
+}
+
+module.exports = { InventoryManager };
\ No newline at end of file
@@ -0,0 +1,186 @@
+const EventEmitter = require('events');
+const { ethers } = require('ethers');
+const { logger } = require('../utils/logger');
+
+/**
+ * Moves inventory back towards its targets once a token drifts outside
+ * the band on some chain. Each check pairs the chain with the largest
+ * surplus with the one with the largest deficit and bridges the smaller
+ * of the two gaps, using the bridge with the lowest fee plus time cost.
+ * A token waits for its transfer to be delivered before it is rebalanced
+ * again, since funds in transit show up as a deficit.
+ */
+class Rebalancer extends EventEmitter {
+    constructor(strategy, config = {}) {
+        super();
+        this.strategy = strategy;
+        this.inventory = strategy.inventory;
+        this.config = config;
+        
+        this.interval = config.interval || 300000;
+        this.minAmountUSD = config.minAmountUSD || 1000;
+        this.maxBridgeTime = config.maxBridgeTime || 3600;
+        // Cost of capital sitting in a bridge, per hour
+        this.timeCostBpsPerHour = config.timeCostBpsPerHour || 5;
+        
+        this.inFlight = new Map(); // symbol -> transfer
+        this.stats = {
+            checks: 0,
+            transfers: 0,
+            completed: 0,
+            failed: 0
+        };
+    }
+    
+    start() {
+        this.timer = setInterval(() => this.check(), this.interval);
+    }
+    
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+    
+    async check() {
+        this.stats.checks++;
+        
+        for (const symbol of this.strategy.getInventoryTokens()) {
+            if (this.inFlight.has(symbol) && await this.isInFlight(symbol)) {
+                continue;
+            }
+            
+            const plan = this.planTransfer(symbol);
+            
+            if (plan) {
+                await this.rebalance(plan);
+            }
+        }
+    }
+    
+    planTransfer(symbol) {
+        const drift = this.inventory.getDrift(symbol);
+        
+        if (!drift || !drift.some(entry => this.inventory.isOutsideBand(entry))) {
+            return null;
+        }
+        
+        const from = drift.reduce((max, entry) => (entry.driftBps > max.driftBps ? entry : max));
+        const to = drift.reduce((min, entry) => (entry.driftBps < min.driftBps ? entry : min));
+        const units = Math.min(from.balance - from.target, to.target - to.balance);
+        const price = this.strategy.getLatestPrice(from.chain, symbol);
+        
+        if (!(units > 0) || !price || units * price < this.minAmountUSD) {
+            return null;
+        }
+        
+        const { decimals } = this.inventory.getBalance(from.chain, symbol);
+        
+        return {
+            symbol,
+            fromChain: from.chain,
+            toChain: to.chain,
+            units,
+            amount: ethers.utils.parseUnits(units.toFixed(Math.min(6, decimals)), decimals),
+            amountUSD: units * price,
+            drift: { [from.chain]: from.driftBps, [to.chain]: to.driftBps }
+        };
+    }
+    
+    async rebalance(plan) {
+        try {
+            const quote = await this.strategy.selectBestBridge(plan.symbol, plan.fromChain, plan.toChain, plan.amount, {
+                deadline: this.maxBridgeTime,
+                timeCostBpsPerHour: this.timeCostBpsPerHour
+            });
+            
+            if (!quote) {
+                logger.warn(`No bridge to rebalance ${plan.symbol}`, plan);
+                return null;
+            }
+            
+            logger.info(`Rebalancing ${plan.symbol} inventory`, {
+                from: plan.fromChain,
+                to: plan.toChain,
+                amount: plan.units,
+                bridge: quote.bridge,
+                feeUSD: quote.feeUSD.toFixed(2),
+                netCostUSD: quote.netCostUSD.toFixed(2),
+                estimatedTime: quote.estimatedTime
+            });
+            
+            const transfer = await this.strategy.executeBridge(quote);
+            
+            if (!transfer) {
+                this.emit('rebalance', { ...plan, quote, status: 'skipped' });
+                return null;
+            }
+            
+            this.inFlight.set(plan.symbol, {
+                ...plan,
+                quote,
+                transfer,
+                // Stop waiting on a transfer whose status can't be read after twice the quoted time
+                expiresAt: Date.now() + quote.estimatedTime * 2000
+            });
+            this.stats.transfers++;
+            
+            this.emit('rebalance', { ...plan, quote, transfer, status: 'sent' });
+            return transfer;
+            
+        } catch (error) {
+            this.stats.failed++;
+            logger.error(`Failed to rebalance ${plan.symbol}`, error);
+            return null;
+        }
+    }
+    
+    async isInFlight(symbol) {
+        const pending = this.inFlight.get(symbol);
+        let status;
+        
+        try {
+            ({ status } = await this.strategy.getBridgeStatus(pending.transfer));
+        } catch (error) {
+            if (Date.now() < pending.expiresAt) {
+                return true;
+            }
+            
+            logger.warn(`Lost track of ${symbol} bridge transfer`, { txHash: pending.transfer.txHash, error: error.message });
+            status = 'unknown';
+        }
+        
+        if (status === 'pending') {
+            return true;
+        }
+        
+        this.inFlight.delete(symbol);
+        
+        if (status === 'completed') {
+            this.stats.completed++;
+        } else if (status === 'failed') {
+            this.stats.failed++;
+        }
+        
+        logger.info(`${symbol} rebalance transfer ${status}`, {
+            bridge: pending.quote.bridge,
+            from: pending.fromChain,
+            to: pending.toChain,
+            txHash: pending.transfer.txHash,
+            duration: Math.round((Date.now() - pending.transfer.submittedAt) / 1000)
+        });
+        
+        this.emit('rebalance', { ...pending, status });
+        return false;
+    }
+    
+    getStats() {
+        return {
+            ...this.stats,
+            inFlight: Array.from(this.inFlight.keys())
+        };
+    }
+}
+
+module.exports = { Rebalancer };
\ No newline at end of file
@@ -0,0 +1,107 @@
+const axios = require('axios');
+const { ethers } = require('ethers');
+const { BridgeAdapter } = require('./BridgeAdapter');
+
+/**
+ * Stargate through its quote API (stargate.finance/api/v1). Quotes come
+ * with the transactions to send (approval, then the bridge call, whose
+ * value is the LayerZero messaging fee). Delivery is tracked on
+ * LayerZero Scan.
+ */
+class StargateAdapter extends BridgeAdapter {
+    constructor(bot, config = {}) {
+        super(bot, 'stargate', config);
+        
+        this.scan = config.statusUrl
+            ? axios.create({ baseURL: config.statusUrl, timeout: config.timeout || 10000 })
+            : null;
+    }
+    
+    async quote(token, fromChain, toChain, amount) {
+        if (!this.supports(token, fromChain, toChain)) {
+            return null;
+        }
+        
+        const { address } = this.bot.getWallet('main');
+        
+        const data = await this.get('/quotes', {
+            srcToken: this.getToken(fromChain, token),
+            dstToken: this.getToken(toChain, token),
+            srcAddress: address,
+            dstAddress: address,
+            srcChainKey: fromChain,
+            dstChainKey: toChain,
+            srcAmount: amount.toString(),
+            dstAmountMin: this.minOutput(amount).toString()
+        });
+        
+        // Several routes (taxi, bus) may come back, keep the one delivering most
+        const best = (data.quotes || [])
+            .filter(route => !route.error)
+            .reduce((max, route) => (
+                !max || ethers.BigNumber.from(route.dstAmount).gt(max.dstAmount) ? route : max
+            ), null);
+        
+        if (!best) {
+            return null;
+        }
+        
+        const bridgeStep = best.steps.find(step => step.type === 'bridge');
+        
+        return {
+            bridge: this.name,
+            token,
+            fromChain,
+            toChain,
+            amountIn: amount,
+            amountOut: ethers.BigNumber.from(best.dstAmount),
+            nativeFee: ethers.BigNumber.from(bridgeStep ? bridgeStep.transaction.value || 0 : 0),
+            estimatedTime: best.duration.estimated,
+            route: best.route,
+            steps: best.steps
+        };
+    }
+    
+    async execute(quote, signer) {
+        let receipt;
+        
+        // Approval first when needed, then the bridge call
+        for (const step of quote.steps) {
+            receipt = await this.send(signer, step.transaction);
+        }
+        
+        return {
+            bridge: this.name,
+            txHash: receipt.transactionHash,
+            fromChain: quote.fromChain,
+            toChain: quote.toChain,
+            submittedAt: Date.now()
+        };
+    }
+    
+    async status(transfer) {
+        if (!this.scan) {
+            return { status: 'pending' };
+        }
+        
+        const { data } = await this.scan.get(`/messages/tx/${transfer.txHash}`);
+        const message = data.data && data.data[0];
+        
+        if (!message) {
+            return { status: 'pending' };
+        }
+        
+        const statuses = {
+            DELIVERED: 'completed',
+            FAILED: 'failed',
+            BLOCKED: 'failed'
+        };
+        
+        return {
+            status: statuses[message.status.name] || 'pending',
+            destinationTxHash: message.destination?.tx?.txHash || null
+        };
+    }
+}
+
+module.exports = { StargateAdapter };
\ No newline at end of file
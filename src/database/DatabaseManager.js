@@ -66,6 +66,24 @@ class DatabaseManager {
                 executed_at TIMESTAMP
             )`,
             
+            // Paper trades (hypothetical fills recorded in paper-trading mode)
+            `CREATE TABLE IF NOT EXISTS paper_trades (
+                id SERIAL PRIMARY KEY,
+                opportunity_id INTEGER REFERENCES opportunities(id),
+                strategy VARCHAR(50) NOT NULL,
+                type VARCHAR(50) NOT NULL,
+                execution_path VARCHAR(20),
+                wallet VARCHAR(42),
+                block_number INTEGER,
+                gas_used NUMERIC(20, 0),
+                gas_price NUMERIC(20, 0),
+                simulated_profit NUMERIC(78, 0),
+                status VARCHAR(20),
+                error TEXT,
+                data JSONB,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )`,
+            
             // Performance snapshots
             `CREATE TABLE IF NOT EXISTS performance_snapshots (
                 id SERIAL PRIMARY KEY,
@@ -79,6 +97,28 @@ class DatabaseManager {
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
             )`,
             
+            // Lending positions found by the borrower indexers
+            `CREATE TABLE IF NOT EXISTS lending_positions (
+                id SERIAL PRIMARY KEY,
+                protocol VARCHAR(50) NOT NULL,
+                user_address VARCHAR(42) NOT NULL,
+                health_factor NUMERIC(40, 18),
+                total_collateral NUMERIC(78, 0),
+                total_debt NUMERIC(78, 0),
+                active BOOLEAN DEFAULT TRUE,
+                last_event_block INTEGER,
+                checked_at TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (protocol, user_address)
+            )`,
+            
+            // Last block processed by each event indexer
+            `CREATE TABLE IF NOT EXISTS indexer_state (
+                name VARCHAR(100) PRIMARY KEY,
+                last_block INTEGER NOT NULL,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )`,
+            
             // Risk events
             `CREATE TABLE IF NOT EXISTS risk_events (
                 id SERIAL PRIMARY KEY,
@@ -93,8 +133,11 @@ class DatabaseManager {
             `CREATE INDEX IF NOT EXISTS idx_trades_created_at ON trades(created_at DESC)`,
             `CREATE INDEX IF NOT EXISTS idx_trades_strategy ON trades(strategy)`,
             `CREATE INDEX IF NOT EXISTS idx_trades_status ON trades(status)`,
+            `CREATE INDEX IF NOT EXISTS idx_paper_trades_created_at ON paper_trades(created_at DESC)`,
+            `CREATE INDEX IF NOT EXISTS idx_paper_trades_strategy ON paper_trades(strategy)`,
             `CREATE INDEX IF NOT EXISTS idx_opportunities_created_at ON opportunities(created_at DESC)`,
-            `CREATE INDEX IF NOT EXISTS idx_opportunities_strategy ON opportunities(strategy)`
+            `CREATE INDEX IF NOT EXISTS idx_opportunities_strategy ON opportunities(strategy)`,
+            `CREATE INDEX IF NOT EXISTS idx_lending_positions_health ON lending_positions(protocol, active, health_factor)`
         ];
         
         for (const query of queries) {
@@ -151,16 +194,21 @@ class DatabaseManager {
     async recordFailedTrade(trade) {
         const query = `
             INSERT INTO trades (
-                opportunity_id, strategy, type, tx_hash, status, error, data
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+                opportunity_id, strategy, type, tx_hash, block_number,
+                gas_used, gas_price, status, error, data
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
             RETURNING id
         `;
         
+        // Reverted transactions still paid for gas
         const values = [
             trade.opportunityId || null,
             trade.strategy,
             trade.type,
             trade.txHash || null,
+            trade.blockNumber || null,
+            trade.gasUsed || null,
+            trade.gasPrice?.toString() || null,
             'failed',
             trade.error || trade.reason,
             JSON.stringify(trade)
@@ -170,6 +218,36 @@ class DatabaseManager {
         return result.rows[0].id;
     }
     
+    async recordPaperTrade(trade) {
+        const query = `
+            INSERT INTO paper_trades (
+                opportunity_id, strategy, type, execution_path, wallet, block_number,
+                gas_used, gas_price, simulated_profit, status, error, data
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+            RETURNING id
+        `;
+        
+        const gasPrice = trade.gasPrice?.maxFeePerGas || trade.gasPrice;
+        
+        const values = [
+            trade.opportunityId || null,
+            trade.strategy,
+            trade.type,
+            trade.executionPath || null,
+            trade.wallet || null,
+            trade.blockNumber || null,
+            trade.gasUsed || null,
+            gasPrice?.toString() || '0',
+            trade.success ? trade.profit?.toString() || '0' : '0',
+            trade.success ? 'filled' : 'failed',
+            trade.success ? null : trade.error || trade.reason,
+            JSON.stringify(trade)
+        ];
+        
+        const result = await this.pool.query(query, values);
+        return result.rows[0].id;
+    }
+    
     async recordRejectedOpportunity(opportunity, reason) {
         const query = `
             UPDATE opportunities 
@@ -227,6 +305,47 @@ class DatabaseManager {
         return result.rows[0];
     }
     
+    async getPaperTradingStats(hours = 24) {
+        const query = `
+            SELECT 
+                COUNT(*) as total_trades,
+                COUNT(*) FILTER (WHERE status = 'filled') as successful_trades,
+                COUNT(*) FILTER (WHERE status = 'failed') as failed_trades,
+                SUM(simulated_profit) FILTER (WHERE status = 'filled') as total_profit,
+                AVG(gas_used) as avg_gas_used,
+                AVG(simulated_profit) FILTER (WHERE status = 'filled' AND simulated_profit > 0) as avg_profit
+            FROM paper_trades
+            WHERE created_at > NOW() - INTERVAL '${hours} hours'
+        `;
+        
+        const result = await this.pool.query(query);
+        return result.rows[0];
+    }
+    
+    async getProfitHistory(days = 30) {
+        // Daily live and paper PnL side by side
+        const query = `
+            SELECT 
+                day::date as date,
+                COALESCE(SUM(profit) FILTER (WHERE source = 'live'), 0) as live_profit,
+                COALESCE(SUM(profit) FILTER (WHERE source = 'paper'), 0) as paper_profit
+            FROM (
+                SELECT date_trunc('day', created_at) as day, profit, 'live' as source
+                FROM trades
+                WHERE status = 'success' AND created_at > NOW() - INTERVAL '1 day' * $1
+                UNION ALL
+                SELECT date_trunc('day', created_at) as day, simulated_profit, 'paper' as source
+                FROM paper_trades
+                WHERE status = 'filled' AND created_at > NOW() - INTERVAL '1 day' * $1
+            ) pnl
+            GROUP BY day
+            ORDER BY day
+        `;
+        
+        const result = await this.pool.query(query, [days]);
+        return result.rows;
+    }
+    
     async getTopStrategies(limit = 5) {
         const query = `
             SELECT 
@@ -246,6 +365,69 @@ class DatabaseManager {
         return result.rows;
     }
     
+    async upsertLendingPosition(position) {
+        const query = `
+            INSERT INTO lending_positions (
+                protocol, user_address, health_factor, total_collateral,
+                total_debt, active, last_event_block, checked_at, updated_at
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP)
+            ON CONFLICT (protocol, user_address) DO UPDATE SET
+                health_factor = EXCLUDED.health_factor,
+                total_collateral = EXCLUDED.total_collateral,
+                total_debt = EXCLUDED.total_debt,
+                active = EXCLUDED.active,
+                last_event_block = COALESCE(EXCLUDED.last_event_block, lending_positions.last_event_block),
+                checked_at = EXCLUDED.checked_at,
+                updated_at = CURRENT_TIMESTAMP
+        `;
+        
+        const values = [
+            position.protocol,
+            position.user.toLowerCase(),
+            position.healthFactor ?? null,
+            position.totalCollateral?.toString() || '0',
+            position.totalDebt?.toString() || '0',
+            position.active,
+            position.lastEventBlock || null,
+            position.checkedAt ? new Date(position.checkedAt) : null
+        ];
+        
+        await this.pool.query(query, values);
+    }
+    
+    async getActiveLendingPositions(protocol) {
+        // Riskiest first
+        const query = `
+            SELECT * FROM lending_positions
+            WHERE protocol = $1 AND active = TRUE
+            ORDER BY health_factor ASC NULLS FIRST
+        `;
+        
+        const result = await this.pool.query(query, [protocol]);
+        return result.rows;
+    }
+    
+    async getIndexerState(name) {
+        const result = await this.pool.query(
+            'SELECT last_block FROM indexer_state WHERE name = $1',
+            [name]
+        );
+        
+        return result.rows[0] ? result.rows[0].last_block : null;
+    }
+    
+    async saveIndexerState(name, lastBlock) {
+        const query = `
+            INSERT INTO indexer_state (name, last_block, updated_at)
+            VALUES ($1, $2, CURRENT_TIMESTAMP)
+            ON CONFLICT (name) DO UPDATE SET
+                last_block = EXCLUDED.last_block,
+                updated_at = CURRENT_TIMESTAMP
+        `;
+        
+        await this.pool.query(query, [name, lastBlock]);
+    }
+    
     async getRecentTrades(limit = 100) {
         const query = `
             SELECT * FROM trades
@@ -0,0 +1,392 @@
+const { ethers } = require('ethers');
+const { logger } = require('../utils/logger');
+
+const ONE = ethers.constants.WeiPerEther;
+
+const ROUTER_ABI = [
+    'function getAmountsOut(uint256 amountIn, tuple(address from, address to, bool stable, address factory)[] routes) view returns (uint256[] amounts)',
+    'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, tuple(address from, address to, bool stable, address factory)[] routes, address to, uint256 deadline) returns (uint256[] amounts)',
+    'function swapExactETHForTokens(uint256 amountOutMin, tuple(address from, address to, bool stable, address factory)[] routes, address to, uint256 deadline) payable returns (uint256[] amounts)',
+    'function swapExactTokensForETH(uint256 amountIn, uint256 amountOutMin, tuple(address from, address to, bool stable, address factory)[] routes, address to, uint256 deadline) returns (uint256[] amounts)'
+];
+
+const FACTORY_ABI = [
+    'function getPool(address tokenA, address tokenB, bool stable) view returns (address pool)',
+    'function getFee(address pool, bool stable) view returns (uint256)'
+];
+
+const POOL_ABI = [
+    'function metadata() view returns (uint256 dec0, uint256 dec1, uint256 r0, uint256 r1, bool st, address t0, address t1)'
+];
+
+const SYNC_TOPIC = ethers.utils.id('Sync(uint256,uint256)');
+
+/**
+ * Aerodrome (Base) and Velodrome V2 (Optimism), which share the same
+ * contracts. Every token pair can have a volatile pool (x*y = k) and a
+ * stable pool (x^3*y + y^3*x = k); swaps are routed through the router
+ * as a list of { from, to, stable, factory } hops.
+ */
+class Aerodrome {
+    constructor(provider, config, name = 'aerodrome') {
+        this.provider = provider;
+        this.config = config;
+        this.name = name;
+        
+        this.contracts = {
+            router: config.router,
+            factory: config.factory
+        };
+        
+        this.router = new ethers.Contract(this.contracts.router, ROUTER_ABI, provider);
+        this.factory = new ethers.Contract(this.contracts.factory, FACTORY_ABI, provider);
+        
+        // Cache for pools and their fees
+        this.poolCache = new Map();
+        this.feeCache = new Map();
+        
+        logger.info(`${name} adapter initialized`);
+    }
+    
+    async getQuote(tokenIn, tokenOut, amountIn) {
+        try {
+            // Direct through either pool type, or through WETH on volatile pools
+            const candidates = [
+                [this.route(tokenIn, tokenOut, false)],
+                [this.route(tokenIn, tokenOut, true)]
+            ];
+            
+            const weth = this.config.WETH || '0x4200000000000000000000000000000000000006';
+            
+            if (tokenIn.toLowerCase() !== weth.toLowerCase() && tokenOut.toLowerCase() !== weth.toLowerCase()) {
+                candidates.push([this.route(tokenIn, weth, false), this.route(weth, tokenOut, false)]);
+            }
+            
+            const results = await Promise.allSettled(
+                candidates.map(routes => this.getAmountsOut(amountIn, routes))
+            );
+            
+            let best = null;
+            
+            results.forEach((result, i) => {
+                // The router quotes 0 through a pool that doesn't exist
+                if (result.status !== 'fulfilled') {
+                    return;
+                }
+                
+                const outputAmount = result.value[result.value.length - 1];
+                
+                if (outputAmount.gt(0) && (!best || outputAmount.gt(best.outputAmount))) {
+                    best = { outputAmount, routes: candidates[i] };
+                }
+            });
+            
+            if (!best) {
+                return null;
+            }
+            
+            return {
+                outputAmount: best.outputAmount,
+                path: [tokenIn, ...best.routes.map(r => r.to)],
+                routes: best.routes,
+                stable: best.routes.length === 1 ? best.routes[0].stable : undefined,
+                gasEstimate: this.getGasEstimate(best.routes)
+            };
+            
+        } catch (error) {
+            logger.debug(`Failed to get ${this.name} quote`, {
+                error: error.message,
+                tokenIn,
+                tokenOut
+            });
+            return null;
+        }
+    }
+    
+    async getAmountsOut(amountIn, routes) {
+        const local = this.store ? await this.getAmountsOutFromStore(amountIn, routes) : null;
+        return local || this.router.getAmountsOut(amountIn, routes);
+    }
+    
+    // Router getAmountsOut from the state store, when it follows every pool on the route
+    async getAmountsOutFromStore(amountIn, routes) {
+        const amounts = [amountIn];
+        
+        for (const route of routes) {
+            const address = await this.getPool(route.from, route.to, route.stable);
+            const state = address !== ethers.constants.AddressZero && this.store.get(address);
+            
+            if (!state) {
+                return null;
+            }
+            
+            // The fee comes off the input, as in Pool.getAmountOut
+            const feeBps = await this.getFeeBps(address, route.stable);
+            const amount = amounts[amounts.length - 1];
+            const amountInAfterFee = amount.sub(amount.mul(feeBps).div(10000));
+            const zeroForOne = route.from.toLowerCase() < route.to.toLowerCase();
+            
+            if (route.stable) {
+                amounts.push(getStableAmountOut(state, zeroForOne, amountInAfterFee));
+            } else {
+                const reserveIn = zeroForOne ? state.reserve0 : state.reserve1;
+                const reserveOut = zeroForOne ? state.reserve1 : state.reserve0;
+                
+                amounts.push(amountInAfterFee.mul(reserveOut).div(reserveIn.add(amountInAfterFee)));
+            }
+        }
+        
+        return amounts;
+    }
+    
+    route(from, to, stable) {
+        return { from, to, stable, factory: this.contracts.factory };
+    }
+    
+    async getPool(tokenA, tokenB, stable) {
+        const [a, b] = tokenA.toLowerCase() < tokenB.toLowerCase() ? [tokenA, tokenB] : [tokenB, tokenA];
+        const cacheKey = `${a}-${b}-${stable}`.toLowerCase();
+        
+        if (this.poolCache.has(cacheKey)) {
+            return this.poolCache.get(cacheKey);
+        }
+        
+        try {
+            const pool = await this.factory.getPool(a, b, stable);
+            this.poolCache.set(cacheKey, pool);
+            
+            return pool;
+        } catch (error) {
+            return ethers.constants.AddressZero;
+        }
+    }
+    
+    async getFeeBps(address, stable) {
+        if (!this.feeCache.has(address)) {
+            this.feeCache.set(address, (await this.factory.getFee(address, stable)).toNumber());
+        }
+        
+        return this.feeCache.get(address);
+    }
+    
+    async getPools(tokens) {
+        const pools = [];
+        
+        for (let i = 0; i < tokens.length; i++) {
+            for (let j = i + 1; j < tokens.length; j++) {
+                for (const stable of [false, true]) {
+                    const address = await this.getPool(tokens[i], tokens[j], stable);
+                    
+                    if (address === ethers.constants.AddressZero) {
+                        continue;
+                    }
+                    
+                    // Pools order their tokens by address
+                    const tokenPair = tokens[i].toLowerCase() < tokens[j].toLowerCase()
+                        ? [tokens[i], tokens[j]]
+                        : [tokens[j], tokens[i]];
+                    
+                    pools.push({
+                        dex: this.name,
+                        address,
+                        tokens: tokenPair,
+                        stable,
+                        feeBps: await this.getFeeBps(address, stable)
+                    });
+                }
+            }
+        }
+        
+        return pools;
+    }
+    
+    async getMetadata(pool) {
+        const contract = new ethers.Contract(pool.address, POOL_ABI, this.provider);
+        const { dec0, dec1, r0, r1 } = await contract.metadata();
+        
+        return { reserve0: r0, reserve1: r1, decimals0: dec0, decimals1: dec1 };
+    }
+    
+    async getReserves(pool) {
+        // Constant-product reserves; stable pools follow a different curve
+        if (pool.stable) {
+            return null;
+        }
+        
+        const { reserve0, reserve1 } = await this.getMetadata(pool);
+        
+        return { reserve0, reserve1 };
+    }
+    
+    async getPoolState(pool) {
+        const metadata = await this.getMetadata(pool);
+        
+        if (pool.stable) {
+            return { model: 'stable', ...metadata };
+        }
+        
+        return { model: 'constant-product', reserve0: metadata.reserve0, reserve1: metadata.reserve1 };
+    }
+    
+    applyLog(pool, state, log) {
+        // Both pool types log their reserves after every change
+        if (log.topics[0] !== SYNC_TOPIC) {
+            return null;
+        }
+        
+        const [reserve0, reserve1] = ethers.utils.defaultAbiCoder.decode(['uint256', 'uint256'], log.data);
+        
+        return { ...state, reserve0, reserve1 };
+    }
+    
+    async getPoolRates(pool, state) {
+        const { reserve0, reserve1, decimals0, decimals1 } = state || await this.getMetadata(pool);
+        
+        if (reserve0.isZero() || reserve1.isZero()) {
+            return null;
+        }
+        
+        const feeFactor = 1 - pool.feeBps / 10000;
+        let ratio;
+        
+        if (pool.stable) {
+            // dy/dx on x^3*y + y^3*x at 18-decimal reserves, back to raw units
+            const x = Number(ethers.utils.formatUnits(reserve0.mul(ONE).div(decimals0)));
+            const y = Number(ethers.utils.formatUnits(reserve1.mul(ONE).div(decimals1)));
+            const marginal = (3 * x * x * y + y * y * y) / (x * x * x + 3 * x * y * y);
+            
+            ratio = marginal * Number(decimals1.toString()) / Number(decimals0.toString());
+        } else {
+            ratio = Number(reserve1.toString()) / Number(reserve0.toString());
+        }
+        
+        return [
+            { from: pool.tokens[0], to: pool.tokens[1], rate: ratio * feeFactor },
+            { from: pool.tokens[1], to: pool.tokens[0], rate: feeFactor / ratio }
+        ];
+    }
+    
+    async buildSwapTx(quote) {
+        const { amountIn, minOutput, recipient, deadline } = quote;
+        
+        // Quotes built outside getQuote (e.g. from mirrored pools) carry only the path
+        const routes = quote.routes || quote.path.slice(1).map((to, i) => this.route(quote.path[i], to, Boolean(quote.stable)));
+        
+        const data = this.router.interface.encodeFunctionData('swapExactTokensForTokens', [
+            amountIn,
+            minOutput,
+            routes,
+            recipient,
+            deadline
+        ]);
+        
+        return {
+            to: this.contracts.router,
+            data,
+            value: ethers.BigNumber.from(0),
+            gasLimit: this.getGasEstimate(routes)
+        };
+    }
+    
+    async estimateGas(tokenIn, tokenOut, amountIn) {
+        const quote = await this.getQuote(tokenIn, tokenOut, amountIn);
+        return quote ? quote.gasEstimate : ethers.BigNumber.from(250000);
+    }
+    
+    getGasEstimate(routes) {
+        // Stable pools iterate for y, so cost more than volatile ones
+        return routes.reduce(
+            (gas, route) => gas.add(route.stable ? 130000 : 100000),
+            ethers.BigNumber.from(50000)
+        );
+    }
+    
+    getStats() {
+        return {
+            available: true,
+            poolsCached: this.poolCache.size
+        };
+    }
+}
+
+/**
+ * Pool._getAmountOut for stable pools: amountIn after the fee, reserves
+ * and decimals (10^decimals) as BigNumbers, ported from the Solidity
+ * so results match the pool to the wei.
+ */
+function getStableAmountOut({ reserve0, reserve1, decimals0, decimals1 }, zeroForOne, amountIn) {
+    const xy = stableK(reserve0, reserve1, decimals0, decimals1);
+    const r0 = reserve0.mul(ONE).div(decimals0);
+    const r1 = reserve1.mul(ONE).div(decimals1);
+    
+    const [reserveA, reserveB] = zeroForOne ? [r0, r1] : [r1, r0];
+    const scaledIn = amountIn.mul(ONE).div(zeroForOne ? decimals0 : decimals1);
+    const y = getY(scaledIn.add(reserveA), xy, reserveB);
+    
+    if (!y) {
+        return ethers.BigNumber.from(0);
+    }
+    
+    return reserveB.sub(y).mul(zeroForOne ? decimals1 : decimals0).div(ONE);
+}
+
+function stableK(x, y, decimals0, decimals1) {
+    const x18 = x.mul(ONE).div(decimals0);
+    const y18 = y.mul(ONE).div(decimals1);
+    const a = x18.mul(y18).div(ONE);
+    const b = x18.mul(x18).div(ONE).add(y18.mul(y18).div(ONE));
+    
+    return a.mul(b).div(ONE);
+}
+
+function f(x0, y) {
+    const a = x0.mul(y).div(ONE);
+    const b = x0.mul(x0).div(ONE).add(y.mul(y).div(ONE));
+    
+    return a.mul(b).div(ONE);
+}
+
+function d(x0, y) {
+    return x0.mul(3).mul(y.mul(y).div(ONE)).div(ONE)
+        .add(x0.mul(x0).div(ONE).mul(x0).div(ONE));
+}
+
+// Newton's method for y given x0 and k, as in Pool._get_y
+function getY(x0, xy, yStart) {
+    let y = yStart;
+    
+    for (let i = 0; i < 255; i++) {
+        const k = f(x0, y);
+        
+        if (k.lt(xy)) {
+            let dy = xy.sub(k).mul(ONE).div(d(x0, y));
+            
+            if (dy.isZero()) {
+                if (k.eq(xy)) {
+                    return y;
+                }
+                if (f(x0, y.add(1)).gt(xy)) {
+                    return y.add(1);
+                }
+                dy = ethers.BigNumber.from(1);
+            }
+            
+            y = y.add(dy);
+        } else {
+            let dy = k.sub(xy).mul(ONE).div(d(x0, y));
+            
+            if (dy.isZero()) {
+                if (k.eq(xy) || f(x0, y.sub(1)).lt(xy)) {
+                    return y;
+                }
+                dy = ethers.BigNumber.from(1);
+            }
+            
+            y = y.sub(dy);
+        }
+    }
+    
+    return null;
+}
+
+module.exports = { Aerodrome, getStableAmountOut };
\ No newline at end of file
@@ -0,0 +1,276 @@
+const { ethers } = require('ethers');
+const { logger } = require('../utils/logger');
+
+const INV_PHI = ethers.BigNumber.from(618034); // 1/phi, 1e6 scale
+const SCALE = ethers.BigNumber.from(1000000);
+const NO_PROFIT = ethers.constants.MinInt256;
+
+/**
+ * Chain of constant-product swaps as one x -> A*x / (B + C*x) map.
+ * hops: [{ reserveIn, reserveOut, feeBps }] as numbers.
+ */
+function composeV2Hops(hops) {
+    let A = 1;
+    let B = 1;
+    let C = 0;
+    
+    for (const { reserveIn, reserveOut, feeBps } of hops) {
+        const gamma = 1 - feeBps / 10000;
+        
+        // Single hop: gamma*Ro*x / (Ri + gamma*x)
+        const a = gamma * reserveOut;
+        const b = reserveIn;
+        const c = gamma;
+        
+        C = b * C + c * A;
+        A *= a;
+        B *= b;
+    }
+    
+    return { A, B, C };
+}
+
+/**
+ * Input that maximises A*x/(B + C*x) - x, zero when the cycle loses money
+ */
+function optimalV2CycleInput(hops) {
+    const { A, B, C } = composeV2Hops(hops);
+    
+    if (A <= B) {
+        return 0;
+    }
+    
+    return (Math.sqrt(A * B) - B) / C;
+}
+
+function v2CycleProfit(hops, amountIn) {
+    const { A, B, C } = composeV2Hops(hops);
+    return (A * amountIn) / (B + C * amountIn) - amountIn;
+}
+
+/**
+ * Golden-section search for the maximum of an async profit function on
+ * [low, high]. Profit may be null where the route can't be quoted. Every
+ * evaluated point is returned as the profit curve.
+ */
+async function goldenSectionSearch(profitOf, low, high, iterations = 12) {
+    const curve = [];
+    
+    const evaluate = async (amountIn) => {
+        const profit = await profitOf(amountIn);
+        curve.push({ amountIn, profit });
+        return profit || NO_PROFIT;
+    };
+    
+    const step = (a, b) => b.sub(a).mul(INV_PHI).div(SCALE);
+    
+    let a = low;
+    let b = high;
+    let c = b.sub(step(a, b));
+    let d = a.add(step(a, b));
+    let fc = await evaluate(c);
+    let fd = await evaluate(d);
+    
+    for (let i = 0; i < iterations && d.gt(c); i++) {
+        if (fc.gt(fd)) {
+            b = d;
+            d = c;
+            fd = fc;
+            c = b.sub(step(a, b));
+            fc = await evaluate(c);
+        } else {
+            a = c;
+            c = d;
+            fc = fd;
+            d = a.add(step(a, b));
+            fd = await evaluate(d);
+        }
+    }
+    
+    const best = curve
+        .filter(point => point.profit)
+        .reduce((max, point) => (!max || point.profit.gt(max.profit) ? point : max), null);
+    
+    return { best, curve };
+}
+
+/**
+ * Picks the input amount for an arbitrage cycle. All-V2 cycles use the
+ * closed form, anything else a golden-section search over real quotes.
+ * The amount is capped by the risk manager's position limit and by the
+ * liquidity we can actually use: the MEVBot contract's balance of the
+ * start token, which cycles are executed from.
+ */
+class ArbitrageSizer {
+    constructor(bot, dexAggregator, config = {}) {
+        this.bot = bot;
+        this.dexAggregator = dexAggregator;
+        this.config = config;
+        
+        this.iterations = config.iterations || 12;
+        
+        this.erc20 = new ethers.utils.Interface([
+            'function balanceOf(address account) view returns (uint256)'
+        ]);
+    }
+    
+    /**
+     * cycle:      graph cycle, starting and ending in cycle.tokens[0]
+     * pools:      pool descriptors for cycle.hops
+     * profitOf:   async amountIn -> profit in the start token, or null
+     * reserves:   per-hop constant-product reserves to use instead of the
+     *             on-chain ones (e.g. after a pending swap), null for none
+     */
+    async sizeCycle(cycle, pools, profitOf, reserves) {
+        const token = cycle.tokens[0];
+        const { amount: maxAmount, limitedBy } = await this.getMaxAmount(token);
+        
+        if (maxAmount.isZero()) {
+            logger.debug('No liquidity to size cycle', { cycle: cycle.key, limitedBy });
+            return null;
+        }
+        
+        const hopReserves = reserves !== undefined ? reserves : await this.getV2Reserves(cycle, pools);
+        let sizing;
+        
+        if (hopReserves) {
+            sizing = this.sizeV2Cycle(hopReserves, maxAmount);
+        } else {
+            const { best, curve } = await goldenSectionSearch(
+                profitOf,
+                ethers.BigNumber.from(0),
+                maxAmount,
+                this.iterations
+            );
+            
+            sizing = {
+                method: 'golden-section',
+                amountIn: best ? best.amountIn : null,
+                profit: best ? best.profit : null,
+                curve: curve.sort((x, y) => (x.amountIn.gt(y.amountIn) ? 1 : -1))
+            };
+        }
+        
+        if (!sizing.amountIn || sizing.amountIn.isZero() || !sizing.profit || sizing.profit.lte(0)) {
+            return null;
+        }
+        
+        return {
+            ...sizing,
+            maxAmount,
+            limitedBy,
+            // Strings so the curve survives JSON logging and storage
+            curve: sizing.curve.map(point => ({
+                amountIn: point.amountIn.toString(),
+                profit: point.profit ? point.profit.toString() : null
+            }))
+        };
+    }
+    
+    sizeV2Cycle(reserves, maxAmount) {
+        const optimal = optimalV2CycleInput(reserves);
+        const cap = Number(maxAmount.toString());
+        const amount = Math.min(optimal, cap);
+        
+        // Analytic curve around the optimum for later analysis
+        const curve = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 2]
+            .map(f => Math.min(optimal * f, cap))
+            .filter((x, i, all) => x > 0 && all.indexOf(x) === i)
+            .map(x => ({ amountIn: toBigNumber(x), profit: toBigNumber(v2CycleProfit(reserves, x)) }));
+        
+        return {
+            method: 'closed-form',
+            amountIn: amount > 0 ? toBigNumber(amount) : null,
+            profit: amount > 0 ? toBigNumber(v2CycleProfit(reserves, amount)) : null,
+            curve
+        };
+    }
+    
+    async getV2Reserves(cycle, pools) {
+        // Only when every hop is a constant-product pool with known reserves
+        const reserves = [];
+        
+        for (let i = 0; i < cycle.hops.length; i++) {
+            const hop = cycle.hops[i];
+            const pool = pools[i];
+            const poolReserves = pool && await this.dexAggregator.getPoolReserves(pool);
+            
+            if (!poolReserves) {
+                return null;
+            }
+            
+            reserves.push(toHopReserves(hop, pool, poolReserves));
+        }
+        
+        return reserves;
+    }
+    
+    async getMaxAmount(token) {
+        const limits = [{ limitedBy: 'position', amount: await this.getPositionLimit(token) }];
+        
+        const executor = this.bot.config.contracts.mevBot;
+        
+        if (executor) {
+            limits.push({ limitedBy: 'contract', amount: await this.getBalance(token, executor) });
+        }
+        
+        const available = limits.filter(limit => limit.amount);
+        
+        if (available.length === 0) {
+            return { limitedBy: 'unknown', amount: ethers.BigNumber.from(0) };
+        }
+        
+        return available.reduce((min, limit) => (limit.amount.lt(min.amount) ? limit : min));
+    }
+    
+    async getPositionLimit(token) {
+        // Risk limits are in ETH, convert into the start token
+        const maxPosition = this.bot.riskManager.maxPositionSize;
+        const weth = this.bot.config.tokens.WETH;
+        
+        if (token.toLowerCase() === weth.toLowerCase()) {
+            return maxPosition;
+        }
+        
+        const quote = await this.dexAggregator.getBestQuote(weth, token, maxPosition);
+        return quote ? quote.outputAmount : null;
+    }
+    
+    async getBalance(token, account) {
+        try {
+            const data = await this.bot.getProvider().call({
+                to: token,
+                data: this.erc20.encodeFunctionData('balanceOf', [account])
+            });
+            
+            return this.erc20.decodeFunctionResult('balanceOf', data)[0];
+        } catch (error) {
+            logger.debug('Failed to read token balance', { token, account, error: error.message });
+            return null;
+        }
+    }
+}
+
+/**
+ * Pool reserves in the direction a hop trades them
+ */
+function toHopReserves(hop, pool, { reserve0, reserve1 }) {
+    const forward = pool.tokens[0].toLowerCase() === hop.from;
+    
+    return {
+        reserveIn: Number((forward ? reserve0 : reserve1).toString()),
+        reserveOut: Number((forward ? reserve1 : reserve0).toString()),
+        feeBps: pool.feeBps
+    };
+}
+
+function toBigNumber(value) {
+    return ethers.BigNumber.from(BigInt(Math.floor(value)).toString());
+}
+
+module.exports = {
+    ArbitrageSizer,
+    optimalV2CycleInput,
+    goldenSectionSearch,
+    toHopReserves
+};
\ No newline at end of file
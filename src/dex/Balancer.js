@@ -0,0 +1,557 @@
+const { ethers } = require('ethers');
+const { logger } = require('../utils/logger');
+
+const ONE = ethers.constants.WeiPerEther;
+const SWAP_KIND_GIVEN_IN = 0;
+
+const VAULT_ABI = [
+    'event TokensRegistered(bytes32 indexed poolId, address[] tokens, address[] assetManagers)',
+    'function getPoolTokens(bytes32 poolId) view returns (address[] tokens, uint256[] balances, uint256 lastChangeBlock)',
+    'function queryBatchSwap(uint8 kind, tuple(bytes32 poolId, uint256 assetInIndex, uint256 assetOutIndex, uint256 amount, bytes userData)[] swaps, address[] assets, tuple(address sender, bool fromInternalBalance, address recipient, bool toInternalBalance) funds) returns (int256[] assetDeltas)',
+    'function batchSwap(uint8 kind, tuple(bytes32 poolId, uint256 assetInIndex, uint256 assetOutIndex, uint256 amount, bytes userData)[] swaps, address[] assets, tuple(address sender, bool fromInternalBalance, address recipient, bool toInternalBalance) funds, int256[] limits, uint256 deadline) payable returns (int256[] assetDeltas)'
+];
+
+const POOL_ABI = [
+    'function getSwapFeePercentage() view returns (uint256)',
+    'function getNormalizedWeights() view returns (uint256[])',
+    'function getAmplificationParameter() view returns (uint256 value, bool isUpdating, uint256 precision)',
+    'function getScalingFactors() view returns (uint256[])'
+];
+
+/**
+ * Balancer V2. Every pool's tokens sit in the one Vault, which also
+ * quotes (queryBatchSwap) and executes (batchSwap) swaps by pool id.
+ * Pools are discovered from the Vault's TokensRegistered events in the
+ * background (start), then followed every refreshInterval; quotes only
+ * see the pools found so far. A pool id starts with the pool's address.
+ *
+ * Weighted and stable pools are also priced locally for the pool graph.
+ * Other pool types (linear, managed) are quoted through the Vault only.
+ */
+class Balancer {
+    constructor(provider, config) {
+        this.provider = provider;
+        this.config = config;
+        
+        this.vault = new ethers.Contract(config.vault, VAULT_ABI, provider);
+        
+        // Pool discovery
+        this.fromBlock = config.fromBlock || 0;
+        this.chunkSize = config.chunkSize || 10000;
+        this.minChunkSize = 500;
+        this.lastScannedBlock = this.fromBlock - 1;
+        this.refreshInterval = config.refreshInterval || 60000;
+        this.discovery = null;
+        this.timer = null;
+        
+        this.pools = new Map(); // pool address -> { id, address, tokens }
+        this.models = new Map(); // pool address -> 'weighted' | 'stable' | null
+        
+        for (const id of config.poolIds || []) {
+            this.pools.set(poolAddress(id), { id, address: poolAddress(id), tokens: null });
+        }
+        
+        logger.info('Balancer adapter initialized');
+    }
+    
+    start() {
+        if (this.timer) {
+            return;
+        }
+        
+        this.refresh();
+        this.timer = setInterval(() => this.refresh(), this.refreshInterval);
+        
+        // Adapters of short-lived aggregators shouldn't keep the process alive
+        this.timer.unref();
+    }
+    
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+    
+    // One discovery at a time, callers arriving meanwhile share it
+    refresh() {
+        if (!this.discovery) {
+            this.discovery = this.discoverPools()
+                .catch((error) => {
+                    logger.warn('Balancer pool discovery failed', { error: error.message });
+                })
+                .finally(() => {
+                    this.discovery = null;
+                });
+        }
+        
+        return this.discovery;
+    }
+    
+    async discoverPools() {
+        const toBlock = await this.provider.getBlockNumber();
+        const topic = this.vault.interface.getEventTopic('TokensRegistered');
+        let fromBlock = this.lastScannedBlock + 1;
+        
+        while (fromBlock <= toBlock) {
+            const endBlock = Math.min(fromBlock + this.chunkSize - 1, toBlock);
+            let logs;
+            
+            try {
+                logs = await this.provider.getLogs({
+                    address: this.vault.address,
+                    topics: [topic],
+                    fromBlock,
+                    toBlock: endBlock
+                });
+            } catch (error) {
+                // Providers cap getLogs by range or result count - retry smaller
+                if (this.chunkSize > this.minChunkSize) {
+                    this.chunkSize = Math.max(this.minChunkSize, Math.floor(this.chunkSize / 2));
+                    continue;
+                }
+                
+                throw error;
+            }
+            
+            for (const log of logs) {
+                const { poolId, tokens } = this.vault.interface.parseLog(log).args;
+                const address = poolAddress(poolId);
+                
+                // Composable pools register their own BPT as a token
+                this.pools.set(address, {
+                    id: poolId,
+                    address,
+                    tokens: tokens.filter(token => token.toLowerCase() !== address.toLowerCase())
+                });
+            }
+            
+            this.lastScannedBlock = endBlock;
+            fromBlock = endBlock + 1;
+        }
+        
+        // Pools listed in config have no event in range
+        for (const pool of this.pools.values()) {
+            if (!pool.tokens) {
+                const { tokens } = await this.vault.getPoolTokens(pool.id);
+                pool.tokens = tokens.filter(token => token.toLowerCase() !== pool.address.toLowerCase());
+            }
+        }
+    }
+    
+    findPools(tokenA, tokenB) {
+        const a = tokenA.toLowerCase();
+        const b = tokenB.toLowerCase();
+        
+        return Array.from(this.pools.values()).filter((pool) => {
+            const tokens = (pool.tokens || []).map(t => t.toLowerCase());
+            return tokens.includes(a) && tokens.includes(b);
+        });
+    }
+    
+    async getQuote(tokenIn, tokenOut, amountIn) {
+        try {
+            // Never waits on discovery; the first quotes may miss pools
+            this.start();
+            
+            // Every direct pool, and every pair of pools through WETH
+            const routes = this.findPools(tokenIn, tokenOut).map(pool => [{ pool, from: tokenIn, to: tokenOut }]);
+            
+            const weth = this.config.WETH || '0x4200000000000000000000000000000000000006';
+            
+            if (tokenIn.toLowerCase() !== weth.toLowerCase() && tokenOut.toLowerCase() !== weth.toLowerCase()) {
+                for (const first of this.findPools(tokenIn, weth)) {
+                    for (const second of this.findPools(weth, tokenOut)) {
+                        routes.push([{ pool: first, from: tokenIn, to: weth }, { pool: second, from: weth, to: tokenOut }]);
+                    }
+                }
+            }
+            
+            const results = await Promise.allSettled(routes.map(hops => this.queryRoute(hops, amountIn)));
+            let best = null;
+            
+            results.forEach((result, i) => {
+                if (result.status === 'fulfilled' && result.value.gt(0) &&
+                    (!best || result.value.gt(best.outputAmount))) {
+                    best = { outputAmount: result.value, hops: routes[i] };
+                }
+            });
+            
+            if (!best) {
+                return null;
+            }
+            
+            return {
+                outputAmount: best.outputAmount,
+                path: [tokenIn, ...best.hops.map(hop => hop.to)],
+                // Single-pool swaps name their pool, multi-hop ones carry the ids
+                pool: best.hops.length === 1 ? best.hops[0].pool.address : undefined,
+                poolIds: best.hops.map(hop => hop.pool.id),
+                gasEstimate: this.getGasEstimate(best.hops.length)
+            };
+            
+        } catch (error) {
+            logger.debug('Failed to get Balancer quote', {
+                error: error.message,
+                tokenIn,
+                tokenOut
+            });
+            return null;
+        }
+    }
+    
+    async queryRoute(hops, amountIn) {
+        const local = this.store ? this.queryRouteFromStore(hops, amountIn) : null;
+        
+        if (local) {
+            return local;
+        }
+        
+        const { swaps, assets } = encodeSwaps(hops, amountIn);
+        
+        const deltas = await this.vault.callStatic.queryBatchSwap(SWAP_KIND_GIVEN_IN, swaps, assets, {
+            sender: ethers.constants.AddressZero,
+            fromInternalBalance: false,
+            recipient: ethers.constants.AddressZero,
+            toInternalBalance: false
+        });
+        
+        // The Vault pays out negative deltas
+        return deltas[deltas.length - 1].mul(-1);
+    }
+    
+    // Route output from the state store's balances, when it follows every pool on the route
+    queryRouteFromStore(hops, amountIn) {
+        let amount = amountIn;
+        
+        for (const hop of hops) {
+            const state = this.store.get(hop.pool.address);
+            
+            if (!state) {
+                return null;
+            }
+            
+            const tokens = hop.pool.tokens.map(token => token.toLowerCase());
+            const indexIn = tokens.indexOf(hop.from.toLowerCase());
+            const indexOut = tokens.indexOf(hop.to.toLowerCase());
+            const amountAfterFee = amount.sub(amount.mul(state.swapFee).div(ONE));
+            
+            amount = state.model === 'weighted'
+                ? weightedOutGivenIn(state, indexIn, indexOut, amountAfterFee)
+                : stableOutGivenIn(state, indexIn, indexOut, amountAfterFee);
+        }
+        
+        return amount;
+    }
+    
+    async getPools(tokens) {
+        // The pool graph is built once at startup, so this one waits
+        this.start();
+        await this.refresh();
+        
+        const wanted = new Set(tokens.map(t => t.toLowerCase()));
+        const pools = [];
+        
+        for (const pool of this.pools.values()) {
+            const matches = (pool.tokens || []).filter(token => wanted.has(token.toLowerCase()));
+            
+            if (matches.length >= 2) {
+                pools.push({ dex: 'balancer', address: pool.address, id: pool.id, tokens: pool.tokens });
+            }
+        }
+        
+        return pools;
+    }
+    
+    async getModel(pool) {
+        if (this.models.has(pool.address)) {
+            return this.models.get(pool.address);
+        }
+        
+        const contract = new ethers.Contract(pool.address, POOL_ABI, this.provider);
+        let model = null;
+        
+        // Weighted pools expose weights, stable pools an amplification
+        try {
+            await contract.getNormalizedWeights();
+            model = 'weighted';
+        } catch (error) {
+            try {
+                await contract.getAmplificationParameter();
+                model = 'stable';
+            } catch (innerError) {
+                model = null;
+            }
+        }
+        
+        this.models.set(pool.address, model);
+        return model;
+    }
+    
+    async getPoolState(pool) {
+        const model = await this.getModel(pool);
+        
+        if (!model) {
+            return null;
+        }
+        
+        const contract = new ethers.Contract(pool.address, POOL_ABI, this.provider);
+        const [{ tokens, balances }, swapFee] = await Promise.all([
+            this.vault.getPoolTokens(pool.id),
+            contract.getSwapFeePercentage()
+        ]);
+        
+        // Drop the BPT from composable pools so indexes match pool.tokens
+        const keep = tokens.map(token => token.toLowerCase() !== pool.address.toLowerCase());
+        const state = {
+            model: model === 'weighted' ? 'weighted' : 'stableswap',
+            balances: balances.filter((_, i) => keep[i]),
+            swapFee
+        };
+        
+        if (model === 'weighted') {
+            state.weights = await contract.getNormalizedWeights();
+        } else {
+            const [{ value, precision }, scalingFactors] = await Promise.all([
+                contract.getAmplificationParameter(),
+                contract.getScalingFactors()
+            ]);
+            
+            state.amp = value;
+            state.ampPrecision = precision;
+            state.scalingFactors = scalingFactors.filter((_, i) => keep[i]);
+        }
+        
+        return state;
+    }
+    
+    async getPoolRates(pool, state) {
+        const current = state || await this.getPoolState(pool);
+        
+        if (!current || current.balances.some(balance => balance.isZero())) {
+            return null;
+        }
+        
+        const feeFactor = 1 - Number(ethers.utils.formatUnits(current.swapFee));
+        const rates = [];
+        
+        for (let i = 0; i < pool.tokens.length; i++) {
+            for (let j = 0; j < pool.tokens.length; j++) {
+                if (i === j) {
+                    continue;
+                }
+                
+                let rate;
+                
+                if (current.model === 'weighted') {
+                    // Spot price: (Bj / wj) / (Bi / wi)
+                    const bi = Number(current.balances[i].toString()) / Number(current.weights[i].toString());
+                    const bj = Number(current.balances[j].toString()) / Number(current.weights[j].toString());
+                    rate = bj / bi;
+                } else {
+                    // Marginal rate from a swap of a millionth of the input balance
+                    const amountIn = current.balances[i].div(1000000);
+                    const amountOut = stableOutGivenIn(current, i, j, amountIn);
+                    rate = amountIn.isZero() ? 0 : Number(amountOut.toString()) / Number(amountIn.toString());
+                }
+                
+                rates.push({ from: pool.tokens[i], to: pool.tokens[j], rate: rate * feeFactor });
+            }
+        }
+        
+        return rates;
+    }
+    
+    async buildSwapTx(quote) {
+        const { path, amountIn, minOutput, recipient, deadline } = quote;
+        
+        // Quotes from the graph name a pool address, quotes from getQuote the pool ids
+        const poolIds = quote.poolIds || [this.pools.get(quote.pool).id];
+        const hops = poolIds.map((id, i) => ({ pool: { id }, from: path[i], to: path[i + 1] }));
+        const { swaps, assets } = encodeSwaps(hops, amountIn);
+        
+        // Positive limits cap what we send, negative ones set what we must receive
+        const limits = assets.map(() => ethers.BigNumber.from(0));
+        limits[0] = amountIn;
+        limits[assets.length - 1] = minOutput.mul(-1);
+        
+        const data = this.vault.interface.encodeFunctionData('batchSwap', [
+            SWAP_KIND_GIVEN_IN,
+            swaps,
+            assets,
+            {
+                sender: recipient,
+                fromInternalBalance: false,
+                recipient,
+                toInternalBalance: false
+            },
+            limits,
+            deadline
+        ]);
+        
+        return {
+            to: this.vault.address,
+            data,
+            value: ethers.BigNumber.from(0),
+            gasLimit: this.getGasEstimate(hops.length)
+        };
+    }
+    
+    async estimateGas(tokenIn, tokenOut, amountIn) {
+        const quote = await this.getQuote(tokenIn, tokenOut, amountIn);
+        return quote ? quote.gasEstimate : this.getGasEstimate(2);
+    }
+    
+    getGasEstimate(hops) {
+        return ethers.BigNumber.from(100000 + hops * 80000);
+    }
+    
+    getStats() {
+        return {
+            available: true,
+            poolsDiscovered: this.pools.size,
+            lastScannedBlock: this.lastScannedBlock
+        };
+    }
+}
+
+function poolAddress(poolId) {
+    return ethers.utils.getAddress(ethers.utils.hexDataSlice(poolId, 0, 20));
+}
+
+/**
+ * batchSwap steps for a route; later hops swap the whole output of the
+ * hop before them (amount 0)
+ */
+function encodeSwaps(hops, amountIn) {
+    const assets = [hops[0].from, ...hops.map(hop => hop.to)];
+    
+    const swaps = hops.map((hop, i) => ({
+        poolId: hop.pool.id,
+        assetInIndex: i,
+        assetOutIndex: i + 1,
+        amount: i === 0 ? amountIn : 0,
+        userData: '0x'
+    }));
+    
+    return { swaps, assets };
+}
+
+/**
+ * WeightedMath out-given-in on raw balances, after the swap fee:
+ * Bo * (1 - (Bi / (Bi + Ai))^(wi / wo)). Equal weights are exact; other
+ * weights take the power in floating point, so are off by about 1e-15.
+ */
+function weightedOutGivenIn(state, indexIn, indexOut, amountIn) {
+    const balanceIn = state.balances[indexIn];
+    const balanceOut = state.balances[indexOut];
+    const weightIn = state.weights[indexIn];
+    const weightOut = state.weights[indexOut];
+    
+    if (weightIn.eq(weightOut)) {
+        return balanceOut.mul(amountIn).div(balanceIn.add(amountIn));
+    }
+    
+    const base = Number(balanceIn.toString()) / Number(balanceIn.add(amountIn).toString());
+    const power = base ** (Number(weightIn.toString()) / Number(weightOut.toString()));
+    const complement = ONE.sub(ethers.BigNumber.from(BigInt(Math.ceil(power * 1e18)).toString()));
+    
+    return complement.lte(0) ? ethers.BigNumber.from(0) : balanceOut.mul(complement).div(ONE);
+}
+
+/**
+ * StableMath out-given-in, ported from the Solidity. Balances and the
+ * amount are raw token units; scaling factors bring them to 18 decimals
+ * (including any rate provider). The swap fee is applied by the caller.
+ */
+function stableOutGivenIn(state, indexIn, indexOut, amountIn) {
+    const { amp, ampPrecision, scalingFactors } = state;
+    const balances = state.balances.map((balance, i) => balance.mul(scalingFactors[i]).div(ONE));
+    const scaledIn = amountIn.mul(scalingFactors[indexIn]).div(ONE);
+    
+    const invariant = calculateInvariant(amp, ampPrecision, balances);
+    
+    if (!invariant) {
+        return ethers.BigNumber.from(0);
+    }
+    
+    balances[indexIn] = balances[indexIn].add(scaledIn);
+    const finalBalanceOut = getTokenBalanceGivenInvariant(amp, ampPrecision, balances, invariant, indexOut);
+    
+    if (!finalBalanceOut) {
+        return ethers.BigNumber.from(0);
+    }
+    
+    const scaledOut = balances[indexOut].sub(finalBalanceOut).sub(1);
+    
+    return scaledOut.lte(0) ? ethers.BigNumber.from(0) : scaledOut.mul(ONE).div(scalingFactors[indexOut]);
+}
+
+function calculateInvariant(amp, ampPrecision, balances) {
+    const n = balances.length;
+    const sum = balances.reduce((total, balance) => total.add(balance), ethers.BigNumber.from(0));
+    
+    if (sum.isZero()) {
+        return null;
+    }
+    
+    const ampTimesTotal = amp.mul(n);
+    let invariant = sum;
+    
+    for (let i = 0; i < 255; i++) {
+        let dP = invariant;
+        
+        for (const balance of balances) {
+            dP = dP.mul(invariant).div(balance.mul(n));
+        }
+        
+        const previous = invariant;
+        
+        invariant = ampTimesTotal.mul(sum).div(ampPrecision).add(dP.mul(n)).mul(invariant)
+            .div(ampTimesTotal.sub(ampPrecision).mul(invariant).div(ampPrecision).add(dP.mul(n + 1)));
+        
+        if (invariant.sub(previous).abs().lte(1)) {
+            return invariant;
+        }
+    }
+    
+    return null;
+}
+
+function getTokenBalanceGivenInvariant(amp, ampPrecision, balances, invariant, tokenIndex) {
+    const n = balances.length;
+    const ampTimesTotal = amp.mul(n);
+    let sum = balances[0];
+    let pD = balances[0].mul(n);
+    
+    for (let j = 1; j < n; j++) {
+        pD = pD.mul(balances[j]).mul(n).div(invariant);
+        sum = sum.add(balances[j]);
+    }
+    
+    sum = sum.sub(balances[tokenIndex]);
+    
+    const inv2 = invariant.mul(invariant);
+    const c = divUp(inv2, ampTimesTotal.mul(pD)).mul(ampPrecision).mul(balances[tokenIndex]);
+    const b = sum.add(invariant.div(ampTimesTotal).mul(ampPrecision));
+    
+    let tokenBalance = divUp(inv2.add(c), invariant.add(b));
+    
+    for (let i = 0; i < 255; i++) {
+        const previous = tokenBalance;
+        
+        tokenBalance = divUp(tokenBalance.mul(tokenBalance).add(c), tokenBalance.mul(2).add(b).sub(invariant));
+        
+        if (tokenBalance.sub(previous).abs().lte(1)) {
+            return tokenBalance;
+        }
+    }
+    
+    return null;
+}
+
+function divUp(a, b) {
+    return a.isZero() ? a : a.sub(1).div(b).add(1);
+}
+
+module.exports = { Balancer, weightedOutGivenIn, stableOutGivenIn };
\ No newline at end of file
@@ -1,6 +1,50 @@
 const { ethers } = require('ethers');
 const { logger } = require('../utils/logger');
+const { getDy, stableExchange } = require('./CurveMath');
 
+const STABLE_POOL_ABI = [
+    'function coins(uint256) view returns (address)',
+    'function balances(uint256) view returns (uint256)',
+    'function get_dy(int128 i, int128 j, uint256 dx) view returns (uint256)',
+    'function fee() view returns (uint256)',
+    'function admin_fee() view returns (uint256)',
+    'function initial_A() view returns (uint256)',
+    'function future_A() view returns (uint256)',
+    'function initial_A_time() view returns (uint256)',
+    'function future_A_time() view returns (uint256)',
+    'function A_precise() view returns (uint256)',
+    'function base_pool() view returns (address)',
+    'function offpeg_fee_multiplier() view returns (uint256)'
+];
+
+const CRYPTO_POOL_ABI = [
+    'function coins(uint256) view returns (address)',
+    'function balances(uint256) view returns (uint256)',
+    'function get_dy(uint256 i, uint256 j, uint256 dx) view returns (uint256)',
+    'function gamma() view returns (uint256)',
+    'function D() view returns (uint256)',
+    'function price_scale() view returns (uint256)',
+    'function price_scale(uint256 k) view returns (uint256)',
+    'function mid_fee() view returns (uint256)',
+    'function out_fee() view returns (uint256)',
+    'function fee_gamma() view returns (uint256)',
+    'function initial_A_gamma() view returns (uint256)',
+    'function future_A_gamma() view returns (uint256)',
+    'function initial_A_gamma_time() view returns (uint256)',
+    'function future_A_gamma_time() view returns (uint256)',
+    'function MATH() view returns (address)'
+];
+
+const TOKEN_EXCHANGE_TOPIC = ethers.utils.id('TokenExchange(address,int128,uint256,int128,uint256)');
+
+// Curve's placeholder for native ETH in coins()
+const ETH_ADDRESS = '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee';
+
+/**
+ * Curve pools. Plain StableSwap pools and the original CryptoSwap pools
+ * are quoted from their state with CurveMath, which matches get_dy;
+ * metapools, lending pools and the newer (-ng) pools still call get_dy.
+ */
 class Curve {
     constructor(provider, config) {
         this.provider = provider;
@@ -12,8 +56,10 @@ class Curve {
             registry: config.registry
         };
         
-        // Pool cache
+        // Pool cache: pair -> pool, and pool address -> coins and kind
         this.poolCache = new Map();
+        this.poolInfo = new Map();
+        this.decimals = new Map();
         
         // Common pools
         this.commonPools = {
@@ -33,8 +79,11 @@ class Curve {
                 return null;
             }
             
-            // Get quote from pool
-            const quote = await this.getPoolQuote(pool, tokenIn, tokenOut, amountIn);
+            // Pools the state store follows are quoted locally, as of its latest block
+            const state = this.store && this.store.get(pool.address);
+            const quote = state
+                ? this.getStateQuote(pool, state, tokenIn, tokenOut, amountIn)
+                : await this.getPoolQuote(pool, tokenIn, tokenOut, amountIn);
             
             if (!quote || quote.outputAmount.eq(0)) {
                 return null;
@@ -103,33 +152,44 @@ class Curve {
     }
     
     async getPoolInfo(poolAddress) {
+        // Coins never change, so each pool is looked up once
+        const key = poolAddress.toLowerCase();
+        
+        if (!this.poolInfo.has(key)) {
+            this.poolInfo.set(key, this.loadPoolInfo(poolAddress));
+        }
+        
+        const info = await this.poolInfo.get(key);
+        
+        if (!info) {
+            this.poolInfo.delete(key);
+        }
+        
+        return info;
+    }
+    
+    async loadPoolInfo(poolAddress) {
         try {
-            const poolContract = new ethers.Contract(
-                poolAddress,
-                [
-                    'function coins(uint256) view returns (address)',
-                    'function balances(uint256) view returns (uint256)',
-                    'function get_dy(int128 i, int128 j, uint256 dx) view returns (uint256)'
-                ],
-                this.provider
-            );
+            // CryptoSwap pools have gamma and take uint256 coin indexes
+            const probe = new ethers.Contract(poolAddress, CRYPTO_POOL_ABI, this.provider);
+            const kind = await optional(probe.gamma()) ? 'crypto' : 'stable';
+            const poolContract = kind === 'crypto'
+                ? probe
+                : new ethers.Contract(poolAddress, STABLE_POOL_ABI, this.provider);
             
-            // Get pool coins
+            // Get pool coins, read together so they share a multicall
+            const results = await Promise.allSettled([0, 1, 2, 3].map(i => poolContract.coins(i)));
             const coins = [];
-            for (let i = 0; i < 4; i++) {
-                try {
-                    const coin = await poolContract.coins(i);
-                    if (coin === ethers.constants.AddressZero) break;
-                    coins.push(coin);
-                } catch {
-                    break;
-                }
+            for (const result of results) {
+                if (result.status === 'rejected' || result.value === ethers.constants.AddressZero) break;
+                coins.push(result.value);
             }
             
             return {
                 address: poolAddress,
                 coins,
                 type: coins.length === 2 ? 'plain' : 'meta',
+                kind,
                 contract: poolContract
             };
             
@@ -138,14 +198,270 @@ class Curve {
         }
     }
     
+    async getDecimals(tokens) {
+        return Promise.all(tokens.map(async (token) => {
+            const key = token.toLowerCase();
+            
+            if (key === ETH_ADDRESS) {
+                return 18;
+            }
+            
+            if (!this.decimals.has(key)) {
+                const erc20 = new ethers.Contract(token, ['function decimals() view returns (uint8)'], this.provider);
+                this.decimals.set(key, await erc20.decimals());
+            }
+            
+            return this.decimals.get(key);
+        }));
+    }
+    
+    /**
+     * Everything CurveMath needs to reproduce get_dy, or null for pools it
+     * doesn't cover
+     */
+    async getPoolState(pool) {
+        const info = await this.getPoolInfo(pool.address);
+        
+        if (!info || !info.coins.length) {
+            return null;
+        }
+        
+        const [balances, decimals, block] = await Promise.all([
+            Promise.all(info.coins.map((_, k) => info.contract.balances(k))),
+            this.getDecimals(info.coins),
+            this.provider.getBlock('latest')
+        ]);
+        
+        const state = info.kind === 'crypto'
+            ? await this.getCryptoState(info, balances, decimals)
+            : await this.getStableState(info, balances, decimals);
+        
+        // A ramps are priced at the time of the block the state was read at
+        return state && { ...state, timestamp: block.timestamp };
+    }
+    
+    async getStableState(info, balances, decimals) {
+        const { contract } = info;
+        const [fee, adminFee, initialA, futureA, initialATime, futureATime, aPrecise, basePool, offpegFeeMultiplier] = await Promise.all([
+            contract.fee(),
+            contract.admin_fee(),
+            contract.initial_A(),
+            contract.future_A(),
+            contract.initial_A_time(),
+            contract.future_A_time(),
+            optional(contract.A_precise()),
+            optional(contract.base_pool()),
+            optional(contract.offpeg_fee_multiplier())
+        ]);
+        
+        // Metapools and lending pools price coins through rates that change
+        if (basePool || offpegFeeMultiplier) {
+            return null;
+        }
+        
+        return {
+            model: 'curve-stable',
+            balances,
+            // Scale each coin to 18 decimals, times PRECISION
+            rates: decimals.map(d => ethers.BigNumber.from(10).pow(36 - d)),
+            fee,
+            adminFee,
+            initialA,
+            futureA,
+            initialATime: initialATime.toNumber(),
+            futureATime: futureATime.toNumber(),
+            // Pools with A_precise store A multiplied by A_PRECISION
+            aPrecision: ethers.BigNumber.from(aPrecise ? 100 : 1)
+        };
+    }
+    
+    async getCryptoState(info, balances, decimals) {
+        const { contract, coins } = info;
+        
+        // The -ng pools use a different solver
+        if (await optional(contract.MATH())) {
+            return null;
+        }
+        
+        const priceScale = coins.length === 2
+            ? [await contract['price_scale()']()]
+            : await Promise.all(coins.slice(1).map((_, k) => contract['price_scale(uint256)'](k)));
+        
+        const [D, midFee, outFee, feeGamma, initialAGamma, futureAGamma, initialAGammaTime, futureAGammaTime] = await Promise.all([
+            contract.D(),
+            contract.mid_fee(),
+            contract.out_fee(),
+            contract.fee_gamma(),
+            contract.initial_A_gamma(),
+            contract.future_A_gamma(),
+            contract.initial_A_gamma_time(),
+            contract.future_A_gamma_time()
+        ]);
+        
+        return {
+            model: 'curve-crypto',
+            balances,
+            precisions: decimals.map(d => ethers.BigNumber.from(10).pow(18 - d)),
+            priceScale,
+            D,
+            midFee,
+            outFee,
+            feeGamma,
+            initialAGamma,
+            futureAGamma,
+            initialAGammaTime: initialAGammaTime.toNumber(),
+            futureAGammaTime: futureAGammaTime.toNumber()
+        };
+    }
+    
+    applyLog(pool, state, log) {
+        // Replaying an exchange is exact for StableSwap; CryptoSwap re-pegs its prices after one
+        if (state.model !== 'curve-stable' || log.topics[0] !== TOKEN_EXCHANGE_TOPIC) {
+            return null;
+        }
+        
+        const [soldId, tokensSold, boughtId, tokensBought] = ethers.utils.defaultAbiCoder.decode(
+            ['int128', 'uint256', 'int128', 'uint256'],
+            log.data
+        );
+        
+        const { dy, balances } = stableExchange(state, soldId.toNumber(), boughtId.toNumber(), tokensSold);
+        
+        // Only trusted when the replay lands on the logged output
+        return dy.eq(tokensBought) ? { ...state, balances } : null;
+    }
+    
+    async getPools(tokens) {
+        // Common pools plus whatever the registry has for each pair
+        const addresses = new Set(Object.values(this.commonPools));
+        
+        if (this.contracts.registry) {
+            const registry = new ethers.Contract(
+                this.contracts.registry,
+                ['function find_pool_for_coins(address from, address to) view returns (address)'],
+                this.provider
+            );
+            
+            for (let i = 0; i < tokens.length; i++) {
+                for (let j = i + 1; j < tokens.length; j++) {
+                    try {
+                        const address = await registry.find_pool_for_coins(tokens[i], tokens[j]);
+                        if (address !== ethers.constants.AddressZero) {
+                            addresses.add(address);
+                        }
+                    } catch (error) {
+                        // Registry has no pool for this pair
+                    }
+                }
+            }
+        }
+        
+        const known = new Set(tokens.map(t => t.toLowerCase()));
+        const pools = [];
+        
+        for (const address of addresses) {
+            const info = await this.getPoolInfo(address);
+            
+            // Only pools that connect at least two of the tokens are useful
+            if (info && info.coins.filter(c => known.has(c.toLowerCase())).length >= 2) {
+                pools.push({ dex: 'curve', address, tokens: info.coins });
+            }
+        }
+        
+        return pools;
+    }
+    
+    async getPoolRates(pool, state) {
+        const current = state || await this.getPoolState(pool);
+        
+        if (current) {
+            return this.getStateRates(pool, current);
+        }
+        
+        const info = await this.getPoolInfo(pool.address);
+        if (!info) {
+            return null;
+        }
+        
+        const rates = [];
+        
+        for (let i = 0; i < info.coins.length; i++) {
+            // Probe with a small fraction of the pool's balance to stay near the marginal rate
+            const dx = (await info.contract.balances(i)).div(10000);
+            if (dx.isZero()) {
+                continue;
+            }
+            
+            for (let j = 0; j < info.coins.length; j++) {
+                if (i === j) {
+                    continue;
+                }
+                
+                try {
+                    const dy = await info.contract.get_dy(i, j, dx);
+                    rates.push({
+                        from: info.coins[i],
+                        to: info.coins[j],
+                        rate: Number(dy.toString()) / Number(dx.toString())
+                    });
+                } catch (error) {
+                    // Pool uses a different get_dy signature
+                }
+            }
+        }
+        
+        return rates.length > 0 ? rates : null;
+    }
+    
+    getStateRates(pool, state) {
+        const rates = [];
+        
+        for (let i = 0; i < pool.tokens.length; i++) {
+            // Probe with a small fraction of the pool's balance to stay near the marginal rate
+            const dx = state.balances[i].div(10000);
+            if (dx.isZero()) {
+                continue;
+            }
+            
+            for (let j = 0; j < pool.tokens.length; j++) {
+                if (i !== j) {
+                    const dy = getDy(state, i, j, dx);
+                    rates.push({
+                        from: pool.tokens[i],
+                        to: pool.tokens[j],
+                        rate: Number(dy.toString()) / Number(dx.toString())
+                    });
+                }
+            }
+        }
+        
+        return rates.length > 0 ? rates : null;
+    }
+    
     poolSupportsTokens(pool, tokenA, tokenB) {
-        return pool.coins.includes(tokenA) && pool.coins.includes(tokenB);
+        return coinIndex(pool, tokenA) !== -1 && coinIndex(pool, tokenB) !== -1;
+    }
+    
+    // Same answer as get_dy, from a pool state instead of a call
+    getStateQuote(pool, state, tokenIn, tokenOut, amountIn) {
+        const i = coinIndex(pool, tokenIn);
+        const j = coinIndex(pool, tokenOut);
+        
+        if (i === -1 || j === -1) {
+            return null;
+        }
+        
+        return {
+            outputAmount: getDy(state, i, j, amountIn),
+            i,
+            j
+        };
     }
     
     async getPoolQuote(pool, tokenIn, tokenOut, amountIn) {
         try {
-            const i = pool.coins.indexOf(tokenIn);
-            const j = pool.coins.indexOf(tokenOut);
+            const i = coinIndex(pool, tokenIn);
+            const j = coinIndex(pool, tokenOut);
             
             if (i === -1 || j === -1) {
                 return null;
@@ -166,15 +482,11 @@ class Curve {
     }
     
     async encodeSwapData(pool, tokenIn, tokenOut, amountIn) {
-        const i = pool.coins.indexOf(tokenIn);
-        const j = pool.coins.indexOf(tokenOut);
+        const i = coinIndex(pool, tokenIn);
+        const j = coinIndex(pool, tokenOut);
         
         // Encode exchange function call
-        const iface = new ethers.utils.Interface([
-            'function exchange(int128 i, int128 j, uint256 dx, uint256 min_dy)'
-        ]);
-        
-        return iface.encodeFunctionData('exchange', [
+        return getExchangeInterface(pool).encodeFunctionData('exchange', [
             i,
             j,
             amountIn,
@@ -186,16 +498,12 @@ class Curve {
         const { pool, tokenIn, tokenOut, amountIn, minOutput } = quote;
         
         const poolInfo = await this.getPoolInfo(pool);
-        const i = poolInfo.coins.indexOf(tokenIn);
-        const j = poolInfo.coins.indexOf(tokenOut);
-        
-        const iface = new ethers.utils.Interface([
-            'function exchange(int128 i, int128 j, uint256 dx, uint256 min_dy)'
-        ]);
+        const i = coinIndex(poolInfo, tokenIn);
+        const j = coinIndex(poolInfo, tokenOut);
         
         return {
             to: pool,
-            data: iface.encodeFunctionData('exchange', [i, j, amountIn, minOutput]),
+            data: getExchangeInterface(poolInfo).encodeFunctionData('exchange', [i, j, amountIn, minOutput]),
             value: 0,
             gasLimit: ethers.BigNumber.from(300000)
         };
@@ -214,4 +522,26 @@ class Curve {
     }
 }
 
+function coinIndex(pool, token) {
+    return pool.coins.findIndex(coin => coin.toLowerCase() === token.toLowerCase());
+}
+
+function getExchangeInterface(pool) {
+    // CryptoSwap pools index coins with uint256, StableSwap pools with int128
+    const index = pool.kind === 'crypto' ? 'uint256' : 'int128';
+    
+    return new ethers.utils.Interface([
+        `function exchange(${index} i, ${index} j, uint256 dx, uint256 min_dy)`
+    ]);
+}
+
+// Value of a view the pool may not have, or null
+async function optional(call) {
+    try {
+        return await call;
+    } catch (error) {
+        return null;
+    }
+}
+
 module.exports = { Curve };
\ No newline at end of file
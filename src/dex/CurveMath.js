@@ -0,0 +1,399 @@
+const { ethers } = require('ethers');
+
+/**
+ * Curve StableSwap and CryptoSwap (tricrypto) math ported from the Vyper
+ * on BigNumbers, so get_dy can be answered from a pool state without a
+ * call. Timestamps are in seconds and drive the A (and gamma) ramps; they
+ * default to the block timestamp the state was read at.
+ */
+
+const BN = ethers.BigNumber.from;
+
+const PRECISION = ethers.constants.WeiPerEther;
+const FEE_DENOMINATOR = BN(10).pow(10);
+const A_MULTIPLIER = BN(10000);
+
+function absDiff(a, b) {
+    return a.gt(b) ? a.sub(b) : b.sub(a);
+}
+
+// StableSwap
+
+// StableSwap._A: A moves linearly from initialA to futureA during a ramp
+function getA(state, timestamp = state.timestamp) {
+    const { initialA, futureA, initialATime, futureATime } = state;
+    
+    if (timestamp >= futureATime) {
+        return futureA;
+    }
+    
+    const elapsed = BN(timestamp - initialATime);
+    const duration = BN(futureATime - initialATime);
+    
+    return futureA.gt(initialA)
+        ? initialA.add(futureA.sub(initialA).mul(elapsed).div(duration))
+        : initialA.sub(initialA.sub(futureA).mul(elapsed).div(duration));
+}
+
+function getXp(state) {
+    return state.balances.map((balance, k) => state.rates[k].mul(balance).div(PRECISION));
+}
+
+// Pools without A_PRECISION (e.g. 3pool) are the aPrecision = 1 case
+function getD(xp, amp, aPrecision) {
+    const n = BN(xp.length);
+    const S = xp.reduce((sum, x) => sum.add(x), BN(0));
+    
+    if (S.isZero()) {
+        return S;
+    }
+    
+    const Ann = amp.mul(n);
+    let D = S;
+    
+    for (let iteration = 0; iteration < 255; iteration++) {
+        let D_P = D;
+        
+        for (const x of xp) {
+            D_P = D_P.mul(D).div(x.mul(n));
+        }
+        
+        const Dprev = D;
+        const numerator = Ann.mul(S).div(aPrecision).add(D_P.mul(n)).mul(D);
+        const denominator = Ann.sub(aPrecision).mul(D).div(aPrecision).add(n.add(1).mul(D_P));
+        
+        D = numerator.div(denominator);
+        
+        if (absDiff(D, Dprev).lte(1)) {
+            return D;
+        }
+    }
+    
+    throw new Error('StableSwap D did not converge');
+}
+
+// Balance of coin j that keeps D when coin i's balance is x, all in xp units
+function getY(i, j, x, xp, amp, aPrecision) {
+    const n = BN(xp.length);
+    const D = getD(xp, amp, aPrecision);
+    const Ann = amp.mul(n);
+    
+    let c = D;
+    let S_ = BN(0);
+    
+    for (let k = 0; k < xp.length; k++) {
+        if (k === j) {
+            continue;
+        }
+        
+        const _x = k === i ? x : xp[k];
+        S_ = S_.add(_x);
+        c = c.mul(D).div(_x.mul(n));
+    }
+    
+    c = c.mul(D).mul(aPrecision).div(Ann.mul(n));
+    
+    const b = S_.add(D.mul(aPrecision).div(Ann));
+    let y = D;
+    
+    for (let iteration = 0; iteration < 255; iteration++) {
+        const yPrev = y;
+        
+        y = y.mul(y).add(c).div(y.mul(2).add(b).sub(D));
+        
+        if (absDiff(y, yPrev).lte(1)) {
+            return y;
+        }
+    }
+    
+    throw new Error('StableSwap y did not converge');
+}
+
+/**
+ * StableSwap exchange: output for dx of coin i, and the balances after it.
+ * The admin share of the fee leaves the pool's balances.
+ */
+function stableExchange(state, i, j, dx, timestamp = state.timestamp) {
+    const { rates, fee, adminFee, aPrecision } = state;
+    const xp = getXp(state);
+    
+    const x = xp[i].add(dx.mul(rates[i]).div(PRECISION));
+    const y = getY(i, j, x, xp, getA(state, timestamp), aPrecision);
+    
+    const dyXp = xp[j].sub(y).sub(1);
+    const dyFee = dyXp.mul(fee).div(FEE_DENOMINATOR);
+    const dyAdminFee = dyFee.mul(adminFee).div(FEE_DENOMINATOR).mul(PRECISION).div(rates[j]);
+    const dy = dyXp.sub(dyFee).mul(PRECISION).div(rates[j]);
+    
+    const balances = [...state.balances];
+    balances[i] = balances[i].add(dx);
+    balances[j] = balances[j].sub(dy).sub(dyAdminFee);
+    
+    return { dy, balances };
+}
+
+function stableGetDy(state, i, j, dx, timestamp = state.timestamp) {
+    const { rates, fee, aPrecision } = state;
+    
+    // Pools without A_PRECISION take the fee from dy in coin units,
+    // later ones from dy in xp units, so the two round differently
+    if (aPrecision.eq(1)) {
+        const xp = getXp(state);
+        const x = xp[i].add(dx.mul(rates[i]).div(PRECISION));
+        const y = getY(i, j, x, xp, getA(state, timestamp), aPrecision);
+        const dy = xp[j].sub(y).sub(1).mul(PRECISION).div(rates[j]);
+        
+        return dy.sub(fee.mul(dy).div(FEE_DENOMINATOR));
+    }
+    
+    return stableExchange(state, i, j, dx, timestamp).dy;
+}
+
+// CryptoSwap
+
+// _A_gamma: A and gamma are packed as (A << 128 | gamma) and ramp together
+function getAGamma(state, timestamp = state.timestamp) {
+    const mask = BN(2).pow(128).sub(1);
+    const { initialAGamma, futureAGamma, initialAGammaTime, futureAGammaTime } = state;
+    
+    let A = futureAGamma.shr(128);
+    let gamma = futureAGamma.and(mask);
+    
+    if (timestamp < futureAGammaTime) {
+        const duration = BN(futureAGammaTime - initialAGammaTime);
+        const elapsed = BN(timestamp - initialAGammaTime);
+        const remaining = duration.sub(elapsed);
+        
+        A = initialAGamma.shr(128).mul(remaining).add(A.mul(elapsed)).div(duration);
+        gamma = initialAGamma.and(mask).mul(remaining).add(gamma.mul(elapsed)).div(duration);
+    }
+    
+    return { A, gamma };
+}
+
+function sortDescending(x) {
+    return [...x].sort((a, b) => {
+        if (a.eq(b)) {
+            return 0;
+        }
+        
+        return a.gt(b) ? -1 : 1;
+    });
+}
+
+function geometricMean(x) {
+    const n = BN(x.length);
+    let D = x[0];
+    
+    for (let iteration = 0; iteration < 255; iteration++) {
+        const Dprev = D;
+        let tmp = PRECISION;
+        
+        for (const _x of x) {
+            tmp = tmp.mul(_x).div(D);
+        }
+        
+        D = D.mul(n.sub(1).mul(PRECISION).add(tmp)).div(n.mul(PRECISION));
+        
+        const diff = absDiff(D, Dprev);
+        
+        if (diff.lte(1) || diff.mul(PRECISION).lt(D)) {
+            return D;
+        }
+    }
+    
+    throw new Error('Geometric mean did not converge');
+}
+
+// Both Newton solvers share mul1 = D / (A * N**N) * _g1k0**2 / gamma**2
+function getMul1(ANN, gamma, D, K0) {
+    let g1k0 = gamma.add(PRECISION);
+    g1k0 = g1k0.gt(K0) ? g1k0.sub(K0).add(1) : K0.sub(g1k0).add(1);
+    
+    const mul1 = PRECISION.mul(D).div(gamma)
+        .mul(g1k0).div(gamma)
+        .mul(g1k0)
+        .mul(A_MULTIPLIER)
+        .div(ANN);
+    
+    return { g1k0, mul1 };
+}
+
+// CurveCryptoMath3.newton_D
+function newtonD(ANN, gamma, xUnsorted) {
+    const x = sortDescending(xUnsorted);
+    const n = BN(x.length);
+    const S = x.reduce((sum, _x) => sum.add(_x), BN(0));
+    
+    let D = n.mul(geometricMean(x));
+    
+    for (let iteration = 0; iteration < 255; iteration++) {
+        const Dprev = D;
+        let K0 = PRECISION;
+        
+        for (const _x of x) {
+            K0 = K0.mul(_x).mul(n).div(D);
+        }
+        
+        const { g1k0, mul1 } = getMul1(ANN, gamma, D, K0);
+        const mul2 = PRECISION.mul(2).mul(n).mul(K0).div(g1k0);
+        
+        const negFprime = S.add(S.mul(mul2).div(PRECISION))
+            .add(mul1.mul(n).div(K0))
+            .sub(mul2.mul(D).div(PRECISION));
+        
+        const Dplus = D.mul(negFprime.add(S)).div(negFprime);
+        let Dminus = D.mul(D).div(negFprime);
+        
+        if (PRECISION.gt(K0)) {
+            Dminus = Dminus.add(D.mul(mul1.div(negFprime)).div(PRECISION).mul(PRECISION.sub(K0)).div(K0));
+        } else {
+            Dminus = Dminus.sub(D.mul(mul1.div(negFprime)).div(PRECISION).mul(K0.sub(PRECISION)).div(K0));
+        }
+        
+        D = Dplus.gt(Dminus) ? Dplus.sub(Dminus) : Dminus.sub(Dplus).div(2);
+        
+        const limit = D.gt(BN(10).pow(16)) ? D : BN(10).pow(16);
+        
+        if (absDiff(D, Dprev).mul(BN(10).pow(14)).lt(limit)) {
+            return D;
+        }
+    }
+    
+    throw new Error('CryptoSwap D did not converge');
+}
+
+// CurveCryptoMath3.newton_y: balance of coin i that keeps D, in xp units
+function newtonY(ANN, gamma, x, D, i) {
+    const n = BN(x.length);
+    const e14 = BN(10).pow(14);
+    
+    const xSorted = [...x];
+    xSorted[i] = BN(0);
+    
+    const sorted = sortDescending(xSorted);
+    let convergenceLimit = sorted[0].div(e14);
+    
+    convergenceLimit = convergenceLimit.gt(D.div(e14)) ? convergenceLimit : D.div(e14);
+    convergenceLimit = convergenceLimit.gt(100) ? convergenceLimit : BN(100);
+    
+    let y = D.div(n);
+    let K0i = PRECISION;
+    let Si = BN(0);
+    
+    for (let k = 2; k <= x.length; k++) {
+        const _x = sorted[x.length - k];
+        y = y.mul(D).div(_x.mul(n));
+        Si = Si.add(_x);
+    }
+    
+    for (let k = 0; k < x.length - 1; k++) {
+        K0i = K0i.mul(sorted[k]).mul(n).div(D);
+    }
+    
+    for (let iteration = 0; iteration < 255; iteration++) {
+        const yPrev = y;
+        const K0 = K0i.mul(y).mul(n).div(D);
+        const S = Si.add(y);
+        
+        const { g1k0, mul1 } = getMul1(ANN, gamma, D, K0);
+        const mul2 = PRECISION.add(PRECISION.mul(2).mul(K0).div(g1k0));
+        
+        let yfprime = PRECISION.mul(y).add(S.mul(mul2)).add(mul1);
+        const dyfprime = D.mul(mul2);
+        
+        if (yfprime.lt(dyfprime)) {
+            y = yPrev.div(2);
+            continue;
+        }
+        
+        yfprime = yfprime.sub(dyfprime);
+        
+        const fprime = yfprime.div(y);
+        let yMinus = mul1.div(fprime);
+        const yPlus = yfprime.add(PRECISION.mul(D)).div(fprime).add(yMinus.mul(PRECISION).div(K0));
+        
+        yMinus = yMinus.add(PRECISION.mul(S).div(fprime));
+        y = yPlus.lt(yMinus) ? yPrev.div(2) : yPlus.sub(yMinus);
+        
+        const limit = convergenceLimit.gt(y.div(e14)) ? convergenceLimit : y.div(e14);
+        
+        if (absDiff(y, yPrev).lt(limit)) {
+            return y;
+        }
+    }
+    
+    throw new Error('CryptoSwap y did not converge');
+}
+
+// Fee in 1e10 units, from mid_fee when balanced towards out_fee when not
+function cryptoFee(state, xp) {
+    const n = BN(xp.length);
+    const S = xp.reduce((sum, x) => sum.add(x), BN(0));
+    
+    // Same order as the Vyper: 10**18 * N**N * x0 / S * x1 / S * x2 / S
+    let K = PRECISION.mul(n.pow(n));
+    
+    for (const x of xp) {
+        K = K.mul(x).div(S);
+    }
+    
+    K = state.feeGamma.mul(PRECISION).div(state.feeGamma.add(PRECISION).sub(K));
+    
+    return state.midFee.mul(K).add(state.outFee.mul(PRECISION.sub(K))).div(PRECISION);
+}
+
+// Balances in xp units: scaled to 18 decimals and priced in coin 0
+function getCryptoXp(state, balances) {
+    const { precisions, priceScale } = state;
+    
+    return balances.map((balance, k) => (k === 0
+        ? balance.mul(precisions[0])
+        : balance.mul(priceScale[k - 1]).mul(precisions[k]).div(PRECISION)));
+}
+
+function cryptoGetDy(state, i, j, dx, timestamp = state.timestamp) {
+    const { A, gamma } = getAGamma(state, timestamp);
+    const balances = [...state.balances];
+    
+    // While A and gamma have been ramped, D is recomputed from the balances
+    const D = state.futureAGammaTime > 0
+        ? newtonD(A, gamma, getCryptoXp(state, balances))
+        : state.D;
+    
+    balances[i] = balances[i].add(dx);
+    
+    const xp = getCryptoXp(state, balances);
+    const y = newtonY(A, gamma, xp, D, j);
+    
+    let dy = xp[j].sub(y).sub(1);
+    xp[j] = y;
+    
+    if (j > 0) {
+        dy = dy.mul(PRECISION).div(state.priceScale[j - 1]);
+    }
+    
+    dy = dy.div(state.precisions[j]);
+    
+    return dy.sub(cryptoFee(state, xp).mul(dy).div(FEE_DENOMINATOR));
+}
+
+// get_dy for a state from Curve.getPoolState
+function getDy(state, i, j, dx, timestamp = state.timestamp) {
+    return state.model === 'curve-crypto'
+        ? cryptoGetDy(state, i, j, dx, timestamp)
+        : stableGetDy(state, i, j, dx, timestamp);
+}
+
+module.exports = {
+    getA,
+    getD,
+    getY,
+    stableExchange,
+    stableGetDy,
+    getAGamma,
+    newtonD,
+    newtonY,
+    cryptoGetDy,
+    getDy
+};
\ No newline at end of file
@@ -2,30 +2,46 @@ const { ethers } = require('ethers');
 const { logger } = require('../utils/logger');
 const { UniswapV3 } = require('./UniswapV3');
 const { SushiSwap } = require('./SushiSwap');
+const { UniswapV2Fork } = require('./UniswapV2Fork');
 const { Curve } = require('./Curve');
+const { Aerodrome } = require('./Aerodrome');
+const { Balancer } = require('./Balancer');
+const { SplitRouter } = require('./SplitRouter');
+
+const EXECUTOR_ABI = [
+    'function executeSplitRoute((address router, address tokenIn, address tokenOut, uint256 amountIn, uint256[] amountOffsets, bytes data)[] steps, address tokenOut, uint256 minAmountOut) returns (uint256 amountOut)',
+    'function executeSplitRouteFor((address router, address tokenIn, address tokenOut, uint256 amountIn, uint256[] amountOffsets, bytes data)[] steps, address tokenOut, uint256 minAmountOut) returns (uint256 amountOut)'
+];
+
+// Added to amountIn to find where a swap's calldata carries it
+const AMOUNT_MARKER = ethers.BigNumber.from(2).pow(128);
 
 class DEXAggregator {
-    constructor(bot) {
+    // options.provider / options.dexes quote another chain than the bot's own
+    constructor(bot, options = {}) {
         this.bot = bot;
-        this.provider = bot.getProvider();
+        this.provider = options.provider || bot.getReadProvider();
         
         // Initialize DEX adapters
         this.dexes = new Map();
-        this.initializeDEXes();
+        this.initializeDEXes(options.dexes || this.bot.config.dexes || {});
         
         // Cache for quotes
         this.quoteCache = new Map();
         this.cacheDuration = 1000; // 1 second
         
+        // Shared pool state; with one, quotes are cached per block instead of by age
+        this.store = null;
+        
+        this.splitRouter = new SplitRouter(this, (options.dexes || this.bot.config.dexes || {}).splitRouting);
+        
         logger.info('DEX Aggregator initialized', {
             dexes: Array.from(this.dexes.keys())
         });
     }
     
-    initializeDEXes() {
+    initializeDEXes(dexConfigs) {
         // Initialize each DEX adapter
-        const dexConfigs = this.bot.config.dexes || {};
-        
         if (dexConfigs.uniswapV3) {
             this.dexes.set('uniswapV3', new UniswapV3(this.provider, dexConfigs.uniswapV3));
         }
@@ -34,10 +50,28 @@ class DEXAggregator {
             this.dexes.set('sushiswap', new SushiSwap(this.provider, dexConfigs.sushiswap));
         }
         
+        // Other V2 forks are config entries only, named by their key
+        for (const [name, forkConfig] of Object.entries(dexConfigs.v2Forks || {})) {
+            this.dexes.set(name, new UniswapV2Fork(this.provider, forkConfig, name));
+        }
+        
         if (dexConfigs.curve) {
             this.dexes.set('curve', new Curve(this.provider, dexConfigs.curve));
         }
         
+        // Velodrome V2 runs the same contracts as Aerodrome
+        if (dexConfigs.aerodrome) {
+            this.dexes.set('aerodrome', new Aerodrome(this.provider, dexConfigs.aerodrome, 'aerodrome'));
+        }
+        
+        if (dexConfigs.velodrome) {
+            this.dexes.set('velodrome', new Aerodrome(this.provider, dexConfigs.velodrome, 'velodrome'));
+        }
+        
+        if (dexConfigs.balancer) {
+            this.dexes.set('balancer', new Balancer(this.provider, dexConfigs.balancer));
+        }
+        
         // Add more DEXes as needed
     }
     
@@ -56,10 +90,11 @@ class DEXAggregator {
     
     async getQuotesFromAllDexs(tokenIn, tokenOut, amountIn) {
         // Check cache first
-        const cacheKey = `${tokenIn}-${tokenOut}-${amountIn.toString()}`;
+        const blockNumber = this.store ? this.store.blockNumber : null;
+        const cacheKey = `${blockNumber}-${tokenIn}-${tokenOut}-${amountIn.toString()}`;
         const cached = this.quoteCache.get(cacheKey);
         
-        if (cached && Date.now() - cached.timestamp < this.cacheDuration) {
+        if (cached && (blockNumber !== null || Date.now() - cached.timestamp < this.cacheDuration)) {
             return cached.quotes;
         }
         
@@ -108,6 +143,12 @@ class DEXAggregator {
                 priceImpact: quote.priceImpact || 0,
                 gasEstimate: quote.gasEstimate || ethers.BigNumber.from(200000),
                 data: quote.data, // Encoded swap data
+                // Needed to build the swap: V3 fee tier, Curve pool, Aerodrome routes, Balancer pool ids
+                fee: quote.fee,
+                pool: quote.pool,
+                routes: quote.routes,
+                stable: quote.stable,
+                poolIds: quote.poolIds,
                 timestamp: Date.now()
             };
             
@@ -140,41 +181,19 @@ class DEXAggregator {
         }
         
         // Try multi-hop paths
-        const intermediateTokens = this.getIntermediateTokens(tokenIn, tokenOut);
         const multiHopQuotes = [];
         
-        for (const intermediate of intermediateTokens) {
+        for (const path of this.getTokenPaths(tokenIn, tokenOut, maxHops)) {
+            if (path.length === 2) {
+                continue;
+            }
+            
             try {
-                // First hop
-                const firstHop = await this.getBestQuote(tokenIn, intermediate, amountIn);
-                
-                if (!firstHop) continue;
-                
-                // Second hop
-                const secondHop = await this.getBestQuote(
-                    intermediate,
-                    tokenOut,
-                    firstHop.outputAmount
-                );
-                
-                if (!secondHop) continue;
-                
-                // Combine quotes
-                const combinedQuote = {
-                    type: 'multi-hop',
-                    dex: `${firstHop.dex}-${secondHop.dex}`,
-                    tokenIn,
-                    tokenOut,
-                    amountIn,
-                    outputAmount: secondHop.outputAmount,
-                    path: [tokenIn, intermediate, tokenOut],
-                    hops: [firstHop, secondHop],
-                    gasEstimate: firstHop.gasEstimate.add(secondHop.gasEstimate),
-                    timestamp: Date.now()
-                };
-                
-                multiHopQuotes.push(combinedQuote);
+                const quote = await this.quotePath(path, amountIn);
                 
+                if (quote) {
+                    multiHopQuotes.push(quote);
+                }
             } catch (error) {
                 // Continue with other paths
             }
@@ -198,6 +217,77 @@ class DEXAggregator {
         return allQuotes[0];
     }
     
+    // Token paths from tokenIn to tokenOut of up to maxHops hops, through common tokens
+    getTokenPaths(tokenIn, tokenOut, maxHops) {
+        const intermediates = this.getIntermediateTokens(tokenIn, tokenOut).filter(Boolean);
+        const paths = [];
+        
+        const extend = (path) => {
+            if (path.length > maxHops) {
+                return;
+            }
+            
+            paths.push([...path, tokenOut]);
+            
+            for (const token of intermediates) {
+                if (!path.includes(token)) {
+                    extend([...path, token]);
+                }
+            }
+        };
+        
+        extend([tokenIn]);
+        
+        return paths;
+    }
+    
+    // Best DEX on each hop of a token path, combined into one quote
+    async quotePath(path, amountIn) {
+        const hops = [];
+        let amount = amountIn;
+        
+        for (let i = 0; i < path.length - 1; i++) {
+            const quote = await this.getBestQuote(path[i], path[i + 1], amount);
+            
+            if (!quote) {
+                return null;
+            }
+            
+            hops.push(quote);
+            amount = quote.outputAmount;
+        }
+        
+        return {
+            type: 'multi-hop',
+            dex: hops.map(hop => hop.dex).join('-'),
+            tokenIn: path[0],
+            tokenOut: path[path.length - 1],
+            amountIn,
+            outputAmount: amount,
+            path,
+            hops,
+            gasEstimate: hops.reduce((sum, hop) => sum.add(hop.gasEstimate), ethers.BigNumber.from(0)),
+            timestamp: Date.now()
+        };
+    }
+    
+    /**
+     * Order split across DEXes and multi-hop paths for the most output net
+     * of gas (see SplitRouter), or null when nothing quotes the pair
+     */
+    async findSplitRoute(tokenIn, tokenOut, amountIn, options = {}) {
+        try {
+            return await this.splitRouter.findRoute(tokenIn, tokenOut, amountIn, options);
+        } catch (error) {
+            logger.debug('Failed to find split route', {
+                error: error.message,
+                tokenIn,
+                tokenOut
+            });
+            return null;
+        }
+    }
+    
     getIntermediateTokens(tokenIn, tokenOut) {
         // Common intermediate tokens for routing
         const commonTokens = [
@@ -233,6 +323,24 @@ class DEXAggregator {
         return price;
     }
     
+    // Amount of token worth 1 ETH, for weighing gas paid in ETH against output in token
+    async getTokenPerEth(token) {
+        const weth = this.bot.config.tokens.WETH;
+        
+        if (token.toLowerCase() === weth.toLowerCase()) {
+            return ethers.constants.WeiPerEther;
+        }
+        
+        const quote = await this.getBestQuote(weth, token, ethers.constants.WeiPerEther);
+        
+        if (!quote) {
+            logger.debug('No ETH price for token', { token });
+            return null;
+        }
+        
+        return quote.outputAmount;
+    }
+    
     async estimateGas(dexName, tokenIn, tokenOut, amountIn) {
         const dex = this.dexes.get(dexName);
         
@@ -247,6 +355,199 @@ class DEXAggregator {
         }
     }
     
+    async getPools(tokens) {
+        // Every pool any adapter knows between the given tokens
+        const pools = [];
+        
+        for (const [name, dex] of this.dexes) {
+            if (!dex.getPools) {
+                continue;
+            }
+            
+            try {
+                pools.push(...await dex.getPools(tokens));
+            } catch (error) {
+                logger.debug(`Failed to list pools from ${name}`, { error: error.message });
+            }
+        }
+        
+        return pools;
+    }
+    
+    async getPoolRates(pool, state) {
+        // From the given state (e.g. simulated post-trade) or read on chain
+        const dex = this.dexes.get(pool.dex);
+        
+        if (!dex || !dex.getPoolRates) {
+            return null;
+        }
+        
+        try {
+            return await dex.getPoolRates(pool, state);
+        } catch (error) {
+            logger.debug(`Failed to read pool rates from ${pool.dex}`, {
+                pool: pool.address,
+                error: error.message
+            });
+            return null;
+        }
+    }
+    
+    async getPoolState(pool) {
+        // Reserves or price/liquidity the pool mirror simulates swaps on
+        const dex = this.dexes.get(pool.dex);
+        
+        if (!dex || !dex.getPoolState) {
+            return null;
+        }
+        
+        try {
+            return await dex.getPoolState(pool);
+        } catch (error) {
+            logger.debug(`Failed to read pool state from ${pool.dex}`, {
+                pool: pool.address,
+                error: error.message
+            });
+            return null;
+        }
+    }
+    
+    setStore(store) {
+        // Adapters read tracked pools from the store instead of the chain
+        this.store = store;
+        
+        for (const dex of this.dexes.values()) {
+            dex.store = store;
+        }
+    }
+    
+    async applyLog(pool, state, log) {
+        // New pool state from one of its logs, or null when it has to be read again
+        const dex = this.dexes.get(pool.dex);
+        
+        if (!dex || !dex.applyLog) {
+            return null;
+        }
+        
+        try {
+            return await dex.applyLog(pool, state, log);
+        } catch (error) {
+            logger.debug(`Failed to apply log for ${pool.dex}`, {
+                pool: pool.address,
+                error: error.message
+            });
+            return null;
+        }
+    }
+    
+    resetPool(pool) {
+        // Drop anything the adapter derived from the pool's logs, e.g. after a reorg
+        const dex = this.dexes.get(pool.dex);
+        
+        if (dex && dex.resetPool) {
+            dex.resetPool(pool);
+        }
+    }
+    
+    async getPoolReserves(pool) {
+        // Constant-product pools only, other adapters have no getReserves
+        const dex = this.dexes.get(pool.dex);
+        
+        if (!dex || !dex.getReserves) {
+            return null;
+        }
+        
+        try {
+            return await dex.getReserves(pool);
+        } catch (error) {
+            logger.debug(`Failed to read reserves from ${pool.dex}`, {
+                pool: pool.address,
+                error: error.message
+            });
+            return null;
+        }
+    }
+    
+    /**
+     * MEVBot.executeSplitRoute call for a split route. Each leg's hops run in
+     * order, every hop after the first swapping exactly what the previous
+     * one delivered, and the whole route has to deliver the legs' summed
+     * output less slippage, or options.minAmountOut. With options.forCaller
+     * the call is executeSplitRouteFor, which trades the calling contract's
+     * tokens.
+     */
+    async buildSplitRouteTransaction(route, executor = this.bot.config.contracts.mevBot, slippageBps = 50, options = {}) {
+        const steps = [];
+        let outputAmount = ethers.BigNumber.from(0);
+        
+        for (const leg of route.legs) {
+            for (const [i, hop] of leg.hops.entries()) {
+                if (i === 0) {
+                    const tx = await this.buildSwapTransaction(hop, executor, slippageBps);
+                    
+                    steps.push({ router: tx.to, tokenIn: hop.tokenIn, tokenOut: hop.tokenOut, amountIn: hop.amountIn, amountOffsets: [], data: tx.data });
+                    continue;
+                }
+                
+                // The input isn't known until the previous hop has run; only
+                // the route's total output is checked
+                const tx = await this.buildSwapTransaction({ ...hop, outputAmount: ethers.BigNumber.from(0) }, executor, slippageBps);
+                
+                steps.push({
+                    router: tx.to,
+                    tokenIn: hop.tokenIn,
+                    tokenOut: hop.tokenOut,
+                    amountIn: 0,
+                    amountOffsets: await this.getAmountOffsets(hop, executor, tx.data),
+                    data: tx.data
+                });
+            }
+            
+            outputAmount = outputAmount.add(leg.outputAmount);
+        }
+        
+        const minAmountOut = options.minAmountOut || outputAmount.mul(10000 - slippageBps).div(10000);
+        const iface = new ethers.utils.Interface(EXECUTOR_ABI);
+        const method = options.forCaller ? 'executeSplitRouteFor' : 'executeSplitRoute';
+        
+        return {
+            to: executor,
+            data: iface.encodeFunctionData(method, [steps, route.tokenOut, minAmountOut]),
+            value: ethers.BigNumber.from(0),
+            gasLimit: route.gasEstimate.mul(120).div(100),
+            minAmountOut
+        };
+    }
+    
+    /**
+     * Byte offsets of a hop's amountIn in its swap calldata, for the executor
+     * to overwrite: the words that move with amountIn between two encodings
+     */
+    async getAmountOffsets(hop, executor, data) {
+        const marked = await this.buildSwapTransaction({
+            ...hop,
+            amountIn: hop.amountIn.add(AMOUNT_MARKER),
+            outputAmount: ethers.BigNumber.from(0)
+        }, executor);
+        
+        const offsets = [];
+        
+        for (let offset = 4; offset + 32 <= ethers.utils.hexDataLength(data); offset += 32) {
+            const word = ethers.BigNumber.from(ethers.utils.hexDataSlice(data, offset, offset + 32));
+            const markedWord = ethers.BigNumber.from(ethers.utils.hexDataSlice(marked.data, offset, offset + 32));
+            
+            if (markedWord.sub(word).eq(AMOUNT_MARKER)) {
+                offsets.push(offset);
+            }
+        }
+        
+        if (offsets.length === 0) {
+            throw new Error(`Can't chain a ${hop.dex} swap: amountIn not found in its calldata`);
+        }
+        
+        return offsets;
+    }
+    
     async buildSwapTransaction(quote, recipient, slippageBps = 50) {
         const dex = this.dexes.get(quote.dex);
         
@@ -267,6 +568,14 @@ class DEXAggregator {
         });
     }
     
+    stop() {
+        for (const dex of this.dexes.values()) {
+            if (dex.stop) {
+                dex.stop();
+            }
+        }
+    }
+    
     cleanCache() {
         // Remove old cache entries
         const now = Date.now();
@@ -0,0 +1,287 @@
+/**
+ * Token/pool graph over every pool the DEX adapters know about. Each pool
+ * adds one directed edge per token pair, weighted by -log(rate) so that a
+ * cycle whose rates multiply to more than 1 has negative total weight.
+ *
+ * Rates are marginal rates in raw token units after the pool fee, as
+ * returned by the adapters' getPoolRates().
+ */
+class PoolGraph {
+    constructor(config = {}) {
+        this.maxHops = config.maxHops || 3;
+        
+        this.pools = new Map(); // pool -> descriptor
+        this.edges = new Map(); // token -> Map(pool -> edges from token)
+        this.cycles = new Map(); // cycle key -> cycle
+        this.cyclesByPool = new Map(); // pool -> Set(cycle key)
+    }
+    
+    addPool(pool) {
+        this.pools.set(pool.address.toLowerCase(), pool);
+    }
+    
+    getPools() {
+        return Array.from(this.pools.values());
+    }
+    
+    getTokens() {
+        return Array.from(this.edges.keys());
+    }
+    
+    /**
+     * Replace a pool's edges. Empty or missing rates take the pool out of
+     * the graph until it reports rates again.
+     */
+    setRates(address, rates) {
+        const poolKey = address.toLowerCase();
+        const pool = this.pools.get(poolKey);
+        
+        for (const edges of this.edges.values()) {
+            edges.delete(poolKey);
+        }
+        
+        if (!pool || !rates) {
+            return;
+        }
+        
+        for (const { from, to, rate } of rates) {
+            if (!(rate > 0) || !Number.isFinite(rate)) {
+                continue;
+            }
+            
+            const fromKey = from.toLowerCase();
+            if (!this.edges.has(fromKey)) {
+                this.edges.set(fromKey, new Map());
+            }
+            
+            const tokenEdges = this.edges.get(fromKey);
+            if (!tokenEdges.has(poolKey)) {
+                tokenEdges.set(poolKey, []);
+            }
+            
+            tokenEdges.get(poolKey).push({
+                from: fromKey,
+                to: to.toLowerCase(),
+                pool: poolKey,
+                dex: pool.dex,
+                fee: pool.fee,
+                rate,
+                weight: -Math.log(rate)
+            });
+        }
+    }
+    
+    getRates(address) {
+        const poolKey = address.toLowerCase();
+        const rates = [];
+        
+        for (const tokenEdges of this.edges.values()) {
+            for (const { from, to, rate } of tokenEdges.get(poolKey) || []) {
+                rates.push({ from, to, rate });
+            }
+        }
+        
+        return rates;
+    }
+    
+    /**
+     * Run fn against hypothetical rates for some pools (pool -> rates), e.g.
+     * the state after a pending swap, then put the current rates back.
+     * fn must be synchronous so nothing else sees the overlay.
+     */
+    withRates(overrides, fn) {
+        const saved = new Map();
+        
+        for (const [address, rates] of overrides) {
+            saved.set(address, this.getRates(address));
+            this.setRates(address, rates);
+        }
+        
+        try {
+            return fn();
+        } finally {
+            for (const [address, rates] of saved) {
+                this.setRates(address, rates);
+            }
+            
+            // Cycles evaluated under the overlay get their current weights back
+            this.getCyclesForPools(Array.from(saved.keys()), Infinity);
+        }
+    }
+    
+    getEdges(token) {
+        const tokenEdges = this.edges.get(token);
+        return tokenEdges ? Array.from(tokenEdges.values()).flat() : [];
+    }
+    
+    getEdge(pool, from, to) {
+        const tokenEdges = this.edges.get(from);
+        const edges = tokenEdges && tokenEdges.get(pool);
+        
+        return edges ? edges.find(e => e.to === to) : null;
+    }
+    
+    /**
+     * Hop-limited Bellman-Ford from each source token. Keeps the lightest
+     * simple path to every token per hop count and records each path that
+     * closes back on its source below maxWeight (0 = any profit). Returns
+     * the cycles found, which are also kept for later re-evaluation.
+     */
+    findCycles(sources, maxWeight = 0) {
+        const found = new Map();
+        
+        for (const source of sources.map(s => s.toLowerCase())) {
+            let frontier = new Map([[source, { weight: 0, edges: [] }]]);
+            
+            for (let hop = 1; hop <= this.maxHops && frontier.size > 0; hop++) {
+                const next = new Map();
+                
+                for (const [token, path] of frontier) {
+                    for (const edge of this.getEdges(token)) {
+                        // A pool is used once per cycle
+                        if (path.edges.some(e => e.pool === edge.pool)) {
+                            continue;
+                        }
+                        
+                        const weight = path.weight + edge.weight;
+                        
+                        if (edge.to === source) {
+                            if (hop >= 2 && weight < maxWeight) {
+                                const cycle = this.registerCycle(path.edges.concat(edge));
+                                found.set(cycle.key, cycle);
+                            }
+                            continue;
+                        }
+                        
+                        // Intermediate tokens are visited once
+                        if (path.edges.some(e => e.from === edge.to)) {
+                            continue;
+                        }
+                        
+                        const best = next.get(edge.to);
+                        if (!best || weight < best.weight) {
+                            next.set(edge.to, { weight, edges: path.edges.concat(edge) });
+                        }
+                    }
+                }
+                
+                frontier = next;
+            }
+        }
+        
+        return Array.from(found.values());
+    }
+    
+    registerCycle(edges) {
+        // Same cycle from a different starting token gets the same key
+        const hops = edges.map(e => `${e.pool}:${e.from}`);
+        let start = 0;
+        for (let i = 1; i < hops.length; i++) {
+            if (hops[i] < hops[start]) {
+                start = i;
+            }
+        }
+        const key = hops.slice(start).concat(hops.slice(0, start)).join('>');
+        
+        let cycle = this.cycles.get(key);
+        
+        if (!cycle) {
+            cycle = {
+                key,
+                tokens: edges.map(e => e.from).concat(edges[0].from),
+                pools: edges.map(e => e.pool),
+                hops: edges.map(({ pool, dex, fee, from, to }) => ({ pool, dex, fee, from, to }))
+            };
+            
+            this.cycles.set(key, cycle);
+            
+            for (const pool of cycle.pools) {
+                if (!this.cyclesByPool.has(pool)) {
+                    this.cyclesByPool.set(pool, new Set());
+                }
+                this.cyclesByPool.get(pool).add(key);
+            }
+        }
+        
+        return this.evaluateCycle(cycle);
+    }
+    
+    /**
+     * Current weight and rate product of a known cycle, from the latest
+     * pool rates, as a new cycle that replaces the kept one. Cycles through
+     * a pool that dropped out are forgotten.
+     */
+    evaluateCycle(cycle) {
+        let weight = 0;
+        
+        for (const hop of cycle.hops) {
+            const edge = this.getEdge(hop.pool, hop.from, hop.to);
+            
+            if (!edge) {
+                this.removeCycle(cycle.key);
+                return null;
+            }
+            
+            weight += edge.weight;
+        }
+        
+        const evaluated = { ...cycle, weight, rate: Math.exp(-weight), evaluatedAt: Date.now() };
+        this.cycles.set(cycle.key, evaluated);
+        
+        return evaluated;
+    }
+    
+    /**
+     * Re-evaluate only the known cycles that go through the given pools
+     */
+    getCyclesForPools(addresses, maxWeight = 0) {
+        const keys = new Set();
+        
+        for (const address of addresses) {
+            const poolCycles = this.cyclesByPool.get(address.toLowerCase());
+            if (poolCycles) {
+                poolCycles.forEach(key => keys.add(key));
+            }
+        }
+        
+        const cycles = [];
+        
+        for (const key of keys) {
+            const cycle = this.cycles.get(key);
+            const evaluated = cycle && this.evaluateCycle(cycle);
+            
+            if (evaluated && evaluated.weight < maxWeight) {
+                cycles.push(evaluated);
+            }
+        }
+        
+        return cycles;
+    }
+    
+    removeCycle(key) {
+        const cycle = this.cycles.get(key);
+        if (!cycle) {
+            return;
+        }
+        
+        this.cycles.delete(key);
+        
+        for (const pool of cycle.pools) {
+            const poolCycles = this.cyclesByPool.get(pool);
+            if (poolCycles) {
+                poolCycles.delete(key);
+            }
+        }
+    }
+    
+    getStats() {
+        return {
+            pools: this.pools.size,
+            tokens: this.edges.size,
+            cycles: this.cycles.size,
+            maxHops: this.maxHops
+        };
+    }
+}
+
+module.exports = { PoolGraph };
\ No newline at end of file
@@ -0,0 +1,253 @@
+const { ethers } = require('ethers');
+const { getStableAmountOut } = require('./Aerodrome');
+const { weightedOutGivenIn, stableOutGivenIn } = require('./Balancer');
+const { swapExactInput } = require('./V3Pool');
+const { stableExchange, cryptoGetDy } = require('./CurveMath');
+
+const Q96 = ethers.BigNumber.from(2).pow(96);
+
+/**
+ * Local copy of pool state for simulating swaps that haven't landed yet.
+ * Constant-product pools mirror their reserves, V3 pools their price and
+ * active liquidity, Aerodrome stable pools their reserves and decimals,
+ * Balancer weighted and stable pools their balances, Curve StableSwap and
+ * CryptoSwap pools their balances and curve parameters. Pools CurveMath
+ * doesn't cover (metapools, lending and -ng pools) are not mirrored.
+ *
+ * V3 pools modelled by the adapter (V3Pool) carry their initialized ticks
+ * and are simulated across tick crossings. Without ticks a swap uses the
+ * active liquidity only and is approximate once it would cross one.
+ */
+class PoolMirror {
+    constructor(dexAggregator, store = null) {
+        this.dexAggregator = dexAggregator;
+        this.states = new Map(); // pool -> state
+        
+        // With a PoolStateStore the mirror reads its latest snapshot
+        this.store = store;
+    }
+    
+    async load(pool) {
+        if (this.store) {
+            return this.store.track(pool);
+        }
+        
+        const key = pool.address.toLowerCase();
+        const state = await this.dexAggregator.getPoolState(pool);
+        
+        if (!state) {
+            this.states.delete(key);
+            return null;
+        }
+        
+        this.states.set(key, state);
+        return state;
+    }
+    
+    get(address) {
+        if (this.store) {
+            return this.store.get(address);
+        }
+        
+        return this.states.get(address.toLowerCase()) || null;
+    }
+    
+    /**
+     * Output of swapping amountIn of tokenIn through the pool and the pool's
+     * state afterwards. Defaults to the mirrored state, which is not modified.
+     */
+    simulateSwap(pool, tokenIn, amountIn, state = this.get(pool.address), tokenOut = null) {
+        if (!state || amountIn.isZero()) {
+            return null;
+        }
+        
+        const zeroForOne = pool.tokens[0].toLowerCase() === tokenIn.toLowerCase();
+        
+        if (state.model === 'constant-product') {
+            return swapConstantProduct(state, pool.feeBps, zeroForOne, amountIn);
+        }
+        
+        if (state.model === 'concentrated') {
+            return swapConcentrated(state, pool.fee, zeroForOne, amountIn);
+        }
+        
+        if (state.model === 'stable') {
+            return swapStable(state, pool.feeBps, zeroForOne, amountIn);
+        }
+        
+        if (state.model === 'weighted' || state.model === 'stableswap') {
+            return swapBalancer(state, pool, tokenIn, tokenOut, amountIn);
+        }
+        
+        if (state.model === 'curve-stable' || state.model === 'curve-crypto') {
+            return swapCurve(state, pool, tokenIn, tokenOut, amountIn);
+        }
+        
+        return null;
+    }
+}
+
+function swapConstantProduct(state, feeBps, zeroForOne, amountIn) {
+    const reserveIn = zeroForOne ? state.reserve0 : state.reserve1;
+    const reserveOut = zeroForOne ? state.reserve1 : state.reserve0;
+    
+    // UniswapV2Library.getAmountOut with the fee in basis points
+    const amountInWithFee = amountIn.mul(10000 - feeBps);
+    const amountOut = amountInWithFee.mul(reserveOut)
+        .div(reserveIn.mul(10000).add(amountInWithFee));
+    
+    if (amountOut.isZero()) {
+        return null;
+    }
+    
+    const newIn = reserveIn.add(amountIn);
+    const newOut = reserveOut.sub(amountOut);
+    
+    return {
+        amountOut,
+        state: {
+            ...state,
+            reserve0: zeroForOne ? newIn : newOut,
+            reserve1: zeroForOne ? newOut : newIn
+        }
+    };
+}
+
+function swapConcentrated(state, fee, zeroForOne, amountIn) {
+    const { sqrtPriceX96, liquidity } = state;
+    
+    // States from a V3Pool model carry their ticks and cross them exactly
+    if (state.ticks) {
+        const result = swapExactInput(state, zeroForOne, amountIn);
+        
+        if (!result || result.amountOut.isZero()) {
+            return null;
+        }
+        
+        return {
+            amountOut: result.amountOut,
+            state: {
+                ...state,
+                sqrtPriceX96: result.sqrtPriceX96,
+                tick: result.tick,
+                liquidity: result.liquidity
+            }
+        };
+    }
+    
+    if (liquidity.isZero()) {
+        return null;
+    }
+    
+    // Fee is in hundredths of a bip and taken from the input
+    const amount = amountIn.mul(1000000 - fee).div(1000000);
+    let sqrtPriceNext;
+    let amountOut;
+    
+    if (zeroForOne) {
+        // SqrtPriceMath.getNextSqrtPriceFromAmount0RoundingUp, then the token1 delta
+        const numerator = liquidity.mul(Q96);
+        sqrtPriceNext = numerator.mul(sqrtPriceX96).div(numerator.add(amount.mul(sqrtPriceX96)));
+        amountOut = liquidity.mul(sqrtPriceX96.sub(sqrtPriceNext)).div(Q96);
+    } else {
+        // SqrtPriceMath.getNextSqrtPriceFromAmount1RoundingDown, then the token0 delta
+        sqrtPriceNext = sqrtPriceX96.add(amount.mul(Q96).div(liquidity));
+        amountOut = liquidity.mul(Q96).mul(sqrtPriceNext.sub(sqrtPriceX96))
+            .div(sqrtPriceNext).div(sqrtPriceX96);
+    }
+    
+    if (amountOut.lte(0)) {
+        return null;
+    }
+    
+    return {
+        amountOut,
+        state: { ...state, sqrtPriceX96: sqrtPriceNext }
+    };
+}
+
+function swapStable(state, feeBps, zeroForOne, amountIn) {
+    // The fee is taken off the input and sent out of the pool
+    const amountInAfterFee = amountIn.sub(amountIn.mul(feeBps).div(10000));
+    const amountOut = getStableAmountOut(state, zeroForOne, amountInAfterFee);
+    
+    if (amountOut.isZero()) {
+        return null;
+    }
+    
+    const reserveIn = zeroForOne ? state.reserve0 : state.reserve1;
+    const reserveOut = zeroForOne ? state.reserve1 : state.reserve0;
+    const newIn = reserveIn.add(amountInAfterFee);
+    const newOut = reserveOut.sub(amountOut);
+    
+    return {
+        amountOut,
+        state: {
+            ...state,
+            reserve0: zeroForOne ? newIn : newOut,
+            reserve1: zeroForOne ? newOut : newIn
+        }
+    };
+}
+
+function swapBalancer(state, pool, tokenIn, tokenOut, amountIn) {
+    // Balancer pools can hold more than two tokens, so those need tokenOut
+    const tokens = pool.tokens.map(token => token.toLowerCase());
+    const indexIn = tokens.indexOf(tokenIn.toLowerCase());
+    const indexOut = tokenOut ? tokens.indexOf(tokenOut.toLowerCase()) : 1 - indexIn;
+    
+    if (indexIn < 0 || indexOut < 0) {
+        return null;
+    }
+    
+    // The fee is taken off the input and stays in the pool
+    const amountInAfterFee = amountIn.sub(amountIn.mul(state.swapFee).div(ethers.constants.WeiPerEther));
+    const outGivenIn = state.model === 'weighted' ? weightedOutGivenIn : stableOutGivenIn;
+    const amountOut = outGivenIn(state, indexIn, indexOut, amountInAfterFee);
+    
+    if (amountOut.isZero()) {
+        return null;
+    }
+    
+    const balances = [...state.balances];
+    balances[indexIn] = balances[indexIn].add(amountIn);
+    balances[indexOut] = balances[indexOut].sub(amountOut);
+    
+    return {
+        amountOut,
+        state: { ...state, balances }
+    };
+}
+
+function swapCurve(state, pool, tokenIn, tokenOut, amountIn) {
+    const tokens = pool.tokens.map(token => token.toLowerCase());
+    const i = tokens.indexOf(tokenIn.toLowerCase());
+    const j = tokenOut ? tokens.indexOf(tokenOut.toLowerCase()) : 1 - i;
+    
+    if (i < 0 || j < 0) {
+        return null;
+    }
+    
+    if (state.model === 'curve-stable') {
+        const { dy, balances } = stableExchange(state, i, j, amountIn);
+        return dy.lte(0) ? null : { amountOut: dy, state: { ...state, balances } };
+    }
+    
+    // CryptoSwap also moves its price scale after a trade, which isn't followed here
+    const amountOut = cryptoGetDy(state, i, j, amountIn);
+    
+    if (amountOut.lte(0)) {
+        return null;
+    }
+    
+    const balances = [...state.balances];
+    balances[i] = balances[i].add(amountIn);
+    balances[j] = balances[j].sub(amountOut);
+    
+    return {
+        amountOut,
+        state: { ...state, balances }
+    };
+}
+
+module.exports = { PoolMirror };
\ No newline at end of file
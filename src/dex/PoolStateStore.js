@@ -0,0 +1,356 @@
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+const { logger } = require('../utils/logger');
+
+// Logs that move the state of a tracked pool
+const POOL_UPDATE_TOPICS = [
+    'Sync(uint112,uint112)',
+    'Sync(uint256,uint256)',
+    'Swap(address,address,int256,int256,uint160,uint128,int24)',
+    'Mint(address,address,int24,int24,uint128,uint256,uint256)',
+    'Burn(address,int24,int24,uint128,uint256,uint256)',
+    'TokenExchange(address,int128,uint256,int128,uint256)',
+    'TokenExchange(address,uint256,uint256,uint256,uint256)',
+    'TokenExchangeUnderlying(address,int128,uint256,int128,uint256)',
+    // Balancer pools change through the Vault, which names the pool id
+    'Swap(bytes32,address,address,uint256,uint256)',
+    'PoolBalanceChanged(bytes32,address,address[],int256[],uint256[])'
+].map(signature => ethers.utils.id(signature));
+
+/**
+ * Pool state for the tracked pools, one snapshot per block for the last
+ * `depth` blocks. Each new block's logs are applied through the adapter
+ * that owns the pool (DEXAggregator.applyLog); pools whose logs can't be
+ * applied directly are re-read. On a reorg the snapshots past the common
+ * ancestor are dropped and every pool is read again at the new head.
+ *
+ * Reading every pool from the same snapshot keeps the quotes for one
+ * opportunity on the same block.
+ */
+class PoolStateStore extends EventEmitter {
+    constructor(bot, dexAggregator, config = {}) {
+        super();
+        this.bot = bot;
+        this.dexAggregator = dexAggregator;
+        
+        this.depth = config.depth || 12;
+        this.maxAddresses = config.maxAddresses || 1000; // per eth_getLogs request
+        
+        this.pools = new Map(); // address -> pool
+        this.poolsById = new Map(); // Balancer pool id -> pool
+        
+        // Oldest first: { number, hash, states: Map(address -> state), changed }
+        this.snapshots = [];
+        
+        // Blocks and reorgs are handled one at a time, in order
+        this.queue = Promise.resolve();
+        
+        this.stats = {
+            blocks: 0,
+            logsApplied: 0,
+            reloads: 0,
+            reorgs: 0
+        };
+    }
+    
+    async start() {
+        const latest = await this.bot.getProvider().getBlock('latest');
+        
+        if (!this.snapshots.length) {
+            this.snapshots.push({ number: latest.number, hash: latest.hash, states: new Map(), changed: [] });
+        }
+        
+        this.onBlock = (block) => this.enqueue(() => this.syncTo(block));
+        this.onReorg = (reorg) => this.enqueue(() => this.rollback(reorg));
+        
+        this.bot.monitor.on('block', this.onBlock);
+        this.bot.monitor.on('reorg', this.onReorg);
+        
+        logger.info('Pool state store started', { blockNumber: latest.number, pools: this.pools.size });
+    }
+    
+    stop() {
+        if (this.onBlock) {
+            this.bot.monitor.off('block', this.onBlock);
+            this.bot.monitor.off('reorg', this.onReorg);
+            this.onBlock = null;
+        }
+    }
+    
+    enqueue(task) {
+        this.queue = this.queue.then(task).catch(error => {
+            logger.error('Pool state store error', error);
+        });
+        
+        return this.queue;
+    }
+    
+    get head() {
+        return this.snapshots[this.snapshots.length - 1] || null;
+    }
+    
+    get blockNumber() {
+        return this.head ? this.head.number : null;
+    }
+    
+    /**
+     * Start following a pool. Its state is read now and counted as part of
+     * the latest snapshot.
+     */
+    async track(pool) {
+        const key = pool.address.toLowerCase();
+        
+        this.pools.set(key, pool);
+        
+        if (pool.dex === 'balancer' && pool.id) {
+            this.poolsById.set(pool.id.toLowerCase(), pool);
+        }
+        
+        if (!this.head) {
+            const latest = await this.bot.getProvider().getBlock('latest');
+            this.snapshots.push({ number: latest.number, hash: latest.hash, states: new Map(), changed: [] });
+        }
+        
+        return this.reload(pool, this.head.states);
+    }
+    
+    untrack(address) {
+        const pool = this.pools.get(address.toLowerCase());
+        
+        if (pool) {
+            this.pools.delete(address.toLowerCase());
+            this.poolsById.delete((pool.id || '').toLowerCase());
+        }
+    }
+    
+    async reload(pool, states) {
+        const key = pool.address.toLowerCase();
+        const state = await this.dexAggregator.getPoolState(pool);
+        
+        this.stats.reloads++;
+        
+        if (state) {
+            states.set(key, state);
+        } else {
+            states.delete(key);
+        }
+        
+        return state;
+    }
+    
+    /**
+     * State of a pool at a block (default: the latest snapshot), or null
+     * when the pool isn't tracked or the block is no longer kept
+     */
+    get(address, blockNumber = null) {
+        const snapshot = this.getSnapshot(blockNumber);
+        return snapshot ? snapshot.get(address.toLowerCase()) || null : null;
+    }
+    
+    // All pool states at one block, to price a whole opportunity on it
+    getSnapshot(blockNumber = null) {
+        if (blockNumber === null) {
+            return this.head ? this.head.states : null;
+        }
+        
+        const snapshot = this.snapshots.find(s => s.number === blockNumber);
+        return snapshot ? snapshot.states : null;
+    }
+    
+    async syncTo(block) {
+        const { head } = this;
+        
+        if (!head || block.number <= head.number) {
+            return;
+        }
+        
+        const provider = this.bot.getProvider();
+        const fromBlock = head.number + 1;
+        
+        // Too far behind to replay, start over from the current state
+        if (block.number - fromBlock >= this.depth) {
+            await this.resync(block);
+            return;
+        }
+        
+        const logs = await this.getLogs(provider, fromBlock, block.number);
+        const byBlock = new Map();
+        
+        for (const log of logs) {
+            const pool = this.getLogPool(log);
+            
+            if (!pool || log.removed) {
+                continue;
+            }
+            
+            if (!byBlock.has(log.blockNumber)) {
+                byBlock.set(log.blockNumber, []);
+            }
+            
+            byBlock.get(log.blockNumber).push({ pool, log });
+        }
+        
+        for (let number = fromBlock; number <= block.number; number++) {
+            // Blocks skipped by the monitor are fetched for their hash and timestamp
+            const header = number === block.number ? block : await provider.getBlock(number);
+            
+            await this.applyBlock(number, header.hash, header.timestamp, byBlock.get(number) || []);
+        }
+    }
+    
+    /**
+     * Update logs of the tracked pools, and of the Balancer Vault when it
+     * holds any of them. ethers' getLogs takes a single address, so the
+     * address list goes to eth_getLogs directly, in chunks
+     */
+    async getLogs(provider, fromBlock, toBlock) {
+        const addresses = Array.from(this.pools.keys());
+        const balancer = this.dexAggregator.dexes.get('balancer');
+        
+        if (this.poolsById.size && balancer) {
+            addresses.push(balancer.vault.address.toLowerCase());
+        }
+        
+        const logs = [];
+        
+        for (let i = 0; i < addresses.length; i += this.maxAddresses) {
+            const chunk = await provider.send('eth_getLogs', [{
+                fromBlock: ethers.utils.hexValue(fromBlock),
+                toBlock: ethers.utils.hexValue(toBlock),
+                address: addresses.slice(i, i + this.maxAddresses),
+                topics: [POOL_UPDATE_TOPICS]
+            }]);
+            
+            logs.push(...chunk.map(log => provider.formatter.filterLog(log)));
+        }
+        
+        return logs;
+    }
+    
+    getLogPool(log) {
+        const pool = this.pools.get(log.address.toLowerCase());
+        
+        if (pool) {
+            return pool;
+        }
+        
+        // Vault logs carry the Balancer pool id as their first topic
+        return log.topics[1] ? this.poolsById.get(log.topics[1].toLowerCase()) || null : null;
+    }
+    
+    async applyBlock(number, hash, timestamp, entries) {
+        const states = new Map(this.head.states);
+        
+        // States priced by block time (Curve's A ramps) move to this block's
+        for (const [key, state] of states) {
+            if (state.timestamp !== undefined) {
+                states.set(key, { ...state, timestamp });
+            }
+        }
+        const changed = new Set();
+        const stale = new Map();
+        
+        for (const { pool, log } of entries) {
+            const key = pool.address.toLowerCase();
+            
+            if (stale.has(key)) {
+                continue;
+            }
+            
+            const state = states.get(key);
+            const next = state ? await this.dexAggregator.applyLog(pool, state, log) : null;
+            
+            if (next) {
+                states.set(key, next);
+                this.stats.logsApplied++;
+            } else {
+                // The log alone doesn't give the new state, read it after the block
+                stale.set(key, pool);
+            }
+            
+            changed.add(key);
+        }
+        
+        // Re-read pools reflect the chain head, so are exact for the latest block only
+        await Promise.allSettled(Array.from(stale.values()).map(pool => this.reload(pool, states)));
+        
+        this.snapshots.push({ number, hash, states, changed: Array.from(changed) });
+        
+        if (this.snapshots.length > this.depth) {
+            this.snapshots.shift();
+        }
+        
+        this.stats.blocks++;
+        
+        if (changed.size) {
+            this.emit('update', { blockNumber: number, changed: Array.from(changed) });
+        }
+    }
+    
+    async rollback(reorg) {
+        const provider = this.bot.getProvider();
+        let dropped = 0;
+        
+        // Walk back to the newest snapshot still on the canonical chain
+        while (this.snapshots.length > 1) {
+            const snapshot = this.head;
+            const block = snapshot.hash ? await provider.getBlock(snapshot.number) : null;
+            
+            if (block && block.hash === snapshot.hash) {
+                break;
+            }
+            
+            this.snapshots.pop();
+            dropped++;
+        }
+        
+        if (!dropped) {
+            return;
+        }
+        
+        this.stats.reorgs++;
+        
+        logger.warn('Pool state store rolled back after reorg', {
+            blockNumber: reorg.blockNumber,
+            rolledBackTo: this.head.number,
+            droppedBlocks: dropped
+        });
+        
+        this.emit('rollback', { blockNumber: this.head.number });
+        
+        // Replaying the new chain's logs onto adapter models could count a
+        // position change twice, so every pool is read fresh instead
+        await this.resync(await provider.getBlock('latest'));
+    }
+    
+    async resync(block) {
+        const states = new Map();
+        const pools = Array.from(this.pools.values());
+        
+        await Promise.allSettled(pools.map((pool) => {
+            this.dexAggregator.resetPool(pool);
+            return this.reload(pool, states);
+        }));
+        
+        const changed = Array.from(states.keys());
+        
+        this.snapshots.push({ number: block.number, hash: block.hash, states, changed });
+        
+        if (this.snapshots.length > this.depth) {
+            this.snapshots.shift();
+        }
+        
+        this.emit('update', { blockNumber: block.number, changed });
+    }
+    
+    getStats() {
+        return {
+            ...this.stats,
+            pools: this.pools.size,
+            blockNumber: this.blockNumber,
+            snapshots: this.snapshots.length
+        };
+    }
+}
+
+module.exports = { PoolStateStore };
\ No newline at end of file
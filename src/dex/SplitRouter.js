@@ -0,0 +1,180 @@
+const { ethers } = require('ethers');
+
+// Fixed cost of the executor call around the swaps
+const ROUTE_BASE_GAS = ethers.BigNumber.from(60000);
+
+/**
+ * Splits one order across several routes to maximise output net of gas.
+ * A route is either one DEX's own quote for the pair or a path through
+ * intermediate tokens with the best DEX on each hop.
+ *
+ * The amount is cut into `parts` equal chunks and each chunk goes to the
+ * route whose net output grows most from it, a route's gas being charged
+ * when it gets its first chunk. Output curves are concave, so this is
+ * optimal up to the chunk size; since the gas step isn't, the result is
+ * also compared with the best single route. Routes are quoted on their
+ * own, so two routes through the same pool are both quoted optimistically.
+ */
+class SplitRouter {
+    constructor(dexAggregator, config = {}) {
+        this.dexAggregator = dexAggregator;
+        
+        this.parts = config.parts || 10;
+        this.maxHops = config.maxHops || 2;
+        
+        // Candidates kept after ranking them on the first chunk
+        this.maxRoutes = config.maxRoutes || 6;
+    }
+    
+    async findRoute(tokenIn, tokenOut, amountIn, options = {}) {
+        const parts = options.parts || this.parts;
+        const chunk = amountIn.div(parts);
+        
+        if (chunk.isZero()) {
+            return null;
+        }
+        
+        const [routes, gasPrice] = await Promise.all([
+            this.getCandidateRoutes(tokenIn, tokenOut, chunk, options.maxHops || this.maxHops),
+            options.gasPrice || this.dexAggregator.bot.getGasPrice()
+        ]);
+        
+        if (routes.length === 0) {
+            return null;
+        }
+        
+        const outPerEth = await this.dexAggregator.getTokenPerEth(tokenOut);
+        const gasCostOf = (gas) => (outPerEth ? gas.mul(gasPrice).mul(outPerEth).div(ethers.constants.WeiPerEther) : ethers.BigNumber.from(0));
+        const netOf = (legQuote) => (legQuote ? legQuote.outputAmount.sub(gasCostOf(legQuote.gasEstimate)) : ethers.BigNumber.from(0));
+        
+        // Greedy allocation: every chunk to the route it adds most net output to
+        for (let part = 0; part < parts; part++) {
+            let best = null;
+            let bestGain = null;
+            
+            for (const route of routes) {
+                if (!route.next) {
+                    continue;
+                }
+                
+                const gain = netOf(route.next).sub(netOf(route.current));
+                
+                if (!best || gain.gt(bestGain)) {
+                    best = route;
+                    bestGain = gain;
+                }
+            }
+            
+            if (!best) {
+                return null;
+            }
+            
+            best.chunks++;
+            best.current = best.next;
+            best.next = await best.quoteAt(chunk.mul(best.chunks + 1));
+        }
+        
+        // The rounding remainder goes to the largest leg
+        const used = routes.filter(route => route.current);
+        const largest = used.reduce((a, b) => (b.chunks > a.chunks ? b : a));
+        const remainder = amountIn.sub(chunk.mul(parts));
+        
+        if (!remainder.isZero()) {
+            largest.current = await largest.quoteAt(chunk.mul(largest.chunks).add(remainder));
+            
+            if (!largest.current) {
+                return null;
+            }
+        }
+        
+        const split = this.toRoute(tokenIn, tokenOut, amountIn, used.map(route => route.current), gasCostOf);
+        
+        // Gas makes the output curve non-concave at the first chunk, so check one route for all of it
+        const single = await this.getBestSingleRoute(routes, amountIn);
+        const singleRoute = single && this.toRoute(tokenIn, tokenOut, amountIn, [single], gasCostOf);
+        
+        return singleRoute && singleRoute.netOutput.gte(split.netOutput) ? singleRoute : split;
+    }
+    
+    /**
+     * Every DEX's direct quote plus every multi-hop token path, ranked on
+     * the output for one chunk
+     */
+    async getCandidateRoutes(tokenIn, tokenOut, chunk, maxHops) {
+        const candidates = [];
+        
+        for (const dexName of this.dexAggregator.dexes.keys()) {
+            candidates.push({
+                name: dexName,
+                quoteAt: amount => this.dexAggregator.getQuote(dexName, tokenIn, tokenOut, amount)
+            });
+        }
+        
+        for (const path of this.dexAggregator.getTokenPaths(tokenIn, tokenOut, maxHops)) {
+            if (path.length > 2) {
+                candidates.push({
+                    name: path.join('-'),
+                    quoteAt: amount => this.dexAggregator.quotePath(path, amount)
+                });
+            }
+        }
+        
+        const firstQuotes = await Promise.allSettled(candidates.map(candidate => candidate.quoteAt(chunk)));
+        const routes = [];
+        
+        candidates.forEach((candidate, i) => {
+            const result = firstQuotes[i];
+            
+            if (result.status === 'fulfilled' && result.value) {
+                routes.push({ ...candidate, chunks: 0, current: null, next: result.value });
+            }
+        });
+        
+        routes.sort((a, b) => (b.next.outputAmount.gt(a.next.outputAmount) ? 1 : -1));
+        
+        return routes.slice(0, this.maxRoutes);
+    }
+    
+    async getBestSingleRoute(routes, amountIn) {
+        const results = await Promise.allSettled(routes.map(route => route.quoteAt(amountIn)));
+        let best = null;
+        
+        for (const result of results) {
+            if (result.status === 'fulfilled' && result.value && (!best || result.value.outputAmount.gt(best.outputAmount))) {
+                best = result.value;
+            }
+        }
+        
+        return best;
+    }
+    
+    toRoute(tokenIn, tokenOut, amountIn, quotes, gasCostOf) {
+        // A leg is one DEX quote or a multi-hop quote, each executed as a list of hops
+        const legs = quotes.map(quote => ({
+            amountIn: quote.amountIn,
+            outputAmount: quote.outputAmount,
+            path: quote.path,
+            share: quote.amountIn.mul(10000).div(amountIn).toNumber(),
+            hops: quote.hops || [quote]
+        }));
+        
+        const outputAmount = legs.reduce((sum, leg) => sum.add(leg.outputAmount), ethers.BigNumber.from(0));
+        const gasEstimate = quotes.reduce((sum, quote) => sum.add(quote.gasEstimate), ROUTE_BASE_GAS);
+        const gasCost = gasCostOf(gasEstimate);
+        
+        return {
+            type: 'split',
+            tokenIn,
+            tokenOut,
+            amountIn,
+            outputAmount,
+            gasEstimate,
+            gasCost,
+            netOutput: outputAmount.sub(gasCost),
+            legs,
+            timestamp: Date.now()
+        };
+    }
+}
+
+module.exports = { SplitRouter };
\ No newline at end of file
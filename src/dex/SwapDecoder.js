@@ -0,0 +1,917 @@
+const { ethers } = require('ethers');
+const { logger } = require('../utils/logger');
+
+// Aggregators and routers name native ETH with one of these
+const NATIVE_ADDRESSES = new Set([
+    ethers.constants.AddressZero,
+    '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee'
+]);
+
+// Router recipient and amount placeholders
+const MSG_SENDER = '0x0000000000000000000000000000000000000001';
+const ADDRESS_THIS = '0x0000000000000000000000000000000000000002';
+const UR_CONTRACT_BALANCE = ethers.BigNumber.from(2).pow(255);
+
+const SWAP_ROUTER_ABI = [
+    // SwapRouter02, no deadline in the params
+    'function exactInputSingle(tuple(address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params)',
+    'function exactInput(tuple(bytes path, address recipient, uint256 amountIn, uint256 amountOutMinimum) params)',
+    'function exactOutputSingle(tuple(address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountOut, uint256 amountInMaximum, uint160 sqrtPriceLimitX96) params)',
+    'function exactOutput(tuple(bytes path, address recipient, uint256 amountOut, uint256 amountInMaximum) params)',
+    'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to)',
+    'function swapTokensForExactTokens(uint256 amountOut, uint256 amountInMax, address[] path, address to)',
+    // The original SwapRouter
+    'function exactInputSingle(tuple(address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params)',
+    'function exactInput(tuple(bytes path, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum) params)',
+    'function exactOutputSingle(tuple(address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountOut, uint256 amountInMaximum, uint160 sqrtPriceLimitX96) params)',
+    'function exactOutput(tuple(bytes path, address recipient, uint256 deadline, uint256 amountOut, uint256 amountInMaximum) params)',
+    'function multicall(bytes[] data)',
+    'function multicall(uint256 deadline, bytes[] data)',
+    'function multicall(bytes32 previousBlockhash, bytes[] data)',
+    'function unwrapWETH9(uint256 amountMinimum, address recipient)',
+    'function unwrapWETH9(uint256 amountMinimum)',
+    'function sweepToken(address token, uint256 amountMinimum, address recipient)',
+    'function sweepToken(address token, uint256 amountMinimum)'
+];
+
+const UNIVERSAL_ROUTER_ABI = [
+    'function execute(bytes commands, bytes[] inputs, uint256 deadline)',
+    'function execute(bytes commands, bytes[] inputs)'
+];
+
+// Universal Router commands, the low 6 bits of each command byte
+const UR_COMMANDS = {
+    0x00: 'V3_SWAP_EXACT_IN',
+    0x01: 'V3_SWAP_EXACT_OUT',
+    0x04: 'SWEEP',
+    0x08: 'V2_SWAP_EXACT_IN',
+    0x09: 'V2_SWAP_EXACT_OUT',
+    0x0b: 'WRAP_ETH',
+    0x0c: 'UNWRAP_WETH'
+};
+
+const V2_ROUTER_ABI = [
+    'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+    'function swapTokensForExactTokens(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline)',
+    'function swapExactETHForTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+    'function swapTokensForExactETH(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline)',
+    'function swapExactTokensForETH(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+    'function swapETHForExactTokens(uint256 amountOut, address[] path, address to, uint256 deadline)',
+    'function swapExactTokensForTokensSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+    'function swapExactETHForTokensSupportingFeeOnTransferTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+    'function swapExactTokensForETHSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+    // Camelot-style routers take a referrer
+    'function swapExactTokensForTokensSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, address referrer, uint256 deadline)',
+    'function swapExactETHForTokensSupportingFeeOnTransferTokens(uint256 amountOutMin, address[] path, address to, address referrer, uint256 deadline)',
+    'function swapExactTokensForETHSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, address referrer, uint256 deadline)'
+];
+
+const AERODROME_ROUTE = 'tuple(address from, address to, bool stable, address factory)[] routes';
+
+const AERODROME_ROUTER_ABI = [
+    `function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, ${AERODROME_ROUTE}, address to, uint256 deadline)`,
+    `function swapExactETHForTokens(uint256 amountOutMin, ${AERODROME_ROUTE}, address to, uint256 deadline)`,
+    `function swapExactTokensForETH(uint256 amountIn, uint256 amountOutMin, ${AERODROME_ROUTE}, address to, uint256 deadline)`,
+    `function swapExactTokensForTokensSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, ${AERODROME_ROUTE}, address to, uint256 deadline)`,
+    `function swapExactETHForTokensSupportingFeeOnTransferTokens(uint256 amountOutMin, ${AERODROME_ROUTE}, address to, uint256 deadline)`,
+    `function swapExactTokensForETHSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, ${AERODROME_ROUTE}, address to, uint256 deadline)`
+];
+
+// Called on the pool itself
+const CURVE_POOL_ABI = [
+    'function exchange(int128 i, int128 j, uint256 dx, uint256 min_dy)',
+    'function exchange(int128 i, int128 j, uint256 dx, uint256 min_dy, address receiver)',
+    'function exchange_underlying(int128 i, int128 j, uint256 dx, uint256 min_dy)',
+    'function exchange_underlying(int128 i, int128 j, uint256 dx, uint256 min_dy, address receiver)',
+    'function exchange(uint256 i, uint256 j, uint256 dx, uint256 min_dy)',
+    'function exchange(uint256 i, uint256 j, uint256 dx, uint256 min_dy, bool use_eth)',
+    'function exchange(uint256 i, uint256 j, uint256 dx, uint256 min_dy, bool use_eth, address receiver)'
+];
+
+const CURVE_ROUTER_ABI = [
+    'function exchange(address[11] route, uint256[5][5] swap_params, uint256 amount, uint256 min_dy)',
+    'function exchange(address[11] route, uint256[5][5] swap_params, uint256 amount, uint256 min_dy, address[5] pools)',
+    'function exchange(address[11] route, uint256[5][5] swap_params, uint256 amount, uint256 min_dy, address[5] pools, address receiver)'
+];
+
+const CURVE_COINS_ABI = [
+    'function coins(uint256) view returns (address)',
+    'function underlying_coins(uint256) view returns (address)'
+];
+
+const CURVE_LEGACY_COINS_ABI = [
+    'function coins(int128) view returns (address)',
+    'function underlying_coins(int128) view returns (address)'
+];
+
+const ONE_INCH_DESC = 'tuple(address srcToken, address dstToken, address srcReceiver, address dstReceiver, uint256 amount, uint256 minReturnAmount, uint256 flags) desc';
+
+const ONE_INCH_ABI = [
+    `function swap(address executor, ${ONE_INCH_DESC}, bytes permit, bytes data)`,
+    `function swap(address executor, ${ONE_INCH_DESC}, bytes data)`,
+    'function unoswap(address srcToken, uint256 amount, uint256 minReturn, uint256[] pools)',
+    'function unoswapTo(address recipient, address srcToken, uint256 amount, uint256 minReturn, uint256[] pools)',
+    'function uniswapV3Swap(uint256 amount, uint256 minReturn, uint256[] pools)',
+    'function uniswapV3SwapTo(address recipient, uint256 amount, uint256 minReturn, uint256[] pools)'
+];
+
+const ZERO_EX_ABI = [
+    'function transformERC20(address inputToken, address outputToken, uint256 inputTokenAmount, uint256 minOutputTokenAmount, tuple(uint32 deploymentNonce, bytes data)[] transformations)',
+    'function sellToUniswap(address[] tokens, uint256 sellAmount, uint256 minBuyAmount, bool isSushi)',
+    'function sellTokenForTokenToUniswapV3(bytes encodedPath, uint256 sellAmount, uint256 minBuyAmount, address recipient)',
+    'function sellEthForTokenToUniswapV3(bytes encodedPath, uint256 minBuyAmount, address recipient)',
+    'function sellTokenForEthToUniswapV3(bytes encodedPath, uint256 sellAmount, uint256 minBuyAmount, address recipient)'
+];
+
+const KYBER_DESC = 'tuple(address srcToken, address dstToken, address[] srcReceivers, uint256[] srcAmounts, address[] feeReceivers, uint256[] feeAmounts, address dstReceiver, uint256 amount, uint256 minReturnAmount, uint256 flags, bytes permit) desc';
+
+const KYBER_ABI = [
+    `function swap(tuple(address callTarget, address approveTarget, bytes targetData, ${KYBER_DESC}, bytes clientData) execution)`,
+    `function swapSimpleMode(address caller, ${KYBER_DESC}, bytes executorData, bytes clientData)`
+];
+
+const ODOS_ABI = [
+    'function swap(tuple(address inputToken, uint256 inputAmount, address inputReceiver, address outputToken, uint256 outputQuote, uint256 outputMin, address outputReceiver) tokenInfo, bytes pathDefinition, address executor, uint32 referralCode)'
+];
+
+// 1inch packs each pool with flags in the top bits
+const ADDRESS_MASK = ethers.BigNumber.from(2).pow(160).sub(1);
+
+/**
+ * Decodes swaps sent to DEX routers, Curve pools and aggregators into one
+ * shape strategies can use directly:
+ *
+ *   { type: 'swap', protocol, dex, method, tokenIn, tokenOut, amountIn,
+ *     minOut, recipient, path, pools, exactOutput, nativeIn, nativeOut }
+ *
+ * `pools` has one entry per hop, `{ dex, tokenIn, tokenOut, fee, stable,
+ * address }`, with what the calldata says about it: the address only when
+ * it's named (Curve, 1inch unoswap), tokens only when they're known. It's
+ * empty when an aggregator hides its route in executor data. Native ETH is
+ * reported as WETH with nativeIn / nativeOut set. Exact-output swaps give
+ * the maximum input as amountIn and the exact output as minOut.
+ *
+ * A transaction with several independent swaps (a split Universal Router
+ * route, a multicall of unrelated swaps) also lists them under `legs`, and
+ * its top level sums the legs when they trade the same pair.
+ */
+class SwapDecoder {
+    constructor(bot) {
+        this.bot = bot;
+        this.config = bot.config.decoder || {};
+        this.weth = bot.config.tokens.WETH;
+        
+        // Lowercase router address -> { dex, protocol }
+        this.routers = this.loadRouters();
+        
+        // Selector -> { protocol, iface }
+        this.selectors = new Map();
+        
+        this.addSelectors('swapRouter', SWAP_ROUTER_ABI);
+        this.addSelectors('universalRouter', UNIVERSAL_ROUTER_ABI);
+        this.addSelectors('v2Router', V2_ROUTER_ABI);
+        this.addSelectors('aerodrome', AERODROME_ROUTER_ABI);
+        this.addSelectors('curve', CURVE_POOL_ABI);
+        this.addSelectors('curveRouter', CURVE_ROUTER_ABI);
+        this.addSelectors('oneInch', ONE_INCH_ABI);
+        this.addSelectors('zeroEx', ZERO_EX_ABI);
+        this.addSelectors('kyberSwap', KYBER_ABI);
+        this.addSelectors('odos', ODOS_ABI);
+        
+        // Curve pools are decoded only when known: configured, or traded by a
+        // strategy. Any contract can have an exchange selector
+        this.curvePools = new Set((this.config.curvePools || []).map(address => address.toLowerCase()));
+        
+        // Curve pool -> Promise<{ coins, underlying }>
+        this.curveCoins = new Map();
+        
+        this.stats = {
+            decoded: 0,
+            failed: 0
+        };
+    }
+    
+    loadRouters() {
+        const routers = new Map();
+        const dexes = this.bot.config.dexes || {};
+        
+        const add = (address, dex, protocol) => {
+            if (address) {
+                routers.set(address.toLowerCase(), { dex, protocol });
+            }
+        };
+        
+        add(dexes.uniswapV3?.router, 'uniswapV3', 'swapRouter');
+        add(dexes.sushiswap?.router, 'sushiswap', 'v2Router');
+        add(dexes.curve?.router, 'curve', 'curveRouter');
+        add(dexes.aerodrome?.router, 'aerodrome', 'aerodrome');
+        add(dexes.velodrome?.router, 'velodrome', 'aerodrome');
+        
+        for (const [name, forkConfig] of Object.entries(dexes.v2Forks || {})) {
+            add(forkConfig.router, name, 'v2Router');
+        }
+        
+        // Universal Router and aggregators, keyed by protocol
+        for (const [protocol, addresses] of Object.entries(this.config.routers || {})) {
+            for (const address of [].concat(addresses)) {
+                add(address, null, protocol);
+            }
+        }
+        
+        return routers;
+    }
+    
+    addSelectors(protocol, abi) {
+        const iface = new ethers.utils.Interface(abi);
+        
+        for (const fragment of Object.values(iface.functions)) {
+            const selector = iface.getSighash(fragment);
+            
+            if (!this.selectors.has(selector)) {
+                this.selectors.set(selector, { protocol, iface });
+            }
+        }
+    }
+    
+    addCurvePools(addresses) {
+        for (const address of addresses) {
+            this.curvePools.add(address.toLowerCase());
+        }
+    }
+    
+    isSwapRouter(address) {
+        return Boolean(address && this.routers.has(address.toLowerCase()));
+    }
+    
+    /**
+     * Normalized swap for a transaction, or null when it isn't a swap this
+     * decoder knows
+     */
+    async decode(tx) {
+        if (!tx.to || !tx.data || tx.data.length < 10) {
+            return null;
+        }
+        
+        const entry = this.selectors.get(tx.data.slice(0, 10).toLowerCase());
+        
+        if (!entry) {
+            return null;
+        }
+        
+        const router = this.routers.get(tx.to.toLowerCase()) || { dex: null, protocol: entry.protocol };
+        const transaction = { ...tx, value: ethers.BigNumber.from(tx.value || 0) };
+        
+        try {
+            const call = entry.iface.parseTransaction({ data: tx.data });
+            const swaps = await this.decodeCall(entry.protocol, call, transaction, router);
+            const decoded = swaps && this.combine(swaps, transaction);
+            
+            if (!decoded) {
+                return null;
+            }
+            
+            this.stats.decoded++;
+            
+            return { type: 'swap', protocol: entry.protocol, method: call.name, ...decoded };
+        } catch (error) {
+            this.stats.failed++;
+            logger.debug('Failed to decode swap', { hash: tx.hash, protocol: entry.protocol, error: error.message });
+            return null;
+        }
+    }
+    
+    async decodeCall(protocol, call, tx, router) {
+        switch (protocol) {
+            case 'swapRouter':
+                return this.decodeSwapRouter(call, tx);
+            case 'universalRouter':
+                return this.decodeUniversalRouter(call, tx);
+            case 'v2Router':
+                return this.decodeV2Router(call, tx, router.dex);
+            case 'aerodrome':
+                return this.decodeAerodrome(call, tx, router.dex || 'aerodrome');
+            case 'curve':
+                return this.decodeCurvePool(call, tx);
+            case 'curveRouter':
+                return this.decodeCurveRouter(call, tx);
+            case 'oneInch':
+                return this.decodeOneInch(call, tx);
+            case 'zeroEx':
+                return this.decodeZeroEx(call, tx);
+            case 'kyberSwap':
+                return this.decodeKyberSwap(call, tx);
+            case 'odos':
+                return this.decodeOdos(call, tx);
+            default:
+                return null;
+        }
+    }
+    
+    // Uniswap SwapRouter and SwapRouter02, including multicall batches
+    decodeSwapRouter(call, tx) {
+        const { args } = call;
+        
+        if (call.name === 'multicall') {
+            const swaps = [];
+            
+            for (const data of args.data) {
+                const inner = this.parseInner('swapRouter', data);
+                
+                if (inner) {
+                    swaps.push(...this.decodeSwapRouter(inner, tx));
+                }
+            }
+            
+            return swaps;
+        }
+        
+        switch (call.name) {
+            case 'exactInputSingle':
+                return [this.v3Swap(tx, [args.params.tokenIn, args.params.tokenOut], [args.params.fee], {
+                    amountIn: args.params.amountIn,
+                    minOut: args.params.amountOutMinimum,
+                    recipient: args.params.recipient,
+                    contractBalance: ethers.constants.Zero
+                })];
+            
+            case 'exactInput': {
+                const { tokens, fees } = decodeV3Path(args.params.path);
+                
+                return [this.v3Swap(tx, tokens, fees, {
+                    amountIn: args.params.amountIn,
+                    minOut: args.params.amountOutMinimum,
+                    recipient: args.params.recipient,
+                    contractBalance: ethers.constants.Zero
+                })];
+            }
+            
+            case 'exactOutputSingle':
+                return [this.v3Swap(tx, [args.params.tokenIn, args.params.tokenOut], [args.params.fee], {
+                    amountIn: args.params.amountInMaximum,
+                    minOut: args.params.amountOut,
+                    recipient: args.params.recipient,
+                    exactOutput: true
+                })];
+            
+            case 'exactOutput': {
+                // Exact-output paths are encoded from the output token back
+                const { tokens, fees } = decodeV3Path(args.params.path);
+                
+                return [this.v3Swap(tx, tokens.reverse(), fees.reverse(), {
+                    amountIn: args.params.amountInMaximum,
+                    minOut: args.params.amountOut,
+                    recipient: args.params.recipient,
+                    exactOutput: true
+                })];
+            }
+            
+            case 'swapExactTokensForTokens':
+                return [this.v2Swap(tx, args.path, 'uniswapV2', {
+                    amountIn: args.amountIn.isZero() ? null : args.amountIn,
+                    minOut: args.amountOutMin,
+                    recipient: args.to
+                })];
+            
+            case 'swapTokensForExactTokens':
+                return [this.v2Swap(tx, args.path, 'uniswapV2', {
+                    amountIn: args.amountInMax,
+                    minOut: args.amountOut,
+                    recipient: args.to,
+                    exactOutput: true
+                })];
+            
+            case 'unwrapWETH9':
+                return [{ unwrap: true, recipient: this.resolveRecipient(args.recipient || MSG_SENDER, tx) }];
+            
+            case 'sweepToken':
+                return [{ sweep: args.token, recipient: this.resolveRecipient(args.recipient || MSG_SENDER, tx) }];
+            
+            default:
+                return [];
+        }
+    }
+    
+    // Universal Router command streams
+    decodeUniversalRouter(call, tx) {
+        const commands = ethers.utils.arrayify(call.args.commands);
+        const swaps = [];
+        const coder = ethers.utils.defaultAbiCoder;
+        
+        commands.forEach((command, i) => {
+            const input = call.args.inputs[i];
+            
+            switch (UR_COMMANDS[command & 0x3f]) {
+                case 'V3_SWAP_EXACT_IN': {
+                    const [recipient, amountIn, amountOutMin, path] = coder.decode(['address', 'uint256', 'uint256', 'bytes', 'bool'], input);
+                    const { tokens, fees } = decodeV3Path(path);
+                    
+                    swaps.push(this.v3Swap(tx, tokens, fees, {
+                        amountIn,
+                        minOut: amountOutMin,
+                        recipient,
+                        contractBalance: UR_CONTRACT_BALANCE
+                    }));
+                    break;
+                }
+                
+                case 'V3_SWAP_EXACT_OUT': {
+                    const [recipient, amountOut, amountInMax, path] = coder.decode(['address', 'uint256', 'uint256', 'bytes', 'bool'], input);
+                    const { tokens, fees } = decodeV3Path(path);
+                    
+                    swaps.push(this.v3Swap(tx, tokens.reverse(), fees.reverse(), {
+                        amountIn: amountInMax,
+                        minOut: amountOut,
+                        recipient,
+                        exactOutput: true
+                    }));
+                    break;
+                }
+                
+                case 'V2_SWAP_EXACT_IN': {
+                    const [recipient, amountIn, amountOutMin, path] = coder.decode(['address', 'uint256', 'uint256', 'address[]', 'bool'], input);
+                    
+                    swaps.push(this.v2Swap(tx, path, 'uniswapV2', {
+                        amountIn: amountIn.eq(UR_CONTRACT_BALANCE) ? null : amountIn,
+                        minOut: amountOutMin,
+                        recipient
+                    }));
+                    break;
+                }
+                
+                case 'V2_SWAP_EXACT_OUT': {
+                    const [recipient, amountOut, amountInMax, path] = coder.decode(['address', 'uint256', 'uint256', 'address[]', 'bool'], input);
+                    
+                    swaps.push(this.v2Swap(tx, path, 'uniswapV2', {
+                        amountIn: amountInMax,
+                        minOut: amountOut,
+                        recipient,
+                        exactOutput: true
+                    }));
+                    break;
+                }
+                
+                case 'WRAP_ETH':
+                    swaps.push({ wrap: true });
+                    break;
+                
+                case 'UNWRAP_WETH': {
+                    const [recipient] = coder.decode(['address', 'uint256'], input);
+                    swaps.push({ unwrap: true, recipient: this.resolveRecipient(recipient, tx) });
+                    break;
+                }
+                
+                case 'SWEEP': {
+                    const [token, recipient] = coder.decode(['address', 'address', 'uint256'], input);
+                    swaps.push({ sweep: token, recipient: this.resolveRecipient(recipient, tx) });
+                    break;
+                }
+                
+                default:
+                    // Permit2, transfers, pay-portion and others don't move pools
+                    break;
+            }
+        });
+        
+        return swaps;
+    }
+    
+    // Uniswap V2 Router02 and its forks
+    decodeV2Router(call, tx, dex) {
+        const { args } = call;
+        const ethIn = call.name.startsWith('swapExactETH') || call.name.startsWith('swapETH');
+        const ethOut = call.name.includes('ForETH') || call.name.includes('ForExactETH');
+        const exactOutput = call.name.includes('ForExact');
+        
+        // ETH in is sent as the value, exact-output swaps give a maximum input
+        let amountIn = exactOutput ? args.amountInMax : args.amountIn;
+        
+        if (ethIn) {
+            amountIn = tx.value;
+        }
+        
+        return [this.v2Swap(tx, args.path, dex || 'uniswapV2', {
+            amountIn,
+            minOut: exactOutput ? args.amountOut : args.amountOutMin,
+            recipient: args.to,
+            exactOutput,
+            nativeIn: ethIn,
+            nativeOut: ethOut
+        })];
+    }
+    
+    decodeAerodrome(call, tx, dex) {
+        const { args } = call;
+        const ethIn = call.name.startsWith('swapExactETH');
+        const { routes } = args;
+        
+        const pools = routes.map(route => ({
+            dex,
+            tokenIn: route.from,
+            tokenOut: route.to,
+            stable: route.stable,
+            address: null
+        }));
+        
+        return [{
+            tokenIn: routes[0].from,
+            tokenOut: routes[routes.length - 1].to,
+            amountIn: ethIn ? tx.value : args.amountIn,
+            minOut: args.amountOutMin,
+            recipient: args.to,
+            path: [routes[0].from, ...routes.map(route => route.to)],
+            pools,
+            exactOutput: false,
+            nativeIn: ethIn,
+            nativeOut: call.name.includes('ForETH')
+        }];
+    }
+    
+    async decodeCurvePool(call, tx) {
+        if (!this.curvePools.has(tx.to.toLowerCase())) {
+            return null;
+        }
+        
+        const { args } = call;
+        const underlying = call.name === 'exchange_underlying';
+        const { coins, underlyingCoins } = await this.getCurveCoins(tx.to);
+        const list = underlying ? underlyingCoins : coins;
+        
+        const tokenIn = list[args.i.toNumber()];
+        const tokenOut = list[args.j.toNumber()];
+        
+        if (!tokenIn || !tokenOut) {
+            return null;
+        }
+        
+        const nativeIn = NATIVE_ADDRESSES.has(tokenIn.toLowerCase()) || Boolean(args.use_eth && tokenIn.toLowerCase() === this.weth.toLowerCase());
+        const nativeOut = NATIVE_ADDRESSES.has(tokenOut.toLowerCase()) || Boolean(args.use_eth && tokenOut.toLowerCase() === this.weth.toLowerCase());
+        
+        return [{
+            tokenIn: this.normalizeToken(tokenIn),
+            tokenOut: this.normalizeToken(tokenOut),
+            amountIn: args.dx,
+            minOut: args.min_dy,
+            recipient: args.receiver || tx.from,
+            path: [this.normalizeToken(tokenIn), this.normalizeToken(tokenOut)],
+            pools: [{
+                dex: 'curve',
+                tokenIn: this.normalizeToken(tokenIn),
+                tokenOut: this.normalizeToken(tokenOut),
+                address: ethers.utils.getAddress(tx.to),
+                underlying
+            }],
+            exactOutput: false,
+            nativeIn,
+            nativeOut
+        }];
+    }
+    
+    async getCurveCoins(pool) {
+        const key = pool.toLowerCase();
+        
+        if (!this.curveCoins.has(key)) {
+            const load = this.loadCurveCoins(pool, CURVE_COINS_ABI)
+                // The oldest pools index coins by int128
+                .then(coins => (coins.coins[0] ? coins : this.loadCurveCoins(pool, CURVE_LEGACY_COINS_ABI)))
+                .then((coins) => {
+                    // Coins are kept only when found, a failed read is tried again
+                    if (!coins.coins[0]) {
+                        this.curveCoins.delete(key);
+                    }
+                    
+                    return coins;
+                });
+            
+            this.curveCoins.set(key, load);
+            load.catch(() => this.curveCoins.delete(key));
+        }
+        
+        return this.curveCoins.get(key);
+    }
+    
+    async loadCurveCoins(pool, abi) {
+        const contract = new ethers.Contract(pool, abi, this.bot.getReadProvider());
+        const indexes = [0, 1, 2, 3];
+        
+        const [coins, underlyingCoins] = await Promise.all([
+            Promise.all(indexes.map(i => contract.coins(i).catch(() => null))),
+            Promise.all(indexes.map(i => contract.underlying_coins(i).catch(() => null)))
+        ]);
+        
+        return { coins, underlyingCoins };
+    }
+    
+    // CurveRouterNG: route alternates token, pool, token, ...
+    decodeCurveRouter(call, tx) {
+        const { args } = call;
+        const route = args.route.filter(address => address !== ethers.constants.AddressZero);
+        const path = route.filter((address, i) => i % 2 === 0).map(token => this.normalizeToken(token));
+        
+        const pools = path.slice(1).map((tokenOut, i) => ({
+            dex: 'curve',
+            tokenIn: path[i],
+            tokenOut,
+            address: route[i * 2 + 1]
+        }));
+        
+        return [{
+            tokenIn: path[0],
+            tokenOut: path[path.length - 1],
+            amountIn: args.amount,
+            minOut: args.min_dy,
+            recipient: args.receiver || tx.from,
+            path,
+            pools,
+            exactOutput: false,
+            nativeIn: NATIVE_ADDRESSES.has(route[0].toLowerCase()),
+            nativeOut: NATIVE_ADDRESSES.has(route[route.length - 1].toLowerCase())
+        }];
+    }
+    
+    decodeOneInch(call, tx) {
+        const { args } = call;
+        
+        if (call.name === 'swap') {
+            return [this.aggregatorSwap(tx, args.desc.srcToken, args.desc.dstToken, {
+                amountIn: args.desc.amount,
+                minOut: args.desc.minReturnAmount,
+                recipient: args.desc.dstReceiver === ethers.constants.AddressZero ? tx.from : args.desc.dstReceiver
+            })];
+        }
+        
+        // unoswap and uniswapV3Swap name their pools but not the tokens between them
+        const pools = args.pools.map(pool => ({
+            dex: call.name.startsWith('uniswapV3') ? 'uniswapV3' : null,
+            address: ethers.utils.getAddress(ethers.utils.hexZeroPad(pool.and(ADDRESS_MASK).toHexString(), 20))
+        }));
+        
+        const srcToken = args.srcToken || null;
+        
+        return [{
+            tokenIn: srcToken && this.normalizeToken(srcToken),
+            tokenOut: null,
+            amountIn: args.amount.isZero() ? tx.value : args.amount,
+            minOut: args.minReturn,
+            recipient: args.recipient || tx.from,
+            path: srcToken ? [this.normalizeToken(srcToken)] : [],
+            pools,
+            exactOutput: false,
+            nativeIn: srcToken ? NATIVE_ADDRESSES.has(srcToken.toLowerCase()) : !tx.value.isZero(),
+            nativeOut: false
+        }];
+    }
+    
+    decodeZeroEx(call, tx) {
+        const { args } = call;
+        
+        switch (call.name) {
+            case 'transformERC20':
+                return [this.aggregatorSwap(tx, args.inputToken, args.outputToken, {
+                    amountIn: args.inputTokenAmount,
+                    minOut: args.minOutputTokenAmount,
+                    recipient: tx.from
+                })];
+            
+            case 'sellToUniswap':
+                return [this.v2Swap(tx, args.tokens.map(token => this.normalizeToken(token)), args.isSushi ? 'sushiswap' : 'uniswapV2', {
+                    amountIn: args.sellAmount,
+                    minOut: args.minBuyAmount,
+                    recipient: tx.from,
+                    nativeIn: NATIVE_ADDRESSES.has(args.tokens[0].toLowerCase()),
+                    nativeOut: NATIVE_ADDRESSES.has(args.tokens[args.tokens.length - 1].toLowerCase())
+                })];
+            
+            default: {
+                const { tokens, fees } = decodeV3Path(args.encodedPath);
+                
+                return [this.v3Swap(tx, tokens, fees, {
+                    amountIn: call.name === 'sellEthForTokenToUniswapV3' ? tx.value : args.sellAmount,
+                    minOut: args.minBuyAmount,
+                    recipient: args.recipient === ethers.constants.AddressZero ? tx.from : args.recipient,
+                    nativeIn: call.name === 'sellEthForTokenToUniswapV3',
+                    nativeOut: call.name === 'sellTokenForEthToUniswapV3'
+                })];
+            }
+        }
+    }
+    
+    decodeKyberSwap(call, tx) {
+        const desc = call.name === 'swap' ? call.args.execution.desc : call.args.desc;
+        
+        return [this.aggregatorSwap(tx, desc.srcToken, desc.dstToken, {
+            amountIn: desc.amount,
+            minOut: desc.minReturnAmount,
+            recipient: desc.dstReceiver
+        })];
+    }
+    
+    decodeOdos(call, tx) {
+        const { tokenInfo } = call.args;
+        
+        return [this.aggregatorSwap(tx, tokenInfo.inputToken, tokenInfo.outputToken, {
+            amountIn: tokenInfo.inputAmount.isZero() ? tx.value : tokenInfo.inputAmount,
+            minOut: tokenInfo.outputMin,
+            recipient: tokenInfo.outputReceiver
+        })];
+    }
+    
+    v3Swap(tx, tokens, fees, { amountIn, minOut, recipient, contractBalance, exactOutput = false, nativeIn = false, nativeOut = false }) {
+        const path = tokens.map(token => ethers.utils.getAddress(token));
+        
+        return {
+            tokenIn: path[0],
+            tokenOut: path[path.length - 1],
+            // Swaps that spend the router's balance follow an earlier one in the same call
+            amountIn: contractBalance && amountIn.eq(contractBalance) ? null : amountIn,
+            minOut,
+            recipient: this.resolveRecipient(recipient, tx),
+            path,
+            fees,
+            pools: path.slice(1).map((tokenOut, i) => ({ dex: 'uniswapV3', tokenIn: path[i], tokenOut, fee: fees[i], address: null })),
+            exactOutput,
+            nativeIn,
+            nativeOut
+        };
+    }
+    
+    v2Swap(tx, path, dex, { amountIn, minOut, recipient, exactOutput = false, nativeIn = false, nativeOut = false }) {
+        return {
+            tokenIn: path[0],
+            tokenOut: path[path.length - 1],
+            amountIn,
+            minOut,
+            recipient: this.resolveRecipient(recipient, tx),
+            path: [...path],
+            pools: path.slice(1).map((tokenOut, i) => ({ dex, tokenIn: path[i], tokenOut, address: null })),
+            exactOutput,
+            nativeIn,
+            nativeOut
+        };
+    }
+    
+    // Aggregators that keep the route in executor data only give the ends
+    aggregatorSwap(tx, srcToken, dstToken, { amountIn, minOut, recipient }) {
+        const tokenIn = this.normalizeToken(srcToken);
+        const tokenOut = this.normalizeToken(dstToken);
+        
+        return {
+            tokenIn,
+            tokenOut,
+            amountIn,
+            minOut,
+            recipient,
+            path: [tokenIn, tokenOut],
+            pools: [],
+            exactOutput: false,
+            nativeIn: NATIVE_ADDRESSES.has(srcToken.toLowerCase()),
+            nativeOut: NATIVE_ADDRESSES.has(dstToken.toLowerCase())
+        };
+    }
+    
+    /**
+     * One normalized swap from the pieces of a call: chained swaps are
+     * joined, wraps and unwraps set the native flags and the router's
+     * sweeps or unwraps give the final recipient
+     */
+    combine(pieces, tx) {
+        const legs = [];
+        let wrapped = false;
+        
+        for (const piece of pieces) {
+            if (piece.wrap) {
+                wrapped = true;
+                continue;
+            }
+            
+            if (piece.unwrap || piece.sweep) {
+                // Output the router held on to goes out here
+                for (const leg of legs) {
+                    if (leg.recipient.toLowerCase() === tx.to.toLowerCase()) {
+                        leg.recipient = piece.recipient;
+                        leg.nativeOut = leg.nativeOut || Boolean(piece.unwrap);
+                    }
+                }
+                continue;
+            }
+            
+            const previous = legs[legs.length - 1];
+            
+            // A swap of the previous one's output, held by the router in between
+            if (previous && !piece.amountIn && previous.tokenOut.toLowerCase() === piece.tokenIn.toLowerCase()) {
+                legs[legs.length - 1] = {
+                    ...previous,
+                    tokenOut: piece.tokenOut,
+                    minOut: piece.minOut,
+                    recipient: piece.recipient,
+                    path: [...previous.path, ...piece.path.slice(1)],
+                    fees: previous.fees && piece.fees ? [...previous.fees, ...piece.fees] : undefined,
+                    pools: [...previous.pools, ...piece.pools],
+                    nativeOut: piece.nativeOut
+                };
+                continue;
+            }
+            
+            // ETH sent along to a router that wraps it itself
+            const payable = !tx.value.isZero() && piece.tokenIn && piece.tokenIn.toLowerCase() === this.weth.toLowerCase();
+            
+            legs.push({ ...piece, nativeIn: piece.nativeIn || wrapped || payable });
+        }
+        
+        if (legs.length === 0) {
+            return null;
+        }
+        
+        for (const leg of legs) {
+            // Wrapped ETH spent from the router's balance is the transaction's value
+            if (!leg.amountIn && leg.nativeIn) {
+                leg.amountIn = tx.value;
+            }
+            
+            leg.tokenIn = leg.tokenIn && this.normalizeToken(leg.tokenIn);
+            leg.tokenOut = leg.tokenOut && this.normalizeToken(leg.tokenOut);
+            leg.dex = getCommonDex(leg.pools);
+        }
+        
+        if (legs.length === 1) {
+            return legs[0];
+        }
+        
+        const [first] = legs;
+        const samePair = legs.every(leg => (
+            leg.tokenIn === first.tokenIn && leg.tokenOut === first.tokenOut && leg.amountIn && leg.minOut
+        ));
+        
+        if (!samePair) {
+            return { ...first, legs };
+        }
+        
+        // A split route: the pair, summed over every leg
+        return {
+            ...first,
+            amountIn: legs.reduce((sum, leg) => sum.add(leg.amountIn), ethers.constants.Zero),
+            minOut: legs.reduce((sum, leg) => sum.add(leg.minOut), ethers.constants.Zero),
+            pools: legs.flatMap(leg => leg.pools),
+            dex: getCommonDex(legs.flatMap(leg => leg.pools)),
+            legs
+        };
+    }
+    
+    resolveRecipient(recipient, tx) {
+        if (recipient === MSG_SENDER) {
+            return tx.from;
+        }
+        
+        return recipient === ADDRESS_THIS ? ethers.utils.getAddress(tx.to) : recipient;
+    }
+    
+    normalizeToken(token) {
+        return NATIVE_ADDRESSES.has(token.toLowerCase()) ? this.weth : ethers.utils.getAddress(token);
+    }
+    
+    // A call inside a multicall, if it's one of the protocol's own
+    parseInner(protocol, data) {
+        const entry = this.selectors.get(data.slice(0, 10).toLowerCase());
+        
+        if (!entry || entry.protocol !== protocol) {
+            return null;
+        }
+        
+        try {
+            return entry.iface.parseTransaction({ data });
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    getStats() {
+        return {
+            ...this.stats,
+            routers: this.routers.size,
+            curvePools: this.curvePools.size
+        };
+    }
+}
+
+// Uniswap V3 path: token (20 bytes), then fee (3 bytes) and token for every hop
+function decodeV3Path(path) {
+    const bytes = ethers.utils.arrayify(path);
+    const tokens = [];
+    const fees = [];
+    
+    for (let i = 0; i + 20 <= bytes.length; i += 23) {
+        tokens.push(ethers.utils.getAddress(ethers.utils.hexlify(bytes.slice(i, i + 20))));
+        
+        if (i + 23 <= bytes.length) {
+            fees.push((bytes[i + 20] << 16) | (bytes[i + 21] << 8) | bytes[i + 22]);
+        }
+    }
+    
+    return { tokens, fees };
+}
+
+function getCommonDex(pools) {
+    const dexes = new Set(pools.map(pool => pool.dex));
+    return dexes.size === 1 ? pools[0].dex : null;
+}
+
+module.exports = { SwapDecoder, decodeV3Path };
\ No newline at end of file
@@ -0,0 +1,330 @@
+const { ethers } = require('ethers');
+const { logger } = require('../utils/logger');
+
+const ROUTER_ABI = [
+    'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline) returns (uint256[] amounts)',
+    // Camelot-style routers take a referrer and only swap supporting fee-on-transfer tokens
+    'function swapExactTokensForTokensSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, address referrer, uint256 deadline)'
+];
+
+const FACTORY_ABI = [
+    'function getPair(address tokenA, address tokenB) view returns (address pair)'
+];
+
+const PAIR_ABI = [
+    'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)'
+];
+
+const SYNC_TOPIC = ethers.utils.id('Sync(uint112,uint112)');
+
+/**
+ * Any Uniswap V2 fork, configured by its contracts:
+ *   { router, factory, feeBps, initCodeHash, connectors?, referrer? }
+ *
+ * Pair addresses are computed with CREATE2 from the factory and the
+ * pair init code hash, and quotes come straight from the pair reserves,
+ * so a new fork needs a config entry and no code. Without an init code
+ * hash, pairs are looked up through factory.getPair instead.
+ */
+class UniswapV2Fork {
+    constructor(provider, config, name = 'uniswapV2') {
+        this.provider = provider;
+        this.config = config;
+        this.name = name;
+        
+        this.contracts = {
+            router: config.router,
+            factory: config.factory
+        };
+        
+        this.router = new ethers.Contract(this.contracts.router, ROUTER_ABI, provider);
+        this.factory = new ethers.Contract(this.contracts.factory, FACTORY_ABI, provider);
+        
+        this.feeBps = config.feeBps || 30;
+        this.initCodeHash = config.initCodeHash || null;
+        this.initCodeHashChecked = false;
+        
+        // Intermediate tokens tried for two-hop quotes
+        const weth = config.WETH || '0x4200000000000000000000000000000000000006';
+        this.connectors = config.connectors || [weth];
+        
+        // Pairs that exist, and when missing ones were last checked
+        this.pairCache = new Map();
+        this.missingPairs = new Map();
+        this.missingPairTTL = 10 * 60 * 1000;
+        
+        logger.info(`${name} adapter initialized`);
+    }
+    
+    async getQuote(tokenIn, tokenOut, amountIn) {
+        try {
+            const paths = [[tokenIn, tokenOut]];
+            
+            for (const connector of this.connectors) {
+                const hop = connector.toLowerCase();
+                
+                if (hop !== tokenIn.toLowerCase() && hop !== tokenOut.toLowerCase()) {
+                    paths.push([tokenIn, connector, tokenOut]);
+                }
+            }
+            
+            const results = await Promise.allSettled(paths.map(path => this.getAmountsOut(amountIn, path)));
+            let best = null;
+            
+            results.forEach((result, i) => {
+                if (result.status !== 'fulfilled' || !result.value) {
+                    return;
+                }
+                
+                const outputAmount = result.value[result.value.length - 1];
+                
+                if (outputAmount.gt(0) && (!best || outputAmount.gt(best.outputAmount))) {
+                    best = { outputAmount, path: paths[i] };
+                }
+            });
+            
+            if (!best) {
+                return null;
+            }
+            
+            return {
+                outputAmount: best.outputAmount,
+                path: best.path,
+                gasEstimate: this.getGasEstimate(best.path)
+            };
+            
+        } catch (error) {
+            logger.debug(`Failed to get ${this.name} quote`, {
+                error: error.message,
+                tokenIn,
+                tokenOut
+            });
+            return null;
+        }
+    }
+    
+    // Router getAmountsOut, computed from the reserves of each pair
+    async getAmountsOut(amountIn, path) {
+        const amounts = [amountIn];
+        
+        for (let i = 0; i < path.length - 1; i++) {
+            const address = await this.getPair(path[i], path[i + 1]);
+            
+            if (address === ethers.constants.AddressZero) {
+                return null;
+            }
+            
+            // Pools the state store follows are read as of its latest block
+            const { reserve0, reserve1 } = (this.store && this.store.get(address)) || await this.getReserves({ address });
+            const zeroForOne = path[i].toLowerCase() < path[i + 1].toLowerCase();
+            
+            amounts.push(getAmountOut(
+                amounts[i],
+                zeroForOne ? reserve0 : reserve1,
+                zeroForOne ? reserve1 : reserve0,
+                this.feeBps
+            ));
+        }
+        
+        return amounts;
+    }
+    
+    computePairAddress(tokenA, tokenB) {
+        const [token0, token1] = sortTokens(tokenA, tokenB);
+        const salt = ethers.utils.keccak256(ethers.utils.solidityPack(['address', 'address'], [token0, token1]));
+        
+        return ethers.utils.getCreate2Address(this.contracts.factory, salt, this.initCodeHash);
+    }
+    
+    async getPair(tokenA, tokenB) {
+        const cacheKey = sortTokens(tokenA, tokenB).join('-').toLowerCase();
+        
+        if (this.pairCache.has(cacheKey)) {
+            return this.pairCache.get(cacheKey);
+        }
+        
+        const checkedAt = this.missingPairs.get(cacheKey);
+        
+        if (checkedAt && Date.now() - checkedAt < this.missingPairTTL) {
+            return ethers.constants.AddressZero;
+        }
+        
+        try {
+            let pair;
+            
+            if (this.initCodeHash) {
+                await this.checkInitCodeHash(tokenA, tokenB);
+            }
+            
+            if (this.initCodeHash) {
+                // A computed address only holds a pair once the factory has created it
+                pair = this.computePairAddress(tokenA, tokenB);
+                
+                if (await this.provider.getCode(pair) === '0x') {
+                    pair = ethers.constants.AddressZero;
+                }
+            } else {
+                pair = await this.factory.getPair(tokenA, tokenB);
+            }
+            
+            if (pair === ethers.constants.AddressZero) {
+                this.missingPairs.set(cacheKey, Date.now());
+            } else {
+                this.pairCache.set(cacheKey, pair);
+                this.missingPairs.delete(cacheKey);
+            }
+            
+            return pair;
+        } catch (error) {
+            return ethers.constants.AddressZero;
+        }
+    }
+    
+    async checkInitCodeHash(tokenA, tokenB) {
+        // A wrong hash would make every pair look missing, so compare once with the factory
+        if (this.initCodeHashChecked) {
+            return;
+        }
+        
+        const pair = await this.factory.getPair(tokenA, tokenB);
+        
+        if (pair === ethers.constants.AddressZero) {
+            return;
+        }
+        
+        this.initCodeHashChecked = true;
+        
+        if (pair.toLowerCase() !== this.computePairAddress(tokenA, tokenB).toLowerCase()) {
+            logger.warn(`${this.name} init code hash doesn't match the factory, looking up pairs on-chain`, {
+                initCodeHash: this.initCodeHash
+            });
+            this.initCodeHash = null;
+        }
+    }
+    
+    async getPools(tokens) {
+        const pools = [];
+        
+        for (let i = 0; i < tokens.length; i++) {
+            for (let j = i + 1; j < tokens.length; j++) {
+                const address = await this.getPair(tokens[i], tokens[j]);
+                
+                if (address !== ethers.constants.AddressZero) {
+                    // Pairs order their tokens by address
+                    pools.push({
+                        dex: this.name,
+                        address,
+                        tokens: sortTokens(tokens[i], tokens[j]),
+                        feeBps: this.feeBps
+                    });
+                }
+            }
+        }
+        
+        return pools;
+    }
+    
+    async getReserves(pool) {
+        const pair = new ethers.Contract(pool.address, PAIR_ABI, this.provider);
+        const { reserve0, reserve1 } = await pair.getReserves();
+        
+        return { reserve0, reserve1 };
+    }
+    
+    async getPoolState(pool) {
+        return { model: 'constant-product', ...await this.getReserves(pool) };
+    }
+    
+    applyLog(pool, state, log) {
+        // Sync carries the reserves after every swap, mint and burn
+        if (log.topics[0] !== SYNC_TOPIC) {
+            return null;
+        }
+        
+        const [reserve0, reserve1] = ethers.utils.defaultAbiCoder.decode(['uint112', 'uint112'], log.data);
+        
+        return { ...state, reserve0, reserve1 };
+    }
+    
+    async getPoolRates(pool, state) {
+        const { reserve0, reserve1 } = state || await this.getReserves(pool);
+        
+        if (reserve0.isZero() || reserve1.isZero()) {
+            return null;
+        }
+        
+        // Marginal rate in raw units after the pool fee
+        const ratio = Number(reserve1.toString()) / Number(reserve0.toString());
+        const feeFactor = 1 - pool.feeBps / 10000;
+        
+        return [
+            { from: pool.tokens[0], to: pool.tokens[1], rate: ratio * feeFactor },
+            { from: pool.tokens[1], to: pool.tokens[0], rate: feeFactor / ratio }
+        ];
+    }
+    
+    async buildSwapTx(quote) {
+        const { path, amountIn, minOutput, recipient, deadline } = quote;
+        let data;
+        
+        if (this.config.referrer) {
+            data = this.router.interface.encodeFunctionData('swapExactTokensForTokensSupportingFeeOnTransferTokens', [
+                amountIn,
+                minOutput,
+                path,
+                recipient,
+                this.config.referrer,
+                deadline
+            ]);
+        } else {
+            data = this.router.interface.encodeFunctionData('swapExactTokensForTokens', [
+                amountIn,
+                minOutput,
+                path,
+                recipient,
+                deadline
+            ]);
+        }
+        
+        return {
+            to: this.contracts.router,
+            data,
+            value: ethers.BigNumber.from(0),
+            gasLimit: this.getGasEstimate(path)
+        };
+    }
+    
+    async estimateGas(tokenIn, tokenOut, amountIn) {
+        const quote = await this.getQuote(tokenIn, tokenOut, amountIn);
+        return quote ? quote.gasEstimate : this.getGasEstimate([tokenIn, ethers.constants.AddressZero, tokenOut]);
+    }
+    
+    getGasEstimate(path) {
+        return ethers.BigNumber.from(path.length === 2 ? 150000 : 200000);
+    }
+    
+    getStats() {
+        return {
+            available: true,
+            pairsCached: this.pairCache.size,
+            computedPairs: Boolean(this.initCodeHash)
+        };
+    }
+}
+
+function sortTokens(tokenA, tokenB) {
+    return tokenA.toLowerCase() < tokenB.toLowerCase() ? [tokenA, tokenB] : [tokenB, tokenA];
+}
+
+// UniswapV2Library.getAmountOut with the fork's fee
+function getAmountOut(amountIn, reserveIn, reserveOut, feeBps) {
+    if (amountIn.isZero() || reserveIn.isZero() || reserveOut.isZero()) {
+        return ethers.BigNumber.from(0);
+    }
+    
+    const amountInWithFee = amountIn.mul(10000 - feeBps);
+    
+    return amountInWithFee.mul(reserveOut).div(reserveIn.mul(10000).add(amountInWithFee));
+}
+
+module.exports = { UniswapV2Fork };
\ No newline at end of file
@@ -1,5 +1,10 @@
 const { ethers } = require('ethers');
 const { logger } = require('../utils/logger');
+const { V3Pool, watchPool } = require('./V3Pool');
+
+const SWAP_EVENT = new ethers.utils.Interface([
+    'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)'
+]);
 
 class UniswapV3 {
     constructor(provider, config) {
@@ -39,6 +44,11 @@ class UniswapV3 {
         // Pool cache
         this.poolCache = new Map();
         
+        // Local pool models quote from memory, the quoter is the fallback
+        this.localQuotes = config.localQuotes !== false;
+        this.bitmapWords = config.bitmapWords || 3;
+        this.models = new Map(); // pool address -> Promise<V3Pool>
+        
         logger.info('UniswapV3 adapter initialized');
     }
     
@@ -50,23 +60,16 @@ class UniswapV3 {
             
             for (const fee of this.feeTiers) {
                 try {
-                    const params = {
-                        tokenIn,
-                        tokenOut,
-                        fee,
-                        amountIn,
-                        sqrtPriceLimitX96: 0
-                    };
+                    const result = await this.quoteExactInputSingle(tokenIn, tokenOut, fee, amountIn);
                     
-                    const result = await this.quoter.callStatic.quoteExactInputSingle(params);
-                    
-                    if (result.amountOut.gt(bestOutput)) {
+                    if (result && result.amountOut.gt(bestOutput)) {
                         bestOutput = result.amountOut;
                         bestQuote = {
                             outputAmount: result.amountOut,
                             fee,
                             gasEstimate: result.gasEstimate || ethers.BigNumber.from(180000),
                             sqrtPriceX96After: result.sqrtPriceX96After,
+                            priceImpact: result.priceImpact,
                             path: this.encodePath([tokenIn, tokenOut], [fee])
                         };
                     }
@@ -81,14 +84,16 @@ class UniswapV3 {
                 return null;
             }
             
-            // Calculate price impact
-            bestQuote.priceImpact = await this.calculatePriceImpact(
-                tokenIn,
-                tokenOut,
-                amountIn,
-                bestQuote.outputAmount,
-                bestQuote.fee
-            );
+            // Calculate price impact, local quotes already carry it
+            if (bestQuote.priceImpact === undefined) {
+                bestQuote.priceImpact = await this.calculatePriceImpact(
+                    tokenIn,
+                    tokenOut,
+                    amountIn,
+                    bestQuote.outputAmount,
+                    bestQuote.fee
+                );
+            }
             
             // Add swap data
             bestQuote.data = await this.encodeSwapData(
@@ -111,6 +116,113 @@ class UniswapV3 {
         }
     }
     
+    async quoteExactInputSingle(tokenIn, tokenOut, fee, amountIn) {
+        const poolAddress = await this.getPoolAddress(tokenIn, tokenOut, fee);
+        
+        if (!poolAddress) {
+            return null;
+        }
+        
+        const model = this.localQuotes ? await this.getModel(poolAddress) : null;
+        const zeroForOne = tokenIn.toLowerCase() < tokenOut.toLowerCase();
+        const result = model && model.quote(zeroForOne, amountIn);
+        
+        if (result) {
+            return {
+                amountOut: result.amountOut,
+                sqrtPriceX96After: result.sqrtPriceX96,
+                // Roughly what the quoter reports: a base cost plus each tick crossed
+                gasEstimate: ethers.BigNumber.from(110000 + result.ticksCrossed * 30000),
+                priceImpact: getPriceImpact(model.getState(), zeroForOne, amountIn, result.amountOut)
+            };
+        }
+        
+        // Not modelled, or the swap runs past the ticks that were loaded
+        return this.quoter.callStatic.quoteExactInputSingle({
+            tokenIn,
+            tokenOut,
+            fee,
+            amountIn,
+            sqrtPriceLimitX96: 0
+        });
+    }
+    
+    async getModel(address) {
+        const key = address.toLowerCase();
+        
+        if (!this.models.has(key)) {
+            const model = new V3Pool(this.provider, address, { bitmapWords: this.bitmapWords });
+            
+            // With a state store, the store feeds the model its pool's logs.
+            // Otherwise watch before loading, so no block falls in between
+            if (!this.store) {
+                model.unwatch = watchPool(model);
+            }
+            
+            this.models.set(key, model.load(this.getBlockTag()).catch((error) => {
+                if (model.unwatch) {
+                    model.unwatch();
+                }
+                
+                throw error;
+            }));
+        }
+        
+        try {
+            const model = await this.models.get(key);
+            
+            // Price moved towards the edge of the loaded ticks
+            if (model.needsReload()) {
+                await model.load(this.getBlockTag());
+            }
+            
+            return model;
+        } catch (error) {
+            logger.debug('Failed to load V3 pool model', { pool: address, error: error.message });
+            this.models.delete(key);
+            return null;
+        }
+    }
+    
+    // Models are read at the store's head, whose later logs the store applies
+    getBlockTag() {
+        return this.store ? this.store.blockNumber : null;
+    }
+    
+    async applyLog(pool, state, log) {
+        const key = pool.address.toLowerCase();
+        
+        if (this.models.has(key)) {
+            const model = await this.models.get(key);
+            model.applyLog(log);
+            
+            return model.getState();
+        }
+        
+        // Unmodelled pools follow Swap only, a position change needs a re-read
+        if (log.topics[0] !== SWAP_EVENT.getEventTopic('Swap')) {
+            return null;
+        }
+        
+        const parsed = SWAP_EVENT.parseLog(log);
+        
+        return {
+            ...state,
+            sqrtPriceX96: parsed.args.sqrtPriceX96,
+            liquidity: parsed.args.liquidity
+        };
+    }
+    
+    resetPool(pool) {
+        const key = pool.address.toLowerCase();
+        const loading = this.models.get(key);
+        
+        if (loading) {
+            this.models.delete(key);
+            loading.then(model => model.unwatch && model.unwatch()).catch(() => {});
+        }
+    }
+    
     async getMultiHopQuote(path, fees, amountIn) {
         try {
             // Encode path for multi-hop swap
@@ -217,6 +329,69 @@ class UniswapV3 {
         }
     }
     
+    async getPools(tokens) {
+        // One pool per pair and fee tier that has been deployed
+        const pools = [];
+        
+        for (let i = 0; i < tokens.length; i++) {
+            for (let j = i + 1; j < tokens.length; j++) {
+                const [token0, token1] = tokens[i].toLowerCase() < tokens[j].toLowerCase()
+                    ? [tokens[i], tokens[j]]
+                    : [tokens[j], tokens[i]];
+                
+                for (const fee of this.feeTiers) {
+                    const address = await this.getPoolAddress(token0, token1, fee);
+                    
+                    if (address) {
+                        pools.push({ dex: 'uniswapV3', address, tokens: [token0, token1], fee });
+                    }
+                }
+            }
+        }
+        
+        return pools;
+    }
+    
+    async getPoolState(pool) {
+        // Modelled pools include their ticks, so the mirror can cross them
+        const model = this.localQuotes ? await this.getModel(pool.address) : null;
+        
+        if (model) {
+            return model.getState();
+        }
+        
+        const contract = new ethers.Contract(
+            pool.address,
+            [
+                'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
+                'function liquidity() view returns (uint128)'
+            ],
+            this.provider
+        );
+        
+        const [slot0, liquidity] = await Promise.all([contract.slot0(), contract.liquidity()]);
+        
+        return { model: 'concentrated', sqrtPriceX96: slot0.sqrtPriceX96, liquidity };
+    }
+    
+    async getPoolRates(pool, state) {
+        const { sqrtPriceX96, liquidity } = state || await this.getPoolState(pool);
+        
+        if (liquidity.isZero()) {
+            return null;
+        }
+        
+        // token1 per token0 in raw units, fee is in hundredths of a bip
+        const sqrtPrice = Number(sqrtPriceX96.toString()) / 2 ** 96;
+        const price = sqrtPrice * sqrtPrice;
+        const feeFactor = 1 - pool.fee / 1e6;
+        
+        return [
+            { from: pool.tokens[0], to: pool.tokens[1], rate: price * feeFactor },
+            { from: pool.tokens[1], to: pool.tokens[0], rate: feeFactor / price }
+        ];
+    }
+    
     async encodeSwapData(tokenIn, tokenOut, fee, amountIn, minAmountOut) {
         const params = {
             tokenIn,
@@ -272,75 +447,6 @@ class UniswapV3 {
         }
     }
     
-    static decodeTransaction(tx) {
-        try {
-            const iface = new ethers.utils.Interface([
-                'function exactInputSingle(tuple(address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params)',
-                'function exactInput(tuple(bytes path, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum) params)',
-                'function exactOutputSingle(tuple(address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountOut, uint256 amountInMaximum, uint160 sqrtPriceLimitX96) params)',
-                'function exactOutput(tuple(bytes path, address recipient, uint256 deadline, uint256 amountOut, uint256 amountInMaximum) params)'
-            ]);
-            
-            const decoded = iface.parseTransaction({ data: tx.data });
-            
-            let result = {
-                dex: 'uniswapV3',
-                method: decoded.name,
-                type: 'swap'
-            };
-            
-            if (decoded.name === 'exactInputSingle') {
-                const params = decoded.args.params;
-                result = {
-                    ...result,
-                    tokenIn: params.tokenIn,
-                    tokenOut: params.tokenOut,
-                    amountIn: params.amountIn,
-                    amountOutMinimum: params.amountOutMinimum,
-                    fee: params.fee,
-                    recipient: params.recipient
-                };
-            } else if (decoded.name === 'exactInput') {
-                const params = decoded.args.params;
-                const { tokens, fees } = UniswapV3.decodePath(params.path);
-                
-                result = {
-                    ...result,
-                    path: tokens,
-                    fees,
-                    amountIn: params.amountIn,
-                    amountOutMinimum: params.amountOutMinimum,
-                    recipient: params.recipient
-                };
-            }
-            
-            return result;
-            
-        } catch (error) {
-            return null;
-        }
-    }
-    
-    static decodePath(path) {
-        const tokens = [];
-        const fees = [];
-        
-        let i = 0;
-        while (i < path.length) {
-            // Read token address (20 bytes)
-            tokens.push('0x' + path.slice(i + 2, i + 42));
-            i += 40;
-            
-            // Read fee if not at the end
-            if (i < path.length) {
-                fees.push(parseInt(path.slice(i + 2, i + 8), 16));
-                i += 6;
-            }
-        }
-        
-        return { tokens, fees };
-    }
-    
     getStats() {
         return {
             available: true,
@@ -350,4 +456,19 @@ class UniswapV3 {
     }
 }
 
+// Shortfall in bps from trading the whole amount at the current price after the fee
+function getPriceImpact(state, zeroForOne, amountIn, amountOut) {
+    const priceX192 = state.sqrtPriceX96.mul(state.sqrtPriceX96);
+    const Q192 = ethers.BigNumber.from(2).pow(192);
+    
+    const spotOut = (zeroForOne ? amountIn.mul(priceX192).div(Q192) : amountIn.mul(Q192).div(priceX192))
+        .mul(1000000 - state.fee).div(1000000);
+    
+    if (spotOut.isZero()) {
+        return 0;
+    }
+    
+    return Math.max(0, spotOut.sub(amountOut).mul(10000).div(spotOut).toNumber());
+}
+
 module.exports = { UniswapV3 };
\ No newline at end of file
@@ -0,0 +1,214 @@
+const { ethers } = require('ethers');
+
+/**
+ * Uniswap V3 core math (TickMath, SqrtPriceMath, SwapMath) ported from
+ * the Solidity on BigNumbers, so local swaps round exactly like the pool.
+ */
+
+const BN = ethers.BigNumber.from;
+
+const Q96 = BN(2).pow(96);
+const Q128 = BN(2).pow(128);
+const MAX_UINT256 = ethers.constants.MaxUint256;
+const MAX_UINT160 = BN(2).pow(160).sub(1);
+
+const MIN_TICK = -887272;
+const MAX_TICK = 887272;
+const MIN_SQRT_RATIO = BN('4295128739');
+const MAX_SQRT_RATIO = BN('1461446703485210103287273052203988822378723970342');
+
+// TickMath.getSqrtRatioAtTick factors for bits 0x2 .. 0x80000
+const TICK_FACTORS = [
+    '0xfff97272373d413259a46990580e213a',
+    '0xfff2e50f5f656932ef12357cf3c7fdcc',
+    '0xffe5caca7e10e4e61c3624eaa0941cd0',
+    '0xffcb9843d60f6159c9db58835c926644',
+    '0xff973b41fa98c081472e6896dfb254c0',
+    '0xff2ea16466c96a3843ec78b326b52861',
+    '0xfe5dee046a99a2a811c461f1969c3053',
+    '0xfcbe86c7900a88aedcffc83b479aa3a4',
+    '0xf987a7253ac413176f2b074cf7815e54',
+    '0xf3392b0822b70005940c7a398e4b70f3',
+    '0xe7159475a2c29b7443b29c7fa6e889d9',
+    '0xd097f3bdfd2022b8845ad8f792aa5825',
+    '0xa9f746462d870fdf8a65dc1f90e061e5',
+    '0x70d869a156d2a1b890bb3df62baf32f7',
+    '0x31be135f97d08fd981231505542fcfa6',
+    '0x9aa508b5b7a84e1c677de54f3e99bc9',
+    '0x5d6af8dedb81196699c329225ee604',
+    '0x2216e584f5fa1ea926041bedfe98',
+    '0x48a170391f7dc42444e8fa2'
+].map(BN);
+
+function mulDiv(a, b, denominator) {
+    return a.mul(b).div(denominator);
+}
+
+function mulDivRoundingUp(a, b, denominator) {
+    const product = a.mul(b);
+    const result = product.div(denominator);
+    
+    return product.mod(denominator).isZero() ? result : result.add(1);
+}
+
+function divRoundingUp(a, b) {
+    return a.mod(b).isZero() ? a.div(b) : a.div(b).add(1);
+}
+
+function getSqrtRatioAtTick(tick) {
+    const absTick = Math.abs(tick);
+    
+    if (absTick > MAX_TICK) {
+        throw new Error(`Tick ${tick} out of range`);
+    }
+    
+    let ratio = absTick & 0x1 ? BN('0xfffcb933bd6fad37aa2d162d1a594001') : Q128;
+    
+    TICK_FACTORS.forEach((factor, i) => {
+        if (absTick & (0x2 << i)) {
+            ratio = ratio.mul(factor).shr(128);
+        }
+    });
+    
+    if (tick > 0) {
+        ratio = MAX_UINT256.div(ratio);
+    }
+    
+    // Q128.128 to Q64.96, rounding up
+    return ratio.shr(32).add(ratio.mod(BN(2).pow(32)).isZero() ? 0 : 1);
+}
+
+// Greatest tick whose sqrt ratio is at most sqrtPriceX96, as TickMath.getTickAtSqrtRatio
+function getTickAtSqrtRatio(sqrtPriceX96) {
+    if (sqrtPriceX96.lt(MIN_SQRT_RATIO) || sqrtPriceX96.gte(MAX_SQRT_RATIO)) {
+        throw new Error('Sqrt price out of range');
+    }
+    
+    let low = MIN_TICK;
+    let high = MAX_TICK;
+    
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        
+        if (getSqrtRatioAtTick(mid).lte(sqrtPriceX96)) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+    
+    return low;
+}
+
+function getNextSqrtPriceFromAmount0RoundingUp(sqrtPriceX96, liquidity, amount, add) {
+    if (amount.isZero()) {
+        return sqrtPriceX96;
+    }
+    
+    const numerator1 = liquidity.shl(96);
+    const product = amount.mul(sqrtPriceX96);
+    
+    if (add) {
+        // The Solidity falls back to a less precise form when the product overflows
+        if (product.lte(MAX_UINT256) && numerator1.add(product).lte(MAX_UINT256)) {
+            return mulDivRoundingUp(numerator1, sqrtPriceX96, numerator1.add(product));
+        }
+        
+        return divRoundingUp(numerator1, numerator1.div(sqrtPriceX96).add(amount));
+    }
+    
+    if (product.gt(MAX_UINT256) || numerator1.lte(product)) {
+        throw new Error('Insufficient liquidity for output');
+    }
+    
+    return mulDivRoundingUp(numerator1, sqrtPriceX96, numerator1.sub(product));
+}
+
+function getNextSqrtPriceFromAmount1RoundingDown(sqrtPriceX96, liquidity, amount, add) {
+    if (add) {
+        const quotient = amount.lte(MAX_UINT160) ? amount.shl(96).div(liquidity) : mulDiv(amount, Q96, liquidity);
+        return sqrtPriceX96.add(quotient);
+    }
+    
+    const quotient = amount.lte(MAX_UINT160)
+        ? divRoundingUp(amount.shl(96), liquidity)
+        : mulDivRoundingUp(amount, Q96, liquidity);
+    
+    if (sqrtPriceX96.lte(quotient)) {
+        throw new Error('Insufficient liquidity for output');
+    }
+    
+    return sqrtPriceX96.sub(quotient);
+}
+
+function getNextSqrtPriceFromInput(sqrtPriceX96, liquidity, amountIn, zeroForOne) {
+    return zeroForOne
+        ? getNextSqrtPriceFromAmount0RoundingUp(sqrtPriceX96, liquidity, amountIn, true)
+        : getNextSqrtPriceFromAmount1RoundingDown(sqrtPriceX96, liquidity, amountIn, true);
+}
+
+function getAmount0Delta(sqrtRatioA, sqrtRatioB, liquidity, roundUp) {
+    const [lower, upper] = sqrtRatioA.gt(sqrtRatioB) ? [sqrtRatioB, sqrtRatioA] : [sqrtRatioA, sqrtRatioB];
+    const numerator1 = liquidity.shl(96);
+    const numerator2 = upper.sub(lower);
+    
+    return roundUp
+        ? divRoundingUp(mulDivRoundingUp(numerator1, numerator2, upper), lower)
+        : mulDiv(numerator1, numerator2, upper).div(lower);
+}
+
+function getAmount1Delta(sqrtRatioA, sqrtRatioB, liquidity, roundUp) {
+    const [lower, upper] = sqrtRatioA.gt(sqrtRatioB) ? [sqrtRatioB, sqrtRatioA] : [sqrtRatioA, sqrtRatioB];
+    
+    return roundUp
+        ? mulDivRoundingUp(liquidity, upper.sub(lower), Q96)
+        : mulDiv(liquidity, upper.sub(lower), Q96);
+}
+
+/**
+ * SwapMath.computeSwapStep for exact input: how far the price moves
+ * towards the target with what is left to swap. fee is in pips.
+ */
+function computeSwapStep(sqrtPriceCurrent, sqrtPriceTarget, liquidity, amountRemaining, fee) {
+    const zeroForOne = sqrtPriceCurrent.gte(sqrtPriceTarget);
+    const amountRemainingLessFee = mulDiv(amountRemaining, BN(1e6 - fee), BN(1e6));
+    
+    let amountIn = zeroForOne
+        ? getAmount0Delta(sqrtPriceTarget, sqrtPriceCurrent, liquidity, true)
+        : getAmount1Delta(sqrtPriceCurrent, sqrtPriceTarget, liquidity, true);
+    
+    const sqrtPriceNext = amountRemainingLessFee.gte(amountIn)
+        ? sqrtPriceTarget
+        : getNextSqrtPriceFromInput(sqrtPriceCurrent, liquidity, amountRemainingLessFee, zeroForOne);
+    
+    const max = sqrtPriceNext.eq(sqrtPriceTarget);
+    let amountOut;
+    
+    if (zeroForOne) {
+        amountIn = max ? amountIn : getAmount0Delta(sqrtPriceNext, sqrtPriceCurrent, liquidity, true);
+        amountOut = getAmount1Delta(sqrtPriceNext, sqrtPriceCurrent, liquidity, false);
+    } else {
+        amountIn = max ? amountIn : getAmount1Delta(sqrtPriceCurrent, sqrtPriceNext, liquidity, true);
+        amountOut = getAmount0Delta(sqrtPriceCurrent, sqrtPriceNext, liquidity, false);
+    }
+    
+    // Whatever doesn't move the price when the target isn't reached is fee
+    const feeAmount = max
+        ? mulDivRoundingUp(amountIn, BN(fee), BN(1e6 - fee))
+        : amountRemaining.sub(amountIn);
+    
+    return { sqrtPriceNext, amountIn, amountOut, feeAmount };
+}
+
+module.exports = {
+    Q96,
+    MIN_TICK,
+    MAX_TICK,
+    MIN_SQRT_RATIO,
+    MAX_SQRT_RATIO,
+    getSqrtRatioAtTick,
+    getTickAtSqrtRatio,
+    getAmount0Delta,
+    getAmount1Delta,
+    computeSwapStep
+};
\ No newline at end of file
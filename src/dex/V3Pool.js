@@ -0,0 +1,333 @@
+const { ethers } = require('ethers');
+const { logger } = require('../utils/logger');
+const {
+    MIN_TICK,
+    MAX_TICK,
+    MIN_SQRT_RATIO,
+    MAX_SQRT_RATIO,
+    getSqrtRatioAtTick,
+    getTickAtSqrtRatio,
+    computeSwapStep
+} = require('./V3Math');
+
+const POOL_ABI = [
+    'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
+    'function liquidity() view returns (uint128)',
+    'function fee() view returns (uint24)',
+    'function tickSpacing() view returns (int24)',
+    'function tickBitmap(int16 wordPosition) view returns (uint256)',
+    'function ticks(int24 tick) view returns (uint128 liquidityGross, int128 liquidityNet, uint256 feeGrowthOutside0X128, uint256 feeGrowthOutside1X128, int56 tickCumulativeOutside, uint160 secondsPerLiquidityOutsideX128, uint32 secondsOutside, bool initialized)',
+    'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)',
+    'event Mint(address sender, address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)',
+    'event Burn(address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)'
+];
+
+/**
+ * In-memory copy of a Uniswap V3 pool: price, active liquidity and the
+ * initialized ticks within `words` bitmap words either side of the
+ * current tick. Kept current from the pool's Swap, Mint and Burn logs,
+ * so swaps can be simulated across tick crossings without the quoter.
+ */
+class V3Pool {
+    constructor(provider, address, config = {}) {
+        this.provider = provider;
+        this.address = address;
+        this.contract = new ethers.Contract(address, POOL_ABI, provider);
+        
+        this.words = config.bitmapWords || 3;
+        
+        this.loaded = false;
+        this.loading = false;
+        this.loadedBlock = null;
+        this.pending = [];
+        this.sqrtPriceX96 = null;
+        this.tick = null;
+        this.liquidity = null;
+        this.fee = null;
+        this.tickSpacing = null;
+        
+        // tick -> { liquidityGross, liquidityNet } for initialized ticks
+        this.ticks = new Map();
+        this.sortedTicks = null;
+        
+        // Range whose initialized ticks are all known
+        this.minTick = null;
+        this.maxTick = null;
+    }
+    
+    // Everything is read at one block; logs up to that block are already in it
+    async load(blockTag = null) {
+        const block = blockTag === null ? await this.provider.getBlockNumber() : blockTag;
+        const overrides = { blockTag: block };
+        
+        // Logs that arrive while loading are replayed on top of the new state
+        this.loading = true;
+        this.pending = [];
+        
+        try {
+            const [slot0, liquidity, fee, tickSpacing] = await Promise.all([
+                this.contract.slot0(overrides),
+                this.contract.liquidity(overrides),
+                this.contract.fee(overrides),
+                this.contract.tickSpacing(overrides)
+            ]);
+            
+            this.sqrtPriceX96 = slot0.sqrtPriceX96;
+            this.tick = slot0.tick;
+            this.liquidity = liquidity;
+            this.fee = fee;
+            this.tickSpacing = tickSpacing;
+            
+            await this.loadTicks(overrides);
+        } finally {
+            this.loading = false;
+        }
+        
+        this.loaded = true;
+        this.loadedAt = Date.now();
+        this.loadedBlock = block;
+        
+        const { pending } = this;
+        this.pending = [];
+        pending.forEach(log => this.applyLog(log));
+        
+        return this;
+    }
+    
+    async loadTicks(overrides) {
+        // Bit b of word w is set when tick (w * 256 + b) * tickSpacing is initialized
+        const wordPos = Math.floor(this.tick / this.tickSpacing) >> 8;
+        const firstWord = wordPos - this.words;
+        const lastWord = wordPos + this.words;
+        const positions = [];
+        
+        for (let word = firstWord; word <= lastWord; word++) {
+            positions.push(word);
+        }
+        
+        const bitmaps = await Promise.all(positions.map(word => this.contract.tickBitmap(word, overrides)));
+        const initialized = [];
+        
+        positions.forEach((word, i) => {
+            const bitmap = bitmaps[i];
+            
+            if (bitmap.isZero()) {
+                return;
+            }
+            
+            for (let bit = 0; bit < 256; bit++) {
+                if (!bitmap.shr(bit).and(1).isZero()) {
+                    initialized.push((word * 256 + bit) * this.tickSpacing);
+                }
+            }
+        });
+        
+        const infos = await Promise.all(initialized.map(tick => this.contract.ticks(tick, overrides)));
+        
+        this.ticks.clear();
+        initialized.forEach((tick, i) => {
+            this.ticks.set(tick, {
+                liquidityGross: infos[i].liquidityGross,
+                liquidityNet: infos[i].liquidityNet
+            });
+        });
+        this.sortedTicks = null;
+        
+        this.minTick = Math.max(MIN_TICK, firstWord * 256 * this.tickSpacing);
+        this.maxTick = Math.min(MAX_TICK, ((lastWord + 1) * 256 - 1) * this.tickSpacing);
+    }
+    
+    applyLog(log) {
+        if (this.loading) {
+            this.pending.push(log);
+            return;
+        }
+        
+        if (this.loadedBlock !== null && log.blockNumber <= this.loadedBlock) {
+            return;
+        }
+        
+        const { name, args } = this.contract.interface.parseLog(log);
+        
+        if (name === 'Swap') {
+            // The pool logs its state after the swap
+            this.sqrtPriceX96 = args.sqrtPriceX96;
+            this.liquidity = args.liquidity;
+            this.tick = args.tick;
+        } else if (name === 'Mint') {
+            this.updatePosition(args.tickLower, args.tickUpper, args.amount);
+        } else if (name === 'Burn') {
+            this.updatePosition(args.tickLower, args.tickUpper, args.amount.mul(-1));
+        }
+    }
+    
+    updatePosition(tickLower, tickUpper, liquidityDelta) {
+        if (liquidityDelta.isZero()) {
+            return;
+        }
+        
+        this.updateTick(tickLower, liquidityDelta, false);
+        this.updateTick(tickUpper, liquidityDelta, true);
+        
+        // Positions around the current price change the active liquidity
+        if (this.tick >= tickLower && this.tick < tickUpper) {
+            this.liquidity = this.liquidity.add(liquidityDelta);
+        }
+    }
+    
+    updateTick(tick, liquidityDelta, upper) {
+        const info = this.ticks.get(tick) || {
+            liquidityGross: ethers.BigNumber.from(0),
+            liquidityNet: ethers.BigNumber.from(0)
+        };
+        
+        const liquidityGross = info.liquidityGross.add(liquidityDelta);
+        
+        if (liquidityGross.isZero()) {
+            this.ticks.delete(tick);
+        } else {
+            this.ticks.set(tick, {
+                liquidityGross,
+                // Crossing a lower tick upwards adds liquidity, an upper one removes it
+                liquidityNet: upper ? info.liquidityNet.sub(liquidityDelta) : info.liquidityNet.add(liquidityDelta)
+            });
+        }
+        
+        this.sortedTicks = null;
+    }
+    
+    getState() {
+        if (!this.sortedTicks) {
+            this.sortedTicks = Array.from(this.ticks.entries())
+                .map(([tick, info]) => ({ tick, liquidityNet: info.liquidityNet }))
+                .sort((a, b) => a.tick - b.tick);
+        }
+        
+        return {
+            model: 'concentrated',
+            sqrtPriceX96: this.sqrtPriceX96,
+            tick: this.tick,
+            liquidity: this.liquidity,
+            fee: this.fee,
+            ticks: this.sortedTicks,
+            minTick: this.minTick,
+            maxTick: this.maxTick
+        };
+    }
+    
+    quote(zeroForOne, amountIn) {
+        return this.loaded ? swapExactInput(this.getState(), zeroForOne, amountIn) : null;
+    }
+    
+    // Near the edge of the loaded ticks, swaps can't be simulated for long
+    needsReload() {
+        const margin = 64 * this.tickSpacing;
+        return this.tick - margin < this.minTick || this.tick + margin > this.maxTick;
+    }
+}
+
+/**
+ * Pool.swap for an exact input, on a state from V3Pool.getState. Returns
+ * the output and the pool's price, tick and liquidity after the swap, or
+ * null when the swap would run past the ticks that were loaded.
+ */
+function swapExactInput(state, zeroForOne, amountIn) {
+    const { ticks, fee } = state;
+    const sqrtPriceLimit = zeroForOne ? MIN_SQRT_RATIO.add(1) : MAX_SQRT_RATIO.sub(1);
+    
+    let amountRemaining = amountIn;
+    let amountOut = ethers.BigNumber.from(0);
+    let { sqrtPriceX96, tick, liquidity } = state;
+    let ticksCrossed = 0;
+    
+    while (!amountRemaining.isZero() && !sqrtPriceX96.eq(sqrtPriceLimit)) {
+        const sqrtPriceStart = sqrtPriceX96;
+        // Beyond the loaded range the ticks are unknown
+        if ((zeroForOne && tick < state.minTick) || (!zeroForOne && tick >= state.maxTick)) {
+            return null;
+        }
+        
+        let next = nextInitializedTick(ticks, tick, zeroForOne);
+        
+        if (next && (next.tick < state.minTick || next.tick > state.maxTick)) {
+            next = null;
+        }
+        
+        // Without an initialized tick, swap to the edge of the loaded range
+        const edge = zeroForOne ? state.minTick : state.maxTick;
+        const tickNext = next ? next.tick : edge;
+        
+        const sqrtPriceNextTick = getSqrtRatioAtTick(tickNext);
+        const sqrtPriceTarget = (zeroForOne ? sqrtPriceNextTick.lt(sqrtPriceLimit) : sqrtPriceNextTick.gt(sqrtPriceLimit))
+            ? sqrtPriceLimit
+            : sqrtPriceNextTick;
+        
+        const step = computeSwapStep(sqrtPriceX96, sqrtPriceTarget, liquidity, amountRemaining, fee);
+        
+        sqrtPriceX96 = step.sqrtPriceNext;
+        amountRemaining = amountRemaining.sub(step.amountIn.add(step.feeAmount));
+        amountOut = amountOut.add(step.amountOut);
+        
+        if (sqrtPriceX96.eq(sqrtPriceNextTick)) {
+            if (next && next.tick === tickNext) {
+                liquidity = zeroForOne ? liquidity.sub(next.liquidityNet) : liquidity.add(next.liquidityNet);
+                ticksCrossed++;
+            }
+            
+            tick = zeroForOne ? tickNext - 1 : tickNext;
+        } else if (!sqrtPriceX96.eq(sqrtPriceStart)) {
+            tick = getTickAtSqrtRatio(sqrtPriceX96);
+        }
+    }
+    
+    return { amountOut, sqrtPriceX96, tick, liquidity, ticksCrossed };
+}
+
+// Initialized tick at or below tick (zeroForOne) or above it, within the loaded range
+function nextInitializedTick(ticks, tick, lte) {
+    let low = 0;
+    let high = ticks.length;
+    
+    // First index whose tick is above the current one
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        
+        if (ticks[mid].tick <= tick) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    
+    return lte ? ticks[low - 1] || null : ticks[low] || null;
+}
+
+/**
+ * Keeps V3Pool models current from their pools' logs. Logs are applied
+ * in order as the provider delivers them.
+ */
+function watchPool(model) {
+    const iface = model.contract.interface;
+    const filter = {
+        address: model.address,
+        topics: [[
+            iface.getEventTopic('Swap'),
+            iface.getEventTopic('Mint'),
+            iface.getEventTopic('Burn')
+        ]]
+    };
+    
+    const listener = (log) => {
+        try {
+            model.applyLog(log);
+        } catch (error) {
+            logger.debug('Failed to apply V3 pool log', { pool: model.address, error: error.message });
+        }
+    };
+    
+    model.provider.on(filter, listener);
+    
+    return () => model.provider.off(filter, listener);
+}
+
+module.exports = { V3Pool, swapExactInput, watchPool };
\ No newline at end of file
@@ -48,21 +48,26 @@ class FlashbotsProvider {
                 throw new Error('Flashbots provider not initialized');
             }
             
-            // Build bundle
-            const bundle = transactions.map(tx => ({
-                signer: tx.signer || this.authSigner,
-                transaction: {
-                    to: tx.to,
-                    data: tx.data,
-                    value: tx.value || 0,
-                    gasLimit: tx.gasLimit,
-                    chainId: tx.chainId || 1
-                }
-            }));
+            // Build bundle. Already signed transactions (ours, or the one
+            // being backrun) go in as they are, in the order given.
+            const bundle = transactions.map(tx => (typeof tx === 'string'
+                ? { signedTransaction: tx }
+                : {
+                    signer: tx.signer || this.authSigner,
+                    transaction: {
+                        to: tx.to,
+                        data: tx.data,
+                        value: tx.value || 0,
+                        gasLimit: tx.gasLimit,
+                        chainId: tx.chainId || 1
+                    }
+                }));
+            
+            const signedBundle = await this.flashbotsProvider.signBundle(bundle);
             
             // Simulate bundle first
             const simulation = await this.flashbotsProvider.simulate(
-                bundle,
+                signedBundle,
                 targetBlockNumber
             );
             
@@ -86,7 +91,7 @@ class FlashbotsProvider {
             
             // Send bundle
             const bundleSubmission = await this.flashbotsProvider.sendRawBundle(
-                bundle,
+                signedBundle,
                 targetBlockNumber,
                 {
                     minTimestamp: options.minTimestamp,
@@ -122,7 +127,7 @@ class FlashbotsProvider {
                     bundleHash,
                     blockNumber: targetBlockNumber,
                     profit: simulation.coinbaseDiff,
-                    txHashes: bundle.map(b => ethers.utils.keccak256(b.transaction))
+                    txHashes: signedBundle.map(signedTx => ethers.utils.keccak256(signedTx))
                 };
             } else {
                 this.bundleStats.failed++;
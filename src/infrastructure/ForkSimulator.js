@@ -0,0 +1,311 @@
+const { ethers } = require('ethers');
+const { logger } = require('../utils/logger');
+const { parseRevertReason } = require('../utils/helpers');
+
+// Native ETH is tracked under the zero address alongside ERC20 balances
+const NATIVE_TOKEN = ethers.constants.AddressZero;
+
+class ForkSimulator {
+    constructor(bot) {
+        this.bot = bot;
+        this.config = bot.config.simulation || {};
+        
+        // Local hardhat node serving the forked state
+        this.forkUrl = this.config.forkUrl || 'http://127.0.0.1:8545';
+        this.forkProvider = new ethers.providers.JsonRpcProvider(this.forkUrl);
+        
+        // Upstream RPC the fork is reset against
+        this.upstreamUrl = this.config.upstreamUrl || this.getUpstreamUrl();
+        
+        // Block the fork currently mirrors
+        this.forkBlock = null;
+        
+        // The fork is shared state, so simulations run one at a time
+        this.queue = Promise.resolve();
+        
+        this.erc20 = new ethers.utils.Interface([
+            'function balanceOf(address owner) view returns (uint256)'
+        ]);
+        
+        this.stats = {
+            simulations: 0,
+            reverted: 0,
+            errors: 0,
+            forkResets: 0
+        };
+        
+        logger.info('Fork simulator initialized', {
+            forkUrl: this.forkUrl
+        });
+    }
+    
+    getUpstreamUrl() {
+        // Prefer an HTTP provider, hardhat cannot fork over WebSocket
+        const providers = Object.values(this.bot.config.providers || {});
+        const http = providers.find(p => p.type !== 'websocket');
+        
+        return (http || providers[0])?.url;
+    }
+    
+    /**
+     * Simulate signed transactions in order against the forked state.
+     * Returns gas used, revert reason and per-holder token balance changes.
+     */
+    async simulate(signedTxs, options = {}) {
+        const run = this.queue.then(() => this.runSimulation(signedTxs, options));
+        
+        // Keep the queue alive even if this simulation fails
+        this.queue = run.catch(() => {});
+        
+        return run;
+    }
+    
+    async runSimulation(signedTxs, options) {
+        const txs = Array.isArray(signedTxs) ? signedTxs : [signedTxs];
+        const holders = this.normalizeAddresses(options.holders || []);
+        const tokens = [NATIVE_TOKEN, ...this.normalizeAddresses(options.tokens || [])];
+        
+        this.stats.simulations++;
+        
+        await this.syncFork();
+        
+        const snapshotId = await this.forkProvider.send('evm_snapshot', []);
+        
+        try {
+            await this.alignNonces(txs);
+            
+            const before = await this.getBalances(holders, tokens);
+            
+            const results = [];
+            for (const rawTx of txs) {
+                results.push(await this.sendRawTransaction(rawTx));
+            }
+            
+            const after = await this.getBalances(holders, tokens);
+            
+            const gasUsed = results.reduce(
+                (total, r) => total.add(r.gasUsed || 0),
+                ethers.BigNumber.from(0)
+            );
+            
+            const firstRevert = results.find(r => !r.success);
+            
+            if (firstRevert) {
+                this.stats.reverted++;
+            }
+            
+            return {
+                success: !firstRevert,
+                gasUsed,
+                revertReason: firstRevert ? firstRevert.revertReason : null,
+                error: firstRevert ? `Transaction ${firstRevert.hash} reverted` : null,
+                transactions: results,
+                balanceChanges: this.diffBalances(before, after),
+                blockNumber: this.forkBlock
+            };
+            
+        } catch (error) {
+            this.stats.errors++;
+            logger.error('Fork simulation error', error);
+            
+            return {
+                success: false,
+                gasUsed: ethers.BigNumber.from(0),
+                revertReason: null,
+                error: error.message,
+                transactions: [],
+                balanceChanges: {}
+            };
+            
+        } finally {
+            await this.forkProvider.send('evm_revert', [snapshotId]);
+        }
+    }
+    
+    /**
+     * Run fn(forkProvider) on the fork at the latest block, in turn with
+     * simulations. Whatever fn changes on the fork is reverted afterwards.
+     */
+    async withFork(fn) {
+        const run = this.queue.then(async () => {
+            await this.syncFork();
+            
+            const snapshotId = await this.forkProvider.send('evm_snapshot', []);
+            
+            try {
+                return await fn(this.forkProvider, this.forkBlock);
+            } finally {
+                await this.forkProvider.send('evm_revert', [snapshotId]);
+            }
+        });
+        
+        this.queue = run.catch(() => {});
+        
+        return run;
+    }
+    
+    async syncFork() {
+        // Re-fork whenever the chain has moved on
+        const latestBlock = await this.bot.getProvider().getBlockNumber();
+        
+        if (this.forkBlock === latestBlock) {
+            return;
+        }
+        
+        await this.forkProvider.send('hardhat_reset', [{
+            forking: {
+                jsonRpcUrl: this.upstreamUrl,
+                blockNumber: latestBlock
+            }
+        }]);
+        
+        this.forkBlock = latestBlock;
+        this.stats.forkResets++;
+        
+        logger.debug('Fork reset to latest block', { blockNumber: latestBlock });
+    }
+    
+    async alignNonces(txs) {
+        // Our local nonces may be ahead of the forked block if earlier
+        // transactions are still pending upstream
+        const firstNonces = new Map();
+        
+        for (const rawTx of txs) {
+            const parsed = ethers.utils.parseTransaction(rawTx);
+            if (!firstNonces.has(parsed.from)) {
+                firstNonces.set(parsed.from, parsed.nonce);
+            }
+        }
+        
+        for (const [address, nonce] of firstNonces) {
+            const forkNonce = await this.forkProvider.getTransactionCount(address, 'latest');
+            
+            if (nonce > forkNonce) {
+                await this.forkProvider.send('hardhat_setNonce', [
+                    address,
+                    ethers.utils.hexValue(nonce)
+                ]);
+            }
+        }
+    }
+    
+    async sendRawTransaction(rawTx) {
+        const hash = ethers.utils.keccak256(rawTx);
+        let revertReason = null;
+        
+        try {
+            await this.forkProvider.send('eth_sendRawTransaction', [rawTx]);
+        } catch (error) {
+            // Hardhat still mines a reverting transaction under automine,
+            // the reason only comes back on the error
+            revertReason = this.extractRevertReason(error);
+        }
+        
+        const receipt = await this.forkProvider.getTransactionReceipt(hash);
+        
+        if (!receipt) {
+            return {
+                hash,
+                success: false,
+                gasUsed: ethers.BigNumber.from(0),
+                revertReason: revertReason || 'Transaction was not mined on fork'
+            };
+        }
+        
+        return {
+            hash,
+            success: receipt.status === 1,
+            gasUsed: receipt.gasUsed,
+            effectiveGasPrice: receipt.effectiveGasPrice,
+            revertReason: receipt.status === 1 ? null : revertReason || 'Unknown revert reason',
+            logs: receipt.logs
+        };
+    }
+    
+    extractRevertReason(error) {
+        // JSON-RPC errors from hardhat nest the revert data a few levels deep
+        const nested = error.error?.data || error.data;
+        const revertData = typeof nested === 'string' ? nested : nested?.data;
+        
+        if (revertData) {
+            return parseRevertReason({ data: revertData });
+        }
+        
+        const message = nested?.message || error.error?.message || error.message || '';
+        const match = message.match(/reverted with reason string '(.*)'/);
+        
+        return match ? match[1] : parseRevertReason(error);
+    }
+    
+    async getBalances(holders, tokens) {
+        const balances = {};
+        
+        for (const holder of holders) {
+            balances[holder] = {};
+            
+            for (const token of tokens) {
+                balances[holder][token] = await this.getBalance(holder, token);
+            }
+        }
+        
+        return balances;
+    }
+    
+    async getBalance(holder, token) {
+        if (token === NATIVE_TOKEN) {
+            return this.forkProvider.getBalance(holder);
+        }
+        
+        try {
+            const result = await this.forkProvider.call({
+                to: token,
+                data: this.erc20.encodeFunctionData('balanceOf', [holder])
+            });
+            
+            return this.erc20.decodeFunctionResult('balanceOf', result)[0];
+        } catch (error) {
+            return ethers.BigNumber.from(0);
+        }
+    }
+    
+    diffBalances(before, after) {
+        const changes = {};
+        
+        for (const [holder, tokens] of Object.entries(after)) {
+            for (const [token, balance] of Object.entries(tokens)) {
+                const delta = balance.sub(before[holder][token]);
+                
+                if (!delta.isZero()) {
+                    changes[holder] = changes[holder] || {};
+                    changes[holder][token] = delta;
+                }
+            }
+        }
+        
+        return changes;
+    }
+    
+    normalizeAddresses(addresses) {
+        const normalized = new Set();
+        
+        for (const address of addresses) {
+            try {
+                normalized.add(ethers.utils.getAddress(address));
+            } catch {
+                // Skip symbols and malformed entries
+            }
+        }
+        
+        normalized.delete(NATIVE_TOKEN);
+        return Array.from(normalized);
+    }
+    
+    getStats() {
+        return {
+            ...this.stats,
+            forkBlock: this.forkBlock
+        };
+    }
+}
+
+module.exports = { ForkSimulator, NATIVE_TOKEN };
\ No newline at end of file
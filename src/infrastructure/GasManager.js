@@ -11,8 +11,9 @@ class GasManager {
         this.gasPriceHistory = [];
         this.maxHistorySize = 100;
         
-        // EIP-1559 support
+        // EIP-1559 support, `gas.legacy` forces type-0 transactions on chains that need it
         this.supportsEIP1559 = null;
+        this.forceLegacy = Boolean(bot.config.gas?.legacy);
         this.baseFeeHistory = [];
         
         // Gas price strategies
@@ -52,6 +53,12 @@ class GasManager {
     }
     
     async checkEIP1559Support() {
+        if (this.forceLegacy) {
+            this.supportsEIP1559 = false;
+            logger.info('EIP-1559 disabled by config, using legacy gas pricing');
+            return;
+        }
+        
         try {
             const block = await this.provider.getBlock('latest');
             this.supportsEIP1559 = block.baseFeePerGas !== undefined;
@@ -198,6 +205,41 @@ class GasManager {
         }
     }
     
+    /**
+     * Fee fields for a transaction at the given tier - type 2 when the chain
+     * supports EIP-1559, legacy gasPrice otherwise
+     */
+    async getTransactionFees(priority = 'standard') {
+        const gasPrice = await this.getOptimalGasPrice(priority);
+        
+        if (this.currentGasPrice.type === 'eip1559') {
+            return {
+                type: 2,
+                maxFeePerGas: gasPrice.maxFeePerGas,
+                maxPriorityFeePerGas: gasPrice.maxPriorityFeePerGas
+            };
+        }
+        
+        return {
+            type: 0,
+            gasPrice
+        };
+    }
+    
+    /**
+     * Price per gas we expect to actually pay, for profit estimates
+     */
+    async getEffectiveGasPrice(priority = 'standard') {
+        const gasPrice = await this.getOptimalGasPrice(priority);
+        
+        if (this.currentGasPrice.type === 'eip1559') {
+            const expected = this.currentGasPrice.baseFee.add(gasPrice.maxPriorityFeePerGas);
+            return expected.lt(gasPrice.maxFeePerGas) ? expected : gasPrice.maxFeePerGas;
+        }
+        
+        return gasPrice;
+    }
+    
     async estimateGasForTransaction(tx, priority = 'standard') {
         const gasPrice = await this.getOptimalGasPrice(priority);
         let gasLimit;
@@ -0,0 +1,183 @@
+const { ethers } = require('ethers');
+const { logger } = require('../utils/logger');
+
+// Deployed at the same address on every major chain
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const MULTICALL3 = new ethers.utils.Interface([
+    'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+]);
+
+/**
+ * Merges eth_calls made within `windowMs` of each other into Multicall3
+ * aggregate3 calls, one per block tag, so every call in a batch reads the
+ * same block. Each call can fail on its own (allowFailure); a failed call
+ * rejects with a CALL_EXCEPTION carrying its revert data, like a direct call.
+ *
+ * `provider` is a stand-in for the wrapped provider whose call() goes
+ * through the batcher, so contracts built on it batch without changes.
+ */
+class MulticallBatcher {
+    constructor(provider, config = {}) {
+        this.target = provider;
+        this.address = config.address || MULTICALL3_ADDRESS;
+        this.windowMs = config.windowMs ?? 5;
+        this.maxBatchSize = config.maxBatchSize || 100;
+        
+        // blockTag -> [{ transaction, resolve, reject }]
+        this.pending = new Map();
+        this.pendingCount = 0;
+        this.timer = null;
+        
+        this.stats = {
+            calls: 0,
+            batches: 0,
+            batchedCalls: 0,
+            fallbacks: 0
+        };
+        
+        this.provider = new Proxy(provider, {
+            get: (target, prop) => {
+                if (prop === 'call') {
+                    return (transaction, blockTag) => this.call(transaction, blockTag);
+                }
+                
+                const value = target[prop];
+                return typeof value === 'function' ? value.bind(target) : value;
+            }
+        });
+    }
+    
+    async call(transaction, blockTag = 'latest') {
+        const [tx, tag] = await Promise.all([
+            ethers.utils.resolveProperties(transaction),
+            blockTag
+        ]);
+        
+        this.stats.calls++;
+        
+        // Only plain reads fit in a multicall: no sender, value or gas settings
+        if (!tx.to || !tx.data || Object.keys(tx).some(key => key !== 'to' && key !== 'data')) {
+            return this.target.call(tx, tag);
+        }
+        
+        return new Promise((resolve, reject) => {
+            const key = tag ?? 'latest';
+            
+            if (!this.pending.has(key)) {
+                this.pending.set(key, []);
+            }
+            
+            this.pending.get(key).push({ transaction: tx, resolve, reject });
+            this.pendingCount++;
+            
+            if (this.pendingCount >= this.maxBatchSize) {
+                this.flush();
+            } else if (!this.timer) {
+                this.timer = setTimeout(() => this.flush(), this.windowMs);
+            }
+        });
+    }
+    
+    flush() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        
+        const { pending } = this;
+        
+        this.pending = new Map();
+        this.pendingCount = 0;
+        
+        for (const [blockTag, calls] of pending) {
+            this.execute(calls, blockTag).catch(error => {
+                calls.forEach(call => call.reject(error));
+            });
+        }
+    }
+    
+    async execute(calls, blockTag) {
+        if (calls.length === 1) {
+            await this.executeDirect(calls, blockTag);
+            return;
+        }
+        
+        const chunks = [];
+        
+        for (let i = 0; i < calls.length; i += this.maxBatchSize) {
+            chunks.push(calls.slice(i, i + this.maxBatchSize));
+        }
+        
+        // Several aggregate3 calls for 'latest' could land on different blocks
+        const tag = chunks.length > 1 && blockTag === 'latest'
+            ? await this.target.getBlockNumber()
+            : blockTag;
+        
+        await Promise.all(chunks.map(chunk => this.executeBatch(chunk, tag)));
+    }
+    
+    async executeBatch(calls, blockTag) {
+        const data = MULTICALL3.encodeFunctionData('aggregate3', [
+            calls.map(({ transaction }) => ({
+                target: transaction.to,
+                allowFailure: true,
+                callData: transaction.data
+            }))
+        ]);
+        
+        let results;
+        
+        try {
+            const returnData = await this.target.call({ to: this.address, data }, blockTag);
+            [results] = MULTICALL3.decodeFunctionResult('aggregate3', returnData);
+        } catch (error) {
+            if (error.code !== ethers.errors.CALL_EXCEPTION) {
+                throw error;
+            }
+            
+            // e.g. no Multicall3 on this chain, or the batch ran out of gas
+            logger.debug('Multicall batch failed, calling directly', {
+                calls: calls.length,
+                error: error.message
+            });
+            
+            this.stats.fallbacks++;
+            await this.executeDirect(calls, blockTag);
+            return;
+        }
+        
+        this.stats.batches++;
+        this.stats.batchedCalls += calls.length;
+        
+        results.forEach(({ success, returnData }, i) => {
+            const { transaction, resolve, reject } = calls[i];
+            
+            if (success) {
+                resolve(returnData);
+            } else {
+                reject(ethers.logger.makeError('call revert exception', ethers.errors.CALL_EXCEPTION, {
+                    data: returnData,
+                    transaction
+                }));
+            }
+        });
+    }
+    
+    async executeDirect(calls, blockTag) {
+        await Promise.all(calls.map(({ transaction, resolve, reject }) => (
+            this.target.call(transaction, blockTag).then(resolve, reject)
+        )));
+    }
+    
+    getStats() {
+        return {
+            ...this.stats,
+            averageBatchSize: this.stats.batches > 0
+                ? (this.stats.batchedCalls / this.stats.batches).toFixed(1)
+                : null
+        };
+    }
+}
+
+module.exports = { MulticallBatcher };
\ No newline at end of file
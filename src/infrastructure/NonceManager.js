@@ -0,0 +1,504 @@
+const { ethers } = require('ethers');
+const { logger } = require('../utils/logger');
+
+// Errors that mean our local view of the nonce is wrong
+const NONCE_ERROR_PATTERNS = [
+    /nonce too low/i,
+    /nonce too high/i,
+    /nonce has already been used/i,
+    /replacement transaction underpriced/i,
+    /already known/i,
+    /invalid nonce/i
+];
+
+class NonceManager {
+    constructor(bot) {
+        this.bot = bot;
+        this.config = bot.config.nonceManager || {};
+        
+        // Per-wallet nonce state, keyed by address
+        this.wallets = new Map();
+        
+        // Configuration
+        this.stuckTimeout = this.config.stuckTimeoutMs || 60000;
+        this.checkIntervalMs = this.config.checkIntervalMs || 5000;
+        this.replacementMode = this.config.replacement || 'bump'; // 'bump' or 'cancel'
+        this.feeBumpPercent = this.config.feeBumpPercent || 15; // Nodes require >= 10%
+        this.maxReplacements = this.config.maxReplacements || 3;
+        this.maxHistory = 200;
+        
+        this.checkInterval = null;
+        
+        this.stats = {
+            acquired: 0,
+            released: 0,
+            resyncs: 0,
+            replacements: 0,
+            cancellations: 0,
+            gapsFilled: 0,
+            dropped: 0
+        };
+    }
+    
+    async start() {
+        // Sync every wallet the bot owns
+        for (const { wallet } of this.bot.wallets) {
+            await this.sync(wallet.address, 'startup');
+        }
+        
+        this.checkInterval = setInterval(async () => {
+            try {
+                await this.checkPendingTransactions();
+            } catch (error) {
+                logger.error('Error checking pending transactions', error);
+            }
+        }, this.checkIntervalMs);
+        
+        logger.info('Nonce manager started', {
+            wallets: this.wallets.size,
+            stuckTimeout: this.stuckTimeout,
+            replacementMode: this.replacementMode
+        });
+    }
+    
+    async stop() {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+        }
+        
+        logger.info('Nonce manager stopped');
+    }
+    
+    getState(address) {
+        if (!this.wallets.has(address)) {
+            this.wallets.set(address, {
+                address,
+                nextNonce: null,
+                confirmedNonce: null,
+                reserved: new Set(),
+                pending: new Map(), // nonce -> submitted transaction
+                history: [],
+                syncing: null
+            });
+        }
+        
+        return this.wallets.get(address);
+    }
+    
+    async sync(address, reason = 'manual') {
+        const state = this.getState(address);
+        
+        // Collapse concurrent resyncs into one RPC round trip
+        if (state.syncing) {
+            return state.syncing;
+        }
+        
+        state.syncing = (async () => {
+            const provider = this.bot.getProvider();
+            const [pendingCount, confirmedCount] = await Promise.all([
+                provider.getTransactionCount(address, 'pending'),
+                provider.getTransactionCount(address, 'latest')
+            ]);
+            
+            const previous = state.nextNonce;
+            
+            // Reservations below the confirmed count were used, e.g. by an included bundle
+            for (const nonce of state.reserved) {
+                if (nonce < confirmedCount) {
+                    state.reserved.delete(nonce);
+                }
+            }
+            
+            // Never hand out a nonce we already reserved or submitted
+            const localNext = Math.max(
+                -1,
+                ...state.reserved,
+                ...state.pending.keys()
+            ) + 1;
+            
+            state.nextNonce = Math.max(pendingCount, localNext);
+            state.confirmedNonce = confirmedCount;
+            
+            // Anything below the confirmed count has been mined
+            for (const nonce of state.pending.keys()) {
+                if (nonce < confirmedCount) {
+                    this.settle(state, nonce, 'mined-on-resync');
+                }
+            }
+            
+            this.stats.resyncs++;
+            this.logTransition(state, 'resync', {
+                reason,
+                previousNonce: previous,
+                nextNonce: state.nextNonce,
+                pendingCount,
+                confirmedCount
+            });
+            
+            return state.nextNonce;
+        })();
+        
+        try {
+            return await state.syncing;
+        } finally {
+            state.syncing = null;
+        }
+    }
+    
+    /**
+     * Reserve `count` consecutive nonces and return the first one
+     */
+    async acquire(address, count = 1) {
+        const state = this.getState(address);
+        
+        if (state.nextNonce === null) {
+            await this.sync(address, 'first-use');
+        }
+        
+        const nonce = state.nextNonce;
+        state.nextNonce += count;
+        
+        for (let i = 0; i < count; i++) {
+            state.reserved.add(nonce + i);
+        }
+        
+        this.stats.acquired += count;
+        this.logTransition(state, 'acquire', { nonce, count, nextNonce: state.nextNonce });
+        
+        return nonce;
+    }
+    
+    /**
+     * Give back reserved nonces that were never broadcast
+     */
+    release(address, nonce, count = 1) {
+        const state = this.getState(address);
+        
+        for (let i = 0; i < count; i++) {
+            state.reserved.delete(nonce + i);
+        }
+        
+        this.stats.released += count;
+        
+        if (nonce + count === state.nextNonce) {
+            // Top of the range - just rewind
+            state.nextNonce = nonce;
+            this.logTransition(state, 'release', { nonce, count, nextNonce: state.nextNonce });
+        } else {
+            // Later nonces are already out, this leaves a gap that
+            // checkPendingTransactions fills if anything gets stuck behind it
+            this.logTransition(state, 'release-gap', { nonce, count, nextNonce: state.nextNonce });
+        }
+    }
+    
+    /**
+     * Record a broadcast transaction for its nonce
+     */
+    track(address, nonce, txRequest, hash) {
+        const state = this.getState(address);
+        
+        state.reserved.delete(nonce);
+        state.pending.set(nonce, {
+            nonce,
+            hash,
+            txRequest,
+            submittedAt: Date.now(),
+            replacements: 0,
+            previousHashes: []
+        });
+        
+        this.logTransition(state, 'submit', { nonce, hash });
+    }
+    
+    confirm(address, nonce, hash) {
+        const state = this.getState(address);
+        
+        if (state.confirmedNonce === null || nonce >= state.confirmedNonce) {
+            state.confirmedNonce = nonce + 1;
+        }
+        
+        this.settle(state, nonce, 'confirmed', { hash });
+    }
+    
+    settle(state, nonce, event, details = {}) {
+        const entry = state.pending.get(nonce);
+        
+        state.pending.delete(nonce);
+        state.reserved.delete(nonce);
+        
+        this.logTransition(state, event, {
+            nonce,
+            hash: details.hash || entry?.hash,
+            replacements: entry?.replacements || 0
+        });
+    }
+    
+    /**
+     * Decide what a failed send means for the nonce it held
+     */
+    async handleError(address, nonce, error, count = 1) {
+        const state = this.getState(address);
+        const message = error?.message || '';
+        const isNonceError = error?.code === 'NONCE_EXPIRED' ||
+            error?.code === 'REPLACEMENT_UNDERPRICED' ||
+            NONCE_ERROR_PATTERNS.some(pattern => pattern.test(message));
+        
+        this.logTransition(state, 'error', {
+            nonce,
+            code: error?.code,
+            error: message,
+            nonceError: isNonceError
+        });
+        
+        if (isNonceError) {
+            for (let i = 0; i < count; i++) {
+                state.reserved.delete(nonce + i);
+            }
+            await this.sync(address, 'nonce-error');
+        } else if (!state.pending.has(nonce)) {
+            // Never made it to the mempool
+            this.release(address, nonce, count);
+        }
+    }
+    
+    async checkPendingTransactions() {
+        const provider = this.bot.getProvider();
+        
+        for (const state of this.wallets.values()) {
+            if (state.pending.size === 0) {
+                continue;
+            }
+            
+            const confirmedCount = await provider.getTransactionCount(state.address, 'latest');
+            state.confirmedNonce = confirmedCount;
+            
+            for (const [nonce, entry] of state.pending) {
+                // Nonce consumed - either ours was mined or something else took it
+                if (nonce < confirmedCount) {
+                    const receipt = await this.findReceipt(entry);
+                    this.settle(state, nonce, receipt ? 'mined' : 'consumed-by-other', {
+                        hash: receipt?.transactionHash
+                    });
+                    continue;
+                }
+                
+                const onChain = await provider.getTransaction(entry.hash);
+                
+                if (!onChain) {
+                    // Dropped from the mempool, resend under the same nonce
+                    this.stats.dropped++;
+                    this.logTransition(state, 'dropped', { nonce, hash: entry.hash });
+                    await this.replace(state, entry);
+                } else if (Date.now() - entry.submittedAt > this.stuckTimeout) {
+                    this.logTransition(state, 'stuck', {
+                        nonce,
+                        hash: entry.hash,
+                        age: Date.now() - entry.submittedAt
+                    });
+                    await this.replace(state, entry);
+                }
+            }
+            
+            await this.fillGaps(state, confirmedCount);
+        }
+    }
+    
+    async findReceipt(entry) {
+        const provider = this.bot.getProvider();
+        
+        for (const hash of [entry.hash, ...entry.previousHashes]) {
+            const receipt = await provider.getTransactionReceipt(hash);
+            if (receipt) {
+                return receipt;
+            }
+        }
+        
+        return null;
+    }
+    
+    async fillGaps(state, confirmedCount) {
+        // A nonce that is neither pending nor reserved below our lowest
+        // pending transaction blocks everything after it
+        if (state.pending.size === 0) {
+            return;
+        }
+        
+        const lowestPending = Math.min(...state.pending.keys());
+        
+        for (let nonce = confirmedCount; nonce < lowestPending; nonce++) {
+            if (state.reserved.has(nonce)) {
+                continue;
+            }
+            
+            this.logTransition(state, 'gap', { nonce, lowestPending });
+            
+            const entry = {
+                nonce,
+                hash: null,
+                txRequest: { to: state.address, value: 0, data: '0x' },
+                submittedAt: Date.now(),
+                replacements: 0,
+                previousHashes: []
+            };
+            
+            await this.replace(state, entry, 'cancel');
+            this.stats.gapsFilled++;
+        }
+    }
+    
+    async replace(state, entry, forcedMode = null) {
+        const wallet = this.getWallet(state.address);
+        
+        if (!wallet) {
+            logger.warn('Cannot replace transaction for unknown wallet', { address: state.address });
+            return null;
+        }
+        
+        // Fall back to cancelling once fee bumps stop working
+        const mode = forcedMode ||
+            (entry.replacements >= this.maxReplacements ? 'cancel' : this.replacementMode);
+        
+        const fees = await this.getReplacementFees(entry.txRequest);
+        
+        const replacement = mode === 'cancel'
+            ? {
+                to: state.address,
+                value: 0,
+                data: '0x',
+                gasLimit: 21000,
+                nonce: entry.nonce,
+                ...fees
+            }
+            : {
+                to: entry.txRequest.to,
+                value: entry.txRequest.value || 0,
+                data: entry.txRequest.data,
+                gasLimit: entry.txRequest.gasLimit,
+                nonce: entry.nonce,
+                ...fees
+            };
+        
+        try {
+            const response = await wallet.sendTransaction(replacement);
+            
+            if (entry.hash) {
+                entry.previousHashes.push(entry.hash);
+            }
+            
+            entry.hash = response.hash;
+            entry.txRequest = replacement;
+            entry.submittedAt = Date.now();
+            entry.replacements++;
+            
+            state.reserved.delete(entry.nonce);
+            state.pending.set(entry.nonce, entry);
+            
+            if (mode === 'cancel') {
+                this.stats.cancellations++;
+            } else {
+                this.stats.replacements++;
+            }
+            
+            this.logTransition(state, mode === 'cancel' ? 'cancel-sent' : 'bump-sent', {
+                nonce: entry.nonce,
+                hash: response.hash,
+                replaces: entry.previousHashes[entry.previousHashes.length - 1] || null,
+                replacements: entry.replacements,
+                maxFeePerGas: fees.maxFeePerGas?.toString(),
+                gasPrice: fees.gasPrice?.toString()
+            });
+            
+            return response;
+            
+        } catch (error) {
+            this.logTransition(state, 'replacement-failed', {
+                nonce: entry.nonce,
+                mode,
+                error: error.message
+            });
+            
+            // Most likely the original was mined in the meantime
+            await this.sync(state.address, 'replacement-failed');
+            return null;
+        }
+    }
+    
+    async getReplacementFees(txRequest) {
+        const feeData = await this.bot.getProvider().getFeeData();
+        const bump = (value) => ethers.BigNumber.from(value).mul(100 + this.feeBumpPercent).div(100);
+        const max = (a, b) => (b && b.gt(a) ? b : a);
+        
+        if (txRequest.maxFeePerGas) {
+            return {
+                type: 2,
+                maxFeePerGas: max(bump(txRequest.maxFeePerGas), feeData.maxFeePerGas),
+                maxPriorityFeePerGas: max(
+                    bump(txRequest.maxPriorityFeePerGas || 0),
+                    feeData.maxPriorityFeePerGas
+                )
+            };
+        }
+        
+        if (txRequest.gasPrice) {
+            return {
+                gasPrice: max(bump(txRequest.gasPrice), feeData.gasPrice)
+            };
+        }
+        
+        // Gap fillers have no previous fee, pay the going rate plus the bump
+        if (feeData.maxFeePerGas) {
+            return {
+                type: 2,
+                maxFeePerGas: bump(feeData.maxFeePerGas),
+                maxPriorityFeePerGas: bump(feeData.maxPriorityFeePerGas)
+            };
+        }
+        
+        return { gasPrice: bump(feeData.gasPrice) };
+    }
+    
+    getWallet(address) {
+        const walletObj = this.bot.wallets.find(w => w.wallet.address === address);
+        return walletObj ? walletObj.wallet : null;
+    }
+    
+    logTransition(state, event, details = {}) {
+        const record = {
+            wallet: state.address,
+            event,
+            ...details,
+            timestamp: Date.now()
+        };
+        
+        state.history.push(record);
+        if (state.history.length > this.maxHistory) {
+            state.history.shift();
+        }
+        
+        logger.info('Nonce state change', record);
+    }
+    
+    getHistory(address) {
+        return this.wallets.has(address) ? [...this.getState(address).history] : [];
+    }
+    
+    getStats() {
+        const wallets = {};
+        
+        for (const [address, state] of this.wallets) {
+            wallets[address] = {
+                nextNonce: state.nextNonce,
+                confirmedNonce: state.confirmedNonce,
+                reserved: state.reserved.size,
+                pending: state.pending.size
+            };
+        }
+        
+        return {
+            ...this.stats,
+            wallets
+        };
+    }
+}
+
+module.exports = { NonceManager };
\ No newline at end of file
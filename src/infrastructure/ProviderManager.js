@@ -1,13 +1,84 @@
 const { ethers } = require('ethers');
 const { logger } = require('../utils/logger');
+const { MulticallBatcher } = require('./MulticallBatcher');
+const { TokenBucket } = require('./TokenBucket');
+const { sleep } = require('../utils/helpers');
+
+// Compute units charged per JSON-RPC method (Alchemy's schedule), overridable
+// per provider with `computeUnits`
+const COMPUTE_UNITS = {
+    eth_chainId: 0,
+    net_version: 0,
+    eth_blockNumber: 10,
+    eth_feeHistory: 10,
+    eth_maxPriorityFeePerGas: 10,
+    eth_getTransactionReceipt: 15,
+    eth_getBlockByNumber: 16,
+    eth_getBlockByHash: 16,
+    eth_getTransactionByHash: 17,
+    eth_getStorageAt: 17,
+    eth_gasPrice: 19,
+    eth_getBalance: 19,
+    eth_call: 26,
+    eth_getCode: 26,
+    eth_getTransactionCount: 26,
+    eth_getLogs: 75,
+    eth_estimateGas: 87,
+    eth_sendRawTransaction: 250
+};
+
+const DEFAULT_COMPUTE_UNITS = 20;
+
+// Retry delays by error class, doubling per consecutive failure of a provider
+const BACKOFF = {
+    rateLimit: { baseMs: 1000, maxMs: 30000 },
+    timeout: { baseMs: 250, maxMs: 5000 },
+    server: { baseMs: 500, maxMs: 10000 }
+};
+
+// Errors every provider would return alike, so retrying elsewhere won't help
+const FATAL_ERRORS = new Set([
+    ethers.errors.CALL_EXCEPTION,
+    ethers.errors.UNPREDICTABLE_GAS_LIMIT,
+    ethers.errors.INSUFFICIENT_FUNDS,
+    ethers.errors.NONCE_EXPIRED,
+    ethers.errors.REPLACEMENT_UNDERPRICED,
+    ethers.errors.TRANSACTION_REPLACED,
+    ethers.errors.INVALID_ARGUMENT,
+    ethers.errors.NUMERIC_FAULT
+]);
 
 class ProviderManager {
-    constructor(config) {
+    constructor(config, multicall = {}, requests = {}) {
         this.config = config;
         this.providers = new Map();
         this.providerStats = new Map();
         this.primaryProvider = null;
         
+        // Token buckets enforcing each provider's rateLimit
+        this.buckets = new Map();
+        
+        // Attempts per executeWithFallback call, across providers
+        this.maxAttempts = requests.maxAttempts || 4;
+        
+        // Providers a hedged read is sent to at once
+        this.hedgeCount = requests.hedgeCount || 2;
+        
+        this.backoff = {};
+        for (const [errorClass, defaults] of Object.entries(BACKOFF)) {
+            this.backoff[errorClass] = { ...defaults, ...requests.backoff?.[errorClass] };
+        }
+        
+        this.stats = {
+            hedged: 0,
+            hedgeFallbacks: 0,
+            retries: 0
+        };
+        
+        // Multicall3 batchers for read calls, one per provider
+        this.multicall = multicall;
+        this.batchers = new Map();
+        
         // Initialize providers
         this.initializeProviders();
         
@@ -37,6 +108,7 @@ class ProviderManager {
                 provider._rateLimit = providerConfig.rateLimit || 100;
                 
                 this.providers.set(name, provider);
+                this.buckets.set(name, new TokenBucket(provider._rateLimit, providerConfig.burst || provider._rateLimit));
                 
                 // Initialize stats
                 this.providerStats.set(name, {
@@ -44,9 +116,18 @@ class ProviderManager {
                     errors: 0,
                     latency: [],
                     lastError: null,
-                    healthy: true
+                    healthy: true,
+                    failures: 0,
+                    backoffUntil: 0,
+                    hedgeWins: 0,
+                    throttled: 0,
+                    throttledMs: 0,
+                    computeUnits: 0,
+                    computeUnitsByMethod: {}
                 });
                 
+                this.meterProvider(provider, { ...COMPUTE_UNITS, ...providerConfig.computeUnits });
+                
                 // Set primary provider
                 if (!this.primaryProvider || providerConfig.primary) {
                     this.primaryProvider = provider;
@@ -63,6 +144,32 @@ class ProviderManager {
         }
     }
     
+    /**
+     * Route every JSON-RPC request of the provider through its token bucket
+     * and count its compute units. send() is what all provider methods,
+     * contract calls and Multicall batches end up in.
+     */
+    meterProvider(provider, computeUnits) {
+        const name = provider._name;
+        const send = provider.send.bind(provider);
+        
+        provider.send = async (method, params) => {
+            const stats = this.providerStats.get(name);
+            const waitMs = await this.buckets.get(name).take();
+            
+            if (waitMs > 0) {
+                stats.throttled++;
+                stats.throttledMs += waitMs;
+            }
+            
+            const units = computeUnits[method] ?? DEFAULT_COMPUTE_UNITS;
+            stats.computeUnits += units;
+            stats.computeUnitsByMethod[method] = (stats.computeUnitsByMethod[method] || 0) + units;
+            
+            return send(method, params);
+        };
+    }
+    
     getProvider(name = null) {
         if (name) {
             return this.providers.get(name);
@@ -72,6 +179,24 @@ class ProviderManager {
         return this.getBestProvider();
     }
     
+    /**
+     * Provider for contract reads: same as getProvider(), except eth_calls
+     * made close together are merged into Multicall3 batches
+     */
+    getReadProvider(name = null) {
+        const provider = this.getProvider(name);
+        
+        if (!provider || this.multicall.enabled === false) {
+            return provider;
+        }
+        
+        if (!this.batchers.has(provider._name)) {
+            this.batchers.set(provider._name, new MulticallBatcher(provider, this.multicall));
+        }
+        
+        return this.batchers.get(provider._name).provider;
+    }
+    
     getBestProvider() {
         let bestProvider = this.primaryProvider;
         let bestScore = Infinity;
@@ -105,33 +230,186 @@ class ProviderManager {
         return Array.from(this.providers.values());
     }
     
-    async executeWithFallback(method, params = []) {
-        const providers = this.getSortedProviders();
+    /**
+     * Call provider[method] on the best provider, moving on to the next one
+     * on failure. A failing provider backs off for a delay set by the error
+     * class; when all of them are backing off the call waits for the first.
+     * Errors every provider would repeat, like reverts, are thrown at once.
+     */
+    async executeWithFallback(method, params = [], exclude = []) {
         let lastError;
         
-        for (const provider of providers) {
+        for (let attempt = 0; attempt < this.maxAttempts; attempt++) {
+            const provider = await this.getNextProvider(exclude);
+            
+            if (!provider) {
+                break;
+            }
+            
+            if (attempt > 0) {
+                this.stats.retries++;
+            }
+            
             try {
-                const start = Date.now();
-                const result = await provider[method](...params);
-                
-                // Update stats
-                this.updateProviderStats(provider._name, true, Date.now() - start);
-                
-                return result;
-                
+                return await this.execute(provider, method, params);
             } catch (error) {
                 lastError = error;
-                this.updateProviderStats(provider._name, false, 0, error);
                 
-                logger.debug(`Provider ${provider._name} failed for ${method}`, {
-                    error: error.message
-                });
+                if (this.classifyError(error) === 'fatal') {
+                    throw error;
+                }
             }
         }
         
         throw lastError || new Error('All providers failed');
     }
     
+    /**
+     * Latency-critical reads: sent to the top `hedgeCount` healthy providers
+     * at once, the first valid (non-null) answer wins. If none comes back
+     * the remaining providers are tried as in executeWithFallback.
+     */
+    async executeHedged(method, params = []) {
+        const now = Date.now();
+        const providers = this.getSortedProviders()
+            .filter(provider => {
+                const stats = this.providerStats.get(provider._name);
+                return stats.healthy && stats.backoffUntil <= now;
+            })
+            .slice(0, this.hedgeCount);
+        
+        if (providers.length < 2) {
+            return this.executeWithFallback(method, params);
+        }
+        
+        this.stats.hedged++;
+        
+        const requests = providers.map(provider => this.execute(provider, method, params).then(result => {
+            if (result === null || result === undefined) {
+                throw new Error(`${provider._name} returned no result for ${method}`);
+            }
+            
+            return { provider, result };
+        }));
+        
+        try {
+            // Only the provider whose answer is used wins the race
+            const { provider, result } = await Promise.any(requests);
+            
+            this.providerStats.get(provider._name).hedgeWins++;
+            return result;
+        } catch (error) {
+            const fatal = error.errors.find(e => this.classifyError(e) === 'fatal');
+            
+            if (fatal) {
+                throw fatal;
+            }
+            
+            if (this.providers.size <= providers.length) {
+                throw error.errors[0];
+            }
+            
+            this.stats.hedgeFallbacks++;
+            
+            return this.executeWithFallback(method, params, providers.map(provider => provider._name));
+        }
+    }
+    
+    async execute(provider, method, params) {
+        const start = Date.now();
+        
+        try {
+            const result = await provider[method](...params);
+            
+            this.updateProviderStats(provider._name, true, Date.now() - start);
+            
+            return result;
+            
+        } catch (error) {
+            const errorClass = this.classifyError(error);
+            
+            if (errorClass === 'fatal') {
+                // The provider answered, the request was at fault
+                this.updateProviderStats(provider._name, true, Date.now() - start);
+            } else {
+                this.updateProviderStats(provider._name, false, 0, error);
+                this.backOff(provider._name, errorClass);
+            }
+            
+            logger.debug(`Provider ${provider._name} failed for ${method}`, {
+                errorClass,
+                error: error.message
+            });
+            
+            throw error;
+        }
+    }
+    
+    /**
+     * Best provider not backing off, skipping the names in `exclude`. If all are backing
+     * off, waits for the one that comes back first.
+     */
+    async getNextProvider(exclude = []) {
+        const candidates = this.getSortedProviders().filter(provider => !exclude.includes(provider._name));
+        
+        if (candidates.length === 0) {
+            return null;
+        }
+        
+        const now = Date.now();
+        const ready = candidates.find(provider => this.providerStats.get(provider._name).backoffUntil <= now);
+        
+        if (ready) {
+            return ready;
+        }
+        
+        const soonest = candidates.reduce((a, b) => (
+            this.providerStats.get(b._name).backoffUntil < this.providerStats.get(a._name).backoffUntil ? b : a
+        ));
+        
+        await sleep(this.providerStats.get(soonest._name).backoffUntil - now);
+        
+        return soonest;
+    }
+    
+    classifyError(error) {
+        if (FATAL_ERRORS.has(error.code)) {
+            return 'fatal';
+        }
+        
+        // ethers nests the JSON-RPC error and HTTP status under SERVER_ERROR
+        const status = error.status || error.error?.status;
+        const rpcCode = error.error?.code;
+        const message = [error.message, error.error?.message, error.body].filter(Boolean).join(' ');
+        
+        if (status === 429 || rpcCode === 429 || rpcCode === -32005 || /rate limit|too many requests|exceeded|capacity/i.test(message)) {
+            return 'rateLimit';
+        }
+        
+        // Execution reverts from the node that ethers didn't map to CALL_EXCEPTION
+        if (rpcCode === 3 || /execution reverted|revert/i.test(message)) {
+            return 'fatal';
+        }
+        
+        if (error.code === ethers.errors.TIMEOUT || /timeout|timed out|ETIMEDOUT/i.test(message)) {
+            return 'timeout';
+        }
+        
+        return 'server';
+    }
+    
+    backOff(name, errorClass) {
+        const stats = this.providerStats.get(name);
+        const { baseMs, maxMs } = this.backoff[errorClass];
+        
+        stats.failures++;
+        stats.backoffUntil = Date.now() + Math.min(baseMs * 2 ** (stats.failures - 1), maxMs);
+        
+        if (errorClass === 'rateLimit') {
+            this.buckets.get(name).drain();
+        }
+    }
+    
     getSortedProviders() {
         // Sort providers by health and performance
         return Array.from(this.providers.values()).sort((a, b) => {
@@ -171,6 +449,7 @@ class ProviderManager {
         stats.requests++;
         
         if (success) {
+            stats.failures = 0;
             stats.latency.push(latency);
             
             // Keep only last 100 latency measurements
@@ -302,12 +581,24 @@ class ProviderManager {
                     ? (providerStats.errors / providerStats.requests * 100).toFixed(2) + '%'
                     : '0%',
                 avgLatency: Math.round(avgLatency) + 'ms',
-                lastError: providerStats.lastError ? providerStats.lastError.message : null
+                lastError: providerStats.lastError ? providerStats.lastError.message : null,
+                rateLimit: this.providers.get(name)._rateLimit,
+                throttled: providerStats.throttled,
+                throttledMs: providerStats.throttledMs,
+                backingOff: providerStats.backoffUntil > Date.now(),
+                hedgeWins: providerStats.hedgeWins,
+                computeUnits: providerStats.computeUnits,
+                computeUnitsByMethod: { ...providerStats.computeUnitsByMethod }
             };
         }
         
+        for (const [name, batcher] of this.batchers) {
+            stats[name].multicall = batcher.getStats();
+        }
+        
         return {
             primaryProvider: this.primaryProvider._name,
+            ...this.stats,
             providers: stats
         };
     }
@@ -320,8 +611,8 @@ class ProviderManager {
         
         // Close WebSocket connections
         for (const provider of this.providers.values()) {
-            if (provider._websocket) {
-                await provider._websocket.destroy();
+            if (provider instanceof ethers.providers.WebSocketProvider) {
+                await provider.destroy();
             }
         }
         
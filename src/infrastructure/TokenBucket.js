@@ -0,0 +1,43 @@
+const { sleep } = require('../utils/helpers');
+
+/**
+ * Requests per second with bursts up to `capacity`. A request that finds
+ * the bucket empty still takes its token, leaving it negative, and waits
+ * until that token has refilled, so concurrent waiters queue up in order.
+ */
+class TokenBucket {
+    constructor(rate, capacity = rate) {
+        this.rate = rate;
+        this.capacity = capacity;
+        this.tokens = capacity;
+        this.updatedAt = Date.now();
+    }
+    
+    refill() {
+        const now = Date.now();
+        
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.rate / 1000);
+        this.updatedAt = now;
+    }
+    
+    async take() {
+        this.refill();
+        
+        const waitMs = this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) * 1000 / this.rate);
+        this.tokens--;
+        
+        if (waitMs > 0) {
+            await sleep(waitMs);
+        }
+        
+        return waitMs;
+    }
+    
+    // After a 429 the provider's own budget is spent, whatever ours says
+    drain() {
+        this.refill();
+        this.tokens = Math.min(this.tokens, 0);
+    }
+}
+
+module.exports = { TokenBucket };
\ No newline at end of file
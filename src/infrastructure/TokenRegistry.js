@@ -0,0 +1,369 @@
+const { ethers } = require('ethers');
+const { logger } = require('../utils/logger');
+const { DEXAggregator } = require('../dex/DEXAggregator');
+
+const ERC20_ABI = [
+    'function decimals() view returns (uint8)',
+    'function symbol() view returns (string)',
+    'function balanceOf(address owner) view returns (uint256)',
+    'function approve(address spender, uint256 amount) returns (bool)',
+    'function transfer(address to, uint256 amount) returns (bool)'
+];
+
+// Some older tokens (MKR, SAI) return their symbol as bytes32
+const BYTES32_SYMBOL_ABI = ['function symbol() view returns (bytes32)'];
+
+const WETH_ABI = ['function deposit() payable'];
+
+// Throwaway accounts the round trip runs from on the fork
+const TRADER = '0x00000000000000000000000000000000000073A1';
+const RECEIVER = '0x00000000000000000000000000000000000073A2';
+
+// Risk scores (0-10, lower is safer) by screening outcome
+const SCREENED_SCORE = 4;
+const UNSCREENED_SCORE = 5;
+const REBASING_SCORE = 7;
+const FEE_ON_TRANSFER_SCORE = 8;
+const BLOCKED_SCORE = 10;
+
+/**
+ * Token metadata and risk, by chain and address.
+ *
+ * Decimals and symbol are read once per token. Tokens without a configured
+ * score are screened on the fork: buy with WETH, transfer to a second
+ * account, let a day pass, sell back to WETH. A step that reverts marks the
+ * token as transfer-blocked (a honeypot when it's the sell), output short
+ * of the quote or of the amount sent marks it fee-on-transfer, and a balance
+ * that moves on its own marks it rebasing. Only rebases that accrue with
+ * time show up; ones triggered by an oracle report don't.
+ */
+class TokenRegistry {
+    constructor(bot) {
+        this.bot = bot;
+        this.config = bot.config.tokenRegistry || {};
+        
+        // chainId:address -> Promise<{ address, chainId, symbol, decimals }>
+        this.tokens = new Map();
+        
+        // provider -> Promise<chainId>, so lookups don't ask for it each time
+        this.chainIds = new WeakMap();
+        
+        // address -> screening result, for the home chain
+        this.screenings = new Map();
+        this.pending = new Map();
+        
+        this.screenAmount = ethers.utils.parseEther(this.config.screenAmountETH || '0.1');
+        this.screenTtlMs = this.config.screenTtlMs || 6 * 60 * 60 * 1000;
+        this.retryMs = this.config.retryMs || 60000;
+        
+        // Taxes up to this are rounding, not a fee
+        this.toleranceBps = this.config.toleranceBps ?? 10;
+        
+        // Configured scores are by symbol, opportunities carry addresses
+        this.scores = new Map();
+        
+        for (const [symbol, score] of Object.entries(this.config.scores || {})) {
+            const address = this.bot.config.tokens[symbol];
+            
+            if (address) {
+                this.scores.set(address.toLowerCase(), score);
+            }
+        }
+        
+        // Quotes for the round trip come from the fork itself
+        this.dexAggregator = null;
+        
+        this.stats = {
+            screened: 0,
+            flagged: 0,
+            errors: 0
+        };
+    }
+    
+    /**
+     * Decimals, symbol and chain of a token, on the home chain unless
+     * another chain's provider is given
+     */
+    async getToken(address, provider = this.bot.getReadProvider()) {
+        const chainId = await this.getChainId(provider);
+        const key = `${chainId}:${address.toLowerCase()}`;
+        
+        if (!this.tokens.has(key)) {
+            const info = this.loadToken(address, provider, chainId);
+            
+            this.tokens.set(key, info);
+            info.catch(() => this.tokens.delete(key));
+        }
+        
+        return this.tokens.get(key);
+    }
+    
+    getChainId(provider) {
+        if (!this.chainIds.has(provider)) {
+            const chainId = provider.getNetwork().then(network => network.chainId);
+            
+            this.chainIds.set(provider, chainId);
+            chainId.catch(() => this.chainIds.delete(provider));
+        }
+        
+        return this.chainIds.get(provider);
+    }
+    
+    async loadToken(address, provider, chainId) {
+        const token = new ethers.Contract(address, ERC20_ABI, provider);
+        
+        const [decimals, symbol] = await Promise.all([
+            token.decimals().catch(() => 18),
+            token.symbol().catch(() => this.getBytes32Symbol(address, provider))
+        ]);
+        
+        return { address: ethers.utils.getAddress(address), chainId, symbol, decimals };
+    }
+    
+    async getBytes32Symbol(address, provider) {
+        try {
+            const token = new ethers.Contract(address, BYTES32_SYMBOL_ABI, provider);
+            return ethers.utils.parseBytes32String(await token.symbol());
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    async getDecimals(address, provider) {
+        return (await this.getToken(address, provider)).decimals;
+    }
+    
+    /**
+     * Risk score of a home-chain token. Configured tokens keep their score,
+     * others are screened on first use and again once the result expires.
+     */
+    async getRiskScore(token) {
+        const address = this.resolve(token);
+        
+        if (!address) {
+            return UNSCREENED_SCORE;
+        }
+        
+        if (this.scores.has(address.toLowerCase())) {
+            return this.scores.get(address.toLowerCase());
+        }
+        
+        return this.scoreScreening(await this.screen(address));
+    }
+    
+    async isTradable(token, maxRisk = this.bot.config.risk?.maxTokenRisk || 5) {
+        return (await this.getRiskScore(token)) <= maxRisk;
+    }
+    
+    scoreScreening(screening) {
+        if (!screening || screening.error) {
+            return UNSCREENED_SCORE;
+        }
+        
+        if (screening.transferBlocked) {
+            return BLOCKED_SCORE;
+        }
+        
+        if (screening.feeOnTransfer) {
+            return FEE_ON_TRANSFER_SCORE;
+        }
+        
+        return screening.rebasing ? REBASING_SCORE : SCREENED_SCORE;
+    }
+    
+    resolve(token) {
+        // Symbols from older opportunity formats map through the configured tokens
+        if (ethers.utils.isAddress(token)) {
+            return token;
+        }
+        
+        return this.bot.config.tokens[token] || null;
+    }
+    
+    async screen(address) {
+        const key = address.toLowerCase();
+        const cached = this.screenings.get(key);
+        
+        if (cached && Date.now() - cached.timestamp < (cached.error ? this.retryMs : this.screenTtlMs)) {
+            return cached;
+        }
+        
+        if (!this.pending.has(key)) {
+            const screening = this.runScreening(address).finally(() => this.pending.delete(key));
+            this.pending.set(key, screening);
+        }
+        
+        return this.pending.get(key);
+    }
+    
+    async runScreening(address) {
+        let screening;
+        
+        try {
+            screening = await this.bot.executor.simulator.withFork(
+                (fork, blockNumber) => this.roundTrip(fork, address, blockNumber)
+            );
+            
+            this.stats.screened++;
+            
+            if (screening.transferBlocked || screening.feeOnTransfer || screening.rebasing) {
+                this.stats.flagged++;
+                logger.warn('Token flagged by screening', screening);
+            }
+        } catch (error) {
+            this.stats.errors++;
+            logger.debug('Token screening failed', { token: address, error: error.message });
+            
+            screening = { token: address, error: error.message };
+        }
+        
+        screening.timestamp = Date.now();
+        this.screenings.set(address.toLowerCase(), screening);
+        
+        return screening;
+    }
+    
+    async roundTrip(fork, address, blockNumber) {
+        const weth = this.bot.config.tokens.WETH;
+        const dexAggregator = this.getForkAggregator(fork);
+        const token = new ethers.Contract(address, ERC20_ABI, fork);
+        
+        const result = {
+            token: address,
+            blockNumber,
+            buyTaxBps: null,
+            transferFeeBps: null,
+            sellTaxBps: null,
+            feeOnTransfer: false,
+            rebasing: false,
+            transferBlocked: false,
+            blockedAt: null
+        };
+        
+        const [trader, receiver] = await Promise.all([TRADER, RECEIVER].map(account => this.impersonate(fork, account)));
+        
+        // Buy with WETH
+        const buyQuote = await dexAggregator.getBestQuote(weth, address, this.screenAmount);
+        
+        if (!buyQuote) {
+            return { ...result, error: 'No WETH pool to buy through' };
+        }
+        
+        // Any output is accepted, the shortfall against the quote is what's measured
+        const buyTx = await dexAggregator.buildSwapTransaction(buyQuote, TRADER, 10000);
+        
+        await new ethers.Contract(weth, WETH_ABI, trader).deposit({ value: this.screenAmount });
+        await new ethers.Contract(weth, ERC20_ABI, trader).approve(buyTx.to, this.screenAmount);
+        
+        if (!await this.send(trader, buyTx)) {
+            return { ...result, transferBlocked: true, blockedAt: 'buy' };
+        }
+        
+        const bought = await token.balanceOf(TRADER);
+        result.buyTaxBps = this.shortfallBps(buyQuote.outputAmount, bought);
+        
+        // Wallet to wallet
+        if (!await this.send(trader, await token.populateTransaction.transfer(RECEIVER, bought))) {
+            return { ...result, transferBlocked: true, blockedAt: 'transfer' };
+        }
+        
+        const received = await token.balanceOf(RECEIVER);
+        result.transferFeeBps = this.shortfallBps(bought, received);
+        
+        // A day with no transfers shouldn't move the balance
+        await fork.send('evm_increaseTime', [86400]);
+        await fork.send('evm_mine', []);
+        
+        const held = await token.balanceOf(RECEIVER);
+        result.rebasing = !held.eq(received);
+        
+        // Sell back; tokens that only sell through fee-supporting router
+        // functions count as blocked, our swaps don't use those either
+        const sellQuote = await dexAggregator.getBestQuote(address, weth, held);
+        
+        if (!sellQuote) {
+            return { ...result, error: 'No WETH pool to sell through' };
+        }
+        
+        const sellTx = await dexAggregator.buildSwapTransaction(sellQuote, RECEIVER, 10000);
+        const wethBefore = await new ethers.Contract(weth, ERC20_ABI, fork).balanceOf(RECEIVER);
+        
+        await this.send(receiver, await token.populateTransaction.approve(sellTx.to, held));
+        
+        if (!await this.send(receiver, sellTx)) {
+            return { ...result, transferBlocked: true, blockedAt: 'sell' };
+        }
+        
+        const sold = (await new ethers.Contract(weth, ERC20_ABI, fork).balanceOf(RECEIVER)).sub(wethBefore);
+        result.sellTaxBps = this.shortfallBps(sellQuote.outputAmount, sold);
+        
+        result.feeOnTransfer = [result.buyTaxBps, result.transferFeeBps, result.sellTaxBps]
+            .some(bps => bps > this.toleranceBps);
+        
+        return result;
+    }
+    
+    getForkAggregator(fork) {
+        if (!this.dexAggregator) {
+            // Local V3 models would sync ticks from the fork's logs, the quoter is enough here
+            const dexes = { ...this.bot.config.dexes };
+            
+            if (dexes.uniswapV3) {
+                dexes.uniswapV3 = { ...dexes.uniswapV3, localQuotes: false };
+            }
+            
+            this.dexAggregator = new DEXAggregator(this.bot, { provider: fork, dexes });
+        }
+        
+        return this.dexAggregator;
+    }
+    
+    async impersonate(fork, account) {
+        await fork.send('hardhat_impersonateAccount', [account]);
+        await fork.send('hardhat_setBalance', [account, ethers.utils.hexValue(ethers.utils.parseEther('10'))]);
+        
+        return fork.getSigner(account);
+    }
+    
+    async send(signer, tx) {
+        try {
+            const response = await signer.sendTransaction({ to: tx.to, data: tx.data, value: tx.value || 0 });
+            const receipt = await response.wait();
+            return receipt.status === 1;
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    shortfallBps(expected, actual) {
+        if (expected.isZero() || actual.gte(expected)) {
+            return 0;
+        }
+        
+        return expected.sub(actual).mul(10000).div(expected).toNumber();
+    }
+    
+    getScores() {
+        const scores = {};
+        
+        for (const [address, score] of this.scores) {
+            scores[address] = score;
+        }
+        
+        for (const [address, screening] of this.screenings) {
+            scores[address] = this.scoreScreening(screening);
+        }
+        
+        return scores;
+    }
+    
+    getStats() {
+        return {
+            ...this.stats,
+            tokens: this.tokens.size,
+            screenings: this.screenings.size
+        };
+    }
+}
+
+module.exports = { TokenRegistry };
\ No newline at end of file
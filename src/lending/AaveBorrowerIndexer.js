@@ -0,0 +1,65 @@
+const { ethers } = require('ethers');
+const { BorrowerIndexer } = require('./BorrowerIndexer');
+
+// Aave V3 pool events that change a user's position
+const POOL_EVENTS = [
+    'event Supply(address indexed reserve, address user, address indexed onBehalfOf, uint256 amount, uint16 indexed referralCode)',
+    'event Withdraw(address indexed reserve, address indexed user, address indexed to, uint256 amount)',
+    'event Borrow(address indexed reserve, address user, address indexed onBehalfOf, uint256 amount, uint8 interestRateMode, uint256 borrowRate, uint16 indexed referralCode)',
+    'event Repay(address indexed reserve, address indexed user, address indexed repayer, uint256 amount, bool useATokens)',
+    'event LiquidationCall(address indexed collateralAsset, address indexed debtAsset, address indexed user, uint256 debtToCover, uint256 liquidatedCollateralAmount, address liquidator, bool receiveAToken)'
+];
+
+// Which argument holds the account whose position changed
+const POSITION_OWNER = {
+    Supply: 'onBehalfOf',
+    Withdraw: 'user',
+    Borrow: 'onBehalfOf',
+    Repay: 'user',
+    LiquidationCall: 'user'
+};
+
+class AaveBorrowerIndexer extends BorrowerIndexer {
+    constructor(bot, protocol, config = {}) {
+        super(bot, {
+            protocol: 'aave',
+            addresses: [protocol.lendingPool],
+            events: POOL_EVENTS,
+            owners: POSITION_OWNER
+        }, config);
+        
+        this.lendingPool = new ethers.Contract(
+            protocol.lendingPool,
+            [
+                'function getUserAccountData(address user) view returns (uint256 totalCollateralETH, uint256 totalDebtETH, uint256 availableBorrowsETH, uint256 currentLiquidationThreshold, uint256 ltv, uint256 healthFactor)'
+            ],
+            bot.getProvider()
+        );
+    }
+    
+    async getAccountState(user) {
+        return this.toAccountState(await this.lendingPool.getUserAccountData(user));
+    }
+    
+    toAccountState(accountData) {
+        const active = !accountData.totalDebtETH.isZero();
+        
+        return {
+            healthFactor: active
+                ? parseFloat(ethers.utils.formatUnits(accountData.healthFactor, 18))
+                : null,
+            totalCollateral: accountData.totalCollateralETH,
+            totalDebt: accountData.totalDebtETH,
+            active
+        };
+    }
+    
+    /**
+     * Record getUserAccountData output from a scan
+     */
+    async updatePosition(user, accountData, lastEventBlock = null) {
+        return this.recordState(user, this.toAccountState(accountData), lastEventBlock);
+    }
+}
+
+module.exports = { AaveBorrowerIndexer };
\ No newline at end of file
@@ -0,0 +1,99 @@
+const { ethers } = require('ethers');
+
+// Aave V3 PercentageMath / LiquidationLogic constants
+const PERCENTAGE_FACTOR = ethers.BigNumber.from(10000);
+const HALF_PERCENTAGE_FACTOR = ethers.BigNumber.from(5000);
+const DEFAULT_LIQUIDATION_CLOSE_FACTOR = ethers.BigNumber.from(5000);
+const MAX_LIQUIDATION_CLOSE_FACTOR = ethers.BigNumber.from(10000);
+const CLOSE_FACTOR_HF_THRESHOLD = ethers.utils.parseUnits('0.95', 18);
+
+/**
+ * value * percentage / 10000, rounded half up like PercentageMath.percentMul
+ */
+function percentMul(value, percentage) {
+    return value.mul(percentage).add(HALF_PERCENTAGE_FACTOR).div(PERCENTAGE_FACTOR);
+}
+
+/**
+ * value * 10000 / percentage, rounded half up like PercentageMath.percentDiv
+ */
+function percentDiv(value, percentage) {
+    return value.mul(PERCENTAGE_FACTOR).add(percentage.div(2)).div(percentage);
+}
+
+/**
+ * Half of the debt may be covered, all of it once health factor is below 0.95
+ */
+function getCloseFactor(healthFactor) {
+    return healthFactor.lte(CLOSE_FACTOR_HF_THRESHOLD)
+        ? MAX_LIQUIDATION_CLOSE_FACTOR
+        : DEFAULT_LIQUIDATION_CLOSE_FACTOR;
+}
+
+/**
+ * Mirror of LiquidationLogic for one debt/collateral pair.
+ *
+ * debt:       { totalDebt, price, decimals }
+ * collateral: { balance, price, decimals, liquidationBonus, protocolFee }
+ *
+ * Prices are oracle prices in the base currency. Returns the debt to cover,
+ * the collateral the liquidator receives (after the protocol fee) and the
+ * profit in base currency units.
+ */
+function calculateLiquidation(healthFactor, debt, collateral) {
+    const maxDebtToCover = percentMul(debt.totalDebt, getCloseFactor(healthFactor));
+    
+    const debtUnit = ethers.BigNumber.from(10).pow(debt.decimals);
+    const collateralUnit = ethers.BigNumber.from(10).pow(collateral.decimals);
+    
+    // Collateral worth the debt, plus the liquidation bonus
+    const baseCollateral = debt.price.mul(maxDebtToCover).mul(collateralUnit)
+        .div(collateral.price.mul(debtUnit));
+    const maxCollateral = percentMul(baseCollateral, collateral.liquidationBonus);
+    
+    let collateralAmount;
+    let debtToCover;
+    
+    if (maxCollateral.gt(collateral.balance)) {
+        // Not enough collateral - cover only what it pays for
+        collateralAmount = collateral.balance;
+        debtToCover = percentDiv(
+            collateral.price.mul(collateralAmount).mul(debtUnit)
+                .div(debt.price.mul(collateralUnit)),
+            collateral.liquidationBonus
+        );
+    } else {
+        collateralAmount = maxCollateral;
+        debtToCover = maxDebtToCover;
+    }
+    
+    // The protocol takes its fee out of the bonus part only
+    let protocolFee = ethers.BigNumber.from(0);
+    if (collateral.protocolFee && !collateral.protocolFee.isZero()) {
+        const bonusCollateral = collateralAmount.sub(
+            percentDiv(collateralAmount, collateral.liquidationBonus)
+        );
+        protocolFee = percentMul(bonusCollateral, collateral.protocolFee);
+    }
+    
+    const collateralReceived = collateralAmount.sub(protocolFee);
+    
+    const receivedValue = collateralReceived.mul(collateral.price).div(collateralUnit);
+    const repaidValue = debtToCover.mul(debt.price).div(debtUnit);
+    
+    return {
+        debtToCover,
+        collateralReceived,
+        protocolFee,
+        closeFactor: getCloseFactor(healthFactor),
+        profitBase: receivedValue.sub(repaidValue)
+    };
+}
+
+module.exports = {
+    CLOSE_FACTOR_HF_THRESHOLD,
+    percentMul,
+    percentDiv,
+    getCloseFactor,
+    calculateLiquidation
+};
\ No newline at end of file
@@ -0,0 +1,190 @@
+const { ethers } = require('ethers');
+const { calculateLiquidation } = require('./AaveLiquidationMath');
+
+const POOL_ABI = [
+    'function ADDRESSES_PROVIDER() view returns (address)',
+    'function getUserAccountData(address user) view returns (uint256 totalCollateralETH, uint256 totalDebtETH, uint256 availableBorrowsETH, uint256 currentLiquidationThreshold, uint256 ltv, uint256 healthFactor)',
+    'function liquidationCall(address collateralAsset, address debtAsset, address user, uint256 debtToCover, bool receiveAToken)'
+];
+
+const ADDRESSES_PROVIDER_ABI = [
+    'function getPoolDataProvider() view returns (address)',
+    'function getPriceOracle() view returns (address)'
+];
+
+const DATA_PROVIDER_ABI = [
+    'function getAllReservesTokens() view returns (tuple(string symbol, address tokenAddress)[])',
+    'function getReserveConfigurationData(address asset) view returns (uint256 decimals, uint256 ltv, uint256 liquidationThreshold, uint256 liquidationBonus, uint256 reserveFactor, bool usageAsCollateralEnabled, bool borrowingEnabled, bool stableBorrowRateEnabled, bool isActive, bool isFrozen)',
+    'function getLiquidationProtocolFee(address asset) view returns (uint256)',
+    'function getUserReserveData(address asset, address user) view returns (uint256 currentATokenBalance, uint256 currentStableDebt, uint256 currentVariableDebt, uint256 principalStableDebt, uint256 scaledVariableDebt, uint256 stableBorrowRate, uint256 liquidityRate, uint40 stableRateLastUpdated, bool usageAsCollateralEnabled)'
+];
+
+const ORACLE_ABI = [
+    'function getAssetPrice(address asset) view returns (uint256)',
+    'function getAssetsPrices(address[] assets) view returns (uint256[])'
+];
+
+/**
+ * Sizes liquidations on one Aave V3 pool from its reserve configuration and
+ * oracle prices. Used by the liquidation strategy's scans and by the flash
+ * loan strategy when it sees a pending liquidationCall.
+ */
+class AaveLiquidator {
+    constructor(bot, lendingPool, config = {}) {
+        this.bot = bot;
+        this.address = lendingPool;
+        this.config = config;
+        
+        this.pool = new ethers.Contract(lendingPool, POOL_ABI, bot.getReadProvider());
+        
+        // Looked up from the pool's addresses provider unless configured
+        this.dataProviderAddress = config.dataProvider || null;
+        this.contracts = null;
+        this.reserves = null;
+        this.reservesUpdatedAt = 0;
+    }
+    
+    async getContracts() {
+        if (this.contracts) {
+            return this.contracts;
+        }
+        
+        const provider = this.bot.getReadProvider();
+        const addressesProvider = new ethers.Contract(
+            await this.pool.ADDRESSES_PROVIDER(),
+            ADDRESSES_PROVIDER_ABI,
+            provider
+        );
+        
+        const [dataProvider, oracle] = await Promise.all([
+            this.dataProviderAddress || addressesProvider.getPoolDataProvider(),
+            addressesProvider.getPriceOracle()
+        ]);
+        
+        this.contracts = {
+            dataProvider: new ethers.Contract(dataProvider, DATA_PROVIDER_ABI, provider),
+            oracle: new ethers.Contract(oracle, ORACLE_ABI, provider)
+        };
+        
+        return this.contracts;
+    }
+    
+    async getReserves() {
+        // Reserve configuration rarely changes, refresh every 10 minutes
+        if (this.reserves && Date.now() - this.reservesUpdatedAt < 600000) {
+            return this.reserves;
+        }
+        
+        const { dataProvider } = await this.getContracts();
+        const tokens = await dataProvider.getAllReservesTokens();
+        
+        this.reserves = await Promise.all(tokens.map(async ({ symbol, tokenAddress }) => {
+            const [config, protocolFee] = await Promise.all([
+                dataProvider.getReserveConfigurationData(tokenAddress),
+                dataProvider.getLiquidationProtocolFee(tokenAddress)
+            ]);
+            
+            return {
+                asset: tokenAddress,
+                symbol,
+                decimals: config.decimals.toNumber(),
+                liquidationThreshold: config.liquidationThreshold,
+                liquidationBonus: config.liquidationBonus,
+                protocolFee
+            };
+        }));
+        
+        this.reservesUpdatedAt = Date.now();
+        
+        return this.reserves;
+    }
+    
+    async getAccountData(user) {
+        return this.pool.getUserAccountData(user);
+    }
+    
+    /**
+     * Most profitable debt/collateral pair for an account, or the given pair
+     * only. Profit is in ETH at oracle prices, before gas and swap costs.
+     */
+    async findLiquidation(user, healthFactor, pair = {}) {
+        const reserves = await this.getReserves();
+        const { dataProvider, oracle } = await this.getContracts();
+        
+        const [prices, userReserves] = await Promise.all([
+            oracle.getAssetsPrices(reserves.map(r => r.asset)),
+            Promise.all(reserves.map(r => dataProvider.getUserReserveData(r.asset, user)))
+        ]);
+        
+        const debts = [];
+        const collaterals = [];
+        
+        reserves.forEach((reserve, i) => {
+            const userReserve = userReserves[i];
+            const totalDebt = userReserve.currentStableDebt.add(userReserve.currentVariableDebt);
+            
+            if (!totalDebt.isZero() && matches(reserve.asset, pair.debtAsset)) {
+                debts.push({ ...reserve, price: prices[i], totalDebt });
+            }
+            
+            // Only reserves the user has enabled as collateral can be seized
+            if (!userReserve.currentATokenBalance.isZero() &&
+                userReserve.usageAsCollateralEnabled &&
+                !reserve.liquidationThreshold.isZero() &&
+                matches(reserve.asset, pair.collateralAsset)) {
+                collaterals.push({ ...reserve, price: prices[i], balance: userReserve.currentATokenBalance });
+            }
+        });
+        
+        let best = null;
+        
+        for (const debt of debts) {
+            for (const collateral of collaterals) {
+                const result = calculateLiquidation(healthFactor, debt, collateral);
+                
+                if (!best || result.profitBase.gt(best.result.profitBase)) {
+                    best = { debt, collateral, result };
+                }
+            }
+        }
+        
+        if (!best || best.result.profitBase.lte(0)) {
+            return null;
+        }
+        
+        // Oracle prices are in the base currency (USD), convert profit to ETH
+        const wethPrice = await oracle.getAssetPrice(this.bot.config.tokens.WETH);
+        
+        return {
+            protocol: 'aave',
+            lendingProtocol: this.address,
+            user,
+            debtAsset: best.debt.asset,
+            collateralAsset: best.collateral.asset,
+            debtToCover: best.result.debtToCover,
+            collateralReceived: best.result.collateralReceived,
+            closeFactor: best.result.closeFactor.toNumber(),
+            liquidationBonus: best.collateral.liquidationBonus.toNumber(),
+            profit: best.result.profitBase.mul(ethers.constants.WeiPerEther).div(wethPrice)
+        };
+    }
+    
+    static encodeLiquidation(liquidation) {
+        const iface = new ethers.utils.Interface(POOL_ABI);
+        
+        // Seized collateral is paid out as the underlying, not aTokens
+        return iface.encodeFunctionData('liquidationCall', [
+            liquidation.collateralAsset,
+            liquidation.debtAsset,
+            liquidation.user,
+            liquidation.debtToCover,
+            false
+        ]);
+    }
+}
+
+function matches(asset, filter) {
+    return !filter || asset.toLowerCase() === filter.toLowerCase();
+}
+
+module.exports = { AaveLiquidator };
\ No newline at end of file
@@ -0,0 +1,306 @@
+const { ethers } = require('ethers');
+const { logger } = require('../utils/logger');
+
+/**
+ * Follows a lending protocol's position events and keeps every account with
+ * open debt plus its last known health factor. The protocol specifics come
+ * from `options`: contract addresses, event ABI, which event argument owns the
+ * position, and a source whose getAccountState(user) reads the account.
+ */
+class BorrowerIndexer {
+    constructor(bot, options, config = {}) {
+        this.bot = bot;
+        this.protocol = options.protocol;
+        this.addresses = options.addresses;
+        this.owners = options.owners;
+        this.source = options.source || null;
+        this.name = `${this.protocol}-borrowers:${this.addresses[0].toLowerCase()}`;
+        
+        // Backfill configuration
+        this.startBlock = config.startBlock ?? null;
+        this.backfillBlocks = config.backfillBlocks || 1000000;
+        this.chunkSize = config.chunkSize || 2000;
+        this.minChunkSize = 100;
+        this.refreshBatchSize = config.refreshBatchSize || 25;
+        this.reorgDepth = config.reorgDepth || 12;
+        
+        // Scan scheduling
+        this.maxUsersPerScan = config.maxUsersPerScan || 200;
+        this.minHealthFactorChange = 0.001;
+        
+        // How long a position may go unchecked, by health factor band
+        this.checkTiers = config.checkTiers || [
+            { maxHealthFactor: 1.05, interval: 0 },
+            { maxHealthFactor: 1.2, interval: 15000 },
+            { maxHealthFactor: 1.5, interval: 60000 },
+            { maxHealthFactor: 2, interval: 300000 },
+            { maxHealthFactor: null, interval: 1800000 }
+        ];
+        
+        this.iface = new ethers.utils.Interface(options.events);
+        this.topics = Object.keys(this.owners).map(name => this.iface.getEventTopic(name));
+        
+        // Active borrowers keyed by address
+        this.positions = new Map();
+        this.lastIndexedBlock = null;
+        
+        // Backfill and live blocks share one queue so ranges never overlap
+        this.queue = Promise.resolve();
+        
+        this.stats = {
+            logsProcessed: 0,
+            usersRefreshed: 0,
+            reorgs: 0
+        };
+    }
+    
+    async start() {
+        await this.loadPositions();
+        
+        const latest = await this.bot.getProvider().getBlockNumber();
+        const saved = await this.bot.db.getIndexerState(this.name);
+        
+        const fromBlock = saved !== null
+            ? saved + 1
+            : this.startBlock ?? Math.max(0, latest - this.backfillBlocks);
+        
+        this.lastIndexedBlock = fromBlock - 1;
+        
+        this.onBlock = (block) => this.enqueue(() => this.indexTo(block.number));
+        this.onReorg = (reorg) => this.enqueue(() => this.rewind(reorg.blockNumber));
+        
+        this.bot.monitor.on('block', this.onBlock);
+        this.bot.monitor.on('reorg', this.onReorg);
+        
+        logger.info('Borrower indexer started', {
+            protocol: this.protocol,
+            addresses: this.addresses,
+            fromBlock,
+            latest,
+            knownPositions: this.positions.size
+        });
+        
+        // Backfill runs in the background, live blocks queue up behind it
+        this.enqueue(() => this.indexTo(latest));
+    }
+    
+    async stop() {
+        if (this.onBlock) {
+            this.bot.monitor.off('block', this.onBlock);
+            this.bot.monitor.off('reorg', this.onReorg);
+        }
+        
+        logger.info('Borrower indexer stopped', { protocol: this.protocol });
+    }
+    
+    enqueue(task) {
+        this.queue = this.queue.then(task).catch(error => {
+            logger.error(`Borrower indexer error (${this.protocol})`, error);
+        });
+        
+        return this.queue;
+    }
+    
+    async loadPositions() {
+        const rows = await this.bot.db.getActiveLendingPositions(this.protocol);
+        
+        for (const row of rows) {
+            const user = ethers.utils.getAddress(row.user_address);
+            
+            this.positions.set(user, {
+                protocol: this.protocol,
+                user,
+                healthFactor: row.health_factor !== null ? parseFloat(row.health_factor) : null,
+                totalCollateral: ethers.BigNumber.from(row.total_collateral || 0),
+                totalDebt: ethers.BigNumber.from(row.total_debt || 0),
+                active: true,
+                lastEventBlock: row.last_event_block,
+                checkedAt: row.checked_at ? new Date(row.checked_at).getTime() : 0
+            });
+        }
+    }
+    
+    async indexTo(toBlock) {
+        const provider = this.bot.getProvider();
+        let fromBlock = this.lastIndexedBlock + 1;
+        const backfilling = toBlock - fromBlock > this.chunkSize;
+        
+        while (fromBlock <= toBlock) {
+            const endBlock = Math.min(fromBlock + this.chunkSize - 1, toBlock);
+            const logs = [];
+            
+            try {
+                for (const address of this.addresses) {
+                    logs.push(...await provider.getLogs({
+                        address,
+                        topics: [this.topics],
+                        fromBlock,
+                        toBlock: endBlock
+                    }));
+                }
+            } catch (error) {
+                // Providers cap getLogs by range or result count - retry smaller
+                if (this.chunkSize > this.minChunkSize) {
+                    this.chunkSize = Math.max(this.minChunkSize, Math.floor(this.chunkSize / 2));
+                    logger.warn('getLogs failed, reducing chunk size', {
+                        chunkSize: this.chunkSize,
+                        error: error.message
+                    });
+                    continue;
+                }
+                
+                throw error;
+            }
+            
+            await this.processLogs(logs);
+            
+            this.lastIndexedBlock = endBlock;
+            await this.bot.db.saveIndexerState(this.name, endBlock);
+            
+            if (backfilling) {
+                logger.info('Borrower backfill progress', {
+                    protocol: this.protocol,
+                    indexedTo: endBlock,
+                    target: toBlock,
+                    positions: this.positions.size
+                });
+            }
+            
+            fromBlock = endBlock + 1;
+        }
+    }
+    
+    async processLogs(logs) {
+        // Latest event block per touched user
+        const touched = new Map();
+        
+        for (const log of logs) {
+            try {
+                const parsed = this.iface.parseLog(log);
+                const user = parsed.args[this.owners[parsed.name]];
+                
+                touched.set(user, Math.max(touched.get(user) || 0, log.blockNumber));
+            } catch (error) {
+                // Not one of our events
+            }
+        }
+        
+        this.stats.logsProcessed += logs.length;
+        
+        await this.refreshUsers(touched);
+    }
+    
+    async refreshUsers(touched) {
+        const users = Array.from(touched.keys());
+        
+        for (let i = 0; i < users.length; i += this.refreshBatchSize) {
+            const batch = users.slice(i, i + this.refreshBatchSize);
+            
+            await Promise.all(batch.map(async (user) => {
+                try {
+                    const state = await this.getAccountState(user);
+                    await this.recordState(user, state, touched.get(user));
+                } catch (error) {
+                    logger.debug(`Error refreshing ${this.protocol} user ${user}`, error);
+                }
+            }));
+        }
+        
+        this.stats.usersRefreshed += users.length;
+    }
+    
+    async rewind(blockNumber) {
+        // Re-read the reorged range, refreshing a user twice is harmless
+        const target = Math.max(0, blockNumber - this.reorgDepth);
+        
+        if (this.lastIndexedBlock > target) {
+            this.lastIndexedBlock = target;
+            this.stats.reorgs++;
+            
+            logger.warn('Borrower indexer rewound after reorg', {
+                protocol: this.protocol,
+                rewoundTo: target
+            });
+        }
+    }
+    
+    /**
+     * Read { healthFactor, totalCollateral, totalDebt, active } for a user
+     */
+    async getAccountState(user) {
+        if (!this.source) {
+            throw new Error(`No account source for ${this.protocol}`);
+        }
+        
+        return this.source.getAccountState(user);
+    }
+    
+    /**
+     * Record fresh account state for a user, from the indexer or a scan
+     */
+    async recordState(user, state, lastEventBlock = null) {
+        const previous = this.positions.get(user);
+        const { active } = state;
+        
+        const position = {
+            protocol: this.protocol,
+            user,
+            healthFactor: active ? state.healthFactor : null,
+            totalCollateral: state.totalCollateral,
+            totalDebt: state.totalDebt,
+            active,
+            lastEventBlock: lastEventBlock || previous?.lastEventBlock || null,
+            checkedAt: Date.now()
+        };
+        
+        if (active) {
+            this.positions.set(user, position);
+        } else {
+            this.positions.delete(user);
+        }
+        
+        // Skip the write when nothing meaningful moved
+        const unchanged = previous && active && !lastEventBlock &&
+            Math.abs(previous.healthFactor - position.healthFactor) < this.minHealthFactorChange;
+        
+        if (!unchanged && (previous || active)) {
+            await this.bot.db.upsertLendingPosition(position);
+        }
+        
+        return position;
+    }
+    
+    getCheckInterval(healthFactor) {
+        for (const tier of this.checkTiers) {
+            if (tier.maxHealthFactor === null || healthFactor < tier.maxHealthFactor) {
+                return tier.interval;
+            }
+        }
+        
+        return this.checkTiers[this.checkTiers.length - 1].interval;
+    }
+    
+    /**
+     * Users due for a health check, riskiest first
+     */
+    getUsersToScan() {
+        const now = Date.now();
+        
+        return Array.from(this.positions.values())
+            .filter(p => p.healthFactor === null ||
+                now - p.checkedAt >= this.getCheckInterval(p.healthFactor))
+            .sort((a, b) => (a.healthFactor ?? 0) - (b.healthFactor ?? 0))
+            .slice(0, this.maxUsersPerScan)
+            .map(p => p.user);
+    }
+    
+    getStats() {
+        return {
+            ...this.stats,
+            positions: this.positions.size,
+            lastIndexedBlock: this.lastIndexedBlock
+        };
+    }
+}
+
+module.exports = { BorrowerIndexer };
\ No newline at end of file
@@ -0,0 +1,318 @@
+const { ethers } = require('ethers');
+const { logger } = require('../utils/logger');
+const { BorrowerIndexer } = require('./BorrowerIndexer');
+
+const COMET_ABI = [
+    'function baseToken() view returns (address)',
+    'function baseScale() view returns (uint256)',
+    'function baseTokenPriceFeed() view returns (address)',
+    'function numAssets() view returns (uint8)',
+    'function getAssetInfo(uint8 i) view returns (tuple(uint8 offset, address asset, address priceFeed, uint64 scale, uint64 borrowCollateralFactor, uint64 liquidateCollateralFactor, uint64 liquidationFactor, uint128 supplyCap))',
+    'function getPrice(address priceFeed) view returns (uint256)',
+    'function borrowBalanceOf(address account) view returns (uint256)',
+    'function userCollateral(address account, address asset) view returns (uint128 balance, uint128 reserved)',
+    'function isLiquidatable(address account) view returns (bool)',
+    'function quoteCollateral(address asset, uint256 baseAmount) view returns (uint256)',
+    'function getReserves() view returns (int256)',
+    'function targetReserves() view returns (uint256)',
+    'function absorb(address absorber, address[] accounts)',
+    'function buyCollateral(address asset, uint256 minAmount, uint256 baseAmount, address recipient)'
+];
+
+// Events that change an account's borrow or collateral
+const COMET_EVENTS = [
+    'event Supply(address indexed from, address indexed dst, uint256 amount)',
+    'event Withdraw(address indexed src, address indexed to, uint256 amount)',
+    'event SupplyCollateral(address indexed from, address indexed dst, address indexed asset, uint256 amount)',
+    'event WithdrawCollateral(address indexed src, address indexed to, address indexed asset, uint256 amount)',
+    'event AbsorbDebt(address indexed absorber, address indexed borrower, uint256 basePaidOut, uint256 usdValue)'
+];
+
+const POSITION_OWNER = {
+    Supply: 'dst',
+    Withdraw: 'src',
+    SupplyCollateral: 'dst',
+    WithdrawCollateral: 'src',
+    AbsorbDebt: 'borrower'
+};
+
+/**
+ * Compound V3 (Comet) market. Underwater accounts are absorbed by the
+ * protocol, the profit comes from buying the absorbed collateral back
+ * at the store-front discount.
+ */
+class CometAdapter {
+    constructor(bot, comet, config = {}) {
+        this.bot = bot;
+        this.address = comet;
+        this.config = config;
+        this.protocol = 'compound-v3';
+        
+        this.comet = new ethers.Contract(comet, COMET_ABI, bot.getReadProvider());
+        this.erc20 = new ethers.utils.Interface([
+            'function allowance(address owner, address spender) view returns (uint256)',
+            'function approve(address spender, uint256 amount) returns (bool)'
+        ]);
+        
+        // Slippage on the collateral purchase, in bps
+        this.slippageBps = config.slippageBps || 50;
+        this.gasEstimate = ethers.BigNumber.from(config.gasEstimate || 700000);
+        
+        // Market parameters, loaded in initialize()
+        this.baseToken = null;
+        this.baseScale = null;
+        this.basePriceFeed = null;
+        this.assets = [];
+        
+        this.indexer = new BorrowerIndexer(bot, {
+            protocol: this.protocol,
+            addresses: [comet],
+            events: COMET_EVENTS,
+            owners: POSITION_OWNER,
+            source: this
+        }, config.indexer);
+    }
+    
+    async initialize() {
+        const [baseToken, baseScale, basePriceFeed, numAssets] = await Promise.all([
+            this.comet.baseToken(),
+            this.comet.baseScale(),
+            this.comet.baseTokenPriceFeed(),
+            this.comet.numAssets()
+        ]);
+        
+        this.baseToken = baseToken;
+        this.baseScale = baseScale;
+        this.basePriceFeed = basePriceFeed;
+        
+        this.assets = [];
+        for (let i = 0; i < numAssets; i++) {
+            this.assets.push(await this.comet.getAssetInfo(i));
+        }
+        
+        logger.info('Comet market loaded', {
+            comet: this.address,
+            baseToken,
+            collateralAssets: this.assets.length
+        });
+    }
+    
+    async start() {
+        await this.initialize();
+        await this.indexer.start();
+    }
+    
+    async stop() {
+        await this.indexer.stop();
+    }
+    
+    async getAccountState(user) {
+        const borrow = await this.comet.borrowBalanceOf(user);
+        
+        if (borrow.isZero()) {
+            return {
+                healthFactor: null,
+                totalCollateral: ethers.BigNumber.from(0),
+                totalDebt: borrow,
+                active: false
+            };
+        }
+        
+        const basePrice = await this.comet.getPrice(this.basePriceFeed);
+        const collateral = await this.getCollateral(user);
+        
+        // USD values with 8 decimals, as returned by Comet price feeds
+        const debtValue = borrow.mul(basePrice).div(this.baseScale);
+        let collateralValue = ethers.BigNumber.from(0);
+        let liquidationValue = ethers.BigNumber.from(0);
+        
+        for (const { info, balance, price } of collateral) {
+            const value = balance.mul(price).div(info.scale);
+            collateralValue = collateralValue.add(value);
+            liquidationValue = liquidationValue.add(
+                value.mul(info.liquidateCollateralFactor).div(ethers.constants.WeiPerEther)
+            );
+        }
+        
+        return {
+            // Below 1.0 the account can be absorbed
+            healthFactor: parseFloat(ethers.utils.formatUnits(
+                liquidationValue.mul(ethers.constants.WeiPerEther).div(debtValue),
+                18
+            )),
+            totalCollateral: collateralValue,
+            totalDebt: debtValue,
+            active: true
+        };
+    }
+    
+    async getCollateral(user) {
+        const collateral = [];
+        
+        for (const info of this.assets) {
+            const { balance } = await this.comet.userCollateral(user, info.asset);
+            
+            if (!balance.isZero()) {
+                const price = await this.comet.getPrice(info.priceFeed);
+                collateral.push({ info, balance: ethers.BigNumber.from(balance), price });
+            }
+        }
+        
+        return collateral;
+    }
+    
+    async findOpportunity(user) {
+        if (!await this.comet.isLiquidatable(user)) {
+            return null;
+        }
+        
+        // buyCollateral is closed once reserves reach the target
+        const [reserves, targetReserves] = await Promise.all([
+            this.comet.getReserves(),
+            this.comet.targetReserves()
+        ]);
+        
+        if (reserves.gte(targetReserves)) {
+            logger.debug('Comet reserves at target, collateral not for sale', { comet: this.address });
+            return null;
+        }
+        
+        const liquidator = this.bot.getWallet('main').address;
+        const basePrice = await this.comet.getPrice(this.basePriceFeed);
+        const collateral = await this.getCollateral(user);
+        
+        const purchases = [];
+        let totalBase = ethers.BigNumber.from(0);
+        let totalProfitBase = ethers.BigNumber.from(0);
+        
+        for (const { info, balance, price } of collateral) {
+            // Discounted price: collateral received per whole unit of base
+            const perBase = await this.comet.quoteCollateral(info.asset, this.baseScale);
+            if (perBase.isZero()) {
+                continue;
+            }
+            
+            const baseAmount = balance.mul(this.baseScale).div(perBase);
+            const marketValue = balance.mul(price).mul(this.baseScale).div(info.scale).div(basePrice);
+            const profit = marketValue.sub(baseAmount);
+            
+            if (profit.lte(0)) {
+                continue;
+            }
+            
+            purchases.push({
+                asset: info.asset,
+                baseAmount,
+                minAmount: balance.mul(10000 - this.slippageBps).div(10000)
+            });
+            
+            totalBase = totalBase.add(baseAmount);
+            totalProfitBase = totalProfitBase.add(profit);
+        }
+        
+        if (purchases.length === 0) {
+            return null;
+        }
+        
+        const profitETH = await this.toETH(totalProfitBase, basePrice);
+        if (!profitETH) {
+            return null;
+        }
+        
+        const gasCost = this.gasEstimate.mul(await this.bot.getGasPrice());
+        
+        // Largest purchase leads the opportunity summary
+        purchases.sort((a, b) => (b.baseAmount.gt(a.baseAmount) ? 1 : -1));
+        
+        const opportunity = {
+            type: 'liquidation',
+            strategy: 'liquidation',
+            protocol: this.protocol,
+            lendingProtocol: this.address,
+            user,
+            asset: purchases[0].asset,
+            amount: totalBase,
+            debtAsset: this.baseToken,
+            collateralAsset: purchases[0].asset,
+            absorber: liquidator,
+            purchases,
+            expectedProfit: profitETH.sub(gasCost),
+            gasEstimate: this.gasEstimate,
+            timestamp: Date.now()
+        };
+        
+        // absorb, then buy the collateral with base tokens we hold
+        opportunity.requiresBundle = true;
+        opportunity.transactions = await this.buildTransactions(opportunity, liquidator);
+        
+        return opportunity;
+    }
+    
+    async buildTransactions(opportunity, liquidator) {
+        const transactions = [{
+            to: this.address,
+            data: CometAdapter.encodeLiquidation(opportunity),
+            gasLimit: ethers.BigNumber.from(400000)
+        }];
+        
+        const allowanceData = await this.bot.getProvider().call({
+            to: this.baseToken,
+            data: this.erc20.encodeFunctionData('allowance', [liquidator, this.address])
+        });
+        const allowance = this.erc20.decodeFunctionResult('allowance', allowanceData)[0];
+        
+        if (allowance.lt(opportunity.amount)) {
+            transactions.push({
+                to: this.baseToken,
+                data: this.erc20.encodeFunctionData('approve', [this.address, opportunity.amount]),
+                gasLimit: ethers.BigNumber.from(60000)
+            });
+        }
+        
+        for (const purchase of opportunity.purchases) {
+            transactions.push({
+                to: this.address,
+                data: this.comet.interface.encodeFunctionData('buyCollateral', [
+                    purchase.asset,
+                    purchase.minAmount,
+                    purchase.baseAmount,
+                    liquidator
+                ]),
+                gasLimit: ethers.BigNumber.from(200000)
+            });
+        }
+        
+        return transactions;
+    }
+    
+    async toETH(baseAmount, basePrice) {
+        const weth = this.bot.config.tokens.WETH;
+        
+        if (this.baseToken.toLowerCase() === weth.toLowerCase()) {
+            return baseAmount;
+        }
+        
+        // Price ETH through the market's own WETH feed
+        const wethInfo = this.assets.find(a => a.asset.toLowerCase() === weth.toLowerCase());
+        if (!wethInfo) {
+            logger.debug('Comet market has no WETH feed for profit conversion', { comet: this.address });
+            return null;
+        }
+        
+        const ethPrice = await this.comet.getPrice(wethInfo.priceFeed);
+        const usdValue = baseAmount.mul(basePrice).div(this.baseScale);
+        
+        return usdValue.mul(ethers.constants.WeiPerEther).div(ethPrice);
+    }
+    
+    static encodeLiquidation(opportunity) {
+        const iface = new ethers.utils.Interface(COMET_ABI);
+        
+        return iface.encodeFunctionData('absorb', [
+            opportunity.absorber,
+            [opportunity.user]
+        ]);
+    }
+}
+
+module.exports = { CometAdapter };
\ No newline at end of file
@@ -0,0 +1,304 @@
+const { ethers } = require('ethers');
+const { logger } = require('../utils/logger');
+const { BorrowerIndexer } = require('./BorrowerIndexer');
+
+const COMPTROLLER_ABI = [
+    'function getAllMarkets() view returns (address[])',
+    'function getAssetsIn(address account) view returns (address[])',
+    'function getAccountLiquidity(address account) view returns (uint256 error, uint256 liquidity, uint256 shortfall)',
+    'function markets(address mToken) view returns (bool isListed, uint256 collateralFactorMantissa)',
+    'function closeFactorMantissa() view returns (uint256)',
+    'function oracle() view returns (address)',
+    'function liquidateCalculateSeizeTokens(address mTokenBorrowed, address mTokenCollateral, uint256 actualRepayAmount) view returns (uint256 error, uint256 seizeTokens)'
+];
+
+const MTOKEN_ABI = [
+    'function underlying() view returns (address)',
+    'function getAccountSnapshot(address account) view returns (uint256 error, uint256 tokenBalance, uint256 borrowBalance, uint256 exchangeRateMantissa)',
+    'function protocolSeizeShareMantissa() view returns (uint256)',
+    'function liquidateBorrow(address borrower, uint256 repayAmount, address mTokenCollateral) returns (uint256)'
+];
+
+const ORACLE_ABI = [
+    'function getUnderlyingPrice(address mToken) view returns (uint256)'
+];
+
+// Market events that change an account's position, emitted by each mToken
+const MTOKEN_EVENTS = [
+    'event Mint(address minter, uint256 mintAmount, uint256 mintTokens)',
+    'event Redeem(address redeemer, uint256 redeemAmount, uint256 redeemTokens)',
+    'event Borrow(address borrower, uint256 borrowAmount, uint256 accountBorrows, uint256 totalBorrows)',
+    'event RepayBorrow(address payer, address borrower, uint256 repayAmount, uint256 accountBorrows, uint256 totalBorrows)',
+    'event LiquidateBorrow(address liquidator, address borrower, uint256 repayAmount, address mTokenCollateral, uint256 seizeTokens)'
+];
+
+const POSITION_OWNER = {
+    Mint: 'minter',
+    Redeem: 'redeemer',
+    Borrow: 'borrower',
+    RepayBorrow: 'borrower',
+    LiquidateBorrow: 'borrower'
+};
+
+const MANTISSA = ethers.constants.WeiPerEther;
+
+/**
+ * Compound-V2-style comptroller with per-asset mTokens/cTokens (Moonwell on
+ * Base). Accounts with a shortfall are liquidated by repaying part of one
+ * borrow and seizing discounted collateral from another market.
+ */
+class CompoundV2Adapter {
+    constructor(bot, comptroller, config = {}) {
+        this.bot = bot;
+        this.address = comptroller;
+        this.config = config;
+        this.protocol = config.name || 'moonwell';
+        
+        this.comptroller = new ethers.Contract(comptroller, COMPTROLLER_ABI, bot.getReadProvider());
+        this.gasEstimate = ethers.BigNumber.from(config.gasEstimate || 500000);
+        
+        // Market data, loaded in initialize()
+        this.markets = new Map(); // mToken -> { contract, underlying, collateralFactor, seizeShare }
+        this.oracle = null;
+        this.closeFactor = null;
+        this.indexer = null;
+    }
+    
+    async initialize() {
+        const [markets, oracle, closeFactor] = await Promise.all([
+            this.comptroller.getAllMarkets(),
+            this.comptroller.oracle(),
+            this.comptroller.closeFactorMantissa()
+        ]);
+        
+        this.oracle = new ethers.Contract(oracle, ORACLE_ABI, this.bot.getReadProvider());
+        this.closeFactor = closeFactor;
+        
+        for (const mToken of markets) {
+            const contract = new ethers.Contract(mToken, MTOKEN_ABI, this.bot.getReadProvider());
+            
+            try {
+                const [underlying, market] = await Promise.all([
+                    contract.underlying(),
+                    this.comptroller.markets(mToken)
+                ]);
+                
+                let seizeShare = ethers.BigNumber.from(0);
+                try {
+                    seizeShare = await contract.protocolSeizeShareMantissa();
+                } catch (error) {
+                    // Older forks keep the whole seize amount for the liquidator
+                }
+                
+                this.markets.set(mToken, {
+                    contract,
+                    underlying,
+                    collateralFactor: market.collateralFactorMantissa,
+                    seizeShare
+                });
+            } catch (error) {
+                // Native-asset markets have no underlying(), we only repay ERC20 debt
+                logger.debug('Skipping market without ERC20 underlying', { mToken });
+            }
+        }
+        
+        logger.info('Compound V2 markets loaded', {
+            protocol: this.protocol,
+            comptroller: this.address,
+            markets: this.markets.size
+        });
+    }
+    
+    async start() {
+        await this.initialize();
+        
+        // mTokens emit the position events, so the indexer watches all of them
+        this.indexer = new BorrowerIndexer(this.bot, {
+            protocol: this.protocol,
+            addresses: Array.from(this.markets.keys()),
+            events: MTOKEN_EVENTS,
+            owners: POSITION_OWNER,
+            source: this
+        }, this.config.indexer);
+        
+        await this.indexer.start();
+    }
+    
+    async stop() {
+        if (this.indexer) {
+            await this.indexer.stop();
+        }
+    }
+    
+    /**
+     * Per-market balances and USD values (1e18) for an account
+     */
+    async getPositions(user) {
+        const assetsIn = await this.comptroller.getAssetsIn(user);
+        const positions = [];
+        
+        for (const mToken of assetsIn) {
+            const market = this.markets.get(mToken);
+            if (!market) {
+                continue;
+            }
+            
+            const [snapshot, price] = await Promise.all([
+                market.contract.getAccountSnapshot(user),
+                this.oracle.getUnderlyingPrice(mToken)
+            ]);
+            
+            // Oracle prices are scaled so amount * price / 1e18 is USD with 18 decimals
+            const collateralUnderlying = snapshot.tokenBalance.mul(snapshot.exchangeRateMantissa).div(MANTISSA);
+            
+            positions.push({
+                mToken,
+                market,
+                price,
+                tokenBalance: snapshot.tokenBalance,
+                borrowBalance: snapshot.borrowBalance,
+                exchangeRate: snapshot.exchangeRateMantissa,
+                collateralValue: collateralUnderlying.mul(price).div(MANTISSA),
+                borrowValue: snapshot.borrowBalance.mul(price).div(MANTISSA)
+            });
+        }
+        
+        return positions;
+    }
+    
+    async getAccountState(user) {
+        const positions = await this.getPositions(user);
+        
+        let collateralValue = ethers.BigNumber.from(0);
+        let borrowLimit = ethers.BigNumber.from(0);
+        let borrowValue = ethers.BigNumber.from(0);
+        
+        for (const position of positions) {
+            collateralValue = collateralValue.add(position.collateralValue);
+            borrowLimit = borrowLimit.add(
+                position.collateralValue.mul(position.market.collateralFactor).div(MANTISSA)
+            );
+            borrowValue = borrowValue.add(position.borrowValue);
+        }
+        
+        if (borrowValue.isZero()) {
+            return {
+                healthFactor: null,
+                totalCollateral: collateralValue,
+                totalDebt: borrowValue,
+                active: false
+            };
+        }
+        
+        return {
+            // Below 1.0 the comptroller reports a shortfall
+            healthFactor: parseFloat(ethers.utils.formatUnits(
+                borrowLimit.mul(MANTISSA).div(borrowValue),
+                18
+            )),
+            totalCollateral: collateralValue,
+            totalDebt: borrowValue,
+            active: true
+        };
+    }
+    
+    async findOpportunity(user) {
+        const { shortfall } = await this.comptroller.getAccountLiquidity(user);
+        
+        if (shortfall.isZero()) {
+            return null;
+        }
+        
+        const positions = await this.getPositions(user);
+        
+        // Repay the largest borrow, seize from the largest collateral
+        const borrow = positions
+            .filter(p => !p.borrowBalance.isZero())
+            .sort((a, b) => (b.borrowValue.gt(a.borrowValue) ? 1 : -1))[0];
+        const collateral = positions
+            .filter(p => !p.tokenBalance.isZero())
+            .sort((a, b) => (b.collateralValue.gt(a.collateralValue) ? 1 : -1))[0];
+        
+        if (!borrow || !collateral) {
+            return null;
+        }
+        
+        let repayAmount = borrow.borrowBalance.mul(this.closeFactor).div(MANTISSA);
+        let { seizeTokens } = await this.comptroller.liquidateCalculateSeizeTokens(
+            borrow.mToken,
+            collateral.mToken,
+            repayAmount
+        );
+        
+        // Can't seize more than the borrower holds
+        if (seizeTokens.gt(collateral.tokenBalance)) {
+            repayAmount = repayAmount.mul(collateral.tokenBalance).div(seizeTokens);
+            seizeTokens = collateral.tokenBalance;
+        }
+        
+        // Part of the seized tokens goes to protocol reserves
+        const receivedTokens = seizeTokens.mul(MANTISSA.sub(collateral.market.seizeShare)).div(MANTISSA);
+        const receivedUnderlying = receivedTokens.mul(collateral.exchangeRate).div(MANTISSA);
+        
+        const receivedValue = receivedUnderlying.mul(collateral.price).div(MANTISSA);
+        const repayValue = repayAmount.mul(borrow.price).div(MANTISSA);
+        const profitUSD = receivedValue.sub(repayValue);
+        
+        if (profitUSD.lte(0)) {
+            return null;
+        }
+        
+        const profitETH = await this.toETH(profitUSD);
+        if (!profitETH) {
+            return null;
+        }
+        
+        const gasCost = this.gasEstimate.mul(await this.bot.getGasPrice());
+        
+        return {
+            type: 'liquidation',
+            strategy: 'liquidation',
+            protocol: this.protocol,
+            // liquidateBorrow is called on the borrowed market
+            lendingProtocol: borrow.mToken,
+            user,
+            asset: borrow.market.underlying,
+            amount: repayAmount,
+            debtAsset: borrow.market.underlying,
+            collateralAsset: collateral.market.underlying,
+            mTokenCollateral: collateral.mToken,
+            seizeTokens,
+            collateralReceived: receivedUnderlying,
+            expectedProfit: profitETH.sub(gasCost),
+            gasEstimate: this.gasEstimate,
+            timestamp: Date.now()
+        };
+    }
+    
+    async toETH(usdValue) {
+        const weth = this.bot.config.tokens.WETH.toLowerCase();
+        
+        for (const [mToken, market] of this.markets) {
+            if (market.underlying.toLowerCase() === weth) {
+                // USD value of one whole ETH, 18 decimals
+                const ethPrice = await this.oracle.getUnderlyingPrice(mToken);
+                return usdValue.mul(MANTISSA).div(ethPrice);
+            }
+        }
+        
+        logger.debug('No WETH market for profit conversion', { protocol: this.protocol });
+        return null;
+    }
+    
+    static encodeLiquidation(opportunity) {
+        const iface = new ethers.utils.Interface(MTOKEN_ABI);
+        
+        return iface.encodeFunctionData('liquidateBorrow', [
+            opportunity.user,
+            opportunity.amount,
+            opportunity.mTokenCollateral
+        ]);
+    }
+}
+
+module.exports = { CompoundV2Adapter };
\ No newline at end of file
@@ -0,0 +1,261 @@
+const { ethers } = require('ethers');
+const { logger } = require('../utils/logger');
+const { percentMul } = require('./AaveLiquidationMath');
+
+// FlashLoanReceiver.FlashLoanProvider enum
+const FLASH_LOAN_PROVIDERS = {
+    aave: 0,
+    balancer: 1
+};
+
+const EXECUTOR_ABI = [
+    'function executeFlashLoanArbitrage(uint8 provider, address asset, uint256 amount, bytes params)'
+];
+
+/**
+ * Funds liquidations with a flash loan of the debt asset through
+ * FlashLoanReceiver. The receiver's two-leg callback is reused: the first
+ * leg calls the lending pool to liquidate, the second swaps the seized
+ * collateral back into the debt asset so the loan can be repaid. With a
+ * MEVBot deployed the sale is split across DEXes and paths, run by
+ * MEVBot.executeSplitRouteFor on the receiver's collateral.
+ */
+class FlashLiquidator {
+    constructor(bot, dexAggregator, config = {}) {
+        this.bot = bot;
+        this.dexAggregator = dexAggregator;
+        this.config = config;
+        
+        this.executor = bot.config.contracts.flashLoanExecutor;
+        this.router = bot.config.contracts.mevBot;
+        this.providers = bot.config.contracts.flashLoanProviders || {};
+        
+        this.slippageBps = config.slippageBps || 50;
+        // Swap slightly less collateral than computed to absorb rounding
+        this.collateralBufferBps = config.collateralBufferBps || 10;
+        this.gasEstimate = ethers.BigNumber.from(config.gasEstimate || 900000);
+        
+        this.erc20 = new ethers.utils.Interface([
+            'function balanceOf(address account) view returns (uint256)'
+        ]);
+        
+        this.fees = null;
+        this.feesUpdatedAt = 0;
+    }
+    
+    async getFlashFees() {
+        // Flash loan fees only change through governance, refresh every 10 minutes
+        if (this.fees && Date.now() - this.feesUpdatedAt < 600000) {
+            return this.fees;
+        }
+        
+        const provider = this.bot.getProvider();
+        const fees = { aave: null, balancer: null };
+        
+        if (this.providers.aave) {
+            try {
+                const pool = new ethers.Contract(
+                    this.providers.aave,
+                    ['function FLASHLOAN_PREMIUM_TOTAL() view returns (uint128)'],
+                    provider
+                );
+                
+                // Basis points
+                fees.aave = await pool.FLASHLOAN_PREMIUM_TOTAL();
+            } catch (error) {
+                logger.debug('Failed to read Aave flash loan premium', { error: error.message });
+            }
+        }
+        
+        if (this.providers.balancer) {
+            try {
+                const vault = new ethers.Contract(
+                    this.providers.balancer,
+                    ['function getProtocolFeesCollector() view returns (address)'],
+                    provider
+                );
+                const collector = new ethers.Contract(
+                    await vault.getProtocolFeesCollector(),
+                    ['function getFlashLoanFeePercentage() view returns (uint256)'],
+                    provider
+                );
+                
+                // 1e18 = 100%
+                fees.balancer = await collector.getFlashLoanFeePercentage();
+            } catch (error) {
+                logger.debug('Failed to read Balancer flash loan fee', { error: error.message });
+            }
+        }
+        
+        this.fees = fees;
+        this.feesUpdatedAt = Date.now();
+        
+        return fees;
+    }
+    
+    async selectProvider(asset, amount) {
+        const fees = await this.getFlashFees();
+        
+        // FlashLoanReceiver repays Balancer without a fee, so the vault is
+        // only usable while its fee is zero
+        if (fees.balancer && fees.balancer.isZero()) {
+            const data = await this.bot.getProvider().call({
+                to: asset,
+                data: this.erc20.encodeFunctionData('balanceOf', [this.providers.balancer])
+            });
+            const liquidity = this.erc20.decodeFunctionResult('balanceOf', data)[0];
+            
+            if (liquidity.gte(amount)) {
+                return { name: 'balancer', fee: ethers.BigNumber.from(0) };
+            }
+        }
+        
+        if (fees.aave) {
+            return { name: 'aave', fee: percentMul(amount, fees.aave) };
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Flash loan, collateral swap and profit for a sized liquidation.
+     *
+     * liquidation: { lendingProtocol, debtAsset, collateralAsset, debtToCover, collateralReceived }
+     * calldata:    the protocol's liquidation call, sent to lendingProtocol
+     *
+     * Profit is what the receiver keeps in the debt asset after repaying the
+     * loan and its fee, converted to ETH and net of gas.
+     */
+    async buildLiquidation(liquidation, calldata) {
+        const { debtAsset, collateralAsset, debtToCover, collateralReceived } = liquidation;
+        
+        if (!this.executor) {
+            return null;
+        }
+        
+        // The receiver swaps between two distinct tokens
+        if (debtAsset.toLowerCase() === collateralAsset.toLowerCase()) {
+            return null;
+        }
+        
+        const flashProvider = await this.selectProvider(debtAsset, debtToCover);
+        if (!flashProvider) {
+            logger.debug('No flash loan provider for liquidation', { debtAsset });
+            return null;
+        }
+        
+        const amountIn = collateralReceived.mul(10000 - this.collateralBufferBps).div(10000);
+        const sale = await this.buildSale(collateralAsset, debtAsset, amountIn);
+        
+        if (!sale) {
+            return null;
+        }
+        
+        // Even the worst accepted fill has to repay the loan
+        const repayment = debtToCover.add(flashProvider.fee);
+        
+        if (sale.minOutput.lt(repayment)) {
+            return null;
+        }
+        
+        const grossProfit = sale.quote.outputAmount.sub(repayment);
+        const profitETH = await this.toETH(debtAsset, grossProfit);
+        
+        if (!profitETH) {
+            return null;
+        }
+        
+        // Swap proceeds go to the receiver, which repays the loan from them
+        const params = ethers.utils.defaultAbiCoder.encode(
+            ['address', 'address', 'address', 'address', 'bytes', 'bytes'],
+            [
+                liquidation.lendingProtocol,
+                sale.tx.to,
+                debtAsset,
+                collateralAsset,
+                calldata,
+                sale.tx.data
+            ]
+        );
+        
+        const gasEstimate = this.gasEstimate.add(sale.extraGas);
+        const gasCost = gasEstimate.mul(await this.bot.getGasPrice());
+        
+        return {
+            flashLoan: {
+                provider: flashProvider.name,
+                asset: debtAsset,
+                amount: debtToCover,
+                fee: flashProvider.fee,
+                params
+            },
+            swapQuote: sale.quote,
+            flashFee: flashProvider.fee,
+            grossProfit,
+            expectedProfit: profitETH.sub(gasCost),
+            gasEstimate,
+            estimatedGas: gasEstimate
+        };
+    }
+    
+    /**
+     * Collateral sale: a split route through MEVBot when one is deployed and
+     * the route needs more than one swap, otherwise the best single quote
+     * swapped directly by the receiver. Proceeds go to the receiver either way.
+     */
+    async buildSale(collateralAsset, debtAsset, amountIn) {
+        const route = this.router
+            ? await this.dexAggregator.findSplitRoute(collateralAsset, debtAsset, amountIn)
+            : null;
+        
+        if (route && (route.legs.length > 1 || route.legs[0].hops.length > 1)) {
+            const tx = await this.dexAggregator.buildSplitRouteTransaction(route, this.router, this.slippageBps, { forCaller: true });
+            
+            return {
+                quote: route,
+                tx,
+                minOutput: tx.minAmountOut,
+                // gasEstimate covers one swap, the route pays for the rest
+                extraGas: route.gasEstimate.sub(route.legs[0].hops[0].gasEstimate)
+            };
+        }
+        
+        const quote = await this.dexAggregator.getBestQuote(collateralAsset, debtAsset, amountIn);
+        
+        if (!quote) {
+            return null;
+        }
+        
+        return {
+            quote,
+            tx: await this.dexAggregator.buildSwapTransaction(quote, this.executor, this.slippageBps),
+            minOutput: quote.outputAmount.mul(10000 - this.slippageBps).div(10000),
+            extraGas: ethers.BigNumber.from(0)
+        };
+    }
+    
+    async toETH(asset, amount) {
+        const weth = this.bot.config.tokens.WETH;
+        
+        if (asset.toLowerCase() === weth.toLowerCase() || amount.isZero()) {
+            return amount;
+        }
+        
+        const quote = await this.dexAggregator.getBestQuote(asset, weth, amount);
+        
+        return quote ? quote.outputAmount : null;
+    }
+    
+    static encodeFlashLoan(flashLoan) {
+        const iface = new ethers.utils.Interface(EXECUTOR_ABI);
+        
+        return iface.encodeFunctionData('executeFlashLoanArbitrage', [
+            FLASH_LOAN_PROVIDERS[flashLoan.provider],
+            flashLoan.asset,
+            flashLoan.amount,
+            flashLoan.params
+        ]);
+    }
+}
+
+module.exports = { FlashLiquidator };
\ No newline at end of file
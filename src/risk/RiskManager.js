@@ -3,8 +3,9 @@ const { logger } = require('../utils/logger');
 const { PositionSizer } = require('./PositionSizer');
 
 class RiskManager {
-    constructor(config) {
+    constructor(config, tokenRegistry = null) {
         this.config = config;
+        this.tokenRegistry = tokenRegistry;
         this.positionSizer = new PositionSizer(config);
         
         // Risk parameters
@@ -22,8 +23,7 @@ class RiskManager {
             tradesRejected: 0
         };
         
-        // Token risk scores
-        this.tokenRiskScores = new Map();
+        // Token risk scores come from the token registry
         this.dexRiskScores = new Map();
         
         // Initialize risk scores
@@ -37,28 +37,14 @@ class RiskManager {
     }
     
     initializeRiskScores() {
-        // Token risk scores (0-10, lower is safer)
-        const tokenScores = {
-            'WETH': 1,
-            'USDC': 1,
-            'USDT': 2,
-            'DAI': 1,
-            'WBTC': 2,
-            'UNI': 3,
-            'LINK': 3,
-            'AAVE': 3
-        };
-        
-        for (const [token, score] of Object.entries(tokenScores)) {
-            this.tokenRiskScores.set(token, score);
-        }
-        
-        // DEX risk scores
+        // DEX risk scores (0-10, lower is safer)
         const dexScores = {
             'uniswapV3': 1,
             'uniswapV2': 2,
             'sushiswap': 2,
             'curve': 1,
+            'aerodrome': 2,
+            'velodrome': 2,
             'balancer': 2,
             'bancor': 3
         };
@@ -225,7 +211,7 @@ class RiskManager {
         let riskyToken = null;
         
         for (const token of tokens) {
-            const risk = this.tokenRiskScores.get(token) || 5; // Default medium risk
+            const risk = this.tokenRegistry ? await this.tokenRegistry.getRiskScore(token) : 5; // Default medium risk
             if (risk > maxRisk) {
                 maxRisk = risk;
                 riskyToken = token;
@@ -429,7 +415,7 @@ class RiskManager {
                 maxGasPrice: ethers.utils.formatUnits(this.maxGasPrice, 'gwei')
             },
             riskScores: {
-                tokens: Object.fromEntries(this.tokenRiskScores),
+                tokens: this.tokenRegistry ? this.tokenRegistry.getScores() : {},
                 dexes: Object.fromEntries(this.dexRiskScores)
             }
         };
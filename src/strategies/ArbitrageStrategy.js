@@ -2,6 +2,10 @@ const EventEmitter = require('events');
 const { ethers } = require('ethers');
 const { logger } = require('../utils/logger');
 const { DEXAggregator } = require('../dex/DEXAggregator');
+const { PoolGraph } = require('../dex/PoolGraph');
+const { ArbitrageSizer, toHopReserves } = require('../dex/ArbitrageSizer');
+const { PoolMirror } = require('../dex/PoolMirror');
+const { PoolStateStore } = require('../dex/PoolStateStore');
 const { calculateOptimalAmount } = require('../utils/helpers');
 
 class ArbitrageStrategy extends EventEmitter {
@@ -16,8 +20,27 @@ class ArbitrageStrategy extends EventEmitter {
         this.priceFeeds = new Map();
         this.opportunities = new Map();
         
-        // Arbitrage paths
+        // Configured symbols resolve to token addresses
+        this.tokens = (this.config.tokens || ['WETH', 'USDC', 'USDT', 'DAI'])
+            .map(token => this.bot.config.tokens[token] || token);
+        
+        // Cross-DEX pairs, plus cycles found in the pool graph
         this.paths = this.initializePaths();
+        this.graph = new PoolGraph({ maxHops: this.config.maxHops });
+        this.sizer = new ArbitrageSizer(bot, this.dexAggregator, this.config.sizing);
+        
+        // Pool state per block, shared by the adapters and the mirror that
+        // simulates pending swaps before backrunning them
+        this.store = new PoolStateStore(bot, this.dexAggregator, this.config.stateStore);
+        this.dexAggregator.setStore(this.store);
+        this.mirror = new PoolMirror(this.dexAggregator, this.store);
+        
+        // Slippage on the first hop of a cycle; the cycle as a whole must return its input plus gas
+        this.slippageBps = this.config.slippageBps || 50;
+        this.backrun = {
+            enabled: Boolean(this.config.backrun?.enabled),
+            slippageBps: this.config.backrun?.slippageBps || 10
+        };
         
         // Performance tracking
         this.stats = {
@@ -32,36 +55,18 @@ class ArbitrageStrategy extends EventEmitter {
         
         logger.info('Arbitrage strategy initialized', {
             paths: this.paths.length,
-            minProfitBps: this.minProfitBps
+            maxHops: this.graph.maxHops,
+            minProfitBps: this.minProfitBps,
+            backrun: this.backrun.enabled
         });
     }
     
     initializePaths() {
         const paths = [];
+        const tokens = this.tokens;
         
-        // Simple triangular arbitrage paths
-        const tokens = this.config.tokens || [
-            this.bot.config.tokens.WETH,
-            this.bot.config.tokens.USDC,
-            this.bot.config.tokens.USDT,
-            this.bot.config.tokens.DAI
-        ];
-        
-        // Generate all possible triangular paths
-        for (let i = 0; i < tokens.length; i++) {
-            for (let j = 0; j < tokens.length; j++) {
-                for (let k = 0; k < tokens.length; k++) {
-                    if (i !== j && j !== k && i === k) {
-                        paths.push({
-                            tokens: [tokens[i], tokens[j], tokens[k]],
-                            type: 'triangular'
-                        });
-                    }
-                }
-            }
-        }
-        
-        // Add direct arbitrage paths (same pair, different DEXs)
+        // Direct arbitrage paths (same pair, different DEXs). Longer cycles
+        // come from the pool graph.
         for (let i = 0; i < tokens.length; i++) {
             for (let j = i + 1; j < tokens.length; j++) {
                 paths.push({
@@ -74,6 +79,61 @@ class ArbitrageStrategy extends EventEmitter {
         return paths;
     }
     
+    async buildGraph() {
+        const pools = await this.dexAggregator.getPools(await this.getTradableTokens());
+        
+        for (const pool of pools) {
+            this.graph.addPool(pool);
+        }
+        
+        // Pending swaps through the graph's Curve pools are decoded for backruns
+        this.bot.monitor.swapDecoder.addCurvePools(pools.filter(p => p.dex === 'curve').map(p => p.address));
+        
+        await this.refreshPools(pools.map(p => p.address));
+        
+        const cycles = this.graph.findCycles(this.graph.getTokens(), this.getMaxCycleWeight());
+        
+        logger.info('Arbitrage pool graph built', {
+            ...this.graph.getStats(),
+            profitableCycles: cycles.length
+        });
+    }
+    
+    async getTradableTokens() {
+        // Fee-on-transfer, rebasing and blocked tokens would break the cycle math
+        const tradable = await Promise.all(this.tokens.map(token => this.bot.tokenRegistry.isTradable(token)));
+        const excluded = this.tokens.filter((token, i) => !tradable[i]);
+        
+        if (excluded.length) {
+            logger.warn('Tokens left out of the arbitrage graph by risk score', { tokens: excluded });
+        }
+        
+        return this.tokens.filter((token, i) => tradable[i]);
+    }
+    
+    async refreshPools(addresses, snapshot = null) {
+        await Promise.allSettled(addresses.map(async (address) => {
+            const key = address.toLowerCase();
+            const pool = this.graph.pools.get(key);
+            
+            // Tracked pools are priced from a store snapshot, new ones start being tracked
+            let state;
+            
+            if (snapshot) {
+                state = snapshot.get(key);
+            } else {
+                state = this.store.pools.has(key) ? this.store.get(key) : await this.mirror.load(pool);
+            }
+            const rates = await this.dexAggregator.getPoolRates(pool, state);
+            this.graph.setRates(address, rates);
+        }));
+    }
+    
+    getMaxCycleWeight() {
+        // Cycle weight is -log(rate product), so minProfitBps becomes a log bound
+        return -Math.log(1 + this.minProfitBps / 10000);
+    }
+    
     async start() {
         if (this.isRunning) {
             return;
@@ -81,6 +141,12 @@ class ArbitrageStrategy extends EventEmitter {
         
         logger.info('Starting arbitrage strategy...');
         
+        // Discover pools and their current rates before searching for cycles
+        await this.buildGraph();
+        
+        // Follow the graph's pools block by block from here on
+        await this.store.start();
+        
         // Subscribe to relevant events
         this.subscribeToEvents();
         
@@ -110,33 +176,90 @@ class ArbitrageStrategy extends EventEmitter {
             clearInterval(this.priceInterval);
         }
         
+        if (this.onStoreUpdate) {
+            this.store.off('update', this.onStoreUpdate);
+            this.onStoreUpdate = null;
+        }
+        
+        this.store.stop();
+        this.dexAggregator.stop();
+        
         this.isRunning = false;
         logger.info('Arbitrage strategy stopped');
     }
     
     subscribeToEvents() {
-        // Listen for swap events from monitor
-        this.bot.monitor.on('swap', async (tx) => {
-            try {
-                await this.analyzeSwapImpact(tx);
-            } catch (error) {
-                logger.error('Error analyzing swap impact', error);
-            }
+        // Backrun pending swaps from the state they leave behind
+        if (this.backrun.enabled) {
+            this.bot.monitor.on('swap', async (tx) => {
+                try {
+                    await this.analyzeBackrun(tx);
+                } catch (error) {
+                    logger.error('Error analyzing backrun', error);
+                }
+            });
+        }
+        
+        // Listen for gas updates
+        this.bot.monitor.on('gasUpdate', (gasInfo) => {
+            this.updateProfitThresholds(gasInfo);
         });
         
-        // Listen for high-value transactions
-        this.bot.monitor.on('highValue', async (tx) => {
+        // Re-evaluate cycles through pools that changed in each new block
+        this.onStoreUpdate = async (update) => {
             try {
-                await this.checkImmediateArbitrage(tx);
+                await this.onNewBlock(update);
             } catch (error) {
-                logger.error('Error checking immediate arbitrage', error);
+                logger.error('Error evaluating cycles for block', error);
             }
-        });
+        };
+        this.store.on('update', this.onStoreUpdate);
+    }
+    
+    async onNewBlock(update) {
+        // Only graph pools, and all of them priced on this block's snapshot
+        const { blockNumber } = update;
+        const changed = update.changed.filter(address => this.graph.pools.has(address));
+        const snapshot = this.store.getSnapshot(blockNumber);
         
-        // Listen for gas updates
-        this.bot.monitor.on('gasUpdate', (gasInfo) => {
-            this.updateProfitThresholds(gasInfo);
+        if (changed.length === 0 || !snapshot) {
+            return;
+        }
+        
+        await this.refreshPools(changed, snapshot);
+        
+        const maxWeight = this.getMaxCycleWeight();
+        const cycles = new Map();
+        
+        // Known cycles through the changed pools, then any new ones from their tokens
+        for (const cycle of this.graph.getCyclesForPools(changed, maxWeight)) {
+            cycles.set(cycle.key, cycle);
+        }
+        
+        const tokens = new Set(changed.flatMap(
+            address => this.graph.pools.get(address.toLowerCase()).tokens
+        ));
+        
+        for (const cycle of this.graph.findCycles(Array.from(tokens), maxWeight)) {
+            cycles.set(cycle.key, cycle);
+        }
+        
+        logger.debug('Re-evaluated arbitrage cycles', {
+            blockNumber,
+            changedPools: changed.length,
+            profitableCycles: cycles.size
         });
+        
+        for (const cycle of cycles.values()) {
+            const opportunity = await this.analyzeCycle(cycle, snapshot);
+            
+            if (opportunity) {
+                opportunity.trigger = 'block';
+                opportunity.blockNumber = blockNumber;
+                
+                await this.processOpportunity(opportunity);
+            }
+        }
     }
     
     startContinuousScanning() {
@@ -178,9 +301,7 @@ class ArbitrageStrategy extends EventEmitter {
     
     async analyzePath(path) {
         try {
-            if (path.type === 'triangular') {
-                return this.analyzeTriangularPath(path);
-            } else if (path.type === 'direct') {
+            if (path.type === 'direct') {
                 return this.analyzeDirectPath(path);
             }
         } catch (error) {
@@ -189,34 +310,39 @@ class ArbitrageStrategy extends EventEmitter {
         }
     }
     
-    async analyzeTriangularPath(path) {
-        const { tokens } = path;
-        const amount = this.getOptimalStartAmount(tokens[0]);
+    /**
+     * Size and price a cycle. With a snapshot, every pool the store follows
+     * is simulated on that block's state so all hops see the same block.
+     */
+    async analyzeCycle(cycle, snapshot = null) {
+        const { tokens } = cycle;
+        const pools = cycle.pools.map(address => this.graph.pools.get(address));
         
-        // Get quotes for each step
-        const quotes = [];
-        let currentAmount = amount;
+        const quote = (amountIn) => (snapshot
+            ? this.simulateCycle(cycle, pools, snapshot, amountIn)
+            : this.quoteCycle(cycle, amountIn));
         
-        for (let i = 0; i < tokens.length - 1; i++) {
-            const fromToken = tokens[i];
-            const toToken = tokens[i + 1];
-            
-            const quote = await this.dexAggregator.getBestQuote(
-                fromToken,
-                toToken,
-                currentAmount
-            );
-            
-            if (!quote || quote.outputAmount.eq(0)) {
-                return null;
-            }
-            
-            quotes.push(quote);
-            currentAmount = quote.outputAmount;
+        // Size against the real quote function instead of a fixed amount
+        const sizing = await this.sizer.sizeCycle(cycle, pools, async (amountIn) => {
+            const result = await quote(amountIn);
+            return result ? result.outputAmount.sub(amountIn) : null;
+        }, snapshot ? this.getPostTradeReserves(cycle, pools, snapshot) : undefined);
+        
+        if (!sizing) {
+            return null;
+        }
+        
+        const amount = sizing.amountIn;
+        const result = await quote(amount);
+        
+        if (!result) {
+            return null;
         }
         
+        const { quotes } = result;
+        
         // Calculate profit
-        const finalAmount = currentAmount;
+        const finalAmount = result.outputAmount;
         const profit = finalAmount.sub(amount);
         const profitBps = profit.mul(10000).div(amount);
         
@@ -225,24 +351,35 @@ class ArbitrageStrategy extends EventEmitter {
             return null;
         }
         
-        // Calculate gas costs
-        const estimatedGas = this.estimateGasForPath(quotes);
-        const gasPrice = await this.bot.getGasPrice();
-        const gasCost = estimatedGas.mul(gasPrice);
+        // Gas is paid in ETH, the cycle profits in its start token
+        const costs = await this.getCycleCosts(tokens[0], profit, quotes);
         
-        // Calculate net profit
-        const netProfit = profit.sub(gasCost);
+        if (!costs || costs.netProfit.lte(0)) {
+            return null;
+        }
         
-        if (netProfit.lte(0)) {
+        const { estimatedGas, gasCost, netProfit, netProfitETH } = costs;
+        
+        // MEVBot runs the hops from its own balance of the start token
+        const tx = await this.buildCycleTransaction(tokens[0], quotes, amount, finalAmount, estimatedGas, amount.add(costs.gasCostInToken));
+        
+        if (!tx) {
             return null;
         }
         
         // Build opportunity
         return {
-            type: 'triangular-arbitrage',
+            type: 'cycle-arbitrage',
             strategy: 'arbitrage',
             path: tokens,
+            pools: cycle.pools,
+            cycleRate: cycle.rate,
+            sizing,
             quotes: quotes,
+            contract: tx.to,
+            to: tx.to,
+            data: tx.data,
+            profitToken: tokens[0],
             inputAmount: amount,
             outputAmount: finalAmount,
             profit: profit,
@@ -251,10 +388,92 @@ class ArbitrageStrategy extends EventEmitter {
             gasCost: gasCost,
             estimatedGas: estimatedGas,
             timestamp: Date.now(),
-            expectedProfit: netProfit
+            expectedProfit: netProfitETH
+        };
+    }
+    
+    /**
+     * Gas for a cycle, in ETH and in its start token, and the net profit in
+     * the start token and in ETH. Null when the start token has no ETH price.
+     */
+    async getCycleCosts(startToken, profit, quotes) {
+        const estimatedGas = this.estimateGasForPath(quotes);
+        const gasCost = estimatedGas.mul(await this.bot.getGasPrice());
+        const tokenPerEth = await this.dexAggregator.getTokenPerEth(startToken);
+        
+        if (!tokenPerEth || tokenPerEth.isZero()) {
+            return null;
+        }
+        
+        const gasCostInToken = gasCost.mul(tokenPerEth).div(ethers.constants.WeiPerEther);
+        const netProfit = profit.sub(gasCostInToken);
+        
+        return {
+            estimatedGas,
+            gasCost,
+            gasCostInToken,
+            netProfit,
+            netProfitETH: netProfit.mul(ethers.constants.WeiPerEther).div(tokenPerEth)
         };
     }
     
+    /**
+     * MEVBot.executeSplitRoute call running the cycle as a one-leg route,
+     * reverting unless at least minAmountOut of the start token comes back.
+     * Null without a MEVBot to run it.
+     */
+    async buildCycleTransaction(startToken, quotes, amountIn, outputAmount, gasEstimate, minAmountOut, slippageBps = this.slippageBps) {
+        const executor = this.bot.config.contracts.mevBot;
+        
+        if (!executor) {
+            return null;
+        }
+        
+        const route = {
+            tokenIn: startToken,
+            tokenOut: startToken,
+            amountIn,
+            outputAmount,
+            gasEstimate,
+            legs: [{ amountIn, outputAmount, hops: quotes }]
+        };
+        
+        try {
+            return await this.dexAggregator.buildSplitRouteTransaction(route, executor, slippageBps, { minAmountOut });
+        } catch (error) {
+            logger.debug('Failed to build cycle transaction', { path: quotes.map(quote => quote.dex), error: error.message });
+            return null;
+        }
+    }
+    
+    async quoteCycle(cycle, amountIn) {
+        // Quote each hop on the DEX whose pool made the cycle profitable
+        const quotes = [];
+        let currentAmount = amountIn;
+        
+        if (amountIn.isZero()) {
+            return null;
+        }
+        
+        for (const hop of cycle.hops) {
+            const quote = await this.dexAggregator.getQuote(
+                hop.dex,
+                hop.from,
+                hop.to,
+                currentAmount
+            );
+            
+            if (!quote || quote.outputAmount.eq(0)) {
+                return null;
+            }
+            
+            quotes.push(quote);
+            currentAmount = quote.outputAmount;
+        }
+        
+        return { quotes, outputAmount: currentAmount };
+    }
+    
     async analyzeDirectPath(path) {
         const [tokenA, tokenB] = path.tokens;
         const amount = this.getOptimalStartAmount(tokenA);
@@ -331,53 +550,295 @@ class ArbitrageStrategy extends EventEmitter {
         };
     }
     
-    async analyzeSwapImpact(swapTx) {
-        // Analyze the impact of a large swap on arbitrage opportunities
-        if (!swapTx.decoded || swapTx.decoded.type !== 'swap') {
+    async analyzeBackrun(swapTx) {
+        const { decoded } = swapTx;
+        
+        // Exact-output swaps only give their maximum input
+        if (!decoded || decoded.type !== 'swap' || !decoded.amountIn || decoded.exactOutput) {
             return;
         }
         
-        try {
-            // Extract swap details
-            const { tokenIn, tokenOut, amountIn } = swapTx.decoded;
+        // Pool states once the pending swap has executed
+        const target = this.simulatePendingSwap(decoded);
+        
+        if (!target) {
+            return;
+        }
+        
+        const rates = new Map();
+        for (const [address, state] of target.states) {
+            rates.set(address, await this.dexAggregator.getPoolRates(this.graph.pools.get(address), state));
+        }
+        
+        const maxWeight = this.getMaxCycleWeight();
+        const moved = Array.from(rates.keys());
+        
+        // Cycles through the moved pools, priced at their post-trade rates
+        const cycles = this.graph.withRates(rates, () => {
+            const found = new Map();
+            const tokens = new Set(moved.flatMap(address => this.graph.pools.get(address).tokens));
             
-            // Check if this swap creates arbitrage opportunities
-            const relatedPaths = this.paths.filter(path => 
-                path.tokens.includes(tokenIn) || path.tokens.includes(tokenOut)
-            );
+            const candidates = this.graph.getCyclesForPools(moved, maxWeight)
+                .concat(this.graph.findCycles(Array.from(tokens), maxWeight));
             
-            // Analyze each related path with urgency
-            for (const path of relatedPaths) {
-                const opportunity = await this.analyzePath(path);
-                
-                if (opportunity) {
-                    opportunity.trigger = 'swap-impact';
-                    opportunity.triggerTx = swapTx.hash;
-                    opportunity.priority = 'high';
-                    
-                    await this.processOpportunity(opportunity);
+            for (const cycle of candidates) {
+                if (cycle.pools.some(pool => target.states.has(pool))) {
+                    found.set(cycle.key, { ...cycle });
                 }
             }
             
-        } catch (error) {
-            logger.error('Error analyzing swap impact', error);
+            return Array.from(found.values());
+        });
+        
+        logger.debug('Evaluated backrun cycles', {
+            targetTx: swapTx.hash,
+            movedPools: moved.length,
+            profitableCycles: cycles.length
+        });
+        
+        for (const cycle of cycles) {
+            const opportunity = await this.analyzeBackrunCycle(cycle, target.states, swapTx);
+            
+            if (opportunity) {
+                await this.processOpportunity(opportunity);
+            }
         }
     }
     
-    async checkImmediateArbitrage(tx) {
-        // Quick check for immediate arbitrage after high-value transactions
-        const quickPaths = this.paths.filter(p => p.type === 'direct').slice(0, 5);
+    /**
+     * Run a decoded pending swap through the mirrored pools. Returns the
+     * post-trade state of every pool it touches, or null when it goes
+     * through a pool we don't mirror or would revert on its minimum output.
+     */
+    simulatePendingSwap(decoded) {
+        const states = new Map();
+        let amountOut = ethers.BigNumber.from(0);
         
-        const promises = quickPaths.map(path => this.analyzePath(path));
-        const opportunities = await Promise.allSettled(promises);
+        // Split routes run their legs one after another over the same pools
+        for (const leg of decoded.legs || [decoded]) {
+            const legOut = this.simulateSwapLeg(leg, states);
+            
+            if (!legOut) {
+                return null;
+            }
+            
+            amountOut = amountOut.add(legOut);
+        }
+        
+        return { states, amountOut };
+    }
+    
+    simulateSwapLeg(leg, states) {
+        if (!leg.pools || !leg.pools.length || !leg.tokenIn || !leg.amountIn) {
+            return null;
+        }
         
-        for (const result of opportunities) {
-            if (result.status === 'fulfilled' && result.value) {
-                result.value.priority = 'high';
-                result.value.trigger = 'high-value-tx';
-                await this.processOpportunity(result.value);
+        let token = leg.tokenIn;
+        let amount = leg.amountIn;
+        
+        for (const hop of leg.pools) {
+            const pool = this.findPool(hop, token);
+            
+            if (!pool) {
+                return null;
+            }
+            
+            // Pools named only by address trade into their other token
+            const from = token.toLowerCase();
+            const tokenOut = hop.tokenOut || pool.tokens.find(t => t.toLowerCase() !== from);
+            const key = pool.address.toLowerCase();
+            const result = this.mirror.simulateSwap(
+                pool,
+                token,
+                amount,
+                states.get(key) || this.mirror.get(key),
+                tokenOut
+            );
+            
+            if (!result) {
+                return null;
             }
+            
+            states.set(key, result.state);
+            token = tokenOut;
+            amount = result.amountOut;
+        }
+        
+        // A swap that misses its minimum reverts and moves no prices
+        if (leg.minOut && amount.lt(leg.minOut)) {
+            return null;
+        }
+        
+        return amount;
+    }
+    
+    findPool(hop, tokenIn) {
+        if (hop.address) {
+            return this.graph.pools.get(hop.address.toLowerCase()) || null;
         }
+        
+        const from = tokenIn.toLowerCase();
+        const to = hop.tokenOut.toLowerCase();
+        
+        return this.graph.getPools().find((pool) => {
+            const tokens = pool.tokens.map(t => t.toLowerCase());
+            
+            return pool.dex === hop.dex &&
+                tokens.includes(from) &&
+                tokens.includes(to) &&
+                (hop.fee === undefined || pool.fee === hop.fee) &&
+                (hop.stable === undefined || pool.stable === hop.stable);
+        }) || null;
+    }
+    
+    async analyzeBackrunCycle(cycle, states, swapTx) {
+        const pools = cycle.pools.map(address => this.graph.pools.get(address));
+        
+        // Constant-product cycles size in closed form on post-trade reserves
+        const reserves = this.getPostTradeReserves(cycle, pools, states);
+        
+        const sizing = await this.sizer.sizeCycle(cycle, pools, async (amountIn) => {
+            const result = await this.simulateCycle(cycle, pools, states, amountIn);
+            return result ? result.outputAmount.sub(amountIn) : null;
+        }, reserves);
+        
+        if (!sizing) {
+            return null;
+        }
+        
+        const amount = sizing.amountIn;
+        const result = await this.simulateCycle(cycle, pools, states, amount);
+        
+        if (!result) {
+            return null;
+        }
+        
+        const { quotes } = result;
+        const finalAmount = result.outputAmount;
+        const profit = finalAmount.sub(amount);
+        const profitBps = profit.mul(10000).div(amount);
+        
+        if (profitBps.lt(this.minProfitBps)) {
+            return null;
+        }
+        
+        // Gas is paid in ETH, the cycle profits in its start token
+        const costs = await this.getCycleCosts(cycle.tokens[0], profit, quotes);
+        
+        if (!costs || costs.netProfit.lte(0)) {
+            return null;
+        }
+        
+        const { estimatedGas, gasCost, netProfit } = costs;
+        
+        // One MEVBot call, like other cycles: each hop runs on the previous
+        // hop's actual output and the whole cycle must return input plus gas
+        const tx = await this.buildCycleTransaction(
+            cycle.tokens[0],
+            quotes,
+            amount,
+            finalAmount,
+            estimatedGas,
+            amount.add(costs.gasCostInToken),
+            this.backrun.slippageBps
+        );
+        
+        if (!tx) {
+            return null;
+        }
+        
+        return {
+            type: 'backrun',
+            strategy: 'arbitrage',
+            requiresBundle: true,
+            targetTx: swapTx,
+            transactions: [{ to: tx.to, data: tx.data, value: tx.value, gasLimit: tx.gasLimit }],
+            contract: tx.to,
+            path: cycle.tokens,
+            pools: cycle.pools,
+            cycleRate: cycle.rate,
+            sizing,
+            quotes,
+            inputAmount: amount,
+            outputAmount: finalAmount,
+            profit,
+            netProfit,
+            profitBps: profitBps.toNumber(),
+            gasCost,
+            estimatedGas,
+            profitToken: cycle.tokens[0],
+            trigger: 'backrun',
+            triggerTx: swapTx.hash,
+            priority: 'high',
+            timestamp: Date.now(),
+            expectedProfit: costs.netProfitETH
+        };
+    }
+    
+    /**
+     * Quote a cycle as it would trade right after the pending swap: pools
+     * the swap moved (and other mirrored pools) are simulated locally, the
+     * rest are quoted on chain since the swap doesn't touch them.
+     */
+    async simulateCycle(cycle, pools, states, amountIn) {
+        const quotes = [];
+        let currentAmount = amountIn;
+        
+        if (amountIn.isZero()) {
+            return null;
+        }
+        
+        for (let i = 0; i < cycle.hops.length; i++) {
+            const hop = cycle.hops[i];
+            const pool = pools[i];
+            const state = states.get(hop.pool) || this.mirror.get(hop.pool);
+            let quote;
+            
+            if (state) {
+                const result = this.mirror.simulateSwap(pool, hop.from, currentAmount, state, hop.to);
+                
+                quote = result && {
+                    dex: pool.dex,
+                    tokenIn: hop.from,
+                    tokenOut: hop.to,
+                    amountIn: currentAmount,
+                    outputAmount: result.amountOut,
+                    path: [hop.from, hop.to],
+                    fee: pool.fee,
+                    pool: pool.address,
+                    stable: pool.stable,
+                    poolIds: pool.id && [pool.id],
+                    gasEstimate: this.getDexGasEstimate(pool.dex)
+                };
+            } else {
+                quote = await this.dexAggregator.getQuote(hop.dex, hop.from, hop.to, currentAmount);
+            }
+            
+            if (!quote || quote.outputAmount.eq(0)) {
+                return null;
+            }
+            
+            quotes.push(quote);
+            currentAmount = quote.outputAmount;
+        }
+        
+        return { quotes, outputAmount: currentAmount };
+    }
+    
+    getPostTradeReserves(cycle, pools, states) {
+        const reserves = [];
+        
+        for (let i = 0; i < cycle.hops.length; i++) {
+            const state = states.get(cycle.hops[i].pool) || this.mirror.get(cycle.hops[i].pool);
+            
+            if (!state || state.model !== 'constant-product') {
+                return null;
+            }
+            
+            reserves.push(toHopReserves(cycle.hops[i], pools[i], state));
+        }
+        
+        return reserves;
     }
     
     async processOpportunity(opportunity) {
@@ -409,7 +870,7 @@ class ArbitrageStrategy extends EventEmitter {
             // Log opportunity
             logger.info('Arbitrage opportunity found', {
                 type: opportunity.type,
-                profit: ethers.utils.formatEther(opportunity.netProfit),
+                profit: ethers.utils.formatEther(opportunity.expectedProfit),
                 profitBps: opportunity.profitBps,
                 trigger: opportunity.trigger || 'scan'
             });
@@ -459,9 +920,13 @@ class ArbitrageStrategy extends EventEmitter {
         const config = this.config.amounts || {};
         const defaultAmount = ethers.utils.parseEther('1');
         
-        // Use configured amounts
-        if (config[token]) {
-            return ethers.BigNumber.from(config[token]);
+        // Use configured amounts, keyed by address or symbol
+        const symbol = Object.keys(this.bot.config.tokens)
+            .find(s => this.bot.config.tokens[s].toLowerCase() === token.toLowerCase());
+        const configured = config[token] || config[symbol];
+        
+        if (configured) {
+            return ethers.BigNumber.from(configured);
         }
         
         // Use price-based calculation
@@ -501,6 +966,8 @@ class ArbitrageStrategy extends EventEmitter {
             'uniswapV2': 150000,
             'sushiswap': 150000,
             'curve': 250000,
+            'aerodrome': 150000,
+            'velodrome': 150000,
             'balancer': 200000
         };
         
@@ -508,8 +975,10 @@ class ArbitrageStrategy extends EventEmitter {
     }
     
     getOpportunityKey(opportunity) {
-        if (opportunity.type === 'triangular-arbitrage') {
-            return `tri-${opportunity.path.join('-')}`;
+        if (opportunity.type === 'cycle-arbitrage') {
+            return `cycle-${opportunity.pools.join('-')}`;
+        } else if (opportunity.type === 'backrun') {
+            return `backrun-${opportunity.triggerTx}-${opportunity.pools.join('-')}`;
         } else if (opportunity.type === 'direct-arbitrage') {
             return `direct-${opportunity.tokenA}-${opportunity.tokenB}-${opportunity.buyDex}-${opportunity.sellDex}`;
         }
@@ -536,7 +1005,7 @@ class ArbitrageStrategy extends EventEmitter {
                 log.topics[0] === '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef'
             );
             
-            if (opportunity.type === 'triangular-arbitrage') {
+            if (opportunity.type === 'cycle-arbitrage' || opportunity.type === 'backrun') {
                 // Find first and last transfer of the starting token
                 const startToken = opportunity.path[0];
                 const relevantTransfers = transferEvents.filter(log => 
@@ -573,7 +1042,10 @@ class ArbitrageStrategy extends EventEmitter {
             priceFeeds: this.priceFeeds.size,
             isRunning: this.isRunning,
             minProfitBps: this.minProfitBps,
-            pathsMonitored: this.paths.length
+            pathsMonitored: this.paths.length,
+            graph: this.graph.getStats()
         };
     }
-}
\ No newline at end of file
+}
+
+module.exports = { ArbitrageStrategy };
\ No newline at end of file
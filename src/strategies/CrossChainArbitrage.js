@@ -1,6 +1,18 @@
 const EventEmitter = require('events');
 const { ethers } = require('ethers');
 const { logger } = require('../utils/logger');
+const { DEXAggregator } = require('../dex/DEXAggregator');
+const { InventoryManager } = require('../crosschain/InventoryManager');
+const { Rebalancer } = require('../crosschain/Rebalancer');
+const { HopAdapter } = require('../crosschain/HopAdapter');
+const { StargateAdapter } = require('../crosschain/StargateAdapter');
+const { AcrossAdapter } = require('../crosschain/AcrossAdapter');
+
+const BRIDGE_ADAPTERS = {
+    hop: HopAdapter,
+    stargate: StargateAdapter,
+    across: AcrossAdapter
+};
 
 class CrossChainArbitrage extends EventEmitter {
     constructor(bot) {
@@ -13,29 +25,57 @@ class CrossChainArbitrage extends EventEmitter {
         this.bridges = new Map();
         this.priceFeeds = new Map();
         
-        // Supported chains
-        this.supportedChains = ['base', 'arbitrum', 'optimism'];
-        
-        // Bridge configurations
-        this.bridgeConfigs = {
-            'hop': {
-                name: 'Hop Protocol',
-                supportedTokens: ['USDC', 'USDT', 'DAI', 'ETH'],
-                estimatedTime: 5 * 60 // 5 minutes
-            },
-            'stargate': {
-                name: 'Stargate',
-                supportedTokens: ['USDC', 'USDT', 'ETH'],
-                estimatedTime: 2 * 60 // 2 minutes
-            },
-            'across': {
-                name: 'Across Protocol',
-                supportedTokens: ['USDC', 'WETH'],
-                estimatedTime: 10 * 60 // 10 minutes
-            }
+        // Chains enabled in config.chains that have an entry in chains.json
+        this.supportedChains = bot.getChainNames();
+        
+        // Tokens compared across chains, priced in each chain's USDC
+        this.tokens = this.config.tokens || ['USDC', 'USDT', 'DAI'];
+        
+        // Inventory mode trades from balances held on every chain and
+        // bridges them back in bulk instead of bridging each trade
+        this.inventoryConfig = this.config.inventory || {};
+        this.inventory = null;
+        this.rebalancer = null;
+        this.recentRoutes = new Map(); // route -> last trade time
+        
+        if (this.inventoryConfig.enabled) {
+            this.inventory = new InventoryManager(this, this.inventoryConfig);
+            this.rebalancer = new Rebalancer(this, this.inventoryConfig.rebalance || {});
+        }
+        
+        // Longest a trade's funds may spend in a bridge
+        this.maxBridgeTime = this.config.maxBridgeTime || 30 * 60;
+        
+        this.stats = {
+            opportunities: 0,
+            bridgedOpportunities: 0
         };
         
-        logger.info('Cross-chain arbitrage strategy initialized');
+        this.initializeBridges(this.config.bridges || {});
+        
+        logger.info('Cross-chain arbitrage strategy initialized', {
+            chains: this.supportedChains,
+            tokens: this.tokens,
+            bridges: Array.from(this.bridges.keys()),
+            mode: this.inventory ? 'inventory' : 'bridge'
+        });
+    }
+    
+    initializeBridges(bridgeConfigs) {
+        for (const [name, config] of Object.entries(bridgeConfigs)) {
+            const Adapter = BRIDGE_ADAPTERS[name];
+            
+            if (!config.enabled) {
+                continue;
+            }
+            
+            if (!Adapter) {
+                logger.warn(`Unknown bridge: ${name}`);
+                continue;
+            }
+            
+            this.bridges.set(name, new Adapter(this.bot, config));
+        }
     }
     
     async start() {
@@ -54,6 +94,10 @@ class CrossChainArbitrage extends EventEmitter {
         // Start opportunity scanning
         this.startScanning();
         
+        if (this.rebalancer) {
+            this.rebalancer.start();
+        }
+        
         this.isRunning = true;
         logger.info('Cross-chain arbitrage strategy started');
     }
@@ -71,30 +115,36 @@ class CrossChainArbitrage extends EventEmitter {
             clearInterval(this.priceInterval);
         }
         
+        if (this.rebalancer) {
+            this.rebalancer.stop();
+        }
+        
         this.isRunning = false;
         logger.info('Cross-chain arbitrage strategy stopped');
     }
     
     async initializeChains() {
         for (const chainName of this.supportedChains) {
-            const chainConfig = this.bot.config.chains[chainName];
-            
-            if (chainConfig && chainConfig.enabled) {
-                try {
-                    const provider = new ethers.providers.JsonRpcProvider(chainConfig.rpc.primary);
-                    
-                    this.chains.set(chainName, {
-                        name: chainName,
-                        chainId: chainConfig.chainId,
-                        provider,
-                        tokens: chainConfig.tokens,
+            try {
+                const chainConfig = this.bot.getChain(chainName);
+                const provider = chainConfig.providerManager.getProvider();
+                
+                this.chains.set(chainName, {
+                    name: chainName,
+                    chainId: chainConfig.chainId,
+                    provider,
+                    tokens: chainConfig.tokens,
+                    dexes: chainConfig.dexes,
+                    // Quotes from the chain's own DEXes, adapters without support are skipped
+                    dexAggregator: new DEXAggregator(this.bot, {
+                        provider: chainConfig.providerManager.getReadProvider(),
                         dexes: chainConfig.dexes
-                    });
-                    
-                    logger.info(`Initialized chain: ${chainName}`);
-                } catch (error) {
-                    logger.error(`Failed to initialize chain ${chainName}`, error);
-                }
+                    })
+                });
+                
+                logger.info(`Initialized chain: ${chainName}`);
+            } catch (error) {
+                logger.error(`Failed to initialize chain ${chainName}`, error);
             }
         }
     }
@@ -119,7 +169,8 @@ class CrossChainArbitrage extends EventEmitter {
     }
     
     async updateAllPrices() {
-        const tokens = ['USDC', 'USDT', 'DAI', 'WETH'];
+        // WETH as well, to value gas and profit
+        const tokens = [...new Set([...this.tokens, 'WETH'])];
         
         for (const [chainName, chain] of this.chains) {
             for (const token of tokens) {
@@ -149,27 +200,45 @@ class CrossChainArbitrage extends EventEmitter {
         
         // Get price in USDC
         const usdcAddress = chain.tokens.USDC;
+        if (!usdcAddress) return null;
+        
+        if (tokenAddress.toLowerCase() === usdcAddress.toLowerCase()) {
+            return 1;
+        }
         
         try {
-            // Use the bot's DEX aggregator if available
-            // For now, return mock price
-            const mockPrices = {
-                'WETH': 3800,
-                'USDC': 1,
-                'USDT': 0.999,
-                'DAI': 1.001
-            };
+            const [tokenDecimals, usdcDecimals] = await Promise.all([
+                this.getDecimals(chain, tokenAddress),
+                this.getDecimals(chain, usdcAddress)
+            ]);
+            
+            // Quote one whole token on the chain's DEXes
+            const quote = await chain.dexAggregator.getBestQuote(
+                tokenAddress,
+                usdcAddress,
+                ethers.utils.parseUnits('1', tokenDecimals)
+            );
             
-            return mockPrices[tokenSymbol] || 0;
+            if (!quote) return null;
+            
+            return Number(ethers.utils.formatUnits(quote.outputAmount, usdcDecimals));
         } catch (error) {
             return null;
         }
     }
     
+    async getDecimals(chain, tokenAddress) {
+        return this.bot.tokenRegistry.getDecimals(tokenAddress, chain.provider);
+    }
+    
     async scanForOpportunities() {
-        const tokens = ['USDC', 'USDT', 'DAI'];
+        const { tokens } = this;
         const minProfitUSD = this.config.minProfitUSD || 50;
         
+        if (this.inventory) {
+            await this.inventory.refresh(this.getInventoryTokens());
+        }
+        
         for (const token of tokens) {
             const opportunities = await this.findArbitrageForToken(token);
             
@@ -179,9 +248,18 @@ class CrossChainArbitrage extends EventEmitter {
                         token,
                         profit: `$${opp.profitUSD.toFixed(2)}`,
                         fromChain: opp.fromChain,
-                        toChain: opp.toChain
+                        toChain: opp.toChain,
+                        mode: opp.mode
                     });
                     
+                    // A bridged trade can only sell once the bridge delivers, so it
+                    // has nothing the executor could send; it is reported only
+                    if (!opp.legs) {
+                        this.stats.bridgedOpportunities++;
+                        continue;
+                    }
+                    
+                    this.stats.opportunities++;
                     this.emit('opportunity', opp);
                 }
             }
@@ -248,80 +326,228 @@ class CrossChainArbitrage extends EventEmitter {
     }
     
     async calculateOpportunity(token, fromChain, toChain, buyPrice, sellPrice) {
-        const amount = 10000; // $10k USD worth
-        const tokenAmount = amount / buyPrice;
-        
-        // Calculate gross profit
-        const grossProfit = (sellPrice - buyPrice) * tokenAmount;
-        
-        // Estimate costs
-        const costs = await this.estimateCosts(token, fromChain, toChain, amount);
+        if (this.inventory) {
+            return this.calculateInventoryOpportunity(token, fromChain, toChain, buyPrice, sellPrice);
+        }
         
-        if (!costs) return null;
+        const from = this.chains.get(fromChain);
+        const to = this.chains.get(toChain);
+        const ethPrice = this.getLatestPrice(fromChain, 'WETH');
         
-        const netProfit = grossProfit - costs.total;
+        if (!from.tokens.USDC || !to.tokens.USDC || !ethPrice) {
+            return null;
+        }
         
-        if (netProfit <= 0) return null;
+        const amountUSD = this.config.tradeSizeUSD || 10000;
         
-        return {
-            type: 'cross-chain-arbitrage',
-            strategy: 'crossChain',
-            token,
-            fromChain,
-            toChain,
-            amount: amount,
-            buyPrice,
-            sellPrice,
-            priceDiff: sellPrice - buyPrice,
-            priceDiffPercent: ((sellPrice - buyPrice) / buyPrice * 100).toFixed(2),
-            grossProfit,
-            costs,
-            netProfit,
-            profitUSD: netProfit,
-            expectedProfit: ethers.utils.parseEther((netProfit / 3800).toFixed(6)), // Convert to ETH
-            estimatedTime: costs.bridgeTime,
-            timestamp: Date.now()
-        };
+        try {
+            // Buy on the cheap chain
+            const usdcDecimals = await this.getDecimals(from, from.tokens.USDC);
+            const amountIn = ethers.utils.parseUnits(amountUSD.toFixed(Math.min(6, usdcDecimals)), usdcDecimals);
+            const buyQuote = await from.dexAggregator.getBestQuote(from.tokens.USDC, from.tokens[token], amountIn);
+            
+            if (!buyQuote) return null;
+            
+            // Bridge what was bought, then sell what arrives
+            const bridge = await this.selectBestBridge(token, fromChain, toChain, buyQuote.outputAmount, {
+                deadline: this.maxBridgeTime
+            });
+            
+            if (!bridge) return null;
+            
+            const sellQuote = await to.dexAggregator.getBestQuote(to.tokens[token], to.tokens.USDC, bridge.amountOut);
+            
+            if (!sellQuote) return null;
+            
+            const proceeds = Number(ethers.utils.formatUnits(
+                sellQuote.outputAmount,
+                await this.getDecimals(to, to.tokens.USDC)
+            ));
+            
+            // Price impact and the bridge's cut of the tokens are already in the proceeds
+            const grossProfit = proceeds - amountUSD;
+            const gasUSD = await this.estimateLegGasUSD(fromChain) + await this.estimateLegGasUSD(toChain);
+            const costs = {
+                bridgeFee: bridge.tokenFeeUSD,
+                nativeFeeUSD: bridge.nativeFeeUSD,
+                gasUSD: gasUSD + bridge.gasUSD,
+                total: gasUSD + bridge.gasUSD + bridge.nativeFeeUSD,
+                bridge: bridge.bridge,
+                bridgeTime: bridge.estimatedTime
+            };
+            const netProfit = grossProfit - costs.total;
+            
+            if (!(netProfit > 0)) return null;
+            
+            return {
+                type: 'cross-chain-arbitrage',
+                strategy: 'crossChain',
+                mode: 'bridge',
+                token,
+                fromChain,
+                toChain,
+                amountUSD,
+                buyPrice,
+                sellPrice,
+                priceDiff: sellPrice - buyPrice,
+                priceDiffPercent: ((sellPrice - buyPrice) / buyPrice * 100).toFixed(2),
+                quotes: { buy: buyQuote, bridge, sell: sellQuote },
+                grossProfit,
+                costs,
+                netProfit,
+                profitUSD: netProfit,
+                // Risk limits are in ETH
+                inputAmount: toETH(amountUSD, ethPrice),
+                gasCost: toETH(costs.total, ethPrice),
+                expectedProfit: toETH(netProfit, ethPrice),
+                estimatedTime: bridge.estimatedTime,
+                timestamp: Date.now()
+            };
+            
+        } catch (error) {
+            logger.debug(`Failed to price bridged trade for ${token}`, { fromChain, toChain, error: error.message });
+            return null;
+        }
     }
     
-    async estimateCosts(token, fromChain, toChain, amount) {
+    /**
+     * Buy the token with USDC on the cheap chain and sell the same amount
+     * for USDC on the expensive one, both from inventory. Token holdings
+     * stay flat overall; USDC moves to the sell chain and the token to
+     * the buy chain, which the rebalancer evens out later.
+     */
+    async calculateInventoryOpportunity(token, buyChain, sellChain, buyPrice, sellPrice) {
+        const route = `${token}-${buyChain}-${sellChain}`;
+        const cooldown = this.inventoryConfig.cooldownMs || 60000;
+        
+        // Let the last trade on this route land before trading it again
+        if (Date.now() - (this.recentRoutes.get(route) || 0) < cooldown) {
+            return null;
+        }
+        
+        const buy = this.chains.get(buyChain);
+        const sell = this.chains.get(sellChain);
+        const ethPrice = this.getLatestPrice(buyChain, 'WETH');
+        
+        if (!buy.tokens.USDC || !sell.tokens.USDC || !ethPrice) {
+            return null;
+        }
+        
+        // Limited by the USDC held on the buy chain and the token held on the sell chain
+        const amountUSD = Math.min(
+            this.inventoryConfig.tradeSizeUSD || 10000,
+            this.inventory.getUnits(buyChain, 'USDC'),
+            this.inventory.getUnits(sellChain, token) * sellPrice
+        );
+        
+        if (!(amountUSD >= 1)) {
+            return null;
+        }
+        
         try {
-            // Bridge fee (usually 0.05% - 0.3%)
-            const bridgeFeePercent = 0.001; // 0.1%
-            const bridgeFee = amount * bridgeFeePercent;
+            const usdcDecimals = await this.getDecimals(buy, buy.tokens.USDC);
+            const amountIn = ethers.utils.parseUnits(amountUSD.toFixed(Math.min(6, usdcDecimals)), usdcDecimals);
+            const buyQuote = await buy.dexAggregator.getBestQuote(buy.tokens.USDC, buy.tokens[token], amountIn);
             
-            // Slippage on both sides (0.3% each)
-            const slippage = amount * 0.006;
+            if (!buyQuote) return null;
             
-            // Gas costs
-            const fromChainGas = await this.estimateGasCost(fromChain, 'swap');
-            const toChainGas = await this.estimateGasCost(toChain, 'swap');
-            const bridgeGas = await this.estimateGasCost(fromChain, 'bridge');
+            // Sell what the buy leg returns, in the sell chain's decimals
+            const sellAmount = convertDecimals(
+                buyQuote.outputAmount,
+                await this.getDecimals(buy, buy.tokens[token]),
+                await this.getDecimals(sell, sell.tokens[token])
+            );
+            const held = this.inventory.getBalance(sellChain, token);
             
-            // Convert gas to USD
-            const ethPrice = 3800; // Should get from price feed
-            const totalGasUSD = (fromChainGas + toChainGas + bridgeGas) * ethPrice;
+            if (!held || sellAmount.gt(held.amount)) return null;
             
-            // Find best bridge
-            const bridge = this.selectBestBridge(token, fromChain, toChain);
+            const sellQuote = await sell.dexAggregator.getBestQuote(sell.tokens[token], sell.tokens.USDC, sellAmount);
             
-            if (!bridge) return null;
+            if (!sellQuote) return null;
+            
+            const proceeds = Number(ethers.utils.formatUnits(
+                sellQuote.outputAmount,
+                await this.getDecimals(sell, sell.tokens.USDC)
+            ));
+            const grossProfit = proceeds - amountUSD;
+            const gasUSD = await this.estimateLegGasUSD(buyChain) + await this.estimateLegGasUSD(sellChain);
+            const netProfit = grossProfit - gasUSD;
+            
+            if (!(netProfit > 0)) return null;
+            
+            const recipient = this.bot.getWallet('main').address;
+            const slippageBps = this.inventoryConfig.slippageBps || 30;
+            
+            const legs = [
+                {
+                    chain: buyChain,
+                    side: 'buy',
+                    tokenIn: 'USDC',
+                    tokenOut: token,
+                    amountIn,
+                    expectedOut: buyQuote.outputAmount,
+                    dex: buyQuote.dex,
+                    tx: await buy.dexAggregator.buildSwapTransaction(buyQuote, recipient, slippageBps)
+                },
+                {
+                    chain: sellChain,
+                    side: 'sell',
+                    tokenIn: token,
+                    tokenOut: 'USDC',
+                    amountIn: sellAmount,
+                    expectedOut: sellQuote.outputAmount,
+                    dex: sellQuote.dex,
+                    tx: await sell.dexAggregator.buildSwapTransaction(sellQuote, recipient, slippageBps)
+                }
+            ];
+            
+            this.recentRoutes.set(route, Date.now());
             
             return {
-                bridgeFee,
-                slippage,
-                gasUSD: totalGasUSD,
-                total: bridgeFee + slippage + totalGasUSD,
-                bridge: bridge.name,
-                bridgeTime: bridge.estimatedTime
+                type: 'cross-chain-inventory',
+                strategy: 'crossChain',
+                mode: 'inventory',
+                token,
+                fromChain: buyChain,
+                toChain: sellChain,
+                legs,
+                amountUSD,
+                buyPrice,
+                sellPrice,
+                priceDiff: sellPrice - buyPrice,
+                priceDiffPercent: ((sellPrice - buyPrice) / buyPrice * 100).toFixed(2),
+                grossProfit,
+                costs: { gasUSD, total: gasUSD },
+                netProfit,
+                profitUSD: netProfit,
+                // Risk limits are in ETH
+                inputAmount: toETH(amountUSD, ethPrice),
+                gasCost: toETH(gasUSD, ethPrice),
+                expectedProfit: toETH(netProfit, ethPrice),
+                timestamp: Date.now()
             };
             
         } catch (error) {
-            logger.error('Error estimating costs', error);
+            logger.debug(`Failed to price inventory trade for ${token}`, { buyChain, sellChain, error: error.message });
             return null;
         }
     }
     
+    async estimateLegGasUSD(chain) {
+        const ethPrice = this.getLatestPrice(chain, 'WETH');
+        
+        if (!ethPrice) {
+            return Infinity;
+        }
+        
+        return await this.estimateGasCost(chain, 'swap') * ethPrice;
+    }
+    
+    getInventoryTokens() {
+        // Trades are funded and settled in USDC
+        return [...new Set(['USDC', ...this.tokens])];
+    }
+    
     async estimateGasCost(chain, operation) {
         const gasEstimates = {
             'swap': 200000,
@@ -329,37 +555,110 @@ class CrossChainArbitrage extends EventEmitter {
             'approve': 50000
         };
         
-        const chainGasPrices = {
-            'base': 0.001, // Very low on L2s
-            'arbitrum': 0.001,
-            'optimism': 0.001,
-            'ethereum': 30 // Much higher on mainnet
-        };
-        
         const gasLimit = gasEstimates[operation] || 200000;
-        const gasPrice = chainGasPrices[chain] || 1;
+        const gasPrice = await this.chains.get(chain).provider.getGasPrice();
         
         // Return cost in ETH
-        return (gasLimit * gasPrice) / 1e9;
+        return Number(ethers.utils.formatEther(gasPrice.mul(gasLimit)));
     }
     
-    selectBestBridge(token, fromChain, toChain) {
-        // Find bridges that support this token and route
-        const availableBridges = [];
-        
-        for (const [name, config] of Object.entries(this.bridgeConfigs)) {
-            if (config.supportedTokens.includes(token)) {
-                availableBridges.push({
-                    name,
-                    ...config
-                });
+    /**
+     * Live quotes from every bridge that serves the route; amount is in
+     * the source chain's token units. Bridges that fail to quote are left out.
+     */
+    async quoteBridges(token, fromChain, toChain, amount) {
+        const bridges = Array.from(this.bridges.values())
+            .filter(bridge => bridge.supports(token, fromChain, toChain));
+        
+        const settled = await Promise.allSettled(
+            bridges.map(bridge => bridge.quote(token, fromChain, toChain, amount))
+        );
+        
+        return settled
+            .map((result, i) => {
+                if (result.status === 'rejected') {
+                    logger.debug(`${bridges[i].name} quote failed`, { token, fromChain, toChain, error: result.reason.message });
+                    return null;
+                }
+                return result.value;
+            })
+            .filter(Boolean);
+    }
+    
+    /**
+     * Bridge with the lowest net cost among those that deliver within the
+     * deadline (seconds). Net cost is the tokens the bridge keeps, the
+     * native fee and source gas in USD, plus timeCostBpsPerHour of the
+     * amount for every hour in transit.
+     */
+    async selectBestBridge(token, fromChain, toChain, amount, options = {}) {
+        const deadline = options.deadline || this.maxBridgeTime;
+        const timeCostBpsPerHour = options.timeCostBpsPerHour || 0;
+        const quotes = await this.quoteBridges(token, fromChain, toChain, amount);
+        const ranked = [];
+        
+        for (const quote of quotes) {
+            if (quote.estimatedTime > deadline) {
+                continue;
+            }
+            
+            const cost = await this.getBridgeCost(quote);
+            
+            if (cost) {
+                const timeCostUSD = cost.amountUSD * timeCostBpsPerHour / 10000 * quote.estimatedTime / 3600;
+                ranked.push({ ...quote, ...cost, timeCostUSD, netCostUSD: cost.feeUSD + timeCostUSD });
             }
         }
         
-        // Sort by estimated time (fastest first)
-        availableBridges.sort((a, b) => a.estimatedTime - b.estimatedTime);
+        ranked.sort((a, b) => a.netCostUSD - b.netCostUSD);
         
-        return availableBridges[0] || null;
+        return ranked[0] || null;
+    }
+    
+    async getBridgeCost(quote) {
+        const from = this.chains.get(quote.fromChain);
+        const to = this.chains.get(quote.toChain);
+        const tokenPrice = this.getLatestPrice(quote.fromChain, quote.token);
+        const ethPrice = this.getLatestPrice(quote.fromChain, 'WETH');
+        
+        if (!tokenPrice || !ethPrice) {
+            return null;
+        }
+        
+        const unitsIn = Number(ethers.utils.formatUnits(
+            quote.amountIn,
+            await this.getDecimals(from, from.tokens[quote.token])
+        ));
+        const unitsOut = Number(ethers.utils.formatUnits(
+            quote.amountOut,
+            await this.getDecimals(to, to.tokens[quote.token])
+        ));
+        
+        const tokenFeeUSD = (unitsIn - unitsOut) * tokenPrice;
+        const nativeFeeUSD = Number(ethers.utils.formatEther(quote.nativeFee)) * ethPrice;
+        const gasUSD = await this.estimateGasCost(quote.fromChain, 'bridge') * ethPrice;
+        
+        return {
+            amountUSD: unitsIn * tokenPrice,
+            tokenFeeUSD,
+            nativeFeeUSD,
+            gasUSD,
+            feeUSD: tokenFeeUSD + nativeFeeUSD + gasUSD
+        };
+    }
+    
+    async executeBridge(quote) {
+        if (this.bot.paperTrading) {
+            logger.info(`Paper bridge transfer of ${quote.token} from ${quote.fromChain} to ${quote.toChain} via ${quote.bridge}`);
+            return null;
+        }
+        
+        const signer = this.bot.getWallet('main').connect(this.chains.get(quote.fromChain).provider);
+        return this.bridges.get(quote.bridge).execute(quote, signer);
+    }
+    
+    async getBridgeStatus(transfer) {
+        return this.bridges.get(transfer.bridge).status(transfer);
     }
     
     async calculateProfit(receipt, opportunity) {
@@ -370,12 +669,24 @@ class CrossChainArbitrage extends EventEmitter {
     
     getStats() {
         return {
+            ...this.stats,
             isRunning: this.isRunning,
             chainsMonitored: this.chains.size,
             priceFeeds: this.priceFeeds.size,
-            chains: Array.from(this.chains.keys())
+            chains: Array.from(this.chains.keys()),
+            inventory: this.inventory ? this.inventory.getStats() : null,
+            rebalancer: this.rebalancer ? this.rebalancer.getStats() : null
         };
     }
 }
 
+function convertDecimals(amount, from, to) {
+    const scale = ethers.BigNumber.from(10).pow(Math.abs(to - from));
+    return to >= from ? amount.mul(scale) : amount.div(scale);
+}
+
+function toETH(usd, ethPrice) {
+    return ethers.utils.parseEther((usd / ethPrice).toFixed(18));
+}
+
 module.exports = { CrossChainArbitrage };
\ No newline at end of file
@@ -2,6 +2,8 @@ const EventEmitter = require('events');
 const { ethers } = require('ethers');
 const { logger } = require('../utils/logger');
 const { DEXAggregator } = require('../dex/DEXAggregator');
+const { AaveLiquidator } = require('../lending/AaveLiquidator');
+const { FlashLiquidator } = require('../lending/FlashLiquidator');
 
 class FlashLoanArbitrage extends EventEmitter {
     constructor(bot) {
@@ -10,6 +12,16 @@ class FlashLoanArbitrage extends EventEmitter {
         this.config = bot.config.strategies.flashloan;
         this.dexAggregator = new DEXAggregator(bot);
         
+        // Same flash-funded liquidation path as the liquidation strategy
+        this.aaveLiquidator = new AaveLiquidator(bot, bot.config.contracts.lendingProtocols.aave, {
+            dataProvider: bot.config.strategies.liquidation.aaveDataProvider
+        });
+        this.flashLiquidator = new FlashLiquidator(
+            bot,
+            this.dexAggregator,
+            bot.config.strategies.liquidation.flashLoan
+        );
+        
         // Flash loan providers
         this.providers = {
             aave: {
@@ -240,7 +252,7 @@ class FlashLoanArbitrage extends EventEmitter {
             const { tokenIn, tokenOut, amountIn } = swapTx.decoded;
             
             // Only check if swap is large enough
-            if (amountIn.lt(ethers.utils.parseEther('10'))) {
+            if (!amountIn || !tokenOut || amountIn.lt(ethers.utils.parseEther('10'))) {
                 return;
             }
             
@@ -265,25 +277,65 @@ class FlashLoanArbitrage extends EventEmitter {
     }
     
     async checkLiquidationArbitrage(liquidationTx) {
-        // Check if liquidation created arbitrage opportunity
+        // A pending liquidationCall means the position is liquidatable now,
+        // race it with a flash-loan-funded liquidation of the same pair
         try {
-            const { collateralAsset, debtAsset, amount } = liquidationTx.decoded;
+            const { protocol, args } = liquidationTx.decoded;
             
-            // Liquidations often create price imbalances
-            const opportunity = await this.calculateArbitrageWithFlashLoan(
-                collateralAsset,
-                debtAsset,
-                amount
+            if (protocol !== 'aave') {
+                return;
+            }
+            
+            const accountData = await this.aaveLiquidator.getAccountData(args.user);
+            const liquidation = await this.aaveLiquidator.findLiquidation(
+                args.user,
+                accountData.healthFactor,
+                { collateralAsset: args.collateralAsset, debtAsset: args.debtAsset }
             );
             
-            if (opportunity) {
-                opportunity.trigger = 'liquidation';
-                opportunity.triggerTx = liquidationTx.hash;
-                opportunity.priority = 'high';
-                
-                await this.processOpportunity(opportunity);
+            if (!liquidation) {
+                return;
             }
             
+            const flash = await this.flashLiquidator.buildLiquidation(
+                liquidation,
+                AaveLiquidator.encodeLiquidation(liquidation)
+            );
+            
+            const minProfit = ethers.utils.parseEther(this.config.minProfitETH || '0.01');
+            
+            if (!flash || flash.expectedProfit.lt(minProfit)) {
+                return;
+            }
+            
+            logger.info('Flash loan liquidation opportunity found', {
+                user: args.user,
+                provider: flash.flashLoan.provider,
+                profit: ethers.utils.formatEther(flash.expectedProfit),
+                triggerTx: liquidationTx.hash
+            });
+            
+            this.emit('opportunity', {
+                type: 'liquidation',
+                strategy: 'flashloan',
+                protocol: 'aave',
+                lendingProtocol: liquidation.lendingProtocol,
+                user: args.user,
+                healthFactor: accountData.healthFactor,
+                asset: liquidation.debtAsset,
+                amount: liquidation.debtToCover,
+                debtAsset: liquidation.debtAsset,
+                collateralAsset: liquidation.collateralAsset,
+                debtToCover: liquidation.debtToCover,
+                collateralReceived: liquidation.collateralReceived,
+                ...flash,
+                netProfit: flash.expectedProfit,
+                trigger: 'liquidation',
+                triggerTx: liquidationTx.hash,
+                priority: 'high',
+                timestamp: Date.now()
+            });
+            
         } catch (error) {
             logger.error('Error checking liquidation arbitrage', error);
         }
@@ -1,6 +1,12 @@
 const EventEmitter = require('events');
 const { ethers } = require('ethers');
 const { logger } = require('../utils/logger');
+const { AaveBorrowerIndexer } = require('../lending/AaveBorrowerIndexer');
+const { CometAdapter } = require('../lending/CometAdapter');
+const { CompoundV2Adapter } = require('../lending/CompoundV2Adapter');
+const { AaveLiquidator } = require('../lending/AaveLiquidator');
+const { FlashLiquidator } = require('../lending/FlashLiquidator');
+const { DEXAggregator } = require('../dex/DEXAggregator');
 
 class LiquidationStrategy extends EventEmitter {
     constructor(bot) {
@@ -20,24 +26,53 @@ class LiquidationStrategy extends EventEmitter {
         // Initialize protocol adapters
         this.initializeProtocols();
         
+        // Flash-loan-funded Aave liquidations, no debt asset inventory needed
+        const flashLoan = this.config.flashLoan || {};
+        this.flashLiquidator = flashLoan.enabled
+            ? new FlashLiquidator(this.bot, new DEXAggregator(this.bot), flashLoan)
+            : null;
+        
         logger.info('Liquidation strategy initialized');
     }
     
     initializeProtocols() {
         // Initialize Aave adapter
         if (this.config.protocols.includes('aave')) {
-            this.protocols.set('aave', {
+            const aave = {
                 name: 'Aave',
-                lendingPool: this.bot.config.contracts.lendingProtocols.aave,
-                dataProvider: '0x69FA688f1Dc47d4B5d8029D5a35FB7a548310654' // Example
+                lendingPool: this.bot.config.contracts.lendingProtocols.aave
+            };
+            
+            // Borrowers come from the pool's event history
+            aave.indexer = new AaveBorrowerIndexer(this.bot, aave, this.config.indexer);
+            aave.liquidator = new AaveLiquidator(this.bot, aave.lendingPool, {
+                dataProvider: this.config.aaveDataProvider
             });
+            
+            this.protocols.set('aave', aave);
         }
         
-        // Initialize Compound adapter
+        // Initialize Compound V3 (Comet) adapter
         if (this.config.protocols.includes('compound')) {
             this.protocols.set('compound', {
                 name: 'Compound',
-                comptroller: this.bot.config.contracts.lendingProtocols.compound
+                adapter: new CometAdapter(
+                    this.bot,
+                    this.bot.config.contracts.lendingProtocols.compound,
+                    { indexer: this.config.indexer }
+                )
+            });
+        }
+        
+        // Initialize Moonwell (Compound V2 fork) adapter
+        if (this.config.protocols.includes('moonwell')) {
+            this.protocols.set('moonwell', {
+                name: 'Moonwell',
+                adapter: new CompoundV2Adapter(
+                    this.bot,
+                    this.bot.config.contracts.lendingProtocols.moonwell,
+                    { name: 'moonwell', indexer: this.config.indexer }
+                )
             });
         }
     }
@@ -49,6 +84,17 @@ class LiquidationStrategy extends EventEmitter {
         
         logger.info('Starting liquidation strategy...');
         
+        // Start borrower indexers, backfill continues in the background
+        for (const protocol of this.protocols.values()) {
+            if (protocol.indexer) {
+                await protocol.indexer.start();
+            }
+            
+            if (protocol.adapter) {
+                await protocol.adapter.start();
+            }
+        }
+        
         // Start position monitoring
         this.startPositionMonitoring();
         
@@ -68,6 +114,16 @@ class LiquidationStrategy extends EventEmitter {
             clearInterval(this.scanInterval);
         }
         
+        for (const protocol of this.protocols.values()) {
+            if (protocol.indexer) {
+                await protocol.indexer.stop();
+            }
+            
+            if (protocol.adapter) {
+                await protocol.adapter.stop();
+            }
+        }
+        
         this.isRunning = false;
         logger.info('Liquidation strategy stopped');
     }
@@ -94,7 +150,7 @@ class LiquidationStrategy extends EventEmitter {
         try {
             if (name === 'aave') {
                 await this.scanAavePositions(protocol);
-            } else if (name === 'compound') {
+            } else if (protocol.adapter) {
                 await this.scanCompoundPositions(protocol);
             }
         } catch (error) {
@@ -103,23 +159,24 @@ class LiquidationStrategy extends EventEmitter {
     }
     
     async scanAavePositions(protocol) {
-        // Get Aave lending pool contract
-        const lendingPool = new ethers.Contract(
-            protocol.lendingPool,
-            [
-                'function getUserAccountData(address user) view returns (uint256 totalCollateralETH, uint256 totalDebtETH, uint256 availableBorrowsETH, uint256 currentLiquidationThreshold, uint256 ltv, uint256 healthFactor)'
-            ],
-            this.bot.getProvider()
-        );
-        
-        // Get users to monitor (from events or known addresses)
+        // Get users due for a check, riskiest first
         const users = await this.getAaveUsers(protocol);
         
-        for (const user of users) {
+        // Requested together so the reads share Multicall3 batches
+        const results = await Promise.allSettled(users.map(user => protocol.liquidator.getAccountData(user)));
+        
+        for (const [i, user] of users.entries()) {
             try {
-                const accountData = await lendingPool.getUserAccountData(user);
+                if (results[i].status === 'rejected') {
+                    throw results[i].reason;
+                }
+                
+                const accountData = results[i].value;
                 const healthFactor = accountData.healthFactor;
                 
+                // Feeds the indexer's schedule for the next scan
+                await protocol.indexer.updatePosition(user, accountData);
+                
                 // Convert health factor (1e18 = 1.0)
                 const healthFactorNumber = parseFloat(ethers.utils.formatUnits(healthFactor, 18));
                 
@@ -138,57 +195,92 @@ class LiquidationStrategy extends EventEmitter {
     }
     
     async scanCompoundPositions(protocol) {
-        // Similar implementation for Compound
-        logger.debug('Scanning Compound positions...');
-        // Implementation would follow similar pattern to Aave
+        // Comet and Compound V2 forks share the adapter interface
+        const { adapter } = protocol;
+        const users = adapter.indexer.getUsersToScan();
+        
+        for (const user of users) {
+            try {
+                const state = await adapter.getAccountState(user);
+                await adapter.indexer.recordState(user, state);
+                
+                if (!state.active || state.healthFactor >= this.healthFactorThreshold) {
+                    continue;
+                }
+                
+                // The adapter checks the protocol's own liquidation condition
+                const opportunity = await adapter.findOpportunity(user);
+                
+                if (opportunity && opportunity.expectedProfit.gte(this.minProfitETH)) {
+                    this.emit('opportunity', opportunity);
+                }
+                
+            } catch (error) {
+                logger.debug(`Error checking ${protocol.name} user ${user}`, error);
+            }
+        }
     }
     
     async getAaveUsers(protocol) {
-        // In production, this would:
-        // 1. Query historical events for borrowers
-        // 2. Use a subgraph for active positions
-        // 3. Monitor specific known addresses
-        
-        // For now, return empty array
-        return [];
+        // Low health factors come up every scan, healthy ones far less often
+        return protocol.indexer.getUsersToScan();
     }
     
     async calculateAaveLiquidation(user, accountData, protocol) {
         try {
-            const totalCollateral = accountData.totalCollateralETH;
-            const totalDebt = accountData.totalDebtETH;
+            const liquidation = await protocol.liquidator.findLiquidation(user, accountData.healthFactor);
             
-            // Calculate liquidation bonus (typically 5-10%)
-            const liquidationBonus = 5; // 5%
-            const maxLiquidation = totalDebt.div(2); // Can liquidate up to 50%
+            if (!liquidation) {
+                return null;
+            }
             
-            // Calculate expected profit
-            const collateralReceived = maxLiquidation.mul(100 + liquidationBonus).div(100);
-            const profit = collateralReceived.sub(maxLiquidation);
+            const opportunity = {
+                type: 'liquidation',
+                strategy: 'liquidation',
+                protocol: 'aave',
+                lendingProtocol: liquidation.lendingProtocol,
+                user,
+                healthFactor: accountData.healthFactor,
+                totalCollateral: accountData.totalCollateralETH,
+                totalDebt: accountData.totalDebtETH,
+                asset: liquidation.debtAsset,
+                amount: liquidation.debtToCover,
+                debtAsset: liquidation.debtAsset,
+                collateralAsset: liquidation.collateralAsset,
+                debtToCover: liquidation.debtToCover,
+                collateralReceived: liquidation.collateralReceived,
+                closeFactor: liquidation.closeFactor,
+                liquidationBonus: liquidation.liquidationBonus,
+                timestamp: Date.now()
+            };
+            
+            if (this.flashLiquidator) {
+                // Borrow the debt asset and sell the seized collateral to repay it
+                const flash = await this.flashLiquidator.buildLiquidation(
+                    liquidation,
+                    AaveLiquidator.encodeLiquidation(liquidation)
+                );
+                
+                if (!flash || flash.expectedProfit.lt(this.minProfitETH)) {
+                    return null;
+                }
+                
+                return { ...opportunity, ...flash };
+            }
             
-            // Account for gas costs
+            // Paid from the wallet's own debt asset, profit at oracle prices
             const gasEstimate = ethers.BigNumber.from(400000);
             const gasPrice = await this.bot.getGasPrice();
-            const gasCost = gasEstimate.mul(gasPrice);
-            
-            const netProfit = profit.sub(gasCost);
+            const netProfit = liquidation.profit.sub(gasEstimate.mul(gasPrice));
             
             if (netProfit.lt(this.minProfitETH)) {
                 return null;
             }
             
             return {
-                type: 'liquidation',
-                strategy: 'liquidation',
-                protocol: 'aave',
-                user,
-                healthFactor: accountData.healthFactor,
-                totalCollateral,
-                totalDebt,
-                maxLiquidation,
+                ...opportunity,
                 expectedProfit: netProfit,
-                gasEstimate,
-                timestamp: Date.now()
+                gasEstimate
             };
             
         } catch (error) {
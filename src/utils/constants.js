@@ -48,7 +48,7 @@ const DEX_ROUTERS = {
     },
     [CHAIN_IDS.OPTIMISM]: {
         UNISWAP_V3: '0xE592427A0AEce92De3Edee1F18E0157C05861564',
-        VELODROME: '0x9c12939390052919aF3155f41Bf4160Fd3666A6f'
+        VELODROME: '0xa062aE8A9c5e11aaA026fc2670B0D65cCc8B2858'
     }
 };
 
@@ -144,42 +144,73 @@ async function estimateGasWithBuffer(transaction, signer, bufferPercent = 20) {
 }
 
 /**
- * Simulate transaction
+ * Parse revert reason from error or raw revert data
  */
-async function simulateTransaction(transaction, signer, provider) {
-    try {
-        // Try static call first
-        const result = await signer.callStatic[transaction.method](...transaction.args, {
-            from: transaction.from,
-            value: transaction.value || 0
-        });
+function parseRevertReason(error) {
+    if (error.reason) return error.reason;
+    
+    const data = error.data || error.error?.data;
+    
+    if (typeof data === 'string' && data.length >= 10) {
+        const selector = data.slice(0, 10);
         
-        return {
-            success: true,
-            result,
-            gasEstimate: await estimateGasWithBuffer(transaction, signer)
-        };
-    } catch (error) {
-        return {
-            success: false,
-            error: error.message,
-            revertReason: parseRevertReason(error)
-        };
+        try {
+            if (selector === '0x08c379a0') {
+                // Error(string)
+                return ethers.utils.defaultAbiCoder.decode(['string'], '0x' + data.slice(10))[0];
+            }
+            
+            if (selector === '0x4e487b71') {
+                // Panic(uint256)
+                const code = ethers.utils.defaultAbiCoder.decode(['uint256'], `0x${data.slice(10)}`)[0];
+                return `Panic(0x${code.toHexString().slice(2).padStart(2, '0')})`;
+            }
+        } catch {
+            // Fall through to custom error selector
+        }
+        
+        return `Custom error ${selector}`;
     }
+    
+    return 'Unknown revert reason';
 }
 
 /**
- * Parse revert reason from error
+ * Signed raw form of someone else's transaction, for bundling it. Pending
+ * transactions from the node carry their signature, so it can be rebuilt.
  */
-function parseRevertReason(error) {
-    if (error.reason) return error.reason;
+function getRawTransaction(tx) {
+    if (tx.raw || tx.rawTransaction) {
+        return tx.raw || tx.rawTransaction;
+    }
     
-    if (error.error?.data) {
-        const reason = ethers.utils.toUtf8String('0x' + error.error.data.slice(138));
-        return reason;
+    if (!tx.r || !tx.s) {
+        return null;
     }
     
-    return 'Unknown revert reason';
+    const unsigned = {
+        type: tx.type || 0,
+        chainId: tx.chainId,
+        nonce: tx.nonce,
+        to: tx.to,
+        value: tx.value,
+        data: tx.data,
+        gasLimit: tx.gasLimit
+    };
+    
+    if (tx.type === 2) {
+        unsigned.maxFeePerGas = tx.maxFeePerGas;
+        unsigned.maxPriorityFeePerGas = tx.maxPriorityFeePerGas;
+        unsigned.accessList = tx.accessList || [];
+    } else {
+        unsigned.gasPrice = tx.gasPrice;
+        
+        if (tx.type === 1) {
+            unsigned.accessList = tx.accessList || [];
+        }
+    }
+    
+    return ethers.utils.serializeTransaction(unsigned, { r: tx.r, s: tx.s, v: tx.v });
 }
 
 /**
@@ -283,8 +314,8 @@ module.exports = {
     getTokenDecimals,
     getTokenBalance,
     estimateGasWithBuffer,
-    simulateTransaction,
     parseRevertReason,
+    getRawTransaction,
     calculateOptimalAmount,
     sortTokens,
     createRateLimiter,